@@ -0,0 +1,68 @@
+import { Block } from '../../src/core/Block.js';
+import { evaluateCondition, evaluateConditions } from '../../src/utils/conditions.js';
+
+/**
+ * If - Chooses what runs next based on a condition
+ *
+ * `then` and `else` name either a branch declared in the block's `branches`
+ * (run as a sub-pipeline) or a later block id (jumped to, skipping the blocks
+ * in between). A missing target simply continues with the next block.
+ */
+export class If extends Block {
+  static get inputs() {
+    return {
+      required: [],
+      optional: ['*']
+    };
+  }
+
+  static get outputs() {
+    return {
+      produces: ['passed', 'target', '_branch', '_skipTo']
+    };
+  }
+
+  static get configSchema() {
+    return {
+      condition: 'object',
+      conditions: ['object', 'array'],
+      then: ['string', 'null'],
+      else: ['string', 'null']
+    };
+  }
+
+  process(inputs, _context) {
+    const { condition, conditions, then: thenTarget, else: elseTarget } = this.config.config || this.config;
+
+    if (!condition && !conditions) {
+      throw new Error(`Block '${this.id}' requires a condition`);
+    }
+
+    const passed = conditions ?
+      evaluateConditions(inputs, conditions) :
+      evaluateCondition(inputs, condition);
+
+    return {
+      passed,
+      ...resolveTarget(this, passed ? thenTarget : elseTarget)
+    };
+  }
+}
+
+/**
+ * Turn a target name into the flow control signal the Pipeline understands
+ * @param {Block} block - Block selecting the target
+ * @param {string|undefined} target - Branch name or block id
+ * @returns {Object} Output fields describing the target
+ */
+export function resolveTarget(block, target) {
+  if (target === undefined || target === null) {
+    return { target: null };
+  }
+
+  if (block.config.branches && target in block.config.branches) {
+    return { target, _branch: target };
+  }
+
+  return { target, _skipTo: target };
+}
@@ -0,0 +1,61 @@
+import { Block } from '../../src/core/Block.js';
+import { Pipeline } from '../../src/core/Pipeline.js';
+
+/**
+ * Include - Runs a reusable pipeline fragment as a single block
+ *
+ * The fragment is named by `fragment` (a key of the suite's `fragments` map)
+ * or `file` (a JSON file relative to the suite file). PipelineBuilder builds
+ * its blocks into `this.blocks`. Each run gets its own data bus: the gathered
+ * inputs become the fragment's `input` slot, and the slots the fragment
+ * writes are returned as the block output.
+ */
+export class Include extends Block {
+  constructor(config = {}) {
+    super(config);
+    this.blocks = [];
+  }
+
+  static get inputs() {
+    return {
+      required: [],
+      optional: ['*']
+    };
+  }
+
+  static get outputs() {
+    return {
+      produces: ['*'] // Whatever slots the fragment writes
+    };
+  }
+
+  static get configSchema() {
+    return {
+      fragment: 'string',
+      file: 'string'
+    };
+  }
+
+  async process(inputs, context) {
+    const name = this.config.fragment || this.config.file;
+
+    // A fresh pipeline per run keeps concurrent and looped runs isolated,
+    // while the shared context carries env values and the abort signal
+    const child = new Pipeline(this.blocks);
+    if (context) child.context = context;
+
+    const result = await child.execute(inputs);
+
+    const output = {};
+    for (const [slot, value] of Object.entries(result.data)) {
+      // The input slot and internal slots (_meta, _error) stay in the fragment
+      if (slot !== 'input' && !slot.startsWith('_')) output[slot] = value;
+    }
+
+    if (!result.success) {
+      output.error = `Fragment '${name}' failed: ${result.error}`;
+    }
+
+    return output;
+  }
+}
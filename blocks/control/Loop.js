@@ -22,6 +22,14 @@ export class Loop extends Block {
     };
   }
 
+  static get configSchema() {
+    return {
+      target: ['string', 'number'],
+      maxIterations: 'number',
+      condition: 'object'
+    };
+  }
+
   process(inputs, _context) {
     const { target, maxIterations = LIMITS.MAX_LOOP_ITERATIONS, condition } = this.config;
 
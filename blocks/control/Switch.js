@@ -0,0 +1,48 @@
+import { Block } from '../../src/core/Block.js';
+import { evaluateCondition, evaluateConditions } from '../../src/utils/conditions.js';
+import { resolveTarget } from './If.js';
+
+/**
+ * Switch - Chooses what runs next from a list of cases
+ *
+ * Cases are evaluated in order and the first match wins; `default` is used
+ * when nothing matches. Targets work like If: a branch name or a later block id.
+ */
+export class Switch extends Block {
+  static get inputs() {
+    return {
+      required: [],
+      optional: ['*']
+    };
+  }
+
+  static get outputs() {
+    return {
+      produces: ['matched', 'target', '_branch', '_skipTo']
+    };
+  }
+
+  static get configSchema() {
+    return {
+      cases: 'array',
+      default: ['string', 'null']
+    };
+  }
+
+  process(inputs, _context) {
+    const { cases = [], default: defaultTarget } = this.config.config || this.config;
+
+    for (let i = 0; i < cases.length; i++) {
+      const { condition, conditions, then: target } = cases[i];
+      const passed = conditions ?
+        evaluateConditions(inputs, conditions) :
+        evaluateCondition(inputs, condition);
+
+      if (passed) {
+        return { matched: i, ...resolveTarget(this, target) };
+      }
+    }
+
+    return { matched: 'default', ...resolveTarget(this, defaultTarget) };
+  }
+}
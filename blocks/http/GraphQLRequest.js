@@ -0,0 +1,154 @@
+import { createHash } from 'crypto';
+import { Block } from '../../src/core/Block.js';
+import { logger } from '../../src/utils/logger.js';
+import { HttpRequest } from './HttpRequest.js';
+
+/**
+ * GraphQLRequest - Sends a GraphQL query or mutation
+ *
+ * The request goes through HttpRequest, so headers, `auth`, timeouts, cookies
+ * and cassettes work the same way. The response's `data`, `errors` and
+ * `extensions` are output separately, and a response with errors fails the
+ * block unless `allowErrors` is set.
+ *
+ * `persistedQuery` sends an Automatic Persisted Query: only the query's
+ * SHA-256 hash is sent first, and the full query follows if the server does
+ * not know the hash yet. A hash string can be given instead of computing it,
+ * in which case the query may be left out.
+ */
+export class GraphQLRequest extends Block {
+  static get inputs() {
+    return {
+      required: ['url'],
+      optional: ['query', 'variables', 'operationName', 'headers', 'timeout', 'auth', 'persistedQuery', 'allowErrors']
+    };
+  }
+
+  static get outputs() {
+    return {
+      produces: ['data', 'errors', 'extensions', 'status', 'headers', 'duration']
+    };
+  }
+
+  static get configSchema() {
+    return {
+      url: 'string',
+      query: 'string',
+      variables: 'object',
+      operationName: 'string',
+      headers: 'object',
+      timeout: 'number',
+      auth: 'object',
+      persistedQuery: ['boolean', 'string'],
+      allowErrors: 'boolean'
+    };
+  }
+
+  async process(inputs, context) {
+    const { url, query, variables, operationName, headers = {}, timeout, auth, persistedQuery, allowErrors } = inputs;
+
+    const hash = typeof persistedQuery === 'string' ?
+      persistedQuery :
+      persistedQuery && query && createHash('sha256').update(query).digest('hex');
+    if (!query && !hash) {
+      return { error: 'GraphQLRequest needs a query, or a persistedQuery hash', status: 0, duration: 0 };
+    }
+
+    const operation = {
+      ...(variables !== undefined && { variables }),
+      ...(operationName && { operationName })
+    };
+    const send = body => new HttpRequest({ id: this.id }).process({
+      url,
+      method: 'POST',
+      headers: { Accept: 'application/graphql-response+json, application/json', ...headers },
+      body,
+      timeout,
+      auth
+    }, context);
+
+    let response;
+    if (hash) {
+      const extensions = { persistedQuery: { version: 1, sha256Hash: hash } };
+      response = await send({ ...operation, extensions });
+      if (query && isPersistedQueryNotFound(response)) {
+        logger.debug(`Persisted query ${hash} not registered yet, sending the full query`);
+        response = await send({ query, ...operation, extensions });
+      }
+    } else {
+      response = await send({ query, ...operation });
+    }
+
+    return this.buildOutput(response, allowErrors);
+  }
+
+  /**
+   * Split a GraphQL response into data, errors and extensions
+   * @param {Object} response - HttpRequest output
+   * @param {boolean} allowErrors - Do not fail the block on GraphQL errors
+   * @returns {Object} Block output
+   */
+  buildOutput(response, allowErrors) {
+    const { status, headers, duration } = response;
+    if (response.error) {
+      return { error: response.error, status, headers, duration };
+    }
+
+    const result = parseResponse(response.body);
+    if (!result) {
+      return {
+        error: `GraphQL response is not JSON (status ${status})`,
+        status,
+        headers,
+        duration
+      };
+    }
+
+    const output = {
+      data: result.data ?? null,
+      errors: result.errors || [],
+      extensions: result.extensions,
+      status,
+      headers,
+      duration
+    };
+
+    if (output.errors.length > 0 && !allowErrors) {
+      return { ...output, error: `GraphQL errors: ${output.errors.map(formatError).join('; ')}` };
+    }
+    if (output.errors.length === 0 && (status < 200 || status >= 300)) {
+      return { ...output, error: `GraphQL request failed with status ${status}` };
+    }
+    return output;
+  }
+}
+
+/**
+ * Parse a GraphQL response body
+ * @returns {Object|null} Parsed result, or null if it is not a JSON object
+ */
+function parseResponse(body) {
+  try {
+    const result = JSON.parse(body);
+    return result && typeof result === 'object' ? result : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Whether the server asked for the full query of a persisted query
+ */
+function isPersistedQueryNotFound(response) {
+  const errors = parseResponse(response.body)?.errors || [];
+  return errors.some(error =>
+    error.message === 'PersistedQueryNotFound' || error.extensions?.code === 'PERSISTED_QUERY_NOT_FOUND'
+  );
+}
+
+/**
+ * Describe a GraphQL error with the path it occurred at
+ */
+function formatError(error) {
+  return error.path ? `${error.message} (at ${error.path.join('.')})` : error.message;
+}
@@ -1,26 +1,85 @@
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { randomUUID } from 'crypto';
 import { Block } from '../../src/core/Block.js';
-import { measureTime } from '../../src/utils/timing.js';
+import { measureTime, combineSignals } from '../../src/utils/timing.js';
 import { logger } from '../../src/utils/logger.js';
+import { TokenCache, getCredentials } from '../../src/utils/auth.js';
+import { splitSetCookie } from '../../src/utils/CookieJar.js';
+
+// Supported `bodyType` and `responseType` values
+const BODY_TYPES = ['json', 'form', 'multipart', 'binary'];
+const RESPONSE_TYPES = ['text', 'base64', 'file'];
+
+// Redirects followed by hand while a cookie jar is active
+const REDIRECT_STATUSES = [301, 302, 303, 307, 308];
+const MAX_REDIRECTS = 20;
 
 /**
  * HttpRequest - Makes HTTP requests
+ *
+ * When the context holds a cassette (`_cassette`, set by the runner for
+ * --record and --replay), responses are recorded to it or replayed from it.
+ *
+ * With `stream` set, the body is read chunk by chunk: each chunk is
+ * timestamped in the `stream` output (which StreamParser turns into latency
+ * metrics), and reading stops early once a byte, chunk or time limit is hit.
+ *
+ * `auth` adds credentials (bearer, basic, API key or OAuth2 client
+ * credentials) to the request only as it is sent, so they stay out of the
+ * `url` output, debug logs and cassettes. An OAuth2 request answered with 401
+ * gets a fresh token and is retried once.
+ *
+ * `bodyType` sends the body as JSON (default for objects), form-urlencoded,
+ * multipart or raw bytes; file paths resolve relative to the suite file.
+ * `responseType` returns binary responses as base64 or saves them to a file.
+ *
+ * With a cookie jar in the context (`_cookies`, see the suite `cookies`
+ * option), matching cookies are sent and Set-Cookie headers are stored -
+ * including those of redirects, which are then followed here.
  */
 export class HttpRequest extends Block {
   static get inputs() {
     return {
       required: ['url', 'method'],
-      optional: ['headers', 'body', 'timeout', 'query']
+      optional: ['headers', 'body', 'timeout', 'query', 'stream', 'auth', 'bodyType', 'responseType', 'saveTo']
     };
   }
 
   static get outputs() {
     return {
-      produces: ['status', 'headers', 'body', 'duration', 'url']
+      produces: ['status', 'headers', 'body', 'duration', 'url', 'stream', 'file']
+    };
+  }
+
+  static get configSchema() {
+    return {
+      url: 'string',
+      method: 'string',
+      headers: 'object',
+      body: 'any',
+      query: 'object',
+      timeout: 'number',
+      stream: ['boolean', 'object'],
+      auth: 'object',
+      bodyType: 'string',
+      responseType: 'string',
+      saveTo: 'string'
     };
   }
 
-  async process(inputs, _context) {
-    const { url, method, headers = {}, body, timeout = 30000, query } = inputs;
+  async process(inputs, context) {
+    const {
+      url, method, headers = {}, body, timeout = 30000, query, stream, auth,
+      bodyType, responseType = 'text', saveTo
+    } = inputs;
+    if (!RESPONSE_TYPES.includes(responseType)) {
+      return { error: `Unknown responseType '${responseType}' (use ${RESPONSE_TYPES.join(', ')})`, status: 0, duration: 0, url };
+    }
+    if (stream && responseType !== 'text') {
+      return { error: `responseType '${responseType}' cannot be used with stream`, status: 0, duration: 0, url };
+    }
 
     // Build URL with query params
     let urlObj;
@@ -44,22 +103,38 @@ export class HttpRequest extends Block {
     const options = {
       method,
       headers: { ...headers },
-      signal: AbortSignal.timeout(timeout)
+      // Also abort when the pipeline cancels this block
+      signal: combineSignals(AbortSignal.timeout(timeout), context?.signal)
     };
 
     // Add body if present
+    let encoded = {};
     if (body) {
-      if (typeof body === 'string') {
-        options.body = body;
-      } else {
-        // Only set Content-Type for JSON if not already set
-        if (!headers['Content-Type'] && !headers['content-type']) {
-          options.headers['Content-Type'] = 'application/json';
-        }
-        options.body = JSON.stringify(body);
+      try {
+        encoded = await encodeBody(body, bodyType, this.getBaseDir(context));
+      } catch (error) {
+        return {
+          error: error.message,
+          status: 0,
+          duration: 0,
+          url: urlObj.toString()
+        };
+      }
+      options.body = encoded.body;
+      // Only set Content-Type if not already set
+      if (encoded.contentType && !headers['Content-Type'] && !headers['content-type']) {
+        options.headers['Content-Type'] = encoded.contentType;
       }
     }
 
+    // Uploads are matched by their definition, not their bytes
+    const request = { method, url: urlObj.toString(), body: encoded.key ?? options.body };
+    const cassette = context?.get?.('_cassette');
+    const jar = context?.get?.('_cookies');
+    if (cassette?.mode === 'replay') {
+      return this.replay(cassette, request, { responseType, saveTo, context, jar });
+    }
+
     // Log request details
     logger.debug(`HTTP ${method} ${urlObj.toString()}`);
     logger.debug('Request headers:', options.headers);
@@ -67,10 +142,30 @@ export class HttpRequest extends Block {
       logger.debug('Request body:', typeof body === 'string' ? body : body);
     }
 
+    let credentials;
+    try {
+      credentials = await this.authenticate(auth, context, options.signal);
+    } catch (error) {
+      return {
+        error: error.message,
+        status: 0,
+        duration: 0,
+        url: urlObj.toString()
+      };
+    }
+
     // Make request
-    const { result: response, duration, error } = await measureTime(() =>
-      fetch(urlObj.toString(), options)
-    );
+    const startTime = Date.now();
+    const { result: response, duration, error } = await measureTime(async () => {
+      const firstResponse = await send(urlObj, options, credentials, jar);
+      if (firstResponse.status !== 401 || auth?.type !== 'oauth2') return firstResponse;
+
+      // The token expired or was revoked - get a new one and retry once
+      logger.debug('OAuth2 token rejected with 401, requesting a new one');
+      await firstResponse.body?.cancel().catch(() => {});
+      credentials = await this.authenticate(auth, context, options.signal, { refresh: true });
+      return send(urlObj, options, credentials, jar);
+    });
 
     if (error) {
       return {
@@ -82,11 +177,22 @@ export class HttpRequest extends Block {
     }
 
     // Get response body as text (can be parsed later)
-    const responseBody = await response.text();
+    let responseBody;
+    let streamOutput;
+    let streamError;
+    if (stream) {
+      ({ body: responseBody, stream: streamOutput, error: streamError } =
+        await readStream(response, startTime, stream === true ? {} : stream));
+    } else if (responseType === 'text') {
+      responseBody = await response.text();
+    } else {
+      // Binary responses travel (and are recorded) as base64
+      responseBody = Buffer.from(await response.arrayBuffer()).toString('base64');
+    }
 
     // Log response details
     logger.debug(`Response status: ${response.status}`);
-    logger.debug('Response headers:', Object.fromEntries(response.headers.entries()));
+    logger.debug('Response headers:', toHeaderObject(response.headers));
     if (responseBody) {
       // Truncate very long responses for logging
       const logBody = responseBody.length > 1000 ?
@@ -96,12 +202,325 @@ export class HttpRequest extends Block {
     }
     logger.debug(`Request completed in ${duration}ms`);
 
-    return {
+    const recorded = {
       status: response.status,
-      headers: Object.fromEntries(response.headers.entries()),
+      headers: toHeaderObject(response.headers),
       body: responseBody,
       duration,
-      url: urlObj.toString()
+      ...(streamOutput && { stream: streamOutput })
     };
+    if (streamError) {
+      // The stream broke off (timeout or cancellation) - keep what arrived
+      return { ...recorded, error: streamError, url: urlObj.toString() };
+    }
+    if (cassette?.mode === 'record') {
+      cassette.record(request, recorded);
+    }
+
+    return this.respond(recorded, urlObj.toString(), { responseType, saveTo, context });
+  }
+
+  /**
+   * Build the output from a response, saving the body to a file for `responseType: 'file'`
+   * @param {Object} response - { status, headers, body, duration[, stream] }
+   * @param {string} url - Requested URL
+   * @param {Object} options - { responseType, saveTo, context }
+   * @returns {Promise<Object>} Block output
+   */
+  async respond(response, url, { responseType, saveTo, context }) {
+    if (responseType !== 'file' || response.body === undefined) return { ...response, url };
+
+    const file = saveTo ?
+      path.resolve(this.getBaseDir(context), saveTo) :
+      path.join(os.tmpdir(), 'semtest', `${this.id}-${randomUUID()}`);
+    await fs.mkdir(path.dirname(file), { recursive: true });
+    await fs.writeFile(file, Buffer.from(response.body, 'base64'));
+    logger.debug(`Response body saved to ${file}`);
+
+    const { body: _body, ...rest } = response;
+    return { ...rest, file, url };
+  }
+
+  /**
+   * Get the directory relative paths resolve from: the suite file's, or the working directory
+   */
+  getBaseDir(context) {
+    const file = context?.get?.('_test')?.file;
+    return file ? path.dirname(file) : process.cwd();
+  }
+
+  /**
+   * Get the credentials of a request
+   * OAuth2 tokens are cached in the context (`_authTokens`), which SuiteRunner
+   * shares across a suite run
+   * @param {Object} auth - Auth definition, or undefined for none
+   * @param {Context} context - Pipeline context
+   * @param {AbortSignal} signal - Aborts a token request
+   * @param {Object} options - { refresh: drop the cached token first }
+   * @returns {Promise<Object>} { headers, query }
+   */
+  authenticate(auth, context, signal, { refresh = false } = {}) {
+    if (!auth) return Promise.resolve({ headers: {}, query: {} });
+
+    let tokens = context?.get?.('_authTokens');
+    if (!tokens) {
+      tokens = new TokenCache();
+      context?.set?.('_authTokens', tokens);
+    }
+    if (refresh) tokens.invalidate(auth);
+
+    logger.debug(`Using ${auth.type} auth`);
+    return getCredentials(auth, { tokens, signal });
+  }
+
+  /**
+   * Answer a request from a cassette instead of the network
+   * The recorded duration is returned, so replayed runs are deterministic
+   */
+  replay(cassette, request, options) {
+    const response = cassette.findResponse(request);
+    if (!response) {
+      return {
+        error: `No recorded response for ${request.method} ${request.url} in ${cassette.filePath}`,
+        status: 0,
+        duration: 0,
+        url: request.url
+      };
+    }
+
+    logger.debug(`HTTP ${request.method} ${request.url} replayed from ${cassette.filePath}`);
+    if (options.jar) {
+      options.jar.setCookies(splitSetCookie(response.headers?.['set-cookie']), request.url);
+      logger.debug('Cookie jar:', options.jar.describe());
+    }
+    return this.respond(response, request.url, options);
+  }
+}
+
+/**
+ * Encode a request body for fetch
+ * @param {string|Object} body - Body definition
+ * @param {string} bodyType - 'json' (default), 'form', 'multipart' or 'binary'
+ *   - form: an object of fields, sent form-urlencoded
+ *   - multipart: an object of fields; `{ file, filename, contentType }` values are file parts
+ *   - binary: `{ file, contentType }` or `{ base64, contentType }`, sent as raw bytes
+ * @param {string} baseDir - Directory file paths resolve from
+ * @returns {Promise<Object>} { body, contentType, key } - key is what cassettes match uploads by
+ * @throws {Error} If the body type is unknown or a file cannot be read
+ */
+async function encodeBody(body, bodyType = 'json', baseDir) {
+  if (!BODY_TYPES.includes(bodyType)) {
+    throw new Error(`Unknown bodyType '${bodyType}' (use ${BODY_TYPES.join(', ')})`);
   }
+  if (typeof body === 'string' && bodyType !== 'binary') {
+    return { body };
+  }
+
+  switch (bodyType) {
+    case 'form': {
+      const form = new URLSearchParams();
+      for (const [name, value] of Object.entries(body)) {
+        for (const item of [].concat(value)) form.append(name, stringifyField(item));
+      }
+      return { body: form.toString(), contentType: 'application/x-www-form-urlencoded' };
+    }
+
+    case 'multipart': {
+      // fetch sets the Content-Type with the boundary
+      const form = new FormData();
+      for (const [name, value] of Object.entries(body)) {
+        for (const item of [].concat(value)) {
+          if (item?.file) {
+            const data = await readFile(item.file, baseDir, name);
+            const blob = new Blob([data], item.contentType ? { type: item.contentType } : {});
+            form.append(name, blob, item.filename || path.basename(item.file));
+          } else {
+            form.append(name, stringifyField(item));
+          }
+        }
+      }
+      return { body: form, key: JSON.stringify(body) };
+    }
+
+    case 'binary': {
+      const spec = typeof body === 'string' ? { file: body } : body;
+      const data = spec.base64 !== undefined ?
+        Buffer.from(spec.base64, 'base64') :
+        await readFile(spec.file, baseDir, 'body');
+      return {
+        body: data,
+        contentType: spec.contentType || 'application/octet-stream',
+        key: JSON.stringify(spec)
+      };
+    }
+
+    default:
+      return { body: JSON.stringify(body), contentType: 'application/json' };
+  }
+}
+
+/**
+ * Read a file to upload, relative to the suite file
+ */
+async function readFile(file, baseDir, name) {
+  const filePath = path.resolve(baseDir, file);
+  try {
+    return await fs.readFile(filePath);
+  } catch (error) {
+    throw new Error(`Cannot read file for '${name}': ${filePath} (${error.code || error.message})`);
+  }
+}
+
+/**
+ * Turn a form field value into text; objects are sent as JSON
+ */
+function stringifyField(value) {
+  return value !== null && typeof value === 'object' ? JSON.stringify(value) : String(value);
+}
+
+/**
+ * Send a request with credentials added to its headers and query
+ * With a cookie jar, redirects are followed here so that cookies set along
+ * the way are stored and sent to the next URL
+ */
+async function send(urlObj, options, credentials, jar) {
+  const target = new URL(urlObj);
+  for (const [key, value] of Object.entries(credentials.query)) {
+    target.searchParams.append(key, value);
+  }
+  const headers = { ...options.headers, ...credentials.headers };
+  if (!jar) return fetch(target.toString(), { ...options, headers });
+
+  let url = target.toString();
+  let init = { ...options, headers, redirect: 'manual' };
+  for (let redirects = 0; ; redirects++) {
+    const cookie = jar.getCookieHeader(url);
+    const requestHeaders = cookie ?
+      { ...withoutHeaders(init.headers, ['cookie']), Cookie: joinCookies(init.headers, cookie) } :
+      init.headers;
+    if (cookie) logger.debug(`Sending cookies: ${cookie}`);
+
+    const response = await fetch(url, { ...init, headers: requestHeaders });
+    jar.setCookies(getSetCookies(response.headers), url);
+    logger.debug('Cookie jar:', jar.describe());
+
+    const location = response.headers.get?.('location');
+    if (!REDIRECT_STATUSES.includes(response.status) || !location || redirects >= MAX_REDIRECTS) {
+      return response;
+    }
+
+    await response.body?.cancel().catch(() => {});
+    const next = new URL(location, url);
+    logger.debug(`Following ${response.status} redirect to ${next}`);
+    if (next.origin !== new URL(url).origin) {
+      // Like fetch, do not send credentials to another origin
+      init = { ...init, headers: withoutHeaders(init.headers, ['authorization', ...Object.keys(credentials.headers)]) };
+    }
+    if (response.status === 303 || (response.status <= 302 && init.method.toUpperCase() === 'POST')) {
+      // The redirect target is fetched with GET and without the body
+      init = { ...init, method: 'GET', body: undefined, headers: withoutHeaders(init.headers, ['content-type']) };
+    }
+    url = next.toString();
+  }
+}
+
+/**
+ * Get the Set-Cookie headers of a response
+ */
+function getSetCookies(headers) {
+  if (typeof headers.getSetCookie === 'function') return headers.getSetCookie();
+  return splitSetCookie(headers.get?.('set-cookie'));
+}
+
+/**
+ * Add jar cookies to a Cookie header set on the block
+ */
+function joinCookies(headers, cookie) {
+  const own = Object.entries(headers).find(([key]) => key.toLowerCase() === 'cookie');
+  return own ? `${own[1]}; ${cookie}` : cookie;
+}
+
+/**
+ * Copy headers without the given names (compared case-insensitively)
+ */
+function withoutHeaders(headers, names) {
+  const drop = names.map(name => name.toLowerCase());
+  return Object.fromEntries(Object.entries(headers).filter(([key]) => !drop.includes(key.toLowerCase())));
+}
+
+/**
+ * Convert response headers to an object
+ * Set-Cookie headers are kept together (comma-separated) instead of only the last one
+ */
+function toHeaderObject(headers) {
+  const object = Object.fromEntries(headers.entries());
+  const cookies = typeof headers.getSetCookie === 'function' ? headers.getSetCookie() : [];
+  if (cookies.length > 1) object['set-cookie'] = cookies.join(', ');
+  return object;
+}
+
+/**
+ * Read a response body chunk by chunk, timestamping every chunk
+ * @param {Response} response - Fetch response
+ * @param {number} startTime - When the request was sent
+ * @param {Object} limits - { maxBytes, maxChunks, maxDuration } - stop once one is reached
+ * @returns {Promise<Object>} { body, stream: { chunks: [{ at, text }], timeToFirstByte,
+ *   duration, bytes, truncated, stopReason }, error }
+ */
+async function readStream(response, startTime, { maxBytes, maxChunks, maxDuration } = {}) {
+  const chunks = [];
+  const decoder = new TextDecoder();
+  let bytes = 0;
+  let stopReason = null;
+  let error;
+
+  const reader = response.body?.getReader();
+  // Cancelling the reader ends a pending read, so a stalled stream stops too
+  const stop = reason => {
+    stopReason = reason;
+    return reader.cancel().catch(() => {});
+  };
+  const timer = reader && maxDuration ?
+    setTimeout(() => stop('maxDuration'), Math.max(0, startTime + maxDuration - Date.now())) :
+    null;
+
+  try {
+    let reading = Boolean(reader);
+    while (reading) {
+      const { done, value } = await reader.read();
+      if (done || stopReason) break;
+
+      bytes += value.byteLength;
+      chunks.push({ at: Date.now() - startTime, text: decoder.decode(value, { stream: true }) });
+
+      if (maxBytes && bytes >= maxBytes) {
+        await stop('maxBytes');
+      } else if (maxChunks && chunks.length >= maxChunks) {
+        await stop('maxChunks');
+      }
+      reading = !stopReason;
+    }
+  } catch (readError) {
+    error = readError.message;
+  } finally {
+    clearTimeout(timer);
+  }
+
+  const rest = decoder.decode();
+  if (rest && chunks.length > 0) chunks[chunks.length - 1].text += rest;
+
+  logger.debug(`Stream read: ${chunks.length} chunks, ${bytes} bytes${stopReason ? ` (stopped: ${stopReason})` : ''}`);
+
+  return {
+    body: chunks.map(chunk => chunk.text).join(''),
+    stream: {
+      chunks,
+      timeToFirstByte: chunks.length > 0 ? chunks[0].at : null,
+      duration: Date.now() - startTime,
+      bytes,
+      truncated: stopReason !== null,
+      stopReason
+    },
+    error
+  };
 }
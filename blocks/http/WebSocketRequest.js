@@ -0,0 +1,228 @@
+import { Block } from '../../src/core/Block.js';
+import { StreamParser } from '../parse/StreamParser.js';
+import { getPath } from '../../src/utils/path.js';
+import { matchesValue } from '../../src/utils/conditions.js';
+import { combineSignals, sleep } from '../../src/utils/timing.js';
+import { logger } from '../../src/utils/logger.js';
+import { connectWebSocket } from '../../src/utils/websocket.js';
+
+// Keys that make a `messages` entry a script step rather than a payload
+const STEP_KEYS = ['send', 'delay', 'waitFor'];
+
+/**
+ * WebSocketRequest - Holds a scripted conversation over a WebSocket
+ *
+ * Connects, sends `messages` in order and collects the frames that come back
+ * until one matches `until`, `maxFrames` frames arrived, nothing arrived for
+ * `idleTimeout` ms or the server closed the connection. A message is sent as
+ * is when it is a string and as JSON otherwise; a step object
+ * `{ "waitFor": ..., "delay": ms, "send": ... }` first waits for a matching
+ * frame and/or a delay, so a multi-turn conversation can follow the agent.
+ *
+ * `until` and `waitFor` match a frame's whole text when they are a string,
+ * or its JSON by path otherwise (`{ "type": "done" }`, with the assertion
+ * operators as in MockServer routes).
+ *
+ * The frames are parsed like an SSE stream of the given `format`, one event
+ * per frame, so the output has the same text, toolCalls, chunks, metadata and
+ * latency metrics as StreamParser, and ValidateTools or LLMJudge work on it
+ * unchanged. The raw frames are output as well, timestamped from the start
+ * of the connection.
+ */
+export class WebSocketRequest extends Block {
+  static get inputs() {
+    return {
+      required: ['url'],
+      optional: ['messages', 'headers', 'protocols', 'until', 'idleTimeout', 'maxFrames', 'timeout', 'format']
+    };
+  }
+
+  static get outputs() {
+    return {
+      produces: ['text', 'toolCalls', 'chunks', 'metadata', 'metrics', 'frames', 'stopReason']
+    };
+  }
+
+  static get configSchema() {
+    return {
+      url: 'string',
+      messages: 'array',
+      headers: 'object',
+      protocols: ['string', 'array'],
+      until: ['string', 'object'],
+      idleTimeout: 'number',
+      maxFrames: 'number',
+      timeout: 'number',
+      format: 'string'
+    };
+  }
+
+  async process(inputs, context) {
+    const {
+      url, messages = [], headers = {}, protocols, until,
+      idleTimeout = 5000, maxFrames, timeout = 30000, format = 'sse'
+    } = inputs;
+
+    if (!StreamParser.getParser(format)) {
+      return {
+        error: `Unknown format '${format}' (use ${StreamParser.getFormats().join(', ')})`,
+        frames: [],
+        stopReason: 'error'
+      };
+    }
+
+    const signal = combineSignals(AbortSignal.timeout(timeout), context?.signal);
+    const startTime = Date.now();
+
+    let connection;
+    try {
+      connection = await connectWebSocket(url, { headers, protocols, signal });
+    } catch (error) {
+      return { error: `WebSocket connection to ${url} failed: ${error.message}`, frames: [], stopReason: 'error' };
+    }
+    logger.debug(`WebSocket connected to ${url}${connection.protocol ? ` (${connection.protocol})` : ''}`);
+
+    const frames = [];
+    const inbox = createInbox(connection, signal);
+
+    // Collect frames until one matches, or another terminal condition is hit
+    const collect = async match => {
+      for (;;) {
+        const event = await inbox.next(idleTimeout);
+        if (!event) return 'idleTimeout';
+        if (event.aborted) return signal.reason?.name === 'TimeoutError' ? 'timeout' : 'aborted';
+        if (event.close) return 'closed';
+
+        const { text, binary } = event.message;
+        frames.push({ at: event.at - startTime, text, ...(binary && { binary }) });
+        logger.debug(`WebSocket received: ${text}`);
+        if (match !== undefined && matchesFrame(text, match)) return 'matched';
+        if (maxFrames && frames.length >= maxFrames) return 'maxFrames';
+      }
+    };
+
+    let stopReason;
+    let error;
+    try {
+      for (const [index, step] of messages.map(toStep).entries()) {
+        if (step.waitFor !== undefined) {
+          const reason = await collect(step.waitFor);
+          if (reason !== 'matched') {
+            stopReason = reason;
+            error = `Step ${index + 1} waited for a frame that did not arrive (${reason})`;
+            break;
+          }
+        }
+        if (step.delay) await sleep(step.delay);
+        if (step.send === undefined) continue;
+
+        if (connection.closed) {
+          stopReason = 'closed';
+          error = `Connection closed before step ${index + 1} was sent`;
+          break;
+        }
+        const payload = typeof step.send === 'string' ? step.send : JSON.stringify(step.send);
+        logger.debug(`WebSocket sent: ${payload}`);
+        connection.send(payload);
+      }
+
+      if (!stopReason) {
+        const reason = await collect(until);
+        stopReason = reason === 'matched' ? 'until' : reason;
+      }
+    } finally {
+      connection.close();
+    }
+
+    const events = frames.map(frame => ({ at: frame.at, text: toEvent(frame.text) }));
+    const result = new StreamParser({ id: this.id }).process({
+      body: events.map(event => event.text).join(''),
+      format,
+      stream: {
+        chunks: events,
+        timeToFirstByte: frames[0]?.at ?? null,
+        duration: Date.now() - startTime,
+        truncated: stopReason === 'maxFrames'
+      }
+    });
+
+    return { ...result, frames, stopReason, ...(error && { error }) };
+  }
+}
+
+/**
+ * Queue the connection's messages so frames that arrive between reads are not lost
+ * @returns {Object} { next(timeout) } - resolves with the next event, or null after timeout ms
+ */
+function createInbox(connection, signal) {
+  const queue = [];
+  let waiting = null;
+
+  const push = event => {
+    if (waiting) {
+      const resolve = waiting;
+      waiting = null;
+      resolve(event);
+    } else {
+      queue.push(event);
+    }
+  };
+
+  connection.on('message', message => push({ at: Date.now(), message }));
+  connection.on('close', close => push({ close }));
+  if (signal.aborted) push({ aborted: true });
+  else signal.addEventListener('abort', () => push({ aborted: true }), { once: true });
+
+  return {
+    next(timeout) {
+      if (queue.length > 0) return Promise.resolve(queue.shift());
+      return new Promise(resolve => {
+        const timer = setTimeout(() => {
+          waiting = null;
+          resolve(null);
+        }, timeout);
+        waiting = event => {
+          clearTimeout(timer);
+          resolve(event);
+        };
+      });
+    }
+  };
+}
+
+/**
+ * Normalize a `messages` entry into a { send, delay, waitFor } step
+ */
+function toStep(message) {
+  const isStep = message !== null && typeof message === 'object' && !Array.isArray(message) &&
+    Object.keys(message).length > 0 && Object.keys(message).every(key => STEP_KEYS.includes(key));
+  return isStep ? message : { send: message };
+}
+
+/**
+ * Whether a frame matches an `until` / `waitFor` condition
+ * A string matches the whole text; an object matches the frame's JSON by path
+ */
+function matchesFrame(text, condition) {
+  if (typeof condition === 'string') return text === condition;
+
+  let json;
+  try {
+    json = JSON.parse(text);
+  } catch {
+    return false;
+  }
+  return Object.entries(condition).every(([path, expected]) => matchesValue(getPath(json, path), expected));
+}
+
+/**
+ * Turn a frame into an SSE event for the stream parsers
+ * JSON frames are compacted so they fit on one data line
+ */
+function toEvent(text) {
+  let data = text;
+  try {
+    data = JSON.stringify(JSON.parse(text));
+  } catch {}
+  return `${data.split(/\r?\n/).map(line => `data: ${line}`).join('\n')}\n\n`;
+}
@@ -18,6 +18,19 @@ export class LLMJudge extends Block {
     };
   }
 
+  static get configSchema() {
+    return {
+      model: 'string',
+      apiKey: 'string',
+      criteria: 'object',
+      continueConversation: 'boolean',
+      text: 'string',
+      toolCalls: 'array',
+      expected: 'object',
+      history: 'array'
+    };
+  }
+
   constructor(config) {
     super(config);
     this.model = config.model || 'gpt-4o-mini';
@@ -44,7 +57,7 @@ export class LLMJudge extends Block {
     return this.openai;
   }
 
-  async process(inputs, _context) {
+  async process(inputs, context) {
     // Check for API key
     const apiKey = this.config.apiKey || process.env.OPENAI_API_KEY;
     if (!apiKey) {
@@ -80,7 +93,7 @@ export class LLMJudge extends Block {
         ],
         temperature: 0.3,
         response_format: { type: 'json_object' }
-      });
+      }, { signal: context?.signal });
 
       const result = JSON.parse(completion.choices[0].message.content);
 
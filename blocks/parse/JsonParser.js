@@ -17,6 +17,12 @@ export class JsonParser extends Block {
     };
   }
 
+  static get configSchema() {
+    return {
+      body: 'any'
+    };
+  }
+
   process(inputs, _context) {
     const { body } = inputs;
 
@@ -1,11 +1,17 @@
 import { Block } from '../../src/core/Block.js';
 import { logger } from '../../src/utils/logger.js';
 
+// Rough characters per token, for streams that do not report their token usage
+const CHARS_PER_TOKEN = 4;
+
 /**
  * StreamParser - Parses streaming responses using pluggable parsers
  *
  * Built-in parsers are auto-registered from the parsers/ directory.
  * Community can register custom parsers using StreamParser.register()
+ *
+ * Given the chunk timeline of a streamed HttpRequest (its `stream` output),
+ * it also measures latency: time to first token and tokens per second.
  */
 export class StreamParser extends Block {
   // Parser registry - stores all available parsers
@@ -44,17 +50,39 @@ export class StreamParser extends Block {
   static get inputs() {
     return {
       required: ['body'],
-      optional: ['format']
+      optional: ['format', 'stream']
     };
   }
 
   static get outputs() {
     return {
-      produces: ['text', 'toolCalls', 'chunks', 'metadata']
+      produces: ['text', 'toolCalls', 'chunks', 'metadata', 'metrics']
+    };
+  }
+
+  static get configSchema() {
+    return {
+      body: 'any',
+      format: 'string',
+      stream: 'object'
     };
   }
 
   process(inputs, _context) {
+    const result = this.parse(inputs);
+    const { stream } = inputs;
+
+    if (Array.isArray(stream?.chunks)) {
+      const parser = StreamParser.parsers.get(inputs.format || 'text') || (text => ({ text }));
+      result.metrics = measureStream(stream, parser, result);
+    }
+    return result;
+  }
+
+  /**
+   * Parse the body with the parser of its format
+   */
+  parse(inputs) {
     const { body, format = 'text' } = inputs;
 
     // Get parser for the specified format
@@ -94,15 +122,75 @@ export class StreamParser extends Block {
   }
 }
 
+/**
+ * Measure the latency of a streamed response
+ * The body is re-parsed chunk by chunk (by binary search) to find the chunks
+ * where the first and the last text arrived
+ * @param {Object} stream - `stream` output of HttpRequest { chunks: [{ at, text }], timeToFirstByte, duration }
+ * @param {Function} parser - Parser of the stream format
+ * @param {Object} result - Parse result of the whole body
+ * @returns {Object} { timeToFirstByte, timeToFirstToken, generationTime, duration,
+ *   chunks, tokens, tokensEstimated, tokensPerSecond, truncated }
+ */
+export function measureStream(stream, parser, result) {
+  const { chunks } = stream;
+  const fullLength = String(result.text ?? '').length;
+
+  // Length of the text parsed from the chunks up to index i
+  const textLength = i => {
+    try {
+      return (parser(chunks.slice(0, i + 1).map(chunk => chunk.text).join('')).text || '').length;
+    } catch {
+      return 0;
+    }
+  };
+
+  const first = fullLength > 0 ? findFirstIndex(chunks.length, i => textLength(i) > 0) : -1;
+  const last = fullLength > 0 ? findFirstIndex(chunks.length, i => textLength(i) >= fullLength) : -1;
+
+  const reported = result.metadata?.outputTokens;
+  const tokens = typeof reported === 'number' ? reported : Math.ceil(fullLength / CHARS_PER_TOKEN);
+  const generationTime = first >= 0 && last >= 0 ? chunks[last].at - chunks[first].at : null;
+
+  return {
+    timeToFirstByte: stream.timeToFirstByte ?? chunks[0]?.at ?? null,
+    timeToFirstToken: first >= 0 ? chunks[first].at : null,
+    generationTime,
+    duration: stream.duration ?? null,
+    chunks: chunks.length,
+    tokens,
+    tokensEstimated: typeof reported !== 'number',
+    tokensPerSecond: generationTime > 0 ? Math.round((tokens / generationTime) * 10000) / 10 : null,
+    truncated: Boolean(stream.truncated)
+  };
+}
+
+/**
+ * Find the first index in [0, length) for which a monotonic predicate holds
+ * @returns {number} Index, or -1 when it holds for none
+ */
+function findFirstIndex(length, predicate) {
+  let low = 0;
+  let high = length;
+  while (low < high) {
+    const mid = Math.floor((low + high) / 2);
+    if (predicate(mid)) high = mid;
+    else low = mid + 1;
+  }
+  return low < length ? low : -1;
+}
+
 // Import and register built-in parsers
 import { parseSSE } from './parsers/sse.js';
 import { parseSSEOpenAI } from './parsers/sse-openai.js';
 import { parseSSEVercel } from './parsers/sse-vercel.js';
+import { parseSSEAnthropic } from './parsers/sse-anthropic.js';
 
 // Register built-in parsers
 StreamParser.register('sse', parseSSE);
 StreamParser.register('sse-openai', parseSSEOpenAI);
 StreamParser.register('sse-vercel', parseSSEVercel);
+StreamParser.register('sse-anthropic', parseSSEAnthropic);
 
 // Export for extension
 export default StreamParser;
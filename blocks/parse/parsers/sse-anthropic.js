@@ -0,0 +1,118 @@
+import { logger } from '../../../src/utils/logger.js';
+
+/**
+ * Parse Anthropic Messages API SSE stream format
+ * Tool inputs streamed as partial JSON are assembled into `args`, thinking is
+ * collected into metadata.thinking, and the usage of message_start and
+ * message_delta is merged (metadata.outputTokens feeds the stream metrics)
+ * @param {string} body - Raw SSE stream body
+ * @returns {Object} Parsed result with text, toolCalls, chunks, and metadata
+ */
+export function parseSSEAnthropic(body) {
+  const lines = body.split(/\r?\n/);
+  const chunks = [];
+  const toolCalls = [];
+  const blocks = new Map(); // Content blocks by index
+  const metadata = { format: 'sse-anthropic' };
+  let usage = {};
+  let text = '';
+  let thinking = '';
+
+  for (const line of lines) {
+    if (!line.startsWith('data: ')) continue;
+
+    try {
+      const event = JSON.parse(line.substring(6));
+
+      switch (event.type) {
+        case 'message_start':
+          metadata.messageId = event.message?.id;
+          metadata.model = event.message?.model;
+          usage = { ...usage, ...event.message?.usage };
+          break;
+
+        case 'content_block_start': {
+          const block = event.content_block || {};
+          blocks.set(event.index, block);
+          // tool_use, and server_tool_use / mcp_tool_use for tools run by the API
+          if (block.type?.endsWith('tool_use')) {
+            const toolCall = { id: block.id, name: block.name, args: block.input || {}, inputText: '' };
+            toolCalls.push(toolCall);
+            blocks.set(event.index, { ...block, toolCall });
+          }
+          break;
+        }
+
+        case 'content_block_delta': {
+          const { delta = {} } = event;
+          if (delta.type === 'text_delta') {
+            text += delta.text;
+            chunks.push({ type: 'text', content: delta.text });
+          } else if (delta.type === 'thinking_delta') {
+            thinking += delta.thinking;
+            chunks.push({ type: 'thinking', content: delta.thinking });
+          } else if (delta.type === 'input_json_delta') {
+            const toolCall = blocks.get(event.index)?.toolCall;
+            if (toolCall) toolCall.inputText += delta.partial_json;
+          }
+          break;
+        }
+
+        case 'content_block_stop': {
+          const toolCall = blocks.get(event.index)?.toolCall;
+          if (toolCall) parseToolInput(toolCall);
+          break;
+        }
+
+        case 'message_delta':
+          metadata.stopReason = event.delta?.stop_reason ?? null;
+          usage = { ...usage, ...event.usage };
+          chunks.push({ type: 'finish', reason: metadata.stopReason });
+          break;
+
+        case 'error':
+          metadata.error = `${event.error?.type || 'error'}: ${event.error?.message || 'Unknown error'}`;
+          chunks.push({ type: 'error', error: event.error });
+          break;
+      }
+    } catch (e) {
+      logger.debug(`Failed to parse Anthropic stream data: ${e.message}`);
+    }
+  }
+
+  // Tool inputs of a stream that was cut off before content_block_stop
+  for (const toolCall of toolCalls) {
+    parseToolInput(toolCall);
+  }
+
+  if (thinking) metadata.thinking = thinking;
+  if (typeof usage.input_tokens === 'number') metadata.inputTokens = usage.input_tokens;
+  if (typeof usage.output_tokens === 'number') metadata.outputTokens = usage.output_tokens;
+
+  return {
+    text: text.trim(),
+    toolCalls,
+    chunks,
+    metadata: {
+      ...metadata,
+      usage,
+      totalChunks: chunks.length,
+      totalTools: toolCalls.length
+    }
+  };
+}
+
+/**
+ * Parse the partial JSON collected for a tool call into its args
+ */
+function parseToolInput(toolCall) {
+  if (toolCall.inputText === undefined) return;
+  if (toolCall.inputText) {
+    try {
+      toolCall.args = JSON.parse(toolCall.inputText);
+    } catch (e) {
+      logger.debug(`Failed to parse tool args for ${toolCall.name}: ${e.message}`);
+    }
+  }
+  delete toolCall.inputText;
+}
@@ -18,6 +18,12 @@ export class MockData extends Block {
     };
   }
 
+  static get configSchema() {
+    return {
+      data: 'any'
+    };
+  }
+
   process(_inputs, _context) {
     // Return the mock data from config.data or config.config.data
     // (depending on how block is instantiated)
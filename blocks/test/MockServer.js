@@ -0,0 +1,248 @@
+import http from 'http';
+import { Block } from '../../src/core/Block.js';
+import { getPath } from '../../src/utils/path.js';
+import { getAvailableOperators, matchesValue } from '../../src/utils/conditions.js';
+import { sleep } from '../../src/utils/timing.js';
+import { logger } from '../../src/utils/logger.js';
+
+// Context key the base URL is stored under unless `contextKey` is set
+const DEFAULT_CONTEXT_KEY = 'mockServerUrl';
+
+// Running servers by base URL, so a later block can stop them
+const servers = new Map();
+
+/**
+ * MockServer - Starts a local HTTP server with declarative routes
+ *
+ * Lets pipelines exercise real sockets, status codes and chunked streaming
+ * without an external service. Routes match on method, path, query, headers
+ * and JSON body (with the assertion operators), and answer with JSON, text,
+ * SSE events or raw chunks, optionally delayed per chunk. The base URL is
+ * output and stored in the context, so `${mockServerUrl}` works in every
+ * later block - and in tests and teardown when started in suite setup.
+ *
+ * With `"action": "stop"` the block stops the server whose URL is in the
+ * context, which is how a suite's teardown cleans up. Servers do not keep the
+ * process alive, so a forgotten stop does not hang the run.
+ */
+export class MockServer extends Block {
+  static get inputs() {
+    return {
+      required: [],
+      optional: []
+    };
+  }
+
+  static get outputs() {
+    return {
+      produces: ['url', 'port']
+    };
+  }
+
+  static get configSchema() {
+    return {
+      action: 'string',
+      routes: 'array',
+      port: 'number',
+      host: 'string',
+      contextKey: 'string'
+    };
+  }
+
+  /**
+   * The context key the base URL is stored under
+   */
+  static contextKeys(def) {
+    return [(def.config || def).contextKey || DEFAULT_CONTEXT_KEY];
+  }
+
+  async process(_inputs, context) {
+    const config = this.config.config || this.config;
+    const contextKey = config.contextKey || DEFAULT_CONTEXT_KEY;
+
+    if (config.action === 'stop') {
+      const url = context?.get?.(contextKey);
+      await stopMockServer(url);
+      context?.delete?.(contextKey);
+      return { url, port: url ? Number(new URL(url).port) : undefined };
+    }
+    if (config.action && config.action !== 'start') {
+      throw new Error(`Block '${this.id}': unknown action '${config.action}' (use 'start' or 'stop')`);
+    }
+
+    const routes = config.routes || [];
+    validateRoutes(routes, this.id);
+
+    const server = http.createServer((req, res) => {
+      handleRequest(req, res, routes).catch(error => {
+        logger.error(`MockServer '${this.id}': ${error.message}`);
+        if (!res.headersSent) res.writeHead(500, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ error: error.message }));
+      });
+    });
+
+    const host = config.host || '127.0.0.1';
+    await new Promise((resolve, reject) => {
+      server.once('error', reject);
+      server.listen(config.port || 0, host, resolve);
+    });
+    server.unref();
+
+    const { port } = server.address();
+    const url = `http://${host}:${port}`;
+    servers.set(url, server);
+    context?.set?.(contextKey, url);
+
+    logger.debug(`MockServer '${this.id}' listening on ${url} with ${routes.length} routes`);
+    return { url, port };
+  }
+}
+
+/**
+ * Stop the mock server listening on a base URL
+ * @param {string} url - Base URL output by MockServer
+ * @returns {Promise<boolean>} Whether a server was stopped
+ */
+export async function stopMockServer(url) {
+  const server = servers.get(url);
+  if (!server) return false;
+
+  servers.delete(url);
+  server.closeAllConnections?.();
+  await new Promise(resolve => server.close(resolve));
+  return true;
+}
+
+/**
+ * Check route definitions before the server starts
+ * @throws {Error} If a route has no response or uses an unknown operator
+ */
+function validateRoutes(routes, blockId) {
+  const operators = new Set(getAvailableOperators().map(op => op.name));
+
+  routes.forEach((route, i) => {
+    const label = `Block '${blockId}' route ${i + 1}`;
+    if (!route.response || typeof route.response !== 'object') {
+      throw new Error(`${label}: missing response`);
+    }
+
+    const matchers = [
+      route.path,
+      ...Object.values(route.query || {}),
+      ...Object.values(route.headers || {}),
+      ...Object.values(route.body || {})
+    ];
+    for (const expected of matchers) {
+      if (!isOperatorObject(expected)) continue;
+      const unknown = Object.keys(expected).find(op => !operators.has(op));
+      if (unknown) throw new Error(`${label}: unknown operator '${unknown}'`);
+    }
+  });
+}
+
+/**
+ * Answer a request with the first matching route, or 404
+ */
+async function handleRequest(req, res, routes) {
+  const request = await readRequest(req);
+  const route = routes.find(candidate => matchesRoute(candidate, request));
+
+  if (!route) {
+    res.writeHead(404, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ error: `No mock route for ${request.method} ${request.path}` }));
+    return;
+  }
+
+  await sendResponse(res, route.response);
+}
+
+/**
+ * Read a request into { method, path, query, headers, body }
+ * JSON bodies are parsed so routes can match on their fields
+ */
+async function readRequest(req) {
+  const chunks = [];
+  for await (const chunk of req) chunks.push(chunk);
+  const text = Buffer.concat(chunks).toString('utf-8');
+
+  let body = text;
+  try {
+    body = text ? JSON.parse(text) : undefined;
+  } catch {
+    // Not JSON - keep the text
+  }
+
+  const url = new URL(req.url, 'http://localhost');
+  return {
+    method: req.method,
+    path: url.pathname,
+    query: Object.fromEntries(url.searchParams),
+    headers: req.headers,
+    body
+  };
+}
+
+/**
+ * Whether a route matches a request
+ * Methods compare case-insensitively and header names are lower case;
+ * other matchers are a value or an object of assertion operators
+ */
+function matchesRoute(route, request) {
+  if (route.method && route.method.toUpperCase() !== request.method) return false;
+  if (route.path !== undefined && !matchesValue(request.path, route.path)) return false;
+
+  const checks = [
+    ...Object.entries(route.query || {}).map(([key, expected]) => [request.query[key], expected]),
+    ...Object.entries(route.headers || {}).map(([key, expected]) => [request.headers[key.toLowerCase()], expected]),
+    ...Object.entries(route.body || {}).map(([bodyPath, expected]) => [getPath(request.body, bodyPath), expected])
+  ];
+  return checks.every(([actual, expected]) => matchesValue(actual, expected));
+}
+
+/**
+ * Whether an expected value is an object of operators rather than a literal
+ */
+function isOperatorObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Write a canned response
+ * `sse` events and raw `chunks` are written one at a time, `chunkDelay` apart
+ */
+async function sendResponse(res, response) {
+  const { status = 200, headers = {}, delay, chunkDelay = 0 } = response;
+  if (delay) await sleep(delay);
+
+  let contentType = 'text/plain';
+  let chunks;
+  if (response.sse) {
+    contentType = 'text/event-stream';
+    chunks = response.sse.map(formatEvent);
+  } else if (response.chunks) {
+    chunks = response.chunks.map(String);
+  } else if (response.json !== undefined) {
+    contentType = 'application/json';
+    chunks = [JSON.stringify(response.json)];
+  } else {
+    chunks = response.body === undefined ? [] : [String(response.body)];
+  }
+
+  const hasContentType = Object.keys(headers).some(key => key.toLowerCase() === 'content-type');
+  res.writeHead(status, hasContentType ? headers : { 'Content-Type': contentType, ...headers });
+
+  for (const [i, chunk] of chunks.entries()) {
+    if (i > 0 && chunkDelay) await sleep(chunkDelay);
+    if (res.destroyed) return; // Client went away
+    res.write(chunk);
+  }
+  res.end();
+}
+
+/**
+ * Format an SSE event: strings are sent as data as they are, anything else as JSON
+ */
+function formatEvent(event) {
+  const data = typeof event === 'string' ? event : JSON.stringify(event);
+  return `data: ${data}\n\n`;
+}
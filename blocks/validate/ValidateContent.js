@@ -19,6 +19,18 @@ export class ValidateContent extends Block {
     };
   }
 
+  static get configSchema() {
+    return {
+      text: 'string',
+      contains: ['string', 'array'],
+      notContains: ['string', 'array'],
+      minLength: 'number',
+      maxLength: 'number',
+      matches: 'string',
+      matchFlags: 'string'
+    };
+  }
+
   process(inputs, _context) {
     const { text } = inputs;
     const { config } = this;
@@ -19,6 +19,18 @@ export class ValidateTools extends Block {
     };
   }
 
+  static get configSchema() {
+    return {
+      toolCalls: 'array',
+      expected: ['string', 'array'],
+      forbidden: ['string', 'array'],
+      minTools: 'number',
+      maxTools: 'number',
+      order: ['string', 'array'],
+      validateArgs: 'object'
+    };
+  }
+
   process(inputs, _context) {
     const { toolCalls = [] } = inputs;
     const { config } = this;
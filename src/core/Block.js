@@ -29,6 +29,25 @@ export class Block {
     };
   }
 
+  /**
+   * Define accepted config keys and their types, checked by PipelineBuilder
+   * Keys may be set inside `config` or at the top level of the block definition
+   * @returns {Object|null} Map of key to type name(s), or null to skip validation
+   */
+  static get configSchema() {
+    return null;
+  }
+
+  /**
+   * Context keys a block definition sets for the blocks (and tests) after it
+   * Static checks treat `${key}` references to them as resolvable
+   * @param {Object} _def - Block definition
+   * @returns {Array<string>} Context keys
+   */
+  static contextKeys(_def) {
+    return [];
+  }
+
   /**
    * Validate that required inputs are present
    * @param {any} inputs - Input data to validate
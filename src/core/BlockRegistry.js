@@ -1,12 +1,18 @@
 // Import core blocks
 import { HttpRequest } from '../../blocks/http/HttpRequest.js';
+import { GraphQLRequest } from '../../blocks/http/GraphQLRequest.js';
+import { WebSocketRequest } from '../../blocks/http/WebSocketRequest.js';
 import { JsonParser } from '../../blocks/parse/JsonParser.js';
 import { StreamParser } from '../../blocks/parse/StreamParser.js';
 import { ValidateContent } from '../../blocks/validate/ValidateContent.js';
 import { ValidateTools } from '../../blocks/validate/ValidateTools.js';
 import { LLMJudge } from '../../blocks/judge/LLMJudge.js';
 import { Loop } from '../../blocks/control/Loop.js';
+import { If } from '../../blocks/control/If.js';
+import { Switch } from '../../blocks/control/Switch.js';
+import { Include } from '../../blocks/control/Include.js';
 import { MockData } from '../../blocks/test/MockData.js';
+import { MockServer } from '../../blocks/test/MockServer.js';
 
 /**
  * Block Registry - Central registry of all available blocks
@@ -23,6 +29,8 @@ class BlockRegistry {
   registerDefaults() {
     // HTTP blocks
     this.register('HttpRequest', HttpRequest);
+    this.register('GraphQLRequest', GraphQLRequest);
+    this.register('WebSocketRequest', WebSocketRequest);
 
     // Parse blocks
     this.register('JsonParser', JsonParser);
@@ -37,9 +45,13 @@ class BlockRegistry {
 
     // Control flow blocks
     this.register('Loop', Loop);
+    this.register('If', If);
+    this.register('Switch', Switch);
+    this.register('Include', Include);
 
     // Test utility blocks
     this.register('MockData', MockData);
+    this.register('MockServer', MockServer);
   }
 
   /**
@@ -77,6 +77,18 @@ export class Context {
     return this;
   }
 
+  /**
+   * Create a view of this context carrying an AbortSignal
+   * The view shares all values with this context, so writes are not lost
+   * @param {AbortSignal} signal - Signal blocks can use to cancel work
+   * @returns {Context} Context view with `signal` set
+   */
+  withSignal(signal) {
+    const view = Object.create(this);
+    view.signal = signal;
+    return view;
+  }
+
   /**
    * Create a child context (inherits from parent)
    */
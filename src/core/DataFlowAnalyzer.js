@@ -0,0 +1,362 @@
+import path from 'path';
+import { PipelineBuilder } from './PipelineBuilder.js';
+import { blockRegistry } from './BlockRegistry.js';
+import { suggestKey } from '../utils/schema.js';
+
+const TEMPLATE_PATTERN = /\$\{([^}]+)\}/g;
+
+/**
+ * DataFlowAnalyzer - Statically checks how data flows through a suite
+ *
+ * Walks every pipeline in block order, tracking which slots have been
+ * written, and reports:
+ * - references (`${...}` and assertions) to slots no block produces
+ * - `from` paths that cannot resolve
+ * - reads of slots that are only written later
+ * - explicit `output` slots that nothing reads
+ */
+export class DataFlowAnalyzer {
+  /**
+   * @param {Object} suite - Suite (or single pipeline) definition
+   * @param {Object} options - Analysis options
+   * @param {string} options.file - File the suite was loaded from
+   */
+  constructor(suite, options = {}) {
+    this.suite = suite;
+    this.file = options.file;
+    this.contextKeys = new Set([...Object.keys(suite.context || {}), ...blockContextKeys(suite)]);
+    this.issues = [];
+  }
+
+  /**
+   * Analyze setup, every test and teardown of the suite
+   * @returns {Array<Object>} Issues { severity, type, location, message }
+   */
+  analyze() {
+    const { suite } = this;
+    const suiteInput = Object.keys(suite.input || {});
+
+    const setup = suite.setup?.length ?
+      this.analyzePipeline(suite.setup, { stage: 'setup', inputKeys: suiteInput }) :
+      null;
+    const setupSlots = setup ? [...setup.slots].filter(slot => slot !== 'input') : [];
+
+    const tests = suite.tests ||
+      (suite.pipeline ? [{ id: suite.name, pipeline: suite.pipeline, assertions: suite.assertions }] : []);
+    const laterReads = [];
+
+    tests.forEach((test, i) => {
+      const result = this.analyzePipeline(test.pipeline || [], {
+        testId: test.id || `test-${i}`,
+        inputKeys: [...suiteInput, ...setupSlots, ...Object.keys(test.input || {})],
+        assertions: test.assertions
+      });
+      laterReads.push(...result.reads);
+    });
+
+    if (suite.teardown?.length) {
+      const teardown = this.analyzePipeline(suite.teardown, {
+        stage: 'teardown',
+        inputKeys: [...suiteInput, ...setupSlots]
+      });
+      laterReads.push(...teardown.reads);
+    }
+
+    // Setup outputs reach tests and teardown as `input.<slot>`
+    if (setup) {
+      const inputReads = laterReads
+        .filter(read => read.startsWith('input.'))
+        .map(read => read.slice('input.'.length));
+      this.reportUnusedOutputs(setup, [...setup.reads, ...inputReads]);
+    }
+
+    return this.issues;
+  }
+
+  /**
+   * Analyze one pipeline
+   * @param {Array} blockDefs - Block definitions
+   * @param {Object} scope - { stage, testId, inputKeys, assertions }
+   * @returns {Object} State with the slots written, reads and declared outputs
+   */
+  analyzePipeline(blockDefs, scope) {
+    const builder = new PipelineBuilder({
+      fragments: this.suite.fragments,
+      baseDir: this.file ? path.dirname(this.file) : undefined,
+      location: { file: this.file, stage: scope.stage, testId: scope.testId }
+    });
+
+    const state = this.createState(builder, blockDefs, scope.inputKeys);
+    this.walk(blockDefs, state.slots, state);
+
+    for (const assertPath of Object.keys(scope.assertions || {})) {
+      this.checkReference(assertPath, state.slots, state, {
+        location: builder.describeLocation(null, `assertion '${assertPath}'`),
+        fromPath: true
+      });
+    }
+
+    if (!scope.stage) {
+      this.reportUnusedOutputs(state, state.reads);
+    }
+
+    return state;
+  }
+
+  /**
+   * Create the tracking state for a sequence of blocks
+   */
+  createState(builder, blockDefs, inputKeys) {
+    const allSlots = new Set();
+    let hasLoop = false;
+    forEachDefinition(blockDefs, def => {
+      producedSlots(def).forEach(slot => allSlots.add(slot));
+      if (def.block === 'Loop') hasLoop = true;
+    });
+
+    return {
+      builder,
+      inputKeys: inputKeys ? new Set(inputKeys) : null,
+      allSlots,
+      hasLoop,
+      slots: new Set(['input']),
+      reads: [],
+      outputs: [],
+      consumesEverything: false
+    };
+  }
+
+  /**
+   * Walk block definitions in execution order
+   * @param {Array} blockDefs - Block definitions
+   * @param {Set<string>} available - Slots written so far (updated in place)
+   * @param {Object} state - Tracking state
+   */
+  walk(blockDefs, available, state) {
+    for (const def of blockDefs) {
+      if (Array.isArray(def.parallel)) {
+        // Children only see what was written before the group started
+        const before = new Set(available);
+        def.parallel.forEach(child => this.checkBlock(child, before, state));
+        def.parallel.forEach(child => producedSlots(child).forEach(slot => available.add(slot)));
+        continue;
+      }
+
+      this.checkBlock(def, available, state);
+      producedSlots(def).forEach(slot => available.add(slot));
+
+      // A branch may or may not run, so later blocks may read what it writes
+      for (const branchDefs of Object.values(def.branches || {})) {
+        const branchSlots = new Set(available);
+        this.walk(branchDefs, branchSlots, state);
+        branchSlots.forEach(slot => available.add(slot));
+      }
+    }
+  }
+
+  /**
+   * Check the reads of a single block and record its declared outputs
+   */
+  checkBlock(def, available, state) {
+    const location = state.builder.describeLocation(def);
+    const { input } = def;
+
+    if (input && typeof input === 'object' && input.from) {
+      this.checkReference(input.from, available, state, { location, fromPath: true });
+    } else if (input !== undefined) {
+      for (const ref of collectReferences(input)) {
+        this.checkReference(ref, available, state, { location });
+      }
+    } else if (acceptsInputs(def.block)) {
+      // Without an input definition the block receives the whole data bus
+      state.consumesEverything = true;
+    }
+
+    if (def.output && typeof def.output === 'object') {
+      Object.values(def.output).forEach(slot => state.outputs.push({ slot, location }));
+    } else if (typeof def.output === 'string') {
+      state.outputs.push({ slot: def.output, location });
+    }
+
+    if (def.block === 'Include') {
+      this.checkFragment(def, state.builder, location);
+    }
+  }
+
+  /**
+   * Analyze the fragment an Include block runs, with the block's inputs as its input slot
+   */
+  checkFragment(def, builder, location) {
+    let fragment;
+    try {
+      fragment = builder.loadFragment(def);
+    } catch (error) {
+      this.report('error', 'invalid-fragment', location, error.message);
+      return;
+    }
+
+    builder.withinFragment(fragment, () => {
+      const state = this.createState(builder, fragment.blockDefs, includeInputKeys(def));
+      this.walk(fragment.blockDefs, state.slots, state);
+
+      if (def.output && typeof def.output === 'object') {
+        for (const field of Object.keys(def.output)) {
+          if (!state.slots.has(field)) {
+            this.report('warning', 'unknown-output-field', location,
+              `output field '${field}' is not written by fragment '${path.basename(fragment.key)}'`);
+          }
+        }
+      }
+    });
+  }
+
+  /**
+   * Check that a referenced path can resolve when it is read
+   * @param {string} ref - Referenced path (e.g. "response.body")
+   * @param {Set<string>} available - Slots written so far
+   * @param {Object} state - Tracking state
+   * @param {Object} options - { location, fromPath } - `from` paths only read the data bus
+   */
+  checkReference(ref, available, state, { location, fromPath = false }) {
+    state.reads.push(ref);
+
+    if (ref.startsWith('_')) return; // Internal slots such as _error
+    if (!fromPath && (ref.startsWith('env.') || this.contextKeys.has(ref))) return;
+
+    const [slot, field] = ref.split('.');
+    const label = fromPath ? `'${ref}' cannot resolve` : `'\${${ref}}' cannot resolve`;
+
+    if (available.has(ref) || available.has(slot)) {
+      const inputKey = field?.replace(/\[\d+\]$/, '');
+      if (slot === 'input' && inputKey && state.inputKeys && !state.inputKeys.has(inputKey)) {
+        this.report('error', 'missing-input', location,
+          `${label}: input has no '${inputKey}'${hint(inputKey, state.inputKeys)}`);
+      }
+      return;
+    }
+
+    if (state.allSlots.has(ref) || state.allSlots.has(slot)) {
+      // Loops can legitimately read what a later block wrote in the previous pass
+      if (!state.hasLoop) {
+        this.report('warning', 'read-before-write', location,
+          `'${ref}' is read before slot '${slot}' is written`);
+      }
+      return;
+    }
+
+    const known = [...available, ...(fromPath ? [] : this.contextKeys)];
+    this.report('error', fromPath ? 'unresolved-path' : 'unresolved-reference', location,
+      `${label}: no block writes slot '${slot}'${hint(slot, known)}`);
+  }
+
+  /**
+   * Report explicit outputs that nothing reads
+   * @param {Object} state - Tracking state of the pipeline
+   * @param {Array<string>} reads - Every path read from the pipeline's slots
+   */
+  reportUnusedOutputs(state, reads) {
+    if (state.consumesEverything) return;
+
+    for (const { slot, location } of state.outputs) {
+      const used = reads.some(read =>
+        read === slot || read.startsWith(`${slot}.`) || read.split('.')[0] === slot
+      );
+      if (!used) {
+        this.report('warning', 'unused-output', location, `output slot '${slot}' is never read`);
+      }
+    }
+  }
+
+  /**
+   * Record an issue
+   */
+  report(severity, type, location, message) {
+    this.issues.push({ severity, type, location, message });
+  }
+}
+
+/**
+ * Collect every `${...}` reference in a value
+ * @param {any} value - String, array or object to search
+ * @returns {Array<string>} Referenced paths
+ */
+export function collectReferences(value) {
+  if (typeof value === 'string') {
+    return [...value.matchAll(TEMPLATE_PATTERN)].map(match => match[1].trim());
+  }
+  if (value && typeof value === 'object') {
+    return Object.values(value).flatMap(collectReferences);
+  }
+  return [];
+}
+
+/**
+ * Slots a block definition writes to the data bus
+ */
+function producedSlots(def) {
+  if (Array.isArray(def.parallel)) return def.parallel.flatMap(producedSlots);
+  if (def.output && typeof def.output === 'object') return Object.values(def.output);
+  if (typeof def.output === 'string') return [def.output];
+  return [def.id || def.block];
+}
+
+/**
+ * Call fn for every block definition, including parallel children and branches
+ */
+function forEachDefinition(blockDefs, fn) {
+  for (const def of blockDefs) {
+    fn(def);
+    if (Array.isArray(def.parallel)) forEachDefinition(def.parallel, fn);
+    Object.values(def.branches || {}).forEach(branchDefs => forEachDefinition(branchDefs, fn));
+  }
+}
+
+/**
+ * Context keys set by the blocks of a suite (such as the URL of a MockServer)
+ */
+function blockContextKeys(suite) {
+  const keys = [];
+  const pipelines = [suite.setup, suite.pipeline, suite.teardown, ...(suite.tests || []).map(test => test.pipeline)];
+
+  for (const blockDefs of pipelines) {
+    forEachDefinition(blockDefs || [], def => {
+      const BlockClass = blockRegistry.get(def.block);
+      if (BlockClass?.contextKeys) keys.push(...BlockClass.contextKeys(def));
+    });
+  }
+  return keys;
+}
+
+/**
+ * Whether a block reads its inputs (and so the whole data bus when no input is defined)
+ */
+function acceptsInputs(blockType) {
+  const BlockClass = blockRegistry.get(blockType);
+  if (!BlockClass) return true;
+  const { required = [], optional = [] } = BlockClass.inputs;
+  return required.length > 0 || optional.length > 0;
+}
+
+/**
+ * Keys of the `input` slot an Include block gives its fragment
+ * @returns {Array<string>|null} Keys, or null when they cannot be known statically
+ */
+function includeInputKeys(def) {
+  const configKeys = Object.keys(def.config || {});
+  const { input } = def;
+
+  if (typeof input === 'string') return ['body', ...configKeys];
+  if (input && typeof input === 'object') {
+    if (input.from) return input.as ? [input.as, ...configKeys] : null;
+    return [...Object.keys(input), ...configKeys];
+  }
+  return null;
+}
+
+/**
+ * Format a "did you mean" hint
+ */
+function hint(key, candidates) {
+  const suggestion = suggestKey(key, [...candidates]);
+  return suggestion ? ` (did you mean '${suggestion}'?)` : '';
+}
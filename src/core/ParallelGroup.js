@@ -0,0 +1,49 @@
+/**
+ * Failure policies for parallel groups
+ * - all: group fails if any child fails
+ * - any: group fails only if every child fails
+ * - allSettled: group never fails, child failures are only recorded
+ */
+export const PARALLEL_POLICIES = Object.freeze(['all', 'any', 'allSettled']);
+
+/**
+ * ParallelGroup - A set of blocks the Pipeline runs concurrently
+ * Children read the data bus as it was before the group started
+ * and each writes to its own output slots
+ */
+export class ParallelGroup {
+  constructor(config = {}) {
+    this.config = config;
+    this.id = config.id || 'parallel';
+    this.blocks = config.blocks || [];
+    this.policy = config.policy || 'all';
+
+    if (!PARALLEL_POLICIES.includes(this.policy)) {
+      throw new Error(
+        `Parallel group '${this.id}' has unknown policy: ${this.policy} ` +
+        `(expected one of: ${PARALLEL_POLICIES.join(', ')})`
+      );
+    }
+
+    // Tag children so their results can be traced back to the group
+    for (const block of this.blocks) {
+      block.groupId = this.id;
+    }
+  }
+
+  /**
+   * Decide whether the group failed given its children's outcomes
+   * @param {number} failedCount - Number of children that failed
+   * @returns {boolean} Whether the group as a whole failed
+   */
+  hasFailed(failedCount) {
+    switch (this.policy) {
+      case 'any':
+        return this.blocks.length > 0 && failedCount === this.blocks.length;
+      case 'allSettled':
+        return false;
+      default:
+        return failedCount > 0;
+    }
+  }
+}
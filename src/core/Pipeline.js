@@ -1,18 +1,46 @@
+import { EventEmitter } from 'events';
 import { DataBus } from './DataBus.js';
 import { Context } from './Context.js';
+import { ParallelGroup } from './ParallelGroup.js';
 import { logger } from '../utils/logger.js';
-import { measureTime } from '../utils/timing.js';
+import { measureTime, sleep } from '../utils/timing.js';
 import { LIMITS } from '../utils/constants.js';
+import { normalizeRetryPolicy, computeBackoff, getRetryReason } from '../utils/retry.js';
+
+/**
+ * Lifecycle events emitted by a Pipeline
+ * - pipeline:start { input, totalBlocks }
+ * - block:start { blockId, inputs }
+ * - block:success { blockId, inputs, output, duration }
+ * - block:error { blockId, inputs, output, error, failureType, duration }
+ * - block:retry { blockId, attempt, attempts, reason, delay }
+ * - loop { blockId, target, iteration }
+ * - pipeline:end { success, error, duration, summary }
+ */
+export const PIPELINE_EVENTS = Object.freeze([
+  'pipeline:start',
+  'block:start',
+  'block:success',
+  'block:error',
+  'block:retry',
+  'loop',
+  'pipeline:end'
+]);
 
 /**
  * Pipeline - Orchestrates the execution of blocks
+ * Emits lifecycle events (see PIPELINE_EVENTS) for telemetry and reporting
  */
-export class Pipeline {
+export class Pipeline extends EventEmitter {
   constructor(blocks = []) {
+    super();
     this.blocks = blocks;
     this.dataBus = new DataBus();
     this.context = new Context();
     this.executionSummary = null;
+    this.retryHistory = new Map(); // blockId -> attempts of the last retried run
+    this.timeout = null; // Optional limit for a whole execute() run, in ms
+    this.deadline = null;
   }
 
   /**
@@ -39,9 +67,44 @@ export class Pipeline {
     };
     if (duration) metadata.duration = duration;
     if (error) metadata.error = error;
+    if (this.retryHistory.has(blockId)) metadata.attempts = this.retryHistory.get(blockId);
     this.dataBus.set(`_meta.${blockId}`, metadata);
   }
 
+  /**
+   * Record an individual block result in the execution summary
+   * @param {Block} block - Block the result belongs to
+   * @param {Object} result - Result fields (success, duration, error, score)
+   */
+  trackBlockResult(block, result) {
+    const entry = { id: block.id, type: block.constructor.name, ...result };
+    if (block.groupId) entry.group = block.groupId;
+    if (this.retryHistory.has(block.id)) entry.attempts = this.retryHistory.get(block.id);
+
+    // A block skipped in an earlier loop iteration that runs now is no longer skipped
+    const { blockResults } = this.executionSummary;
+    const skippedIndex = blockResults.findIndex(r => r.id === block.id && r.skipped);
+    if (!result.skipped && skippedIndex !== -1) {
+      blockResults.splice(skippedIndex, 1);
+      this.executionSummary.skipped--;
+    }
+
+    blockResults.push(entry);
+  }
+
+  /**
+   * Count executable blocks, expanding parallel groups and branches
+   * @param {Array} blocks - Blocks to count
+   * @returns {number} Total number of blocks
+   */
+  countBlocks(blocks = this.blocks) {
+    return blocks.reduce((count, block) => {
+      if (block instanceof ParallelGroup) return count + this.countBlocks(block.blocks);
+      const branches = Object.values(block.branches || {});
+      return count + 1 + branches.reduce((sum, branch) => sum + this.countBlocks(branch), 0);
+    }, 0);
+  }
+
   /**
    * Update execution summary for block result
    */
@@ -59,8 +122,9 @@ export class Pipeline {
   /**
    * Handle block error consistently
    */
-  handleBlockError(block, error, duration = 0, shouldThrow = true) {
+  handleBlockError(block, error, duration = 0, shouldThrow = true, inputs = undefined) {
     const errorMessage = error.message || error;
+    const failureType = getFailureType(error);
 
     // Store error data
     this.dataBus.set('_error', errorMessage);
@@ -68,12 +132,13 @@ export class Pipeline {
     this.updateExecutionSummary(false);
 
     // Track block failure
-    this.executionSummary.blockResults.push({
-      id: block.id,
+    this.trackBlockResult(block, {
       success: false,
       duration,
-      error: errorMessage
+      error: errorMessage,
+      failureType
     });
+    this.emit('block:error', { blockId: block.id, inputs, error: errorMessage, failureType, duration });
 
     // Log error with visual indicator
     logger.error(`  ✗ ${block.id} failed: ${errorMessage}`);
@@ -90,16 +155,118 @@ export class Pipeline {
    * Execute a single block
    * @param {Block} block - Block to execute
    * @param {number} index - Block index in pipeline
+   * @param {number} total - Number of blocks in the sequence being executed
    * @returns {Promise<Object>} Result with output, duration, and error
    */
-  executeBlock(block, index) {
-    logger.info(`→ [${index + 1}/${this.blocks.length}] ${block.id}`);
+  executeBlock(block, index, total = this.blocks.length) {
+    logger.info(`→ [${index + 1}/${total}] ${block.id}`);
+    return this.runBlock(block);
+  }
+
+  /**
+   * Gather inputs for a block and run it, measuring its duration
+   * @param {Block} block - Block to run
+   * @returns {Promise<Object>} Result with output, duration, error, and the inputs used
+   */
+  runBlock(block) {
     const inputs = this.gatherInputs(block);
 
     // Log inputs in debug mode
     logger.debug(`  Inputs for '${block.id}':`, inputs);
+    this.emit('block:start', { blockId: block.id, inputs });
+
+    // An invalid policy fails the block rather than the whole run
+    let policy;
+    try {
+      policy = normalizeRetryPolicy((block.config || block).retry);
+    } catch (error) {
+      return Promise.resolve({ error, duration: 0, inputs });
+    }
+
+    const running = policy ?
+      this.runWithRetry(block, inputs, policy) :
+      measureTime(() => this.invokeBlock(block, inputs));
+
+    return running.then(outcome => ({ ...outcome, inputs }));
+  }
+
+  /**
+   * Call block.execute, enforcing the block and pipeline timeouts
+   * When a timeout applies, the block receives a context whose `signal`
+   * aborts on timeout so it can cancel in-flight work
+   * @param {Block} block - Block to call
+   * @param {Object} inputs - Gathered inputs
+   * @returns {Promise<any>} Block output
+   * @throws {Error} TimeoutError if the block does not finish in time
+   */
+  async invokeBlock(block, inputs) {
+    const blockTimeout = (block.config || block).timeout;
+    const remaining = this.deadline !== null ? this.deadline - Date.now() : null;
 
-    return measureTime(() => block.execute(inputs, this.context));
+    if (!blockTimeout && remaining === null) {
+      return block.execute(inputs, this.context);
+    }
+
+    // Whichever limit is hit first decides the error message
+    const limitedByPipeline = remaining !== null && (!blockTimeout || remaining < blockTimeout);
+    const timeout = Math.max(0, limitedByPipeline ? remaining : blockTimeout);
+    const error = new Error(limitedByPipeline ?
+      `Pipeline timed out after ${this.timeout}ms (during '${block.id}')` :
+      `Block '${block.id}' timed out after ${timeout}ms`);
+    error.name = 'TimeoutError';
+
+    const controller = new AbortController();
+    let timer;
+    const timedOut = new Promise((_, reject) => {
+      timer = setTimeout(() => {
+        controller.abort(error);
+        reject(error);
+      }, timeout);
+    });
+
+    try {
+      const running = Promise.resolve()
+        .then(() => block.execute(inputs, this.context.withSignal(controller.signal)));
+      return await Promise.race([running, timedOut]);
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  /**
+   * Run a block until it succeeds or its retry policy is exhausted
+   * Each attempt's duration and error are kept in the retry history
+   * @param {Block} block - Block to run
+   * @param {Object} inputs - Gathered inputs
+   * @param {Object} policy - Normalized retry policy
+   * @returns {Promise<Object>} Last attempt's outcome, with total duration
+   */
+  async runWithRetry(block, inputs, policy) {
+    const startTime = Date.now();
+    const attempts = [];
+    let outcome;
+
+    for (let attempt = 1; attempt <= policy.attempts; attempt++) {
+      outcome = await measureTime(() => this.invokeBlock(block, inputs));
+      const reason = getRetryReason(policy, outcome);
+      attempts.push({ attempt, duration: outcome.duration, ...(reason && { error: reason }) });
+
+      if (!reason || attempt === policy.attempts) break;
+
+      const wait = computeBackoff(policy, attempt);
+      this.emit('block:retry', {
+        blockId: block.id,
+        attempt,
+        attempts: policy.attempts,
+        reason,
+        delay: wait
+      });
+      logger.warn(`  ↻ ${block.id} attempt ${attempt}/${policy.attempts} failed: ${reason} (retrying in ${wait}ms)`);
+      await sleep(wait);
+    }
+
+    this.retryHistory.set(block.id, attempts);
+    return { ...outcome, duration: Date.now() - startTime };
   }
 
   /**
@@ -107,8 +274,9 @@ export class Pipeline {
    * @param {Block} block - Block that succeeded
    * @param {*} output - Block output
    * @param {number} duration - Execution duration in ms
+   * @param {Object} inputs - Inputs the block ran with
    */
-  handleBlockSuccess(block, output, duration) {
+  handleBlockSuccess(block, output, duration, inputs) {
     this.storeOutput(block, output);
 
     // Log output in debug mode
@@ -119,37 +287,124 @@ export class Pipeline {
     this.updateExecutionSummary(true, duration);
 
     // Track block result
-    this.executionSummary.blockResults.push({
-      id: block.id,
+    this.trackBlockResult(block, {
       success: true,
-      duration
+      duration,
+      // Scores of judges and validators, so runs can be compared
+      ...(typeof output?.score === 'number' && { score: output.score })
     });
+    this.emit('block:success', { blockId: block.id, inputs, output, duration });
 
     // Show success indicator
     logger.info(`  ✓ ${block.id} completed`);
   }
 
+  /**
+   * Execute a parallel group - all children run concurrently
+   * Children gather their inputs before any of them runs, so they only
+   * see data produced before the group started
+   * @param {ParallelGroup} group - Group to execute
+   * @param {number} index - Group index in pipeline
+   * @param {number} total - Number of blocks in the sequence being executed
+   * @returns {Promise<boolean>} Whether the group succeeded under its policy
+   */
+  async executeParallelGroup(group, index, total = this.blocks.length) {
+    logger.info(
+      `→ [${index + 1}/${total}] ${group.id} ` +
+      `(parallel: ${group.blocks.length} blocks, policy: ${group.policy})`
+    );
+
+    const outcomes = await Promise.all(group.blocks.map(child => this.runBlock(child)));
+
+    const failures = [];
+    group.blocks.forEach((child, i) => {
+      const { result: output, duration, error, inputs } = outcomes[i];
+
+      if (error || output?.error) {
+        const errorMessage = error ? error.message || error : output.error;
+        if (output) this.storeOutput(child, output);
+        this.recordChildFailure(child, errorMessage, duration, getFailureType(error));
+        this.emit('block:error', {
+          blockId: child.id,
+          inputs,
+          output,
+          error: errorMessage,
+          failureType: getFailureType(error),
+          duration
+        });
+        failures.push({ id: child.id, error: errorMessage });
+        return;
+      }
+
+      this.handleBlockSuccess(child, output, duration, inputs);
+    });
+
+    if (!group.hasFailed(failures.length)) {
+      return true;
+    }
+
+    const details = failures.map(f => `${f.id}: ${f.error}`).join('; ');
+    this.failPipeline(`Parallel group '${group.id}' failed: ${details}`);
+    return false;
+  }
+
+  /**
+   * Record a failed child of a parallel group
+   * Whether the failure fails the pipeline is decided by the group policy
+   */
+  recordChildFailure(block, errorMessage, duration, failureType = 'error') {
+    this.storeBlockMetadata(block.id, false, duration, errorMessage);
+    this.executionSummary.executed++;
+    this.executionSummary.failed++;
+    this.trackBlockResult(block, {
+      success: false,
+      duration,
+      error: errorMessage,
+      failureType
+    });
+    logger.error(`  ✗ ${block.id} failed: ${errorMessage}`);
+  }
+
   /**
    * Check flow control signals in output
    * @param {*} output - Block output to check
    * @param {number} currentIndex - Current block index
+   * @param {Array} blocks - Block list being executed (main pipeline or a branch)
    * @returns {Object} Flow control action and optional new index
    */
-  checkFlowControl(output, currentIndex) {
+  checkFlowControl(output, currentIndex, blocks = this.blocks) {
     // Check for termination signal
     if (output && output._terminate) {
-      logger.info(`✓ Pipeline terminated by ${this.blocks[currentIndex].id}`);
+      logger.info(`✓ Pipeline terminated by ${blocks[currentIndex].id}`);
       return { action: 'break' };
     }
 
     // Check for loop back
     if (output && output._loopTo !== undefined) {
-      const newIndex = this.handleLoop(output._loopTo, currentIndex, output._maxLoops);
+      const newIndex = this.handleLoop(output._loopTo, currentIndex, output._maxLoops, blocks);
       if (newIndex !== null) {
         return { action: 'loop', newIndex };
       }
     }
 
+    // Check for named branch selection
+    if (output && output._branch !== undefined) {
+      return { action: 'branch', branch: output._branch };
+    }
+
+    // Check for forward jump
+    if (output && output._skipTo !== undefined) {
+      const targetIndex = this.findBlockIndex(output._skipTo, blocks);
+      if (targetIndex <= currentIndex) {
+        return {
+          action: 'error',
+          error: `Cannot skip to '${output._skipTo}': no later block with that id`
+        };
+      }
+      logger.info(`⤼ Skipping forward to ${blocks[targetIndex].id}`);
+      return { action: 'skip', newIndex: targetIndex - 1 };
+    }
+
     return { action: 'continue' };
   }
 
@@ -162,14 +417,19 @@ export class Pipeline {
   async execute(initialInput = {}, initialContext = {}) {
     // Initialize execution summary
     this.executionSummary = {
-      totalBlocks: this.blocks.length,
+      totalBlocks: this.countBlocks(),
       executed: 0,
       succeeded: 0,
       failed: 0,
+      skipped: 0,
       totalDuration: 0,
       hasErrors: false,
       blockResults: [] // Track individual block results
     };
+    this.retryHistory.clear();
+    const startTime = Date.now();
+    this.deadline = this.timeout ? startTime + this.timeout : null;
+    this.emit('pipeline:start', { input: initialInput, totalBlocks: this.executionSummary.totalBlocks });
 
     // Initialize context
     this.context.merge(initialContext);
@@ -179,18 +439,34 @@ export class Pipeline {
       this.dataBus.set('input', initialInput);
     }
 
-    // Execute blocks in sequence
-    for (let i = 0; i < this.blocks.length; i++) {
-      const block = this.blocks[i];
+    // Execute blocks in sequence - a selected branch pushes a new frame
+    // that runs to completion before its parent sequence resumes
+    const frames = [{ blocks: this.blocks, index: 0 }];
+
+    while (frames.length > 0) {
+      const frame = frames[frames.length - 1];
+      if (frame.index >= frame.blocks.length) {
+        frames.pop();
+        continue;
+      }
+
+      const { blocks } = frame;
+      const i = frame.index++;
+      const block = blocks[i];
+
+      if (block instanceof ParallelGroup) {
+        if (!(await this.executeParallelGroup(block, i, blocks.length))) break;
+        continue;
+      }
 
       try {
         // Execute the block
-        const { result: output, duration, error } = await this.executeBlock(block, i);
+        const { result: output, duration, error, inputs } = await this.executeBlock(block, i, blocks.length);
 
         // Check if block threw an error
         if (error) {
           // Don't throw here - let it be handled once
-          if (this.handleBlockError(block, error, duration, false)) break;
+          if (this.handleBlockError(block, error, duration, false, inputs)) break;
           continue; // Skip to next iteration
         }
 
@@ -202,11 +478,19 @@ export class Pipeline {
           this.storeBlockMetadata(block.id, false, duration, output.error);
           this.updateExecutionSummary(false);
           // Track block failure
-          this.executionSummary.blockResults.push({
-            id: block.id,
+          this.trackBlockResult(block, {
             success: false,
             duration,
-            error: output.error
+            error: output.error,
+            failureType: 'error'
+          });
+          this.emit('block:error', {
+            blockId: block.id,
+            inputs,
+            output,
+            error: output.error,
+            failureType: 'error',
+            duration
           });
 
           logger.error(`  ✗ ${block.id} failed: ${output.error}`);
@@ -214,14 +498,37 @@ export class Pipeline {
         }
 
         // Handle successful execution
-        this.handleBlockSuccess(block, output, duration);
+        this.handleBlockSuccess(block, output, duration, inputs);
+
+        // Check flow control (termination, loops, branches, skips)
+        const flow = this.checkFlowControl(output, i, blocks);
+
+        // Branches that were not taken are reported as skipped
+        for (const [name, branchBlocks] of Object.entries(block.branches || {})) {
+          if (flow.action !== 'branch' || flow.branch !== name) {
+            branchBlocks.forEach(b => this.markSkipped(b, `branch '${name}' not taken`));
+          }
+        }
 
-        // Check flow control (termination, loops)
-        const flow = this.checkFlowControl(output, i);
         if (flow.action === 'break') {
           break;
         } else if (flow.action === 'loop') {
-          i = flow.newIndex;
+          frame.index = flow.newIndex + 1;
+        } else if (flow.action === 'skip') {
+          blocks.slice(i + 1, flow.newIndex + 1)
+            .forEach(b => this.markSkipped(b, `skipped by ${block.id}`));
+          frame.index = flow.newIndex + 1;
+        } else if (flow.action === 'branch') {
+          const branchBlocks = block.branches?.[flow.branch];
+          if (!branchBlocks) {
+            this.failPipeline(`Block '${block.id}' selected unknown branch '${flow.branch}'`);
+            break;
+          }
+          logger.info(`⑂ ${block.id} → branch '${flow.branch}'`);
+          frames.push({ blocks: branchBlocks, index: 0 });
+        } else if (flow.action === 'error') {
+          this.failPipeline(flow.error);
+          break;
         }
       } catch (error) {
         if (this.handleBlockError(block, error, 0, false)) {
@@ -241,9 +548,55 @@ export class Pipeline {
       result.error = this.dataBus.get('_error');
     }
 
+    this.emit('pipeline:end', {
+      success: result.success,
+      error: result.error,
+      duration: Date.now() - startTime,
+      summary: this.executionSummary
+    });
+
     return result;
   }
 
+  /**
+   * Report a block as skipped (neither executed nor failed)
+   * Parallel groups and branches are expanded so every block is accounted for
+   * @param {Block|ParallelGroup} block - Block that was not executed
+   * @param {string} reason - Why the block was skipped
+   */
+  markSkipped(block, reason) {
+    if (block instanceof ParallelGroup) {
+      block.blocks.forEach(child => this.markSkipped(child, reason));
+      return;
+    }
+
+    // In a loop, a block that already ran or was skipped is not reported again
+    if (this.executionSummary.blockResults.some(r => r.id === block.id)) return;
+
+    this.executionSummary.skipped++;
+    this.trackBlockResult(block, {
+      success: true,
+      skipped: true,
+      duration: 0,
+      reason
+    });
+    logger.info(`  ⏭ ${block.id} skipped (${reason})`);
+
+    for (const branchBlocks of Object.values(block.branches || {})) {
+      branchBlocks.forEach(child => this.markSkipped(child, reason));
+    }
+  }
+
+  /**
+   * Fail the pipeline with an error that is not tied to a single block
+   * @param {string} errorMessage - Error message
+   */
+  failPipeline(errorMessage) {
+    this.dataBus.set('_error', errorMessage);
+    this.executionSummary.hasErrors = true;
+    logger.error(`  ✗ ${errorMessage}`);
+  }
+
   /**
    * Gather inputs for a block based on its configuration
    * Supports three input formats:
@@ -406,8 +759,8 @@ export class Pipeline {
   /**
    * Handle loop control flow
    */
-  handleLoop(loopTo, currentIndex, maxLoops = LIMITS.MAX_LOOP_ITERATIONS) {
-    const targetIndex = this.findBlockIndex(loopTo);
+  handleLoop(loopTo, currentIndex, maxLoops = LIMITS.MAX_LOOP_ITERATIONS, blocks = this.blocks) {
+    const targetIndex = this.findBlockIndex(loopTo, blocks);
     if (targetIndex >= 0 && targetIndex < currentIndex) {
       logger.info(`↻ Looping back to block ${targetIndex + 1}`);
 
@@ -419,6 +772,11 @@ export class Pipeline {
         return null;
       }
       this.context.set(loopKey, loopCount + 1);
+      this.emit('loop', {
+        blockId: blocks[currentIndex].id,
+        target: blocks[targetIndex].id,
+        iteration: loopCount + 1
+      });
       return targetIndex - 1; // -1 because loop will increment
     }
     return null;
@@ -427,9 +785,9 @@ export class Pipeline {
   /**
    * Find block index by ID
    */
-  findBlockIndex(blockId) {
+  findBlockIndex(blockId, blocks = this.blocks) {
     if (typeof blockId === 'number') return blockId;
-    return this.blocks.findIndex(b => b.id === blockId);
+    return blocks.findIndex(b => b.id === blockId);
   }
 
   /**
@@ -444,11 +802,21 @@ export class Pipeline {
    */
   getSummary() {
     return this.executionSummary || {
-      totalBlocks: this.blocks.length,
+      totalBlocks: this.countBlocks(),
       executed: 0,
       succeeded: 0,
       failed: 0,
+      skipped: 0,
       totalDuration: 0
     };
   }
 }
+
+/**
+ * Classify a block failure for the execution summary
+ * @param {Error|string|undefined} error - Thrown error, if any
+ * @returns {string} 'timeout' for timed-out blocks, otherwise 'error'
+ */
+function getFailureType(error) {
+  return error?.name === 'TimeoutError' ? 'timeout' : 'error';
+}
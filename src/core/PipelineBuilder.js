@@ -1,25 +1,45 @@
+import fs from 'fs';
+import path from 'path';
 import { Pipeline } from './Pipeline.js';
+import { ParallelGroup } from './ParallelGroup.js';
 import { blockRegistry } from './BlockRegistry.js';
+import { Include } from '../../blocks/control/Include.js';
+import { validateBlockConfig, validateBlockPolicies, suggestKey } from '../utils/schema.js';
+import { CookieJar } from '../utils/CookieJar.js';
 
 /**
  * PipelineBuilder - Builds pipelines from JSON definitions
  */
 export class PipelineBuilder {
-  constructor() {
+  constructor(options = {}) {
     this.blocks = [];
+    this.fragments = options.fragments || {}; // name -> block definitions for Include
+    this.baseDir = options.baseDir || process.cwd(); // Fragment files are resolved from here
+    this.includeStack = []; // Fragments being built, to detect include cycles
+    this.location = options.location || {}; // { file, stage, testId } for error messages
   }
 
   /**
    * Build pipeline from JSON definition
+   * @param {Object|string} definition - Pipeline or suite definition
+   * @param {Object} options - Build options
+   * @param {string} options.file - File the definition was loaded from
+   * @param {string} options.testId - Test the pipeline belongs to
+   * @param {string} options.stage - Suite stage ('setup' or 'teardown') the pipeline belongs to
+   * @throws {Error} If a block is unknown or its config does not match the block's schema
    */
-  static fromJSON(definition) {
-    const builder = new PipelineBuilder();
-
+  static fromJSON(definition, options = {}) {
     // Parse if string
     const config = typeof definition === 'string' ?
       JSON.parse(definition) :
       definition;
 
+    const builder = new PipelineBuilder({
+      fragments: config.fragments,
+      baseDir: options.file ? path.dirname(options.file) : undefined,
+      location: options
+    });
+
     // Add each block
     for (const blockDef of config.pipeline || []) {
       builder.addBlock(blockDef);
@@ -28,19 +48,27 @@ export class PipelineBuilder {
     // Create pipeline and set context
     const pipeline = builder.build();
 
+    // Limit the whole run if a timeout is defined
+    if (config.timeout) {
+      pipeline.timeout = config.timeout;
+    }
+
     // Set initial context from definition
     if (config.context) {
       for (const [key, value] of Object.entries(config.context)) {
-        // Resolve environment variables in context values
-        let resolvedValue = value;
-        if (typeof value === 'string' && value.includes('${env.')) {
-          resolvedValue = value.replace(/\$\{env\.([^}]+)\}/g, (match, envVar) => {
-            const envValue = process.env[envVar];
-            return envValue || match;
-          });
-        }
-        pipeline.context.set(key, resolvedValue);
+        // Resolve environment variables in context values, including nested ones
+        // (e.g. an auth definition declared once for the suite)
+        pipeline.context.set(key, resolveEnv(value));
+      }
+    }
+
+    // Give HttpRequest blocks a cookie jar when the definition opts in
+    // ("suite" scope: SuiteRunner replaces it with one jar for the whole run)
+    if (config.cookies) {
+      if (![true, 'test', 'suite'].includes(config.cookies)) {
+        throw new Error(`Invalid cookies option '${config.cookies}' (use true, "test" or "suite")`);
       }
+      pipeline.context.set('_cookies', new CookieJar());
     }
 
     // Store test metadata
@@ -49,7 +77,8 @@ export class PipelineBuilder {
       version: config.version,
       input: config.input,
       output: config.output,
-      assertions: config.assertions
+      assertions: config.assertions,
+      file: options.file // Blocks resolve relative paths (e.g. upload files) from here
     });
 
     return pipeline;
@@ -59,11 +88,49 @@ export class PipelineBuilder {
    * Add a block to the pipeline
    */
   addBlock(blockDef) {
+    this.blocks.push(this.createStep(blockDef));
+    return this;
+  }
+
+  /**
+   * Create a pipeline step from its definition
+   * A definition with a `parallel` array becomes a group of concurrent blocks
+   */
+  createStep(blockDef) {
+    if (Array.isArray(blockDef.parallel)) {
+      const { parallel, ...groupDef } = blockDef;
+      return new ParallelGroup({
+        ...groupDef,
+        blocks: parallel.map(childDef => this.createBlock(childDef))
+      });
+    }
+
+    return this.createBlock(blockDef);
+  }
+
+  /**
+   * Create a block instance from its definition
+   * Named `branches` are built into block lists the Pipeline can run on demand
+   */
+  createBlock(blockDef) {
     // Get block class from registry
     const BlockClass = blockRegistry.get(blockDef.block);
 
     if (!BlockClass) {
-      throw new Error(`Unknown block type: ${blockDef.block}`);
+      const suggestion = suggestKey(String(blockDef.block), blockRegistry.list());
+      const hint = suggestion ? ` (did you mean '${suggestion}'?)` : '';
+      throw new Error(`${this.describeLocation(blockDef)}: Unknown block type: ${blockDef.block}${hint}`);
+    }
+
+    // Catch misspelled or mistyped settings, and invalid retry or timeout
+    // policies, before anything runs
+    const schema = BlockClass.configSchema;
+    const issues = [
+      ...(schema ? validateBlockConfig(blockDef, schema) : []),
+      ...validateBlockPolicies(blockDef)
+    ];
+    if (issues.length > 0) {
+      throw new Error(`${this.describeLocation(blockDef)}: ${issues.join('; ')}`);
     }
 
     // Create block instance with config
@@ -72,8 +139,107 @@ export class PipelineBuilder {
       id: blockDef.id || blockDef.block
     });
 
-    this.blocks.push(block);
-    return this;
+    if (block instanceof Include) {
+      block.blocks = this.createFragment(blockDef);
+    }
+
+    if (blockDef.branches && typeof blockDef.branches === 'object') {
+      block.branches = {};
+      for (const [name, branchDefs] of Object.entries(blockDef.branches)) {
+        block.branches[name] = branchDefs.map(def => this.createStep(def));
+      }
+    }
+
+    return block;
+  }
+
+  /**
+   * Describe where a block definition lives, for error messages
+   * e.g. "suite.json › test 'greeting' › block 'check'"
+   * @param {Object} blockDef - Block definition
+   * @param {string} target - Last part of the description, the block by default
+   * @returns {string} Location description
+   */
+  describeLocation(blockDef, target = `block '${blockDef.id || blockDef.block}'`) {
+    const { file, stage, testId } = this.location;
+    return [
+      file && path.relative(process.cwd(), file),
+      stage,
+      testId && `test '${testId}'`,
+      ...this.includeStack.map(key => `fragment '${path.basename(key)}'`),
+      target
+    ].filter(Boolean).join(' › ');
+  }
+
+  /**
+   * Build the blocks of the fragment an Include block refers to
+   * @param {Object} blockDef - Include block definition
+   * @returns {Array} Built fragment steps
+   */
+  createFragment(blockDef) {
+    const fragment = this.loadFragment(blockDef);
+    return this.withinFragment(fragment, () => fragment.blockDefs.map(def => this.createStep(def)));
+  }
+
+  /**
+   * Load the block definitions of the fragment an Include block refers to
+   * Fragments come from the suite's `fragments` map (`fragment`) or from a
+   * JSON file (`file`); either may be a list of blocks or `{ pipeline: [...] }`
+   * @param {Object} blockDef - Include block definition
+   * @returns {Object} Fragment { key, dir, blockDefs }
+   * @throws {Error} If the fragment is unknown, unreadable, or includes itself
+   */
+  loadFragment(blockDef) {
+    const { fragment: name, file } = blockDef;
+    const key = file ? path.resolve(this.baseDir, file) : name;
+
+    if (!key) {
+      throw new Error(`Include block '${blockDef.id}' requires a fragment or file`);
+    }
+    if (this.includeStack.includes(key)) {
+      throw new Error(`Fragment '${name || file}' includes itself: ${[...this.includeStack, key].join(' → ')}`);
+    }
+
+    let definition;
+    if (file) {
+      try {
+        definition = JSON.parse(fs.readFileSync(key, 'utf-8'));
+      } catch (error) {
+        throw new Error(`Cannot load fragment file '${file}': ${error.message}`);
+      }
+    } else if (name in this.fragments) {
+      definition = this.fragments[name];
+    } else {
+      const known = Object.keys(this.fragments);
+      const hint = known.length ? ` (defined: ${known.join(', ')})` : '';
+      throw new Error(`Unknown fragment: ${name}${hint}`);
+    }
+
+    return {
+      key,
+      // Blocks inside a fragment file resolve nested files relative to it
+      dir: file ? path.dirname(key) : this.baseDir,
+      blockDefs: Array.isArray(definition) ? definition : definition.pipeline || []
+    };
+  }
+
+  /**
+   * Run a function while a fragment is being processed, so nested includes
+   * resolve relative to it and include cycles are detected
+   * @param {Object} fragment - Fragment from loadFragment
+   * @param {Function} fn - Function to run
+   * @returns {any} Result of fn
+   */
+  withinFragment(fragment, fn) {
+    const { baseDir } = this;
+    this.includeStack.push(fragment.key);
+    this.baseDir = fragment.dir;
+    try {
+      return fn();
+    } finally {
+      this.includeStack.pop();
+      this.baseDir = baseDir;
+    }
   }
 
   /**
@@ -83,3 +249,22 @@ export class PipelineBuilder {
     return new Pipeline(this.blocks);
   }
 }
+
+/**
+ * Replace ${env.VAR} references in a context value with environment variables
+ * Objects and arrays are resolved recursively; unset variables are left as is
+ */
+function resolveEnv(value) {
+  if (typeof value === 'string') {
+    if (!value.includes('${env.')) return value;
+    return value.replace(/\$\{env\.([^}]+)\}/g, (match, envVar) => {
+      const envValue = process.env[envVar];
+      return envValue || match;
+    });
+  }
+  if (Array.isArray(value)) return value.map(resolveEnv);
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, resolveEnv(item)]));
+  }
+  return value;
+}
@@ -2,21 +2,35 @@
 export { Block } from './core/Block.js';
 export { Pipeline } from './core/Pipeline.js';
 export { PipelineBuilder } from './core/PipelineBuilder.js';
+export { ParallelGroup } from './core/ParallelGroup.js';
+export { DataFlowAnalyzer } from './core/DataFlowAnalyzer.js';
 export { BlockRegistry, blockRegistry } from './core/BlockRegistry.js';
 export { Context } from './core/Context.js';
 export { DataBus } from './core/DataBus.js';
 
 // Built-in blocks
 export { HttpRequest } from '../blocks/http/HttpRequest.js';
+export { GraphQLRequest } from '../blocks/http/GraphQLRequest.js';
+export { WebSocketRequest } from '../blocks/http/WebSocketRequest.js';
 export { JsonParser } from '../blocks/parse/JsonParser.js';
 export { StreamParser } from '../blocks/parse/StreamParser.js';
 export { ValidateContent } from '../blocks/validate/ValidateContent.js';
 export { ValidateTools } from '../blocks/validate/ValidateTools.js';
 export { LLMJudge } from '../blocks/judge/LLMJudge.js';
 export { Loop } from '../blocks/control/Loop.js';
+export { If } from '../blocks/control/If.js';
+export { Switch } from '../blocks/control/Switch.js';
+export { Include } from '../blocks/control/Include.js';
 export { MockData } from '../blocks/test/MockData.js';
+export { MockServer } from '../blocks/test/MockServer.js';
 
 // Utilities
 export { Reporter } from './utils/Reporter.js';
 export { HtmlReporter } from './utils/HtmlReporter.js';
+export { JUnitReporter } from './utils/JUnitReporter.js';
+export { JsonReporter, loadResults } from './utils/JsonReporter.js';
+export { MarkdownReporter } from './utils/MarkdownReporter.js';
+export { compareResults } from './utils/compare.js';
+export { TapReporter } from './utils/TapReporter.js';
+export { GitHubReporter } from './utils/GitHubReporter.js';
 export { logger } from './utils/logger.js';
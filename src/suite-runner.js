@@ -1,12 +1,26 @@
 #!/usr/bin/env node
 
+import { EventEmitter } from 'events';
 import { PipelineBuilder } from './core/PipelineBuilder.js';
+import { PIPELINE_EVENTS } from './core/Pipeline.js';
+import { DataFlowAnalyzer } from './core/DataFlowAnalyzer.js';
 import { Reporter } from './utils/Reporter.js';
 import { HtmlReporter } from './utils/HtmlReporter.js';
+import { JUnitReporter } from './utils/JUnitReporter.js';
+import { JsonReporter, loadResults } from './utils/JsonReporter.js';
+import { MarkdownReporter } from './utils/MarkdownReporter.js';
+import { TapReporter } from './utils/TapReporter.js';
+import { GitHubReporter } from './utils/GitHubReporter.js';
+import { HistoryStore } from './utils/HistoryStore.js';
+import { compareResults } from './utils/compare.js';
+import { Cassette, getCassettePath } from './utils/Cassette.js';
+import { TokenCache } from './utils/auth.js';
+import { CookieJar } from './utils/CookieJar.js';
 import { getPath } from './utils/path.js';
 import { logger } from './utils/logger.js';
 import { measureTime } from './utils/timing.js';
 import { SEPARATORS } from './utils/constants.js';
+import { mapConcurrent } from './utils/array.js';
 import { evaluateOperator, formatCondition } from './utils/conditions.js';
 import fs from 'fs/promises';
 import fsSync from 'fs';
@@ -20,15 +34,160 @@ dotenv.config();
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
+// Output reporters selectable with --reporter
+const OUTPUT_REPORTERS = Object.freeze({
+  console: Reporter,
+  tap: TapReporter,
+  github: GitHubReporter
+});
+
+// Where --record writes and --replay reads HTTP cassettes, unless --cassettes is given
+const DEFAULT_CASSETTE_DIR = '.semtest/cassettes';
+
 /**
  * Suite Runner - Runs test suites with shared setup/teardown
+ *
+ * Emits suite and test level events that reporters listen to:
+ * - suite:start { name, file }
+ * - suite:end (suiteResult)
+ * - test:start { suite, id, name, index, total }
+ * - test:end (testResult, suiteResult)
+ * - batch:start { files }
+ * - batch:end (batchResults)
+ * - run:end (batchResults) - awaited, so async listeners can write files
+ * Pipeline events from test pipelines are re-emitted with `suite` and `testId` added.
+ *
+ * Tests of a suite run `concurrency` at a time and suites run `suiteConcurrency`
+ * at a time. Each test gets its own Pipeline; setup and teardown still run once
+ * per suite. When running concurrently, console output is buffered per test (and
+ * per suite) and test:end is emitted in definition order, so output stays ordered.
  */
-class SuiteRunner {
+class SuiteRunner extends EventEmitter {
   constructor(options = {}) {
+    super();
+    if (options.record && options.replay) {
+      throw new Error('--record and --replay cannot be used together');
+    }
+    const reporters = options.reporters?.length ? options.reporters : ['console'];
+    for (const name of reporters) {
+      if (!OUTPUT_REPORTERS[name]) {
+        throw new Error(`Unknown reporter: ${name} (available: ${Object.keys(OUTPUT_REPORTERS).join(', ')})`);
+      }
+    }
+
     this.reporter = new Reporter();
-    this.htmlReporter = options.html ? new HtmlReporter() : null;
+    if (reporters.includes('console')) this.reporter.attach(this);
+    this.outputReporters = reporters
+      .filter(name => name !== 'console')
+      .map(name => new OUTPUT_REPORTERS[name]().attach(this));
+    this.history = options.history ? new HistoryStore(options.history).attach(this) : null;
+    this.htmlReporter = options.html ?
+      new HtmlReporter({ history: this.history }).attach(this, options.htmlOutput) :
+      null;
+    this.junitReporter = options.junit ? new JUnitReporter().attach(this, options.junit) : null;
+    this.jsonReporter = options.json ? new JsonReporter().attach(this, options.json) : null;
+    this.markdownReporter = this.createMarkdownReporter(options);
     this.results = [];
     this.htmlOutput = options.htmlOutput;
+    this.comparison = null;
+    this.baselineError = null;
+    if (options.baseline) {
+      // A baseline that cannot be read fails the run rather than the run:end listeners
+      this.on('run:end', async batchResults => {
+        try {
+          this.comparison = await this.compareWithBaseline(options.baseline, batchResults, options);
+        } catch (error) {
+          this.baselineError = error;
+          logger.error(`Baseline comparison failed: ${error.message}`);
+        }
+      });
+    }
+    this.cassettes = options.record || options.replay ?
+      { mode: options.record ? 'record' : 'replay', dir: options.cassettes || DEFAULT_CASSETTE_DIR } :
+      null;
+    this.concurrency = options.concurrency || 1;
+    this.suiteConcurrency = options.suiteConcurrency || 1;
+    this.filters = {
+      grep: options.grep ? new RegExp(options.grep, 'i') : null,
+      testIds: options.testIds || [],
+      tags: options.tags || [],
+      excludeTags: options.excludeTags || []
+    };
+  }
+
+  /**
+   * Create the Markdown reporter for --markdown and --step-summary
+   * The job summary is appended to, as other workflow steps write to it too
+   * @returns {MarkdownReporter|null} Reporter, or null when no summary is wanted
+   */
+  createMarkdownReporter(options) {
+    const stepSummary = options.stepSummary ? process.env.GITHUB_STEP_SUMMARY : undefined;
+    if (options.stepSummary && !stepSummary) {
+      logger.warn('--step-summary ignored: GITHUB_STEP_SUMMARY is not set');
+    }
+    if (!options.markdown && !stepSummary) return null;
+
+    const reporter = new MarkdownReporter();
+    if (options.markdown) reporter.attach(this, options.markdown);
+    if (stepSummary) reporter.attach(this, stepSummary, { append: true });
+    return reporter;
+  }
+
+  /**
+   * Decide which tests of a suite run
+   * Tests that do not match the filters (--grep, --test, --tag, --exclude-tag)
+   * are left out; tests marked `skip`, or not marked `only` while another
+   * matching test is, are kept but reported as skipped
+   * @param {Array} tests - Test definitions
+   * @returns {Array<Object>} Selected tests { test, index, skipReason }
+   */
+  selectTests(tests) {
+    const { grep, testIds, tags, excludeTags } = this.filters;
+
+    const matching = [];
+    tests.forEach((test, index) => {
+      const id = test.id || `test-${index}`;
+      const testTags = test.tags || [];
+
+      if (testIds.length > 0 && !testIds.includes(id)) return;
+      if (grep && !grep.test(id) && !grep.test(test.name || '')) return;
+      if (tags.length > 0 && !tags.some(tag => testTags.includes(tag))) return;
+      if (excludeTags.some(tag => testTags.includes(tag))) return;
+
+      matching.push({ test, index });
+    });
+
+    const hasOnly = matching.some(({ test }) => test.only);
+    return matching.map(({ test, index }) => {
+      let skipReason = null;
+      if (test.skip) {
+        skipReason = typeof test.skip === 'string' ? test.skip : 'marked skip';
+      } else if (hasOnly && !test.only) {
+        skipReason = 'another test is marked only';
+      }
+      return { test, index, skipReason };
+    });
+  }
+
+  /**
+   * Emit an event and wait for promises returned by its listeners
+   * @param {string} event - Event name
+   * @param {...any} args - Event arguments
+   */
+  async emitAsync(event, ...args) {
+    await Promise.all(this.listeners(event).map(listener => listener(...args)));
+  }
+
+  /**
+   * Re-emit a test pipeline's lifecycle events on the runner
+   * @param {Pipeline} pipeline - Test pipeline
+   * @param {string} suite - Suite name
+   * @param {string} testId - Test identifier
+   */
+  forwardPipelineEvents(pipeline, suite, testId) {
+    for (const event of PIPELINE_EVENTS) {
+      pipeline.on(event, payload => this.emit(event, { ...payload, suite, testId }));
+    }
   }
 
   /**
@@ -50,28 +209,42 @@ class SuiteRunner {
         tests: [],
         totalDuration: 0
       };
+      this.emit('suite:start', { name: suiteResult.name, file: suitePath });
 
       // Track setup/teardown results for the report
       let setupResult = null;
       let teardownResult = null;
       let setupData = {};
+      // One OAuth2 token cache for the whole run, so setup, tests and teardown share tokens;
+      // with "cookies": "suite" they also share one cookie jar
+      const shared = {
+        _authTokens: new TokenCache(),
+        ...(suite.cookies === 'suite' && { _cookies: new CookieJar() })
+      };
+      let setupContext = shared;
+
+      const selected = this.selectTests(suite.tests || []);
+      const hasTestsToRun = selected.some(({ skipReason }) => !skipReason);
 
-      // Run setup if exists
-      if (suite.setup && Array.isArray(suite.setup) && suite.setup.length > 0) {
+      // Run setup if exists (and something will use it)
+      if (hasTestsToRun && suite.setup && Array.isArray(suite.setup) && suite.setup.length > 0) {
         logger.info('\n🔧 Running setup...');
         logger.debug(`Setup blocks: ${suite.setup.map(s => s.id).join(', ')}`);
 
         const setupPipeline = PipelineBuilder.fromJSON({
           ...suite,
           pipeline: suite.setup
-        });
+        }, { file: suitePath, stage: 'setup' });
+        const cassette = await this.openCassette(suitePath, '_setup');
 
         const { result, duration } = await measureTime(() =>
-          setupPipeline.execute(suite.input || {})
+          setupPipeline.execute(suite.input || {}, { ...setupContext, ...(cassette && { _cassette: cassette }) })
         );
+        await cassette?.save();
 
         setupResult = { success: result.success, duration };
         setupData = result.data; // Save setup output for tests to use
+        setupContext = { ...inheritedContext(result.context), ...shared };
 
         if (!result.success) {
           logger.error('❌ Setup failed');
@@ -79,6 +252,7 @@ class SuiteRunner {
           suiteResult.setupError = result.error || 'Setup failed';
           suiteResult.success = false;
           this.results.push(suiteResult);
+          this.emit('suite:end', suiteResult);
           return suiteResult;
         }
 
@@ -87,74 +261,23 @@ class SuiteRunner {
       }
 
       // Run each test
-      logger.info(`\n🚀 Running ${suite.tests?.length || 0} tests...`);
-
-      for (let i = 0; i < (suite.tests || []).length; i++) {
-        const test = suite.tests[i];
-        logger.info(`\n→ [${i + 1}/${suite.tests.length}] ${test.id || `Test ${i + 1}`}`);
-
-        try {
-          // Build test pipeline with suite context and setup data
-          const testPipeline = PipelineBuilder.fromJSON({
-            ...suite,
-            pipeline: test.pipeline || []
-          });
-
-          // Merge setup output with test input
-          const testInput = {
-            ...suite.input,
-            ...setupData,
-            ...test.input
-          };
-
-          const { result, duration } = await measureTime(() =>
-            testPipeline.execute(testInput)
-          );
-
-          // Check assertions
-          const assertions = this.checkAssertions(result, test.assertions);
-
-          const testResult = {
-            id: test.id || `test-${i}`,
-            name: test.name || test.id || `Test ${i + 1}`,
-            success: result.success && assertions.passed,
-            duration,
-            result,
-            assertions,
-            summary: testPipeline.getSummary()
-          };
-
-          suiteResult.tests.push(testResult);
-          suiteResult.totalDuration += duration;
-
-          // Report detailed test results to console
-          this.reporter.reportTest(testResult);
-
-          if (testResult.success) {
-            logger.info(`  ✓ ${testResult.name} completed`);
-          } else {
-            logger.error(`  ✗ ${testResult.name} failed`);
-          }
-        } catch (error) {
-          logger.error(`  ✗ Test failed with error: ${error.message}`);
-
-          const testResult = {
-            id: test.id || `test-${i}`,
-            name: test.name || test.id || `Test ${i + 1}`,
-            success: false,
-            error: error.message,
-            stack: error.stack
-          };
-
+      logger.info(`\n🚀 Running ${selected.length} tests...`);
+
+      await this.runConcurrently(
+        selected,
+        this.concurrency,
+        (entry, n) => this.runTest(
+          suite, suitePath, suiteResult.name, { data: setupData, context: setupContext }, entry, n, selected.length
+        ),
+        testResult => {
           suiteResult.tests.push(testResult);
-
-          // Report error details to console
-          this.reporter.reportTest(testResult);
+          suiteResult.totalDuration += testResult.duration || 0;
+          this.emit('test:end', testResult, suiteResult);
         }
-      }
+      );
 
       // Always run teardown if exists (even if tests failed)
-      if (suite.teardown && Array.isArray(suite.teardown) && suite.teardown.length > 0) {
+      if (hasTestsToRun && suite.teardown && Array.isArray(suite.teardown) && suite.teardown.length > 0) {
         logger.info('\n🧹 Running teardown...');
         logger.debug(`Teardown blocks: ${suite.teardown.map(t => t.id).join(', ')}`);
 
@@ -162,7 +285,7 @@ class SuiteRunner {
           const teardownPipeline = PipelineBuilder.fromJSON({
             ...suite,
             pipeline: suite.teardown
-          });
+          }, { file: suitePath, stage: 'teardown' });
 
           // Pass setup data to teardown as well
           const teardownInput = {
@@ -170,9 +293,11 @@ class SuiteRunner {
             ...setupData
           };
 
+          const cassette = await this.openCassette(suitePath, '_teardown');
           const { result, duration } = await measureTime(() =>
-            teardownPipeline.execute(teardownInput)
+            teardownPipeline.execute(teardownInput, { ...setupContext, ...(cassette && { _cassette: cassette }) })
           );
+          await cassette?.save();
 
           teardownResult = { success: result.success, duration };
           logger.info('✅ Teardown completed successfully');
@@ -191,7 +316,7 @@ class SuiteRunner {
 
       // Store and report
       this.results.push(suiteResult);
-      this.reporter.reportSuite(suiteResult);
+      this.emit('suite:end', suiteResult);
 
       return suiteResult;
     } catch (error) {
@@ -206,10 +331,185 @@ class SuiteRunner {
       };
 
       this.results.push(errorResult);
+      this.emit('suite:end', errorResult);
       return errorResult;
     }
   }
 
+  /**
+   * Run a single test of a suite in its own pipeline
+   * @param {Object} suite - Suite definition
+   * @param {string} suitePath - Suite file
+   * @param {string} suiteName - Suite name for events
+   * @param {Object} setup - Output and context of the suite setup { data, context }
+   * @param {Object} entry - Selected test { test, index, skipReason }
+   * @param {number} n - Position among the selected tests
+   * @param {number} total - Number of selected tests
+   * @returns {Promise<Object>} Test result
+   */
+  async runTest(suite, suitePath, suiteName, setup, { test, index: i, skipReason }, n, total) {
+    const testId = test.id || `test-${i}`;
+    const testName = test.name || test.id || `Test ${i + 1}`;
+
+    if (skipReason) {
+      logger.info(`\n⏭ [${n + 1}/${total}] ${testId} skipped (${skipReason})`);
+      return {
+        id: testId,
+        name: testName,
+        success: true,
+        skipped: true,
+        reason: skipReason,
+        duration: 0,
+        tags: test.tags || []
+      };
+    }
+
+    logger.info(`\n→ [${n + 1}/${total}] ${test.id || `Test ${i + 1}`}`);
+    this.emit('test:start', {
+      suite: suiteName,
+      id: testId,
+      name: testName,
+      index: i,
+      total
+    });
+
+    try {
+      // Build test pipeline with suite context and setup data
+      const testPipeline = PipelineBuilder.fromJSON({
+        ...suite,
+        pipeline: test.pipeline || [],
+        timeout: test.timeout ?? suite.timeout
+      }, { file: suitePath, testId });
+      this.forwardPipelineEvents(testPipeline, suiteName, testId);
+
+      // Merge setup output with test input
+      const testInput = {
+        ...suite.input,
+        ...setup.data,
+        ...test.input
+      };
+
+      const cassette = await this.openCassette(suitePath, testId);
+      const { result, duration } = await measureTime(() =>
+        testPipeline.execute(testInput, { ...setup.context, ...(cassette && { _cassette: cassette }) })
+      );
+      await cassette?.save();
+
+      // Check assertions
+      const assertions = this.checkAssertions(result, test.assertions);
+
+      const testResult = {
+        id: testId,
+        name: testName,
+        success: result.success && assertions.passed,
+        duration,
+        result,
+        assertions,
+        summary: testPipeline.getSummary(),
+        tags: test.tags || []
+      };
+
+      if (testResult.success) {
+        logger.info(`  ✓ ${testResult.name} completed`);
+      } else {
+        logger.error(`  ✗ ${testResult.name} failed`);
+      }
+
+      return testResult;
+    } catch (error) {
+      logger.error(`  ✗ Test failed with error: ${error.message}`);
+
+      return {
+        id: testId,
+        name: testName,
+        success: false,
+        error: error.message,
+        stack: error.stack,
+        tags: test.tags || []
+      };
+    }
+  }
+
+  /**
+   * Open the cassette of a test, setup or teardown when recording or replaying
+   * HTTP traffic; HttpRequest finds it in the pipeline context as `_cassette`
+   * @param {string} suitePath - Suite file
+   * @param {string} name - Test id, '_setup' or '_teardown'
+   * @returns {Promise<Cassette|null>} Cassette, or null without --record and --replay
+   */
+  openCassette(suitePath, name) {
+    if (!this.cassettes) return Promise.resolve(null);
+    const { mode, dir } = this.cassettes;
+    return Cassette.load(getCassettePath(dir, suitePath, name), mode);
+  }
+
+  /**
+   * Run tests or suites with a concurrency limit
+   * With a limit above 1, the output of each item is buffered and printed
+   * in item order, right before its result is handed to onResult
+   * @param {Array} items - Items to run
+   * @param {number} limit - Maximum number of items running at once
+   * @param {Function} fn - Async function (item, index) => result
+   * @param {Function} onResult - Called with (result, index) in item order
+   * @returns {Promise<Array>} Results in item order
+   */
+  runConcurrently(items, limit, fn, onResult) {
+    const run = limit > 1 ?
+      (item, index) => logger.buffered(() => fn(item, index)) :
+      async (item, index) => ({ result: await fn(item, index), output: [] });
+
+    return mapConcurrent(items, limit, run, ({ result, output }, index) => {
+      logger.flush(output);
+      onResult(result, index);
+    });
+  }
+
+  /**
+   * Statically check a suite without running it
+   * Builds every pipeline (validating block config) and analyzes its data flow
+   * @param {string} suitePath - Suite file
+   * @returns {Promise<Array<Object>>} Issues { severity, type, location, message }
+   */
+  async checkSuite(suitePath) {
+    let suite;
+    try {
+      suite = JSON.parse(await fs.readFile(suitePath, 'utf-8'));
+    } catch (error) {
+      return [{
+        severity: 'error',
+        type: 'invalid-suite',
+        location: path.relative(process.cwd(), suitePath),
+        message: error.message
+      }];
+    }
+
+    const issues = [];
+    const pipelines = [
+      { pipeline: suite.setup, options: { stage: 'setup' } },
+      ...(suite.tests || []).map((test, i) => ({
+        pipeline: test.pipeline,
+        options: { testId: test.id || `test-${i}` }
+      })),
+      { pipeline: suite.teardown, options: { stage: 'teardown' } }
+    ];
+    if (!suite.tests && suite.pipeline) {
+      pipelines.push({ pipeline: suite.pipeline, options: {} });
+    }
+
+    for (const { pipeline, options } of pipelines) {
+      if (!pipeline?.length) continue;
+      try {
+        PipelineBuilder.fromJSON({ ...suite, pipeline }, { file: suitePath, ...options });
+      } catch (error) {
+        // Build errors already start with their location
+        issues.push({ severity: 'error', type: 'invalid-config', location: null, message: error.message });
+      }
+    }
+
+    issues.push(...new DataFlowAnalyzer(suite, { file: suitePath }).analyze());
+    return issues;
+  }
+
   /**
    * Check test assertions
    */
@@ -277,11 +577,42 @@ class SuiteRunner {
     };
   }
 
+  /**
+   * Report results saved with --json again, without rerunning any test
+   * Attached reporters (HTML, JUnit, Markdown) regenerate their output from them
+   * @param {string} resultsPath - Results file written by JsonReporter
+   * @returns {Promise<Object>} Batch results
+   */
+  async replayResults(resultsPath) {
+    const batchResults = await loadResults(resultsPath);
+    this.results.push(...batchResults.suites);
+
+    this.emit('batch:end', batchResults);
+    await this.emitAsync('run:end', batchResults);
+
+    return batchResults;
+  }
+
+  /**
+   * Compare results against a baseline results file and report regressions
+   * @param {string} baselinePath - Results file written with --json
+   * @param {Object} batchResults - Results to compare
+   * @param {Object} thresholds - { scoreThreshold, durationThreshold }
+   * @returns {Promise<Object>} Comparison from compareResults
+   */
+  async compareWithBaseline(baselinePath, batchResults, thresholds = {}) {
+    const baseline = await loadResults(baselinePath);
+    const comparison = compareResults(baseline, batchResults, thresholds);
+    this.reporter.reportComparison(comparison, { baseline: path.relative(process.cwd(), baselinePath) });
+    return comparison;
+  }
+
   /**
    * Run multiple suites in batch
    */
   async runBatch(filePaths) {
     logger.info(`\n🚀 Running ${filePaths.length} test suites\n`);
+    this.emit('batch:start', { files: filePaths });
 
     const batchResults = {
       suites: [],
@@ -289,44 +620,52 @@ class SuiteRunner {
       started: new Date().toISOString()
     };
 
-    for (const filePath of filePaths) {
-      const { result, duration } = await measureTime(() => this.runSuite(filePath));
-      batchResults.suites.push(result);
-      batchResults.totalDuration += duration;
-    }
+    const startTime = Date.now();
+    await this.runConcurrently(
+      filePaths,
+      this.suiteConcurrency,
+      filePath => this.runSuite(filePath),
+      result => batchResults.suites.push(result)
+    );
+    batchResults.totalDuration = Date.now() - startTime;
 
     batchResults.finished = new Date().toISOString();
 
-    // Console report
-    this.reporter.reportBatchSummary(batchResults);
-
-    // Generate HTML report if enabled
-    if (this.htmlReporter) {
-      await this.htmlReporter.generateReport(batchResults, this.htmlOutput);
-      logger.info(`\n📄 HTML report generated: ${this.htmlOutput}`);
-    }
+    this.emit('batch:end', batchResults);
+    await this.emitAsync('run:end', batchResults);
 
     return batchResults;
   }
 }
 
 /**
- * CLI Entry Point
+ * Parse CLI arguments into suite files and SuiteRunner options
+ * @param {Array<string>} args - Arguments after the script name
+ * @returns {Object} { files, options }
+ * @throws {Error} If an option is unknown or has an invalid value
  */
-async function main() {
-  const args = process.argv.slice(2);
-
-  // Parse CLI options
+function parseArgs(args) {
   const options = {
     html: false,
-    htmlOutput: 'test-report.html'
+    htmlOutput: 'test-report.html',
+    reporters: [],
+    testIds: [],
+    tags: [],
+    excludeTags: []
   };
 
-  const testFiles = [];
+  const files = [];
   let i = 0;
 
+  // Repeatable list options also accept comma-separated values
+  const addValues = (list, value) => {
+    if (value) list.push(...value.split(',').map(v => v.trim()).filter(Boolean));
+  };
+
   while (i < args.length) {
-    if (args[i] === '--html') {
+    const arg = args[i];
+
+    if (arg === '--html') {
       options.html = true;
       i++;
       // Check if next arg is --output
@@ -337,11 +676,73 @@ async function main() {
           i++;
         }
       }
-    } else if (!args[i].startsWith('--')) {
-      testFiles.push(args[i]);
+    } else if (arg === '--output') {
+      options.htmlOutput = args[i + 1];
+      i += 2;
+    } else if (arg === '--reporter') {
+      addValues(options.reporters, args[i + 1]);
+      for (const name of options.reporters) {
+        if (!OUTPUT_REPORTERS[name]) {
+          throw new Error(`Unknown reporter: ${name} (available: ${Object.keys(OUTPUT_REPORTERS).join(', ')})`);
+        }
+      }
+      i += 2;
+    } else if (arg === '--history') {
+      options.history = args[i + 1];
+      i += 2;
+    } else if (arg === '--baseline') {
+      options.baseline = args[i + 1];
+      i += 2;
+    } else if (arg === '--threshold') {
+      options.scoreThreshold = parseThreshold(arg, args[i + 1]);
+      i += 2;
+    } else if (arg === '--duration-threshold') {
+      options.durationThreshold = parseThreshold(arg, args[i + 1]);
+      i += 2;
+    } else if (arg === '--json') {
+      options.json = args[i + 1];
+      i += 2;
+    } else if (arg === '--record') {
+      options.record = true;
       i++;
-    } else {
+    } else if (arg === '--replay') {
+      options.replay = true;
       i++;
+    } else if (arg === '--cassettes') {
+      options.cassettes = args[i + 1];
+      i += 2;
+    } else if (arg === '--markdown') {
+      options.markdown = args[i + 1];
+      i += 2;
+    } else if (arg === '--step-summary') {
+      options.stepSummary = true;
+      i++;
+    } else if (arg === '--junit') {
+      options.junit = args[i + 1];
+      i += 2;
+    } else if (arg === '--concurrency') {
+      options.concurrency = parseConcurrency(arg, args[i + 1]);
+      i += 2;
+    } else if (arg === '--suite-concurrency') {
+      options.suiteConcurrency = parseConcurrency(arg, args[i + 1]);
+      i += 2;
+    } else if (arg === '--grep') {
+      options.grep = args[i + 1];
+      i += 2;
+    } else if (arg === '--test') {
+      addValues(options.testIds, args[i + 1]);
+      i += 2;
+    } else if (arg === '--tag') {
+      addValues(options.tags, args[i + 1]);
+      i += 2;
+    } else if (arg === '--exclude-tag') {
+      addValues(options.excludeTags, args[i + 1]);
+      i += 2;
+    } else if (!arg.startsWith('--')) {
+      files.push(arg);
+      i++;
+    } else {
+      throw new Error(`Unknown option '${arg}'`);
     }
   }
 
@@ -351,41 +752,151 @@ async function main() {
     options.htmlOutput = `test-results-${timestamp}.html`;
   }
 
+  return { files, options };
+}
+
+/**
+ * Context values set during setup (such as a MockServer URL) that tests and
+ * teardown inherit; internal keys, prefixed with `_`, stay with the setup
+ */
+function inheritedContext(context = {}) {
+  return Object.fromEntries(Object.entries(context).filter(([key]) => !key.startsWith('_')));
+}
+
+/**
+ * Parse a concurrency limit CLI value
+ * @throws {Error} If the value is not a positive integer
+ */
+function parseConcurrency(flag, value) {
+  const limit = Number(value);
+  if (!Number.isInteger(limit) || limit < 1) {
+    throw new Error(`${flag} expects a positive integer, got: ${value}`);
+  }
+  return limit;
+}
+
+/**
+ * Parse a regression threshold CLI value
+ * @throws {Error} If the value is not a non-negative number
+ */
+function parseThreshold(flag, value) {
+  const threshold = Number(value);
+  if (value === undefined || value === '' || !Number.isFinite(threshold) || threshold < 0) {
+    throw new Error(`${flag} expects a non-negative number, got: ${value}`);
+  }
+  return threshold;
+}
+
+/**
+ * Parse CLI arguments, reporting an invalid argument and exiting with code 1
+ * rather than failing as a fatal error
+ */
+function parseCliArgs(args) {
+  try {
+    return parseArgs(args);
+  } catch (error) {
+    logger.error(error.message);
+    process.exit(1);
+  }
+}
+
+/**
+ * Keep stdout for the TAP document when it is selected, so TAP consumers can
+ * read it; progress and the other reporters go to stderr
+ */
+function routeLogging(options) {
+  if (options.reporters.includes('tap')) logger.useStderr();
+}
+
+/**
+ * List the suites in the test-examples directory
+ */
+async function listExampleSuites() {
+  const examplesDir = path.join(__dirname, '..', 'test-examples');
+  const files = await fs.readdir(examplesDir);
+  return files.filter(f => f.endsWith('.json')).map(f => path.join(examplesDir, f));
+}
+
+/**
+ * CLI Entry Point
+ */
+async function main() {
+  const args = process.argv.slice(2);
+
+  // semtest check [files...] - static analysis only, nothing is executed
+  if (args[0] === 'check') {
+    const { files } = parseCliArgs(args.slice(1));
+    const filePaths = files.length > 0 ? files.map(f => path.resolve(f)) : await listExampleSuites();
+    const runner = new SuiteRunner();
+
+    const issues = [];
+    for (const filePath of filePaths) {
+      issues.push(...await runner.checkSuite(filePath));
+    }
+
+    runner.reporter.reportCheck(issues, filePaths.length);
+    process.exit(issues.some(issue => issue.severity === 'error') ? 1 : 0);
+  }
+
+  // semtest compare baseline.json current.json - regressions between two saved runs
+  if (args[0] === 'compare') {
+    const { files, options } = parseCliArgs(args.slice(1));
+    if (files.length !== 2) {
+      throw new Error('Usage: semtest compare <baseline.json> <current.json> [--threshold <n>] [--duration-threshold <percent>]');
+    }
+
+    const runner = new SuiteRunner();
+    const [baselinePath, currentPath] = files.map(f => path.resolve(f));
+    const comparison = compareResults(await loadResults(baselinePath), await loadResults(currentPath), options);
+    runner.reporter.reportComparison(comparison, { baseline: files[0], current: files[1] });
+    process.exit(comparison.regressions.length > 0 ? 1 : 0);
+  }
+
+  // semtest report results.json - regenerate reports from saved JSON results
+  if (args[0] === 'report') {
+    const { files, options } = parseCliArgs(args.slice(1));
+    routeLogging(options);
+    if (files.length !== 1) {
+      throw new Error('Usage: semtest report <results.json> [--output <file>] [--junit <file>] [--markdown <file>]');
+    }
+    // Regenerating the HTML report is the default
+    if (!options.junit && !options.json && !options.markdown && !options.stepSummary) options.html = true;
+
+    const runner = new SuiteRunner(options);
+    await runner.replayResults(path.resolve(files[0]));
+    process.exit(runner.results.every(r => r.success) ? 0 : 1);
+  }
+
+  const { files: testFiles, options } = parseCliArgs(args);
+  routeLogging(options);
   const runner = new SuiteRunner(options);
 
   if (testFiles.length === 0) {
     // Run all suites in test-examples directory
-    const examplesDir = path.join(__dirname, '..', 'test-examples');
-    const files = await fs.readdir(examplesDir);
-    const suiteFiles = files.filter(f => f.endsWith('.json'));
-
-    const filePaths = suiteFiles.map(f => path.join(examplesDir, f));
-    await runner.runBatch(filePaths);
+    await runner.runBatch(await listExampleSuites());
   } else if (testFiles.length === 1) {
     // Run single suite
     const suitePath = path.resolve(testFiles[0]);
+    const started = new Date().toISOString();
     const result = await runner.runSuite(suitePath);
 
-    // Generate HTML report for single suite if enabled
-    if (runner.htmlReporter) {
-      const batchResults = {
-        suites: [result],
-        totalDuration: result.totalDuration,
-        started: new Date().toISOString(),
-        finished: new Date().toISOString()
-      };
-      await runner.htmlReporter.generateReport(batchResults, runner.htmlOutput);
-      logger.info(`\n📄 HTML report generated: ${runner.htmlOutput}`);
-    }
+    await runner.emitAsync('run:end', {
+      suites: [result],
+      totalDuration: result.totalDuration,
+      started,
+      finished: new Date().toISOString()
+    });
   } else {
     // Run multiple suites
     const filePaths = testFiles.map(f => path.resolve(f));
     await runner.runBatch(filePaths);
   }
 
-  // Exit with appropriate code
-  const allPassed = runner.results.every(r => r.success);
-  process.exit(allPassed ? 0 : 1);
+  // Exit with appropriate code - against a baseline, regressions fail the run too
+  const passed = runner.results.every(r => r.success) &&
+    !runner.baselineError &&
+    (runner.comparison?.regressions.length ?? 0) === 0;
+  process.exit(passed ? 0 : 1);
 }
 
 // Run if called directly
@@ -395,8 +906,11 @@ if (process.argv[1]) {
   const argPath = fsSync.realpathSync(process.argv[1]);
 
   if (scriptPath === argPath) {
-    main().catch(err => logger.error('Fatal error', err));
+    main().catch(err => {
+      logger.error('Fatal error', err);
+      process.exitCode = 1;
+    });
   }
 }
 
-export { SuiteRunner };
+export { SuiteRunner, parseArgs };
@@ -0,0 +1,181 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { CASSETTE_SCHEMA } from './constants.js';
+
+/**
+ * Cassette - Recorded HTTP traffic of one pipeline run
+ *
+ * In record mode HttpRequest adds every request/response pair to the
+ * cassette, which is saved when the run ends. In replay mode HttpRequest
+ * answers from the cassette instead of the network. Requests are matched by
+ * method, URL and normalized body; a request made several times gets its
+ * recorded responses in order. Request headers are not recorded, so API keys
+ * do not end up in cassette files.
+ */
+export class Cassette {
+  /**
+   * @param {string} filePath - Cassette file
+   * @param {string} mode - 'record' or 'replay'
+   * @param {Array<Object>} interactions - Recorded { request, response } pairs
+   */
+  constructor(filePath, mode, interactions = []) {
+    this.filePath = filePath;
+    this.mode = mode;
+    this.interactions = interactions;
+    this.replayed = new Map(); // Request key -> number of responses replayed
+  }
+
+  /**
+   * Open a cassette
+   * Recording always starts empty; replaying reads the file, and a missing
+   * file is an empty cassette so each request reports what is missing
+   * @param {string} filePath - Cassette file
+   * @param {string} mode - 'record' or 'replay'
+   * @returns {Promise<Cassette>} Cassette
+   * @throws {Error} If the file is not a cassette of a supported version
+   */
+  static async load(filePath, mode) {
+    if (mode === 'record') return new Cassette(filePath, mode);
+
+    let content;
+    try {
+      content = await fs.readFile(filePath, 'utf-8');
+    } catch (error) {
+      if (error.code === 'ENOENT') return new Cassette(filePath, mode);
+      throw error;
+    }
+
+    const cassette = JSON.parse(content);
+    if (cassette?.schema !== CASSETTE_SCHEMA.NAME) {
+      throw new Error(`${filePath} is not a SemanticTest cassette (missing schema '${CASSETTE_SCHEMA.NAME}')`);
+    }
+    if (!(cassette.schemaVersion <= CASSETTE_SCHEMA.VERSION)) {
+      throw new Error(
+        `Unsupported cassette schema version ${cassette.schemaVersion} in ${filePath} ` +
+        `(this version reads up to ${CASSETTE_SCHEMA.VERSION})`
+      );
+    }
+    return new Cassette(filePath, mode, cassette.interactions || []);
+  }
+
+  /**
+   * Find the next recorded response for a request
+   * @param {Object} request - { method, url, body }
+   * @returns {Object|null} Recorded response { status, headers, body, duration }, or null
+   */
+  findResponse(request) {
+    const key = getRequestKey(request);
+    const matches = this.interactions.filter(interaction => getRequestKey(interaction.request) === key);
+    if (matches.length === 0) return null;
+
+    // Repeated requests get their responses in recorded order, then the last one again
+    const count = this.replayed.get(key) || 0;
+    this.replayed.set(key, count + 1);
+    return matches[Math.min(count, matches.length - 1)].response;
+  }
+
+  /**
+   * Add a request/response pair
+   * @param {Object} request - { method, url, body }
+   * @param {Object} response - { status, headers, body, duration }
+   */
+  record(request, response) {
+    this.interactions.push({
+      request: {
+        method: request.method.toUpperCase(),
+        url: request.url,
+        ...(request.body !== undefined && { body: request.body })
+      },
+      response
+    });
+  }
+
+  /**
+   * Write the cassette file
+   * Nothing is written when replaying or when no request was recorded
+   * @returns {Promise<boolean>} Whether the file was written
+   */
+  async save() {
+    if (this.mode !== 'record' || this.interactions.length === 0) return false;
+
+    const content = {
+      schema: CASSETTE_SCHEMA.NAME,
+      schemaVersion: CASSETTE_SCHEMA.VERSION,
+      interactions: this.interactions
+    };
+
+    await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+    await fs.writeFile(this.filePath, `${JSON.stringify(content, null, 2)}\n`, 'utf-8');
+    return true;
+  }
+
+  /**
+   * Keep results small when the context holding the cassette is serialized
+   */
+  toJSON() {
+    return { file: this.filePath, mode: this.mode };
+  }
+}
+
+/**
+ * Build the key a request is matched by
+ * @param {Object} request - { method, url, body }
+ * @returns {string} "<METHOD> <url> <normalized body>"
+ */
+export function getRequestKey({ method, url, body }) {
+  return `${String(method).toUpperCase()} ${url} ${normalizeBody(body)}`;
+}
+
+/**
+ * Normalize a request body so formatting and key order do not matter
+ * JSON bodies are re-serialized with sorted keys; other text is kept as is
+ * @param {*} body - Request body
+ * @returns {string} Normalized body ('' when there is none)
+ */
+export function normalizeBody(body) {
+  if (body === undefined || body === null || body === '') return '';
+
+  let value = body;
+  if (typeof body === 'string') {
+    try {
+      value = JSON.parse(body);
+    } catch {
+      return body;
+    }
+  }
+  return JSON.stringify(sortKeys(value));
+}
+
+/**
+ * Get the cassette file of a test, or of a suite's setup or teardown
+ * Suites are keyed by their path relative to the working directory, so suites
+ * with the same file name in different directories keep separate cassettes
+ * @param {string} dir - Cassette directory
+ * @param {string} suitePath - Suite file
+ * @param {string} name - Test id, '_setup' or '_teardown'
+ * @returns {string} "<dir>/<suite path without extension>/<name>.json"
+ */
+export function getCassettePath(dir, suitePath, name) {
+  const { dir: suiteDir, name: suite } = path.parse(path.relative(process.cwd(), path.resolve(suitePath)));
+  // Suites outside the working directory stay inside the cassette directory
+  const folders = suiteDir.split(path.sep).filter(Boolean)
+    .map(folder => (folder === '..' ? '_parent' : toFileName(folder)));
+  return path.join(dir, ...folders, toFileName(suite), `${toFileName(name)}.json`);
+}
+
+/**
+ * Recursively sort the keys of objects
+ */
+function sortKeys(value) {
+  if (Array.isArray(value)) return value.map(sortKeys);
+  if (value === null || typeof value !== 'object') return value;
+
+  return Object.fromEntries(Object.keys(value).sort().map(key => [key, sortKeys(value[key])]));
+}
+
+/**
+ * Make a name safe to use as a file name
+ */
+function toFileName(name) {
+  return String(name).replace(/[^\w.-]+/g, '_');
+}
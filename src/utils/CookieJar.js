@@ -0,0 +1,163 @@
+/**
+ * CookieJar - Cookies shared by the HttpRequest blocks of a test or suite
+ *
+ * Stores cookies from Set-Cookie headers and sends the matching ones back,
+ * following the domain, path, Secure and expiry rules of RFC 6265. Session
+ * cookies live as long as the jar: one test, or the whole suite run with
+ * `"cookies": "suite"`.
+ */
+export class CookieJar {
+  constructor() {
+    this.cookies = []; // { name, value, domain, hostOnly, path, expires, secure, httpOnly }
+  }
+
+  /**
+   * Store the cookies of a response
+   * Cookies for a domain the URL does not belong to are ignored, and an
+   * expired cookie removes the stored one
+   * @param {Array<string>} headers - Set-Cookie header values
+   * @param {string} url - URL of the response
+   * @param {number} now - Current time in ms
+   */
+  setCookies(headers, url, now = Date.now()) {
+    const { hostname, pathname } = new URL(url);
+    const host = hostname.toLowerCase();
+
+    for (const header of headers) {
+      const cookie = parseSetCookie(header, host, pathname, now);
+      if (!cookie) continue;
+      if (!cookie.hostOnly && !domainMatches(host, cookie.domain)) continue;
+
+      this.cookies = this.cookies.filter(stored =>
+        stored.name !== cookie.name || stored.domain !== cookie.domain || stored.path !== cookie.path
+      );
+      if (cookie.expires === null || cookie.expires > now) {
+        this.cookies.push(cookie);
+      }
+    }
+  }
+
+  /**
+   * Get the Cookie header to send to a URL
+   * More specific paths come first, as browsers send them
+   * @param {string} url - Request URL
+   * @param {number} now - Current time in ms
+   * @returns {string} Cookie header value ('' when no cookie matches)
+   */
+  getCookieHeader(url, now = Date.now()) {
+    const { protocol, hostname, pathname } = new URL(url);
+    const host = hostname.toLowerCase();
+    this.cookies = this.cookies.filter(cookie => cookie.expires === null || cookie.expires > now);
+
+    return this.cookies
+      .filter(cookie => (cookie.hostOnly ? host === cookie.domain : domainMatches(host, cookie.domain)))
+      .filter(cookie => pathMatches(pathname, cookie.path))
+      .filter(cookie => !cookie.secure || protocol === 'https:')
+      .sort((a, b) => b.path.length - a.path.length)
+      .map(cookie => `${cookie.name}=${cookie.value}`)
+      .join('; ');
+  }
+
+  /**
+   * Describe the stored cookies for debug output, one line per cookie
+   * @returns {string} Jar contents
+   */
+  describe() {
+    if (this.cookies.length === 0) return '(empty)';
+    return this.cookies.map(cookie => {
+      const domain = cookie.hostOnly ? cookie.domain : `.${cookie.domain}`;
+      const expires = cookie.expires === null ? 'session' : new Date(cookie.expires).toISOString();
+      return `${cookie.name}=${cookie.value} (${domain}${cookie.path}, ${expires}${cookie.secure ? ', secure' : ''})`;
+    }).join('\n');
+  }
+
+  /**
+   * Keep cookie values out of results when the context holding the jar is serialized
+   */
+  toJSON() {
+    return { cookies: this.cookies.map(cookie => cookie.name) };
+  }
+}
+
+/**
+ * Split a combined Set-Cookie header ("a=1, b=2; Expires=Wed, 21 Oct 2026 ...")
+ * into its cookies; commas inside Expires dates are kept
+ * @param {string} header - Combined header value
+ * @returns {Array<string>} Set-Cookie values
+ */
+export function splitSetCookie(header) {
+  if (!header) return [];
+  return header.split(/,(?=\s*[^;,\s]+=)/).map(part => part.trim()).filter(Boolean);
+}
+
+/**
+ * Parse one Set-Cookie header
+ * @returns {Object|null} Cookie, or null if the header has no name=value pair
+ */
+function parseSetCookie(header, host, requestPath, now) {
+  const [pair, ...attributes] = header.split(';');
+  const separator = pair.indexOf('=');
+  if (separator < 1) return null;
+
+  const cookie = {
+    name: pair.slice(0, separator).trim(),
+    value: pair.slice(separator + 1).trim(),
+    domain: host,
+    hostOnly: true,
+    path: defaultPath(requestPath),
+    expires: null,
+    secure: false,
+    httpOnly: false
+  };
+
+  let maxAge;
+  for (const attribute of attributes) {
+    const [rawKey, ...rest] = attribute.split('=');
+    const key = rawKey.trim().toLowerCase();
+    const value = rest.join('=').trim();
+
+    if (key === 'domain' && value) {
+      cookie.domain = value.replace(/^\./, '').toLowerCase();
+      cookie.hostOnly = false;
+    } else if (key === 'path' && value.startsWith('/')) {
+      cookie.path = value;
+    } else if (key === 'expires') {
+      const time = Date.parse(value);
+      if (!Number.isNaN(time)) cookie.expires = time;
+    } else if (key === 'max-age' && /^-?\d+$/.test(value)) {
+      maxAge = Number(value);
+    } else if (key === 'secure') {
+      cookie.secure = true;
+    } else if (key === 'httponly') {
+      cookie.httpOnly = true;
+    }
+  }
+
+  // Max-Age wins over Expires
+  if (maxAge !== undefined) cookie.expires = now + maxAge * 1000;
+  return cookie;
+}
+
+/**
+ * The path a cookie without Path applies to: the request path up to its last '/'
+ */
+function defaultPath(requestPath) {
+  const index = requestPath.lastIndexOf('/');
+  return index > 0 ? requestPath.slice(0, index) : '/';
+}
+
+/**
+ * Whether a host is the cookie domain or one of its subdomains
+ */
+function domainMatches(host, domain) {
+  return host === domain || host.endsWith(`.${domain}`);
+}
+
+/**
+ * Whether a request path is the cookie path or below it
+ */
+function pathMatches(requestPath, cookiePath) {
+  if (requestPath === cookiePath) return true;
+  if (!requestPath.startsWith(cookiePath)) return false;
+  return cookiePath.endsWith('/') || requestPath[cookiePath.length] === '/';
+}
@@ -0,0 +1,128 @@
+import fs from 'fs';
+import path from 'path';
+import { logger } from './logger.js';
+import { describeFailures } from './failures.js';
+
+/**
+ * GitHub Reporter - Prints GitHub Actions workflow commands for failures
+ *
+ * Each failed test becomes an `::error` annotation on the suite file, at the
+ * line where the test's id is defined, so failures show inline on pull
+ * requests. Suites that fail to load or set up are annotated on the file itself.
+ */
+export class GitHubReporter {
+  constructor() {
+    this.fileLines = new Map(); // Suite file -> lines, to locate tests
+  }
+
+  /**
+   * Annotate failures as results arrive from a SuiteRunner
+   * @param {SuiteRunner} runner - Runner to listen to
+   * @returns {GitHubReporter} This reporter
+   */
+  attach(runner) {
+    runner.on('test:end', (testResult, suiteResult) => this.reportTest(testResult, suiteResult));
+    runner.on('suite:end', suiteResult => this.reportSuite(suiteResult));
+    return this;
+  }
+
+  /**
+   * Print an annotation for a failed test
+   * @param {Object} test - Test result
+   * @param {Object} suite - Suite result the test belongs to
+   */
+  reportTest(test, suite) {
+    if (test.success) return;
+
+    logger.report(this.formatAnnotation({
+      file: suite.file,
+      line: this.findTestLine(suite.file, test.id),
+      title: `${suite.name} › ${test.id}`,
+      message: describeFailures(test).join('\n')
+    }));
+  }
+
+  /**
+   * Print an annotation for a suite that failed before its tests ran
+   * @param {Object} suite - Suite result
+   */
+  reportSuite(suite) {
+    const suiteError = suite.error || suite.setupError;
+    if (!suiteError || suite.tests?.length > 0) return;
+
+    logger.report(this.formatAnnotation({
+      file: suite.file,
+      title: suite.setupError ? `${suite.name} › setup` : suite.name,
+      message: suite.setupError ? `Setup failed: ${suiteError}` : suiteError
+    }));
+  }
+
+  /**
+   * Format an `::error` workflow command
+   * @param {Object} annotation - { file, line, title, message }
+   * @returns {string} Workflow command
+   */
+  formatAnnotation({ file, line, title, message }) {
+    const properties = [
+      file && `file=${escapeProperty(path.relative(process.cwd(), file))}`,
+      line && `line=${line}`,
+      title && `title=${escapeProperty(title)}`
+    ].filter(Boolean).join(',');
+
+    return `::error ${properties}::${escapeData(message)}`;
+  }
+
+  /**
+   * Find the line where a test id is defined in a suite file
+   * @param {string} file - Suite file
+   * @param {string} testId - Test id
+   * @returns {number|undefined} 1-based line number
+   */
+  findTestLine(file, testId) {
+    if (!file || !testId) return undefined;
+
+    if (!this.fileLines.has(file)) {
+      try {
+        this.fileLines.set(file, fs.readFileSync(file, 'utf-8').split('\n'));
+      } catch {
+        this.fileLines.set(file, []);
+      }
+    }
+
+    // Search from the tests array, so setup blocks with the same id are not matched
+    const lines = this.fileLines.get(file);
+    const testsStart = Math.max(0, lines.findIndex(line => /"tests"\s*:/.test(line)));
+    const idPattern = new RegExp(`"id"\\s*:\\s*${escapeRegExp(JSON.stringify(testId))}`);
+
+    for (let i = testsStart; i < lines.length; i++) {
+      if (idPattern.test(lines[i])) return i + 1;
+    }
+    return undefined;
+  }
+}
+
+/**
+ * Escape the message of a workflow command
+ */
+function escapeData(value) {
+  return String(value ?? '')
+    .replace(/%/g, '%25')
+    .replace(/\r/g, '%0D')
+    .replace(/\n/g, '%0A');
+}
+
+/**
+ * Escape a property value of a workflow command
+ */
+function escapeProperty(value) {
+  return escapeData(value)
+    .replace(/:/g, '%3A')
+    .replace(/,/g, '%2C');
+}
+
+/**
+ * Escape a string for literal use in a regular expression
+ */
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
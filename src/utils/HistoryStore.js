@@ -0,0 +1,170 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { logger } from './logger.js';
+
+/**
+ * HistoryStore - Keeps the metrics of past runs in a JSON-lines file
+ *
+ * Every run appends one line with its pass rate, duration, average judge
+ * score and the outcome of each test, so reports can show trends and what
+ * changed since the previous run.
+ */
+export class HistoryStore {
+  /**
+   * @param {string} filePath - JSON-lines file to read and append to
+   */
+  constructor(filePath) {
+    this.filePath = filePath;
+  }
+
+  /**
+   * Append each run to the history when a SuiteRunner finishes it
+   * @param {SuiteRunner} runner - Runner to listen to
+   * @returns {HistoryStore} This store
+   */
+  attach(runner) {
+    runner.on('run:end', batchResults => this.append(createHistoryEntry(batchResults)));
+    return this;
+  }
+
+  /**
+   * Read past runs, oldest first
+   * Lines that cannot be parsed are skipped with a warning
+   * @param {number} limit - Only return the most recent runs
+   * @returns {Promise<Array<Object>>} History entries
+   */
+  async load(limit) {
+    let content;
+    try {
+      content = await fs.readFile(this.filePath, 'utf-8');
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+
+    const entries = [];
+    content.split('\n').forEach((line, i) => {
+      if (!line.trim()) return;
+      try {
+        entries.push(JSON.parse(line));
+      } catch {
+        logger.warn(`Skipping unreadable history line ${i + 1} in ${this.filePath}`);
+      }
+    });
+
+    return limit ? entries.slice(-limit) : entries;
+  }
+
+  /**
+   * Append a run to the history
+   * A run that is already recorded (same start time) is not added again,
+   * so reporting saved results does not duplicate it
+   * @param {Object} entry - Entry from createHistoryEntry
+   * @returns {Promise<boolean>} Whether the entry was added
+   */
+  async append(entry) {
+    const entries = await this.load();
+    if (entry.started && entries.some(existing => existing.started === entry.started)) {
+      return false;
+    }
+
+    await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+    await fs.appendFile(this.filePath, `${JSON.stringify(entry)}\n`, 'utf-8');
+    return true;
+  }
+}
+
+/**
+ * Build the history entry of a run
+ * @param {Object} batchResults - Results from SuiteRunner
+ * @returns {Object} Entry { started, finished, totalTests, passed, failed, skipped,
+ *   passRate, duration, avgScore, tests: { key: { success, skipped, duration, score } } }
+ */
+export function createHistoryEntry(batchResults) {
+  const tests = {};
+  const scores = [];
+  let passed = 0;
+  let failed = 0;
+  let skipped = 0;
+
+  for (const suite of batchResults.suites || []) {
+    for (const test of suite.tests || []) {
+      if (test.skipped) skipped++;
+      else if (test.success) passed++;
+      else failed++;
+
+      const score = getTestScore(test);
+      if (score !== null) scores.push(score);
+
+      tests[getTestKey(suite.name, test)] = {
+        success: Boolean(test.success),
+        ...(test.skipped && { skipped: true }),
+        duration: test.duration || 0,
+        ...(score !== null && { score })
+      };
+    }
+  }
+
+  const executed = passed + failed;
+  return {
+    started: batchResults.started,
+    finished: batchResults.finished,
+    totalTests: passed + failed + skipped,
+    passed,
+    failed,
+    skipped,
+    passRate: executed > 0 ? Math.round((passed / executed) * 100) : 0,
+    duration: batchResults.totalDuration || 0,
+    avgScore: scores.length > 0 ? scores.reduce((a, b) => a + b, 0) / scores.length : null,
+    tests
+  };
+}
+
+/**
+ * Find which tests changed outcome since the previous run
+ * Tests that were skipped, or did not exist, in either run are ignored
+ * @param {Object} previous - Previous history entry
+ * @param {Object} current - Current history entry
+ * @returns {Object} { newlyFailing, newlyPassing } - lists of test keys
+ */
+export function compareRuns(previous, current) {
+  const newlyFailing = [];
+  const newlyPassing = [];
+
+  for (const [key, test] of Object.entries(current.tests || {})) {
+    const before = previous?.tests?.[key];
+    if (!before || before.skipped || test.skipped) continue;
+
+    if (before.success && !test.success) newlyFailing.push(key);
+    if (!before.success && test.success) newlyPassing.push(key);
+  }
+
+  return { newlyFailing, newlyPassing };
+}
+
+/**
+ * Identify a test across runs
+ * @param {string} suiteName - Suite the test belongs to
+ * @param {Object} test - Test result
+ * @returns {string} "<suite> › <test id>"
+ */
+export function getTestKey(suiteName, test) {
+  return `${suiteName} › ${test.id || test.name}`;
+}
+
+/**
+ * Get the judge score of a test (average when several judges scored it)
+ * @param {Object} test - Test result
+ * @returns {number|null} Score, or null when no judge ran
+ */
+export function getTestScore(test) {
+  const data = test.result?.data;
+  if (!data) return null;
+
+  const scores = Object.keys(data)
+    .filter(key => key.toLowerCase().includes('judge'))
+    .map(key => data[key]?.score)
+    .filter(score => typeof score === 'number');
+
+  return scores.length > 0 ? scores.reduce((a, b) => a + b, 0) / scores.length : null;
+}
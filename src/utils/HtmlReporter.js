@@ -1,18 +1,58 @@
 import fs from 'fs/promises';
+import { logger } from './logger.js';
+import { LIMITS } from './constants.js';
+import { createHistoryEntry, compareRuns } from './HistoryStore.js';
 
 /**
  * HTML Reporter - Generates beautiful HTML reports for test results
  */
 export class HtmlReporter {
-  constructor() {
+  /**
+   * @param {Object} options - Reporter options
+   * @param {HistoryStore} options.history - Past runs to show trends from
+   */
+  constructor(options = {}) {
     this.timestamp = new Date().toISOString();
+    this.history = options.history || null;
+  }
+
+  /**
+   * Write the report when a SuiteRunner finishes its run
+   * @param {SuiteRunner} runner - Runner to listen to
+   * @param {string} outputPath - File to write the report to
+   * @returns {HtmlReporter} This reporter
+   */
+  attach(runner, outputPath) {
+    runner.on('run:end', async batchResults => {
+      const history = await this.loadHistory(batchResults);
+      await this.generateReport(batchResults, outputPath, history);
+      logger.info(`\n📄 HTML report generated: ${outputPath}`);
+    });
+    return this;
+  }
+
+  /**
+   * Load the runs before this one from the history store
+   * @param {Object} batchResults - Results of the current run
+   * @returns {Promise<Array<Object>>} Previous history entries, oldest first
+   */
+  async loadHistory(batchResults) {
+    if (!this.history) return [];
+    const entries = await this.history.load(LIMITS.HISTORY_RUNS + 1);
+    // The current run may already have been appended
+    return entries
+      .filter(entry => !batchResults.started || entry.started !== batchResults.started)
+      .slice(-LIMITS.HISTORY_RUNS);
   }
 
   /**
    * Generate HTML report from batch results
+   * @param {Object} batchResults - Results from SuiteRunner
+   * @param {string} outputPath - File to write the report to
+   * @param {Array<Object>} history - Previous runs, oldest first
    */
-  async generateReport(batchResults, outputPath) {
-    const html = this.buildHTML(batchResults);
+  async generateReport(batchResults, outputPath, history = []) {
+    const html = this.buildHTML(batchResults, history);
     await fs.writeFile(outputPath, html, 'utf-8');
     return outputPath;
   }
@@ -20,7 +60,7 @@ export class HtmlReporter {
   /**
    * Build the complete HTML document
    */
-  buildHTML(batchResults) {
+  buildHTML(batchResults, history = []) {
     const metrics = this.calculateMetrics(batchResults);
 
     return `<!DOCTYPE html>
@@ -37,6 +77,7 @@ export class HtmlReporter {
     <div class="container">
         ${this.buildHeader(metrics)}
         ${this.buildMetricsCards(metrics)}
+        ${this.buildTrends(batchResults, history)}
         ${this.buildFailedTestsSummary(batchResults)}
         ${this.buildAllTests(batchResults)}
         ${this.buildFooter(metrics)}
@@ -55,6 +96,7 @@ export class HtmlReporter {
     let totalTests = 0;
     let passedTests = 0;
     let failedTests = 0;
+    let skippedTests = 0;
     let totalDuration = 0;
     const scores = [];
 
@@ -62,7 +104,8 @@ export class HtmlReporter {
       if (suite.tests) {
         for (const test of suite.tests) {
           totalTests++;
-          if (test.success) passedTests++;
+          if (test.skipped) skippedTests++;
+          else if (test.success) passedTests++;
           else failedTests++;
 
           if (test.duration) totalDuration += test.duration;
@@ -83,18 +126,21 @@ export class HtmlReporter {
       }
     }
 
-    const passRate = totalTests > 0 ? Math.round((passedTests / totalTests) * 100) : 0;
+    // Skipped tests did not run, so they count towards neither rate nor latency
+    const executedTests = passedTests + failedTests;
+    const passRate = executedTests > 0 ? Math.round((passedTests / executedTests) * 100) : 0;
     const avgScore = scores.length > 0 ?
       (scores.reduce((a, b) => a + b, 0) / scores.length).toFixed(1) :
       'N/A';
-    const avgLatency = totalTests > 0 ?
-      Math.round(totalDuration / totalTests) :
+    const avgLatency = executedTests > 0 ?
+      Math.round(totalDuration / executedTests) :
       0;
 
     return {
       totalTests,
       passedTests,
       failedTests,
+      skippedTests,
       passRate,
       avgScore,
       avgLatency,
@@ -147,6 +193,11 @@ export class HtmlReporter {
           <div class="metric-value">${metrics.failedTests}</div>
           <div class="metric-label">FAILED</div>
         </div>
+        ${metrics.skippedTests ? `
+        <div class="metric-card">
+          <div class="metric-value">${metrics.skippedTests}</div>
+          <div class="metric-label">SKIPPED</div>
+        </div>` : ''}
         <div class="metric-card ${metrics.passRate >= 70 ? 'success' : 'warning'}">
           <div class="metric-value">${metrics.passRate}%</div>
           <div class="metric-label">PASS RATE</div>
@@ -163,6 +214,166 @@ export class HtmlReporter {
     `;
   }
 
+  /**
+   * Build the trends section from previous runs
+   * Shows pass rate and duration over time, judge score trends per test,
+   * and which tests started failing or passing since the previous run
+   * @param {Object} batchResults - Results of the current run
+   * @param {Array<Object>} history - Previous runs, oldest first
+   */
+  buildTrends(batchResults, history = []) {
+    if (history.length === 0) return '';
+
+    const current = createHistoryEntry(batchResults);
+    const runs = [...history, { ...current, started: current.started || this.timestamp }];
+    const label = run => (run.started ? new Date(run.started).toLocaleString('en-US') : 'unknown');
+
+    const passRateChart = this.buildLineChart(
+      runs.map(run => ({ label: label(run), value: run.passRate })),
+      { max: 100, unit: '%' }
+    );
+    const durationChart = this.buildLineChart(
+      runs.map(run => ({ label: label(run), value: Math.round(run.duration / 1000) })),
+      { unit: 's' }
+    );
+
+    return `
+      <section class="trends">
+        <h2>📈 Trends (last ${runs.length} runs)</h2>
+        <div class="trend-charts">
+          <div class="trend-chart">
+            <h3>Pass Rate</h3>
+            ${passRateChart}
+          </div>
+          <div class="trend-chart">
+            <h3>Duration</h3>
+            ${durationChart}
+          </div>
+        </div>
+        ${this.buildRunChanges(history[history.length - 1], current)}
+        ${this.buildScoreTrends(runs)}
+      </section>
+    `;
+  }
+
+  /**
+   * Build the list of tests that changed outcome since the previous run
+   */
+  buildRunChanges(previous, current) {
+    const { newlyFailing, newlyPassing } = compareRuns(previous, current);
+    const list = keys => keys.map(key => `<li>${escapeHtml(key)}</li>`).join('');
+
+    return `
+      <div class="run-changes">
+        <div class="run-change danger">
+          <h3>🔴 Newly Failing (${newlyFailing.length})</h3>
+          ${newlyFailing.length > 0 ? `<ul>${list(newlyFailing)}</ul>` : '<p>None</p>'}
+        </div>
+        <div class="run-change success">
+          <h3>🟢 Newly Passing (${newlyPassing.length})</h3>
+          ${newlyPassing.length > 0 ? `<ul>${list(newlyPassing)}</ul>` : '<p>None</p>'}
+        </div>
+      </div>
+    `;
+  }
+
+  /**
+   * Build the per-test judge score trends
+   * @param {Array<Object>} runs - History entries including the current run
+   */
+  buildScoreTrends(runs) {
+    const current = runs[runs.length - 1];
+    const rows = Object.keys(current.tests)
+      .map(key => ({ key, scores: runs.map(run => run.tests?.[key]?.score ?? null) }))
+      .filter(({ scores }) => scores.some(score => score !== null));
+
+    if (rows.length === 0) return '';
+
+    const rowsHTML = rows.map(({ key, scores }) => {
+      const known = scores.filter(score => score !== null);
+      const latest = scores[scores.length - 1];
+      const change = known.length > 1 ? known[known.length - 1] - known[known.length - 2] : 0;
+      const changeClass = change < 0 ? 'danger' : change > 0 ? 'success' : '';
+
+      return `
+        <tr>
+          <td>${escapeHtml(key)}</td>
+          <td>${this.buildSparkline(scores)}</td>
+          <td>${latest !== null ? latest.toFixed(2) : '-'}</td>
+          <td class="${changeClass}">${change ? `${change > 0 ? '+' : ''}${change.toFixed(2)}` : '-'}</td>
+        </tr>
+      `;
+    }).join('');
+
+    return `
+      <div class="score-trends">
+        <h3>Judge Scores</h3>
+        <table>
+          <thead>
+            <tr><th>Test</th><th>Trend</th><th>Latest</th><th>Change</th></tr>
+          </thead>
+          <tbody>${rowsHTML}</tbody>
+        </table>
+      </div>
+    `;
+  }
+
+  /**
+   * Build an inline SVG line chart
+   * @param {Array<Object>} points - Points { label, value }, oldest first
+   * @param {Object} options - { max, unit } - max defaults to the largest value
+   * @returns {string} SVG markup
+   */
+  buildLineChart(points, { max, unit = '' } = {}) {
+    const width = 520;
+    const height = 140;
+    const padding = 24;
+    const top = max ?? Math.max(1, ...points.map(p => p.value));
+    const step = points.length > 1 ? (width - padding * 2) / (points.length - 1) : 0;
+
+    const coords = points.map((point, i) => ({
+      ...point,
+      x: padding + i * step,
+      y: height - padding - (point.value / top) * (height - padding * 2)
+    }));
+
+    const polyline = coords.map(({ x, y }) => `${x.toFixed(1)},${y.toFixed(1)}`).join(' ');
+    const dots = coords.map(({ x, y, label, value }) =>
+      `<circle cx="${x.toFixed(1)}" cy="${y.toFixed(1)}" r="3"><title>${escapeHtml(label)}: ${value}${unit}</title></circle>`
+    ).join('');
+    const latest = points[points.length - 1];
+
+    return `
+      <svg class="line-chart" viewBox="0 0 ${width} ${height}" preserveAspectRatio="none">
+        <line class="axis" x1="${padding}" y1="${height - padding}" x2="${width - padding}" y2="${height - padding}"/>
+        <text class="axis-label" x="2" y="${padding}">${top}${unit}</text>
+        <text class="axis-label" x="2" y="${height - padding}">0</text>
+        <polyline points="${polyline}"/>
+        ${dots}
+      </svg>
+      <div class="chart-latest">Latest: ${latest.value}${unit}</div>
+    `;
+  }
+
+  /**
+   * Build a small inline SVG sparkline (scores between 0 and 1, gaps for null)
+   * @param {Array<number|null>} values - Values, oldest first
+   * @returns {string} SVG markup
+   */
+  buildSparkline(values) {
+    const width = 120;
+    const height = 24;
+    const step = values.length > 1 ? width / (values.length - 1) : 0;
+    const top = Math.max(1, ...values.filter(v => v !== null));
+
+    const points = values
+      .map((value, i) => (value === null ? null : `${(i * step).toFixed(1)},${(height - (value / top) * height).toFixed(1)}`))
+      .filter(Boolean)
+      .join(' ');
+
+    return `<svg class="sparkline" viewBox="0 0 ${width} ${height}" width="${width}" height="${height}"><polyline points="${points}"/></svg>`;
+  }
+
   /**
    * Build failed tests summary section
    */
@@ -267,13 +478,25 @@ export class HtmlReporter {
    * Build all tests section
    */
   buildAllTests(batchResults) {
-    const tabs = ['All Tests', 'Passed', 'Failed'];
+    const tabs = ['All Tests', 'Passed', 'Failed', 'Skipped'];
     let allTestsHTML = '';
 
     for (const suite of batchResults.suites || []) {
       if (!suite.tests || suite.tests.length === 0) continue;
 
       const suiteTests = suite.tests.map(test => {
+        if (test.skipped) {
+          return `
+          <div class="test-item skipped" data-status="skipped">
+            <div class="test-item-header">
+              <span class="skipped-icon">⏭</span>
+              <span class="test-name">${test.name || test.id}</span>
+              <span class="test-duration">skipped: ${test.reason}</span>
+            </div>
+          </div>
+        `;
+        }
+
         const status = test.success ? 'passed' : 'failed';
         const icon = test.success ? '✓' : '✗';
 
@@ -413,6 +636,45 @@ export class HtmlReporter {
       `;
     }
 
+    // Add skipped blocks (branches not taken, forward jumps)
+    const skippedBlocks = (test.summary?.blockResults || []).filter(b => b.skipped);
+    if (skippedBlocks.length > 0) {
+      const skippedHTML = skippedBlocks.map(block => `
+        <div class="assertion skipped">
+          <span class="icon">⏭</span>
+          <span>${block.id}${block.reason ? ` (${block.reason})` : ''}</span>
+        </div>
+      `).join('');
+
+      details += `
+        <div class="detail-section">
+          <h4>Skipped Blocks:</h4>
+          ${skippedHTML}
+        </div>
+      `;
+    }
+
+    // Add retry history for blocks that needed more than one attempt
+    const retriedBlocks = (test.summary?.blockResults || []).filter(b => b.attempts?.length > 1);
+    if (retriedBlocks.length > 0) {
+      const retriesHTML = retriedBlocks.map(block => {
+        const attemptsHTML = block.attempts.map(attempt => `
+          <div class="assertion ${attempt.error ? 'failed' : 'passed'}">
+            <span class="icon">${attempt.error ? '✗' : '✓'}</span>
+            <span>#${attempt.attempt} (${attempt.duration}ms)${attempt.error ? `: ${attempt.error}` : ''}</span>
+          </div>
+        `).join('');
+        return `<p><strong>${block.id}</strong> - ${block.attempts.length} attempts</p>${attemptsHTML}`;
+      }).join('');
+
+      details += `
+        <div class="detail-section">
+          <h4>Retries:</h4>
+          ${retriesHTML}
+        </div>
+      `;
+    }
+
     // Add error if present
     if (test.error) {
       details += `
@@ -677,6 +939,15 @@ export class HtmlReporter {
         font-size: 18px;
       }
 
+      .skipped-icon {
+        color: #a0aec0;
+        font-size: 18px;
+      }
+
+      .test-item.skipped .test-name {
+        color: #718096;
+      }
+
       .test-name {
         flex: 1;
         font-weight: 500;
@@ -744,6 +1015,10 @@ export class HtmlReporter {
         color: #742a2a;
       }
 
+      .assertion.skipped {
+        color: #718096;
+      }
+
       .ai-response {
         background: #f0f9ff;
         border: 1px solid #90cdf4;
@@ -799,6 +1074,95 @@ export class HtmlReporter {
         opacity: 0.8;
       }
 
+      .trends {
+        padding: 30px;
+        border-bottom: 1px solid #e9ecef;
+      }
+
+      .trends h2 {
+        margin-bottom: 20px;
+        color: #333;
+      }
+
+      .trends h3 {
+        font-size: 14px;
+        color: #666;
+        text-transform: uppercase;
+        margin-bottom: 10px;
+      }
+
+      .trend-charts, .run-changes {
+        display: grid;
+        grid-template-columns: repeat(auto-fit, minmax(300px, 1fr));
+        gap: 20px;
+        margin-bottom: 20px;
+      }
+
+      .trend-chart, .run-change {
+        background: #f8f9fa;
+        border-radius: 8px;
+        padding: 15px;
+      }
+
+      .line-chart {
+        width: 100%;
+        height: 140px;
+      }
+
+      .line-chart polyline, .sparkline polyline {
+        fill: none;
+        stroke: #667eea;
+        stroke-width: 2;
+      }
+
+      .line-chart circle {
+        fill: #667eea;
+      }
+
+      .line-chart .axis {
+        stroke: #ccc;
+      }
+
+      .line-chart .axis-label {
+        font-size: 10px;
+        fill: #999;
+      }
+
+      .chart-latest {
+        font-size: 12px;
+        color: #666;
+      }
+
+      .run-change ul {
+        padding-left: 20px;
+        font-size: 14px;
+      }
+
+      .run-change p {
+        font-size: 14px;
+        color: #999;
+      }
+
+      .run-change.danger h3, .score-trends .danger {
+        color: #d9534f;
+      }
+
+      .run-change.success h3, .score-trends .success {
+        color: #5cb85c;
+      }
+
+      .score-trends table {
+        width: 100%;
+        border-collapse: collapse;
+        font-size: 14px;
+      }
+
+      .score-trends th, .score-trends td {
+        text-align: left;
+        padding: 8px;
+        border-bottom: 1px solid #e9ecef;
+      }
+
       @media (max-width: 768px) {
         .metrics-grid {
           grid-template-columns: repeat(2, 1fr);
@@ -835,9 +1199,22 @@ export class HtmlReporter {
             item.style.display = item.dataset.status === 'passed' ? 'block' : 'none';
           } else if (filter === 'failed') {
             item.style.display = item.dataset.status === 'failed' ? 'block' : 'none';
+          } else if (filter === 'skipped') {
+            item.style.display = item.dataset.status === 'skipped' ? 'block' : 'none';
           }
         });
       }
     `;
   }
 }
+
+/**
+ * Escape text for use in HTML
+ */
+function escapeHtml(text) {
+  return String(text ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
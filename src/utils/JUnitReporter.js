@@ -0,0 +1,207 @@
+import fs from 'fs/promises';
+import { logger } from './logger.js';
+import { describeFailures } from './failures.js';
+
+/**
+ * JUnit Reporter - Writes test results as JUnit XML for CI systems
+ *
+ * Each suite becomes a <testsuite> and each test a <testcase>. Failed
+ * assertions and failed pipeline blocks become <failure> elements, tests that
+ * threw become <error> elements, and skipped tests get a <skipped> element.
+ * A suite whose setup failed, or that could not be loaded, is reported as a
+ * single errored testcase so CI still shows it.
+ */
+export class JUnitReporter {
+  constructor() {
+    this.timestamp = new Date().toISOString();
+  }
+
+  /**
+   * Write the report when a SuiteRunner finishes its run
+   * @param {SuiteRunner} runner - Runner to listen to
+   * @param {string} outputPath - File to write the report to
+   * @returns {JUnitReporter} This reporter
+   */
+  attach(runner, outputPath) {
+    runner.on('run:end', async batchResults => {
+      await this.generateReport(batchResults, outputPath);
+      logger.info(`\n📄 JUnit report generated: ${outputPath}`);
+    });
+    return this;
+  }
+
+  /**
+   * Generate JUnit XML report from batch results
+   */
+  async generateReport(batchResults, outputPath) {
+    const xml = this.buildXML(batchResults);
+    await fs.writeFile(outputPath, xml, 'utf-8');
+    return outputPath;
+  }
+
+  /**
+   * Build the complete XML document
+   */
+  buildXML(batchResults) {
+    const suites = (batchResults.suites || []).map(suite => this.buildSuite(suite));
+    const totals = suites.reduce((sum, suite) => ({
+      tests: sum.tests + suite.counts.tests,
+      failures: sum.failures + suite.counts.failures,
+      errors: sum.errors + suite.counts.errors,
+      skipped: sum.skipped + suite.counts.skipped
+    }), { tests: 0, failures: 0, errors: 0, skipped: 0 });
+
+    const attributes = formatAttributes({
+      name: 'SemanticTest',
+      ...totals,
+      time: seconds(batchResults.totalDuration),
+      timestamp: batchResults.started || this.timestamp
+    });
+
+    return [
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      `<testsuites ${attributes}>`,
+      ...suites.map(suite => suite.xml),
+      '</testsuites>',
+      ''
+    ].join('\n');
+  }
+
+  /**
+   * Build the <testsuite> element of one suite
+   * @param {Object} suite - Suite result from SuiteRunner.runSuite
+   * @returns {Object} { xml, counts }
+   */
+  buildSuite(suite) {
+    const testCases = (suite.tests || []).map(test => this.buildTestCase(test, suite.name));
+
+    // Without test results the suite itself failed (load error or setup failure)
+    const suiteError = suite.error || suite.setupError;
+    if (suiteError && testCases.length === 0) {
+      const name = suite.setupError ? 'setup' : suite.name;
+      testCases.push({
+        status: 'error',
+        xml: [
+          `    <testcase ${formatAttributes({ name, classname: suite.name, time: seconds(0) })}>`,
+          `      ${this.buildResultElement('error', suiteError, suite.stack || suiteError, suite.setupError ? 'SetupError' : 'SuiteError')}`,
+          '    </testcase>'
+        ].join('\n')
+      });
+    }
+
+    const counts = {
+      tests: testCases.length,
+      failures: testCases.filter(t => t.status === 'failure').length,
+      errors: testCases.filter(t => t.status === 'error').length,
+      skipped: testCases.filter(t => t.status === 'skipped').length
+    };
+
+    const attributes = formatAttributes({
+      name: suite.name,
+      ...counts,
+      time: seconds(suite.totalDuration),
+      timestamp: this.timestamp,
+      file: suite.file
+    });
+
+    return {
+      counts,
+      xml: [
+        `  <testsuite ${attributes}>`,
+        ...testCases.map(t => t.xml),
+        '  </testsuite>'
+      ].join('\n')
+    };
+  }
+
+  /**
+   * Build the <testcase> element of one test
+   * @param {Object} test - Test result
+   * @param {string} suiteName - Name of the suite, used as classname
+   * @returns {Object} { xml, status } - status is passed, failure, error or skipped
+   */
+  buildTestCase(test, suiteName) {
+    const attributes = formatAttributes({
+      name: test.name || test.id,
+      classname: suiteName,
+      time: seconds(test.duration)
+    });
+
+    let status = 'passed';
+    let child = null;
+
+    if (test.skipped) {
+      status = 'skipped';
+      child = `<skipped message="${escapeXml(test.reason || '')}"/>`;
+    } else if (!test.success && test.error) {
+      // The test threw before producing a pipeline result
+      status = 'error';
+      child = this.buildResultElement('error', test.error, test.stack || test.error, 'Error');
+    } else if (!test.success) {
+      status = 'failure';
+      const details = describeFailures(test);
+      child = this.buildResultElement('failure', details[0], details.join('\n'), 'AssertionError');
+    }
+
+    if (!child) {
+      return { status, xml: `    <testcase ${attributes}/>` };
+    }
+
+    return {
+      status,
+      xml: [
+        `    <testcase ${attributes}>`,
+        `      ${child}`,
+        '    </testcase>'
+      ].join('\n')
+    };
+  }
+
+  /**
+   * Build a <failure> or <error> element
+   */
+  buildResultElement(tag, message, body, type) {
+    return `<${tag} ${formatAttributes({ message, type })}>${escapeXml(body)}</${tag}>`;
+  }
+}
+
+/**
+ * Escape a value for use in XML text or attributes
+ * @param {any} value - Value to escape
+ * @returns {string} Escaped string
+ */
+export function escapeXml(value) {
+  return Array.from(String(value ?? '')).filter(isValidXmlChar).join('')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+/**
+ * Whether XML 1.0 allows a character, even escaped: control characters other
+ * than tab and line breaks, U+FFFE and U+FFFF are not allowed
+ */
+function isValidXmlChar(char) {
+  const code = char.charCodeAt(0);
+  if (code < 0x20) return code === 0x09 || code === 0x0a || code === 0x0d;
+  return code !== 0xfffe && code !== 0xffff;
+}
+
+/**
+ * Format attributes, leaving out undefined values
+ */
+function formatAttributes(attributes) {
+  return Object.entries(attributes)
+    .filter(([, value]) => value !== undefined && value !== null)
+    .map(([name, value]) => `${name}="${escapeXml(value)}"`)
+    .join(' ');
+}
+
+/**
+ * Convert milliseconds to the seconds JUnit expects
+ */
+function seconds(ms) {
+  return ((ms || 0) / 1000).toFixed(3);
+}
@@ -0,0 +1,136 @@
+import fs from 'fs/promises';
+import { logger } from './logger.js';
+import { RESULTS_SCHEMA } from './constants.js';
+
+/**
+ * JSON Reporter - Writes the complete batch results as a versioned JSON document
+ *
+ * The document is the batchResults structure of SuiteRunner (suites, tests,
+ * assertion checks, pipeline summaries, setup/teardown results, timestamps)
+ * plus `schema`, `schemaVersion` and a `summary` of the counts. Files written
+ * here can be read back with loadResults() to regenerate other reports.
+ */
+export class JsonReporter {
+  /**
+   * Write the results when a SuiteRunner finishes its run
+   * @param {SuiteRunner} runner - Runner to listen to
+   * @param {string} outputPath - File to write the results to
+   * @returns {JsonReporter} This reporter
+   */
+  attach(runner, outputPath) {
+    runner.on('run:end', async batchResults => {
+      await this.generateReport(batchResults, outputPath);
+      logger.info(`\n📄 JSON results written: ${outputPath}`);
+    });
+    return this;
+  }
+
+  /**
+   * Write batch results to a JSON file
+   */
+  async generateReport(batchResults, outputPath) {
+    const document = this.buildResults(batchResults);
+    await fs.writeFile(outputPath, `${JSON.stringify(document, null, 2)}\n`, 'utf-8');
+    return outputPath;
+  }
+
+  /**
+   * Build the results document
+   * @param {Object} batchResults - Results from SuiteRunner
+   * @returns {Object} Document following the results schema
+   */
+  buildResults(batchResults) {
+    const suites = batchResults.suites || [];
+    const tests = suites.flatMap(suite => suite.tests || []);
+
+    return {
+      schema: RESULTS_SCHEMA.NAME,
+      schemaVersion: RESULTS_SCHEMA.VERSION,
+      started: batchResults.started,
+      finished: batchResults.finished,
+      totalDuration: batchResults.totalDuration,
+      summary: {
+        suites: suites.length,
+        passedSuites: suites.filter(s => s.success).length,
+        failedSuites: suites.filter(s => !s.success).length,
+        tests: tests.length,
+        passed: tests.filter(t => t.success && !t.skipped).length,
+        failed: tests.filter(t => !t.success).length,
+        skipped: tests.filter(t => t.skipped).length
+      },
+      suites: toSerializable(suites.map(withoutContext))
+    };
+  }
+}
+
+/**
+ * Leave the pipeline context out of a suite's test results
+ * The context holds resolved `${env.*}` values and auth config, and results
+ * files are meant to be shared as CI artifacts
+ */
+function withoutContext(suite) {
+  if (!suite.tests) return suite;
+  return {
+    ...suite,
+    tests: suite.tests.map(test => {
+      if (!test.result?.context) return test;
+      const { context: _context, ...result } = test.result;
+      return { ...test, result };
+    })
+  };
+}
+
+/**
+ * Read a results file written by JsonReporter back into batch results
+ * @param {string} filePath - Results file
+ * @returns {Promise<Object>} Batch results { suites, started, finished, totalDuration }
+ * @throws {Error} If the file is not a results file or uses a newer schema version
+ */
+export async function loadResults(filePath) {
+  const document = JSON.parse(await fs.readFile(filePath, 'utf-8'));
+
+  if (document?.schema !== RESULTS_SCHEMA.NAME) {
+    throw new Error(`${filePath} is not a SemanticTest results file (missing schema '${RESULTS_SCHEMA.NAME}')`);
+  }
+  if (!(document.schemaVersion <= RESULTS_SCHEMA.VERSION)) {
+    throw new Error(
+      `Unsupported results schema version ${document.schemaVersion} in ${filePath} ` +
+      `(this version reads up to ${RESULTS_SCHEMA.VERSION})`
+    );
+  }
+
+  const { started, finished, totalDuration, suites } = document;
+  return { suites: suites || [], started, finished, totalDuration };
+}
+
+/**
+ * Convert a value into plain JSON data
+ * Errors keep their name and message, objects with toJSON() are converted with it,
+ * Maps and Sets become objects and arrays, circular references are replaced,
+ * and functions are dropped
+ * @param {any} value - Value to convert
+ * @param {Array} ancestors - Objects above this value (to detect cycles)
+ * @returns {any} JSON-safe value
+ */
+export function toSerializable(value, ancestors = []) {
+  if (typeof value === 'bigint') return value.toString();
+  if (typeof value === 'function' || typeof value === 'symbol') return undefined;
+  if (value === null || typeof value !== 'object') return value;
+  if (value instanceof Date) return value.toISOString();
+  if (value instanceof Error) return { name: value.name, message: value.message };
+  if (typeof value.toJSON === 'function') return toSerializable(value.toJSON(), ancestors);
+  if (ancestors.includes(value)) return '[Circular]';
+
+  const path = [...ancestors, value];
+  if (Array.isArray(value) || value instanceof Set) {
+    return [...value].map(item => toSerializable(item, path) ?? null);
+  }
+
+  const entries = value instanceof Map ? [...value.entries()] : Object.entries(value);
+  const result = {};
+  for (const [key, item] of entries) {
+    const converted = toSerializable(item, path);
+    if (converted !== undefined) result[key] = converted;
+  }
+  return result;
+}
@@ -0,0 +1,174 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { logger } from './logger.js';
+import { describeFailures } from './failures.js';
+
+/**
+ * Markdown Reporter - Writes a compact summary for pull request comments
+ *
+ * The summary is a table with one row per suite, followed by a collapsible
+ * <details> section for each failed test with its failed assertions and
+ * blocks, and the reasoning of its judges. It can be written to a file, or
+ * appended to the GitHub Actions job summary ($GITHUB_STEP_SUMMARY).
+ */
+export class MarkdownReporter {
+  /**
+   * Write the summary when a SuiteRunner finishes its run
+   * @param {SuiteRunner} runner - Runner to listen to
+   * @param {string} outputPath - File to write the summary to
+   * @param {Object} options - { append: add to the file instead of replacing it }
+   * @returns {MarkdownReporter} This reporter
+   */
+  attach(runner, outputPath, options = {}) {
+    runner.on('run:end', async batchResults => {
+      await this.generateReport(batchResults, outputPath, options);
+      logger.info(`\n📝 Markdown summary written: ${outputPath}`);
+    });
+    return this;
+  }
+
+  /**
+   * Generate the Markdown summary from batch results
+   */
+  async generateReport(batchResults, outputPath, { append = false } = {}) {
+    const markdown = this.buildMarkdown(batchResults);
+    await fs.mkdir(path.dirname(path.resolve(outputPath)), { recursive: true });
+
+    if (append) {
+      await fs.appendFile(outputPath, `${markdown}\n`, 'utf-8');
+    } else {
+      await fs.writeFile(outputPath, markdown, 'utf-8');
+    }
+    return outputPath;
+  }
+
+  /**
+   * Build the complete Markdown document
+   * @param {Object} batchResults - Results from SuiteRunner
+   * @returns {string} Markdown
+   */
+  buildMarkdown(batchResults) {
+    const suites = (batchResults.suites || []).map(suite => ({ suite, counts: countTests(suite) }));
+    const totals = suites.reduce((sum, { counts }) => ({
+      passed: sum.passed + counts.passed,
+      failed: sum.failed + counts.failed,
+      skipped: sum.skipped + counts.skipped
+    }), { passed: 0, failed: 0, skipped: 0 });
+    const success = suites.every(({ suite }) => suite.success);
+
+    const headline = [`${totals.passed} passed`, `${totals.failed} failed`];
+    if (totals.skipped > 0) headline.push(`${totals.skipped} skipped`);
+
+    const lines = [
+      `## ${success ? '✅' : '❌'} SemanticTest: ${headline.join(', ')}`,
+      '',
+      '| Suite | Passed | Failed | Skipped | Duration |',
+      '| --- | ---: | ---: | ---: | ---: |',
+      ...suites.map(({ suite, counts }) =>
+        `| ${suite.success ? '✅' : '❌'} ${escapeCell(suite.name)} | ${counts.passed} | ${counts.failed} | ` +
+        `${counts.skipped} | ${formatDuration(suite.totalDuration)} |`
+      ),
+      `| **Total** | **${totals.passed}** | **${totals.failed}** | **${totals.skipped}** | ` +
+        `**${formatDuration(batchResults.totalDuration)}** |`
+    ];
+
+    const failures = suites.flatMap(({ suite }) => this.buildSuiteFailures(suite));
+    if (failures.length > 0) {
+      lines.push('', '### Failures', '', ...failures);
+    }
+
+    return `${lines.join('\n')}\n`;
+  }
+
+  /**
+   * Build the failure sections of one suite
+   * A suite that failed to load or set up gets one section for the whole suite
+   * @param {Object} suite - Suite result
+   * @returns {Array<string>} Lines
+   */
+  buildSuiteFailures(suite) {
+    const suiteError = suite.error || suite.setupError;
+    if (suiteError && !(suite.tests?.length > 0)) {
+      const message = suite.setupError ? `Setup failed: ${suiteError}` : suiteError;
+      return buildDetails(escapeHtml(suite.name), [`- ${escapeHtml(message)}`]);
+    }
+
+    return (suite.tests || [])
+      .filter(test => !test.success && !test.skipped)
+      .flatMap(test => this.buildTestFailure(test, suite.name));
+  }
+
+  /**
+   * Build the collapsible section of a failed test
+   * @param {Object} test - Test result
+   * @param {string} suiteName - Suite the test belongs to
+   * @returns {Array<string>} Lines
+   */
+  buildTestFailure(test, suiteName) {
+    const title = `${escapeHtml(suiteName)} › ${escapeHtml(test.id || test.name)}`;
+    const summary = test.name && test.name !== test.id ?
+      `<strong>${title}</strong>: ${escapeHtml(test.name)}` :
+      `<strong>${title}</strong>`;
+
+    const body = describeFailures(test).map(line => `- ${escapeHtml(line)}`);
+
+    for (const [slot, judge] of getJudgeResults(test)) {
+      const score = typeof judge.score === 'number' ? ` (score ${judge.score})` : '';
+      body.push('', `**${escapeHtml(slot)}**${score}`, '');
+      body.push(...String(judge.reasoning).split('\n').map(line => `> ${escapeHtml(line)}`.trimEnd()));
+    }
+
+    return buildDetails(summary, body);
+  }
+}
+
+/**
+ * Count the passed, failed and skipped tests of a suite
+ */
+function countTests(suite) {
+  const tests = suite.tests || [];
+  const skipped = tests.filter(test => test.skipped).length;
+  const passed = tests.filter(test => test.success && !test.skipped).length;
+  // A suite that failed before its tests ran counts as one failure
+  const failed = tests.length > 0 ? tests.length - passed - skipped : Number(!suite.success);
+  return { passed, failed, skipped };
+}
+
+/**
+ * Judge results of a test (slots whose name contains "judge" and that hold reasoning)
+ */
+function getJudgeResults(test) {
+  return Object.entries(test.result?.data || {})
+    .filter(([slot, value]) => slot.toLowerCase().includes('judge') && value?.reasoning);
+}
+
+/**
+ * Build a <details> section; blank lines around the body let GitHub render it as Markdown
+ */
+function buildDetails(summary, body) {
+  return ['<details>', `<summary>${summary}</summary>`, '', ...body, '', '</details>', ''];
+}
+
+/**
+ * Format a duration in milliseconds as seconds
+ */
+function formatDuration(ms) {
+  return `${((ms || 0) / 1000).toFixed(1)}s`;
+}
+
+/**
+ * Escape text for use inside HTML elements and Markdown
+ */
+function escapeHtml(text) {
+  return String(text ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;');
+}
+
+/**
+ * Escape text for use in a table cell
+ */
+function escapeCell(text) {
+  return escapeHtml(text).replace(/\|/g, '\\|').replace(/\n/g, ' ');
+}
@@ -3,6 +3,7 @@ import fs from 'fs/promises';
 import path from 'path';
 import { LIMITS, SEPARATORS } from './constants.js';
 import { logger } from './logger.js';
+import { COMPARE_DEFAULTS, formatScore, formatDelta } from './compare.js';
 
 /**
  * Reporter - Formats and outputs test results
@@ -13,19 +14,34 @@ export class Reporter {
     this.outputFile = options.outputFile;
   }
 
+  /**
+   * Report results as they arrive from a SuiteRunner
+   * @param {SuiteRunner} runner - Runner to listen to
+   * @returns {Reporter} This reporter
+   */
+  attach(runner) {
+    runner.on('test:end', result => this.reportTest(result));
+    runner.on('suite:end', suiteResult => this.reportSuite(suiteResult));
+    runner.on('batch:end', batchResults => this.reportBatchSummary(batchResults));
+    return this;
+  }
+
   /**
    * Calculate test statistics
    */
   getStats(results) {
-    const passed = results.filter(r => r.success).length;
+    const skipped = results.filter(r => r.skipped).length;
+    const passed = results.filter(r => r.success && !r.skipped).length;
     const failed = results.filter(r => !r.success).length;
     const total = results.length;
-    const passRate = total > 0 ? (passed / total * 100).toFixed(1) : 0;
+    const executed = passed + failed;
+    const passRate = executed > 0 ? (passed / executed * 100).toFixed(1) : 0;
     const totalDuration = results.reduce((sum, r) => sum + (r.duration || 0), 0);
 
     return {
       passed,
       failed,
+      skipped,
       total,
       passRate,
       totalDuration
@@ -43,6 +59,11 @@ export class Reporter {
    * Console reporter for single test
    */
   reportTestConsole(result) {
+    if (result.skipped) {
+      logger.report(`\n⏭  Test: ${chalk.bold(result.name)} - ${chalk.gray(`SKIPPED (${result.reason})`)}`);
+      return;
+    }
+
     const icon = result.success ? '✅' : '❌';
     const status = result.success ? chalk.green('PASSED') : chalk.red('FAILED');
 
@@ -144,15 +165,41 @@ export class Reporter {
       if (result.summary.failed > 0) {
         logger.report(chalk.red(`  Failed: ${result.summary.failed}`));
       }
+      if (result.summary.skipped > 0) {
+        logger.report(chalk.gray(`  Skipped: ${result.summary.skipped}`));
+      }
       logger.report(`  Total time: ${result.summary.totalDuration}ms`);
 
+      // Report skipped blocks (branches not taken, forward jumps)
+      const skippedBlocks = (result.summary.blockResults || []).filter(b => b.skipped);
+      if (skippedBlocks.length > 0) {
+        logger.report('\n⏭  Skipped Blocks:');
+        for (const block of skippedBlocks) {
+          logger.report(chalk.gray(`  - ${block.id}${block.reason ? ` (${block.reason})` : ''}`));
+        }
+      }
+
+      // Report retry history for blocks that needed more than one attempt
+      const retriedBlocks = (result.summary.blockResults || []).filter(b => b.attempts?.length > 1);
+      if (retriedBlocks.length > 0) {
+        logger.report('\n🔁 Retried Blocks:');
+        for (const block of retriedBlocks) {
+          logger.report(`  ${block.id}: ${block.attempts.length} attempts`);
+          for (const attempt of block.attempts) {
+            const outcome = attempt.error ? chalk.red(attempt.error) : chalk.green('ok');
+            logger.report(chalk.gray(`     #${attempt.attempt} (${attempt.duration}ms): `) + outcome);
+          }
+        }
+      }
+
       // Report failed blocks specifically
       if (result.summary.blockResults && result.summary.blockResults.length > 0) {
         const failedBlocks = result.summary.blockResults.filter(b => !b.success);
         if (failedBlocks.length > 0) {
           logger.report('\n❌ Failed Blocks:');
           for (const block of failedBlocks) {
-            logger.report(chalk.red(`  ✗ ${block.id} (${block.type || 'unknown'}): ${block.error}`));
+            const label = block.failureType === 'timeout' ? '⏱ timeout' : block.type || 'unknown';
+            logger.report(chalk.red(`  ✗ ${block.id} (${label}): ${block.error}`));
             // Show more details about the failure
             if (block.inputs) {
               logger.report(chalk.gray(`     Input: ${JSON.stringify(block.inputs).substring(0, 100)}...`));
@@ -162,7 +209,7 @@ export class Reporter {
             }
           }
           // Show if execution was stopped early
-          if (result.summary.executed < result.summary.totalBlocks) {
+          if (result.summary.executed + (result.summary.skipped || 0) < result.summary.totalBlocks) {
             logger.report(chalk.yellow(`\n  ⚠️  Pipeline stopped early at block ${result.summary.executed} of ${result.summary.totalBlocks}`));
             logger.report(chalk.yellow(`      Remaining blocks were not executed due to failure`));
           }
@@ -202,17 +249,22 @@ export class Reporter {
    */
   reportSuite(suiteResult) {
     const status = suiteResult.success ? chalk.green('✅ PASSED') : chalk.red('❌ FAILED');
-    const passed = suiteResult.tests?.filter(t => t.success).length || 0;
-    const failed = suiteResult.tests?.filter(t => !t.success).length || 0;
+    const { passed, failed, skipped, total } = this.getStats(suiteResult.tests || []);
+    const skippedText = skipped > 0 ? `${skipped} skipped, ` : '';
 
     logger.report(`\n${status} Suite: ${suiteResult.name}`);
     logger.report(`⏱  Total duration: ${suiteResult.totalDuration}ms`);
-    logger.report(`📊 Tests: ${passed} passed, ${failed} failed, ${suiteResult.tests?.length || 0} total`);
+    logger.report(`📊 Tests: ${passed} passed, ${failed} failed, ${skippedText}${total} total`);
 
     // Show individual test results
     if (suiteResult.tests && suiteResult.tests.length > 0) {
       logger.report('\n📝 Test Results:');
       for (const test of suiteResult.tests) {
+        if (test.skipped) {
+          logger.report(chalk.gray(`  ⏭ ${test.name} (skipped: ${test.reason})`));
+          continue;
+        }
+
         const icon = test.success ? '✓' : '✗';
         const color = test.success ? chalk.green : chalk.red;
         logger.report(`  ${color(icon)} ${test.name} (${test.duration}ms)`);
@@ -249,22 +301,14 @@ export class Reporter {
     const passedSuites = batchResults.suites.filter(s => s.success).length;
     const failedSuites = batchResults.suites.filter(s => !s.success).length;
 
-    let totalTests = 0;
-    let passedTests = 0;
-    let failedTests = 0;
-
-    for (const suite of batchResults.suites) {
-      if (suite.tests) {
-        totalTests += suite.tests.length;
-        passedTests += suite.tests.filter(t => t.success).length;
-        failedTests += suite.tests.filter(t => !t.success).length;
-      }
-    }
-
-    const passRate = totalTests > 0 ? Math.round((passedTests / totalTests) * 100) : 0;
+    const allTests = batchResults.suites.flatMap(suite => suite.tests || []);
+    const { passed: passedTests, failed: failedTests, skipped, total: totalTests } = this.getStats(allTests);
+    const executed = passedTests + failedTests;
+    const passRate = executed > 0 ? Math.round((passedTests / executed) * 100) : 0;
+    const skippedText = skipped > 0 ? `${skipped} skipped, ` : '';
 
     logger.report(`\n📋 Suites: ${passedSuites} passed, ${failedSuites} failed, ${totalSuites} total`);
-    logger.report(`🧪 Tests: ${passedTests} passed, ${failedTests} failed, ${totalTests} total`);
+    logger.report(`🧪 Tests: ${passedTests} passed, ${failedTests} failed, ${skippedText}${totalTests} total`);
     logger.report(`📈 Pass Rate: ${passRate}%`);
     logger.report(`⏱  Total Duration: ${Math.round(batchResults.totalDuration / 1000)}s`);
 
@@ -289,6 +333,90 @@ export class Reporter {
     logger.report(`\n${SEPARATORS.THICK.repeat(SEPARATORS.LENGTH)}\n`);
   }
 
+  /**
+   * Report static check results (semtest check)
+   * @param {Array<Object>} issues - Issues { severity, location, message }
+   * @param {number} suiteCount - Number of suites checked
+   */
+  reportCheck(issues, suiteCount) {
+    const errors = issues.filter(i => i.severity === 'error');
+    const warnings = issues.filter(i => i.severity !== 'error');
+
+    for (const issue of [...errors, ...warnings]) {
+      const icon = issue.severity === 'error' ? chalk.red('✗') : chalk.yellow('⚠');
+      const where = issue.location ? `${chalk.gray(issue.location)}: ` : '';
+      logger.report(`${icon} ${where}${issue.message}`);
+    }
+
+    const summary = `${errors.length} error${errors.length === 1 ? '' : 's'}, ` +
+      `${warnings.length} warning${warnings.length === 1 ? '' : 's'} in ${suiteCount} suite${suiteCount === 1 ? '' : 's'}`;
+
+    if (errors.length > 0) {
+      logger.report(chalk.red(`\n❌ ${summary}`));
+    } else if (warnings.length > 0) {
+      logger.report(chalk.yellow(`\n⚠️  ${summary}`));
+    } else {
+      logger.report(chalk.green(`\n✅ ${summary}`));
+    }
+  }
+
+  /**
+   * Report a comparison against a baseline run (semtest compare, --baseline)
+   * @param {Object} comparison - Result of compareResults
+   * @param {Object} labels - { baseline, current } names of the compared runs
+   */
+  reportComparison(comparison, labels = {}) {
+    const { tests, regressions, summary, thresholds } = comparison;
+
+    logger.report(`\n${SEPARATORS.THICK.repeat(SEPARATORS.LENGTH)}`);
+    logger.report(chalk.bold.cyan('📊 BASELINE COMPARISON'));
+    if (labels.baseline) {
+      logger.report(chalk.gray(`${labels.baseline} → ${labels.current || 'current run'}`));
+    }
+    logger.report(SEPARATORS.THICK.repeat(SEPARATORS.LENGTH));
+
+    for (const test of tests) {
+      if (test.status === 'regressed') {
+        logger.report(chalk.red(`  ✗ ${test.key}: passed → ${test.current ? 'failed' : 'did not run'}`));
+      } else if (test.status === 'fixed') {
+        logger.report(chalk.green(`  ✓ ${test.key}: failed → passed`));
+      } else if (test.status === 'added') {
+        logger.report(chalk.gray(`  + ${test.key} (new test)`));
+      } else if (test.status === 'removed') {
+        logger.report(chalk.gray(`  - ${test.key} (not in this run)`));
+      }
+
+      for (const { block, baseline, current, delta } of test.scoreDeltas || []) {
+        const color = delta < 0 ? chalk.red : chalk.green;
+        const arrow = delta < 0 ? '↓' : '↑';
+        logger.report(color(`  ${arrow} ${test.key}: ${block} ${formatScore(baseline)} → ${formatScore(current)} (${formatDelta(delta)})`));
+      }
+
+      if (Math.abs(test.durationChange || 0) >= COMPARE_DEFAULTS.NOTABLE_DURATION_CHANGE) {
+        const percent = Math.round(test.durationChange * 100);
+        const color = percent > 0 ? chalk.yellow : chalk.gray;
+        logger.report(color(`  ⏱ ${test.key}: ${test.baseline.duration}ms → ${test.current.duration}ms (${percent > 0 ? '+' : ''}${percent}%)`));
+      }
+    }
+
+    logger.report(`\n🧪 Compared: ${summary.compared} tests, ${summary.regressed} regressed, ${summary.fixed} fixed, ` +
+      `${summary.added} added, ${summary.removed} removed`);
+
+    const limits = [`score drop > ${thresholds.scoreThreshold}`];
+    if (thresholds.durationThreshold !== undefined) limits.push(`slowdown > ${thresholds.durationThreshold}%`);
+
+    if (regressions.length > 0) {
+      logger.report(chalk.red(`\n❌ ${regressions.length} regression${regressions.length === 1 ? '' : 's'} (${limits.join(', ')}):`));
+      for (const regression of regressions) {
+        logger.report(chalk.red(`  • ${regression.message}`));
+      }
+    } else {
+      logger.report(chalk.green(`\n✅ No regressions (${limits.join(', ')})`));
+    }
+
+    logger.report(`\n${SEPARATORS.THICK.repeat(SEPARATORS.LENGTH)}\n`);
+  }
+
   /**
    * Report final summary
    */
@@ -0,0 +1,136 @@
+import { logger } from './logger.js';
+import { describeFailures } from './failures.js';
+
+const INDENT = '    '; // Subtests are indented by four spaces
+
+/**
+ * TAP Reporter - Prints results in the Test Anything Protocol (version 14)
+ *
+ * Every suite is a subtest whose test points are the suite's tests. Failed
+ * tests carry a YAML diagnostic block listing their failed assertions and
+ * blocks; skipped tests use the SKIP directive. The document is printed when
+ * the run ends, so suites running concurrently still produce a valid stream.
+ * It is the only output on stdout: the CLI sends progress logging to stderr
+ * when TAP is selected.
+ */
+export class TapReporter {
+  /**
+   * Print the TAP document when a SuiteRunner finishes its run
+   * @param {SuiteRunner} runner - Runner to listen to
+   * @returns {TapReporter} This reporter
+   */
+  attach(runner) {
+    runner.on('run:end', batchResults => logger.output(this.buildTAP(batchResults)));
+    return this;
+  }
+
+  /**
+   * Build the complete TAP document
+   * @param {Object} batchResults - Results from SuiteRunner
+   * @returns {string} TAP output
+   */
+  buildTAP(batchResults) {
+    const suites = batchResults.suites || [];
+    const lines = ['TAP version 14'];
+
+    suites.forEach((suite, i) => {
+      lines.push(...this.buildSuite(suite, i + 1));
+    });
+
+    lines.push(`1..${suites.length}`);
+    return lines.join('\n');
+  }
+
+  /**
+   * Build the lines of one suite: a subtest with its tests, then the suite's test point
+   * @param {Object} suite - Suite result
+   * @param {number} number - Test point number of the suite
+   * @returns {Array<string>} Lines
+   */
+  buildSuite(suite, number) {
+    const tests = suite.tests || [];
+    const lines = [];
+
+    if (tests.length > 0) {
+      lines.push(`# Subtest: ${escapeDescription(suite.name)}`);
+      lines.push(`${INDENT}1..${tests.length}`);
+      tests.forEach((test, i) => {
+        lines.push(...this.buildTestPoint(test, i + 1).map(line => `${INDENT}${line}`));
+      });
+    }
+
+    const status = suite.success ? 'ok' : 'not ok';
+    lines.push(`${status} ${number} - ${escapeDescription(suite.name)}`);
+
+    // A suite that failed without test results failed to load or set up
+    const suiteError = suite.error || suite.setupError;
+    if (suiteError && tests.length === 0) {
+      lines.push(...buildDiagnostics({
+        message: suite.setupError ? `Setup failed: ${suiteError}` : suiteError,
+        severity: 'fail',
+        file: suite.file
+      }));
+    }
+
+    return lines;
+  }
+
+  /**
+   * Build the test point of one test, with diagnostics when it failed
+   * @param {Object} test - Test result
+   * @param {number} number - Test point number
+   * @returns {Array<string>} Lines
+   */
+  buildTestPoint(test, number) {
+    const description = escapeDescription(test.name || test.id);
+
+    if (test.skipped) {
+      return [`ok ${number} - ${description} # SKIP ${test.reason || ''}`.trimEnd()];
+    }
+
+    if (test.success) {
+      return [`ok ${number} - ${description}`];
+    }
+
+    const failures = describeFailures(test);
+    return [
+      `not ok ${number} - ${description}`,
+      ...buildDiagnostics({
+        message: failures[0],
+        severity: 'fail',
+        id: test.id,
+        duration_ms: test.duration,
+        failures
+      })
+    ];
+  }
+}
+
+/**
+ * Escape characters with a meaning in a test point description
+ */
+function escapeDescription(text) {
+  return String(text ?? '').replace(/\\/g, '\\\\').replace(/#/g, '\\#').replace(/\n/g, ' ');
+}
+
+/**
+ * Build a YAML diagnostic block (JSON values are valid YAML)
+ * @param {Object} fields - Diagnostic fields, undefined values are left out
+ * @returns {Array<string>} Lines, indented under their test point
+ */
+function buildDiagnostics(fields) {
+  const lines = ['  ---'];
+
+  for (const [key, value] of Object.entries(fields)) {
+    if (value === undefined) continue;
+    if (Array.isArray(value)) {
+      lines.push(`  ${key}:`);
+      value.forEach(item => lines.push(`    - ${JSON.stringify(item)}`));
+    } else {
+      lines.push(`  ${key}: ${JSON.stringify(value)}`);
+    }
+  }
+
+  lines.push('  ...');
+  return lines;
+}
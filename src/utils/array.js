@@ -11,3 +11,40 @@ export function ensureArray(value) {
   if (value === null || value === undefined) return [];
   return Array.isArray(value) ? value : [value];
 }
+
+/**
+ * Map items through an async function with at most `limit` calls running at once
+ * @param {Array} items - Items to process
+ * @param {number} limit - Maximum number of concurrent calls
+ * @param {Function} fn - Async function (item, index) => result
+ * @param {Function} onResult - Optional callback (result, index), called in item
+ *   order as soon as an item and every item before it have finished
+ * @returns {Promise<Array>} Results in item order
+ */
+export async function mapConcurrent(items, limit, fn, onResult) {
+  const results = new Array(items.length);
+  const finished = new Array(items.length).fill(false);
+  let next = 0;
+  let released = 0;
+
+  const release = () => {
+    while (released < items.length && finished[released]) {
+      onResult?.(results[released], released);
+      released++;
+    }
+  };
+
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index], index);
+      finished[index] = true;
+      release();
+    }
+  };
+
+  const workerCount = Math.min(Math.max(1, limit || 1), items.length);
+  await Promise.all(Array.from({ length: workerCount }, worker));
+
+  return results;
+}
@@ -0,0 +1,173 @@
+import { logger } from './logger.js';
+
+// Supported `auth.type` values
+export const AUTH_TYPES = ['bearer', 'basic', 'apiKey', 'oauth2'];
+
+// Cached OAuth2 tokens are renewed this long before they expire
+const EXPIRY_MARGIN = 30000;
+
+/**
+ * TokenCache - OAuth2 access tokens shared by the requests of a run
+ *
+ * SuiteRunner keeps one cache per suite run in the context (`_authTokens`),
+ * so setup, tests and teardown fetch a token once and share it. Tokens are
+ * cached per token URL, client and scope until shortly before they expire;
+ * concurrent requests wait for the same token request.
+ */
+export class TokenCache {
+  constructor() {
+    this.tokens = new Map(); // Cache key -> Promise<{ accessToken, expiresAt }>
+  }
+
+  /**
+   * Get a valid access token, requesting a new one when needed
+   * @param {Object} auth - oauth2 auth definition
+   * @param {AbortSignal} signal - Aborts the token request
+   * @returns {Promise<string>} Access token
+   */
+  async getToken(auth, signal) {
+    const key = getTokenKey(auth);
+    const cached = this.tokens.get(key);
+    if (cached) {
+      const token = await cached;
+      if (token.expiresAt - EXPIRY_MARGIN > Date.now()) return token.accessToken;
+    }
+
+    const pending = requestToken(auth, signal);
+    this.tokens.set(key, pending);
+    // A failed request is not cached, so the next request tries again
+    pending.catch(() => {
+      if (this.tokens.get(key) === pending) this.tokens.delete(key);
+    });
+    return (await pending).accessToken;
+  }
+
+  /**
+   * Forget the cached token, e.g. after the API rejected it
+   * @param {Object} auth - oauth2 auth definition
+   */
+  invalidate(auth) {
+    this.tokens.delete(getTokenKey(auth));
+  }
+
+  /**
+   * Keep tokens out of results when the context holding the cache is serialized
+   */
+  toJSON() {
+    return { tokens: this.tokens.size };
+  }
+}
+
+/**
+ * Check an auth definition
+ * @param {Object} auth - { type, ... }
+ * @throws {Error} If the type is unknown or a required field is missing
+ */
+export function validateAuth(auth) {
+  if (!auth || typeof auth !== 'object') {
+    throw new Error('auth must be an object with a type');
+  }
+
+  const required = {
+    bearer: ['token'],
+    basic: ['username', 'password'],
+    apiKey: ['value'],
+    oauth2: ['tokenUrl', 'clientId', 'clientSecret']
+  }[auth.type];
+  if (!required) {
+    throw new Error(`Unknown auth type '${auth.type}' (use ${AUTH_TYPES.join(', ')})`);
+  }
+
+  const missing = required.filter(field => auth[field] === undefined || auth[field] === null || auth[field] === '');
+  if (missing.length > 0) {
+    throw new Error(`${auth.type} auth is missing ${missing.map(field => `'${field}'`).join(', ')}`);
+  }
+  if (auth.type === 'apiKey' && auth.in && !['header', 'query'].includes(auth.in)) {
+    throw new Error(`apiKey auth 'in' must be 'header' or 'query', got '${auth.in}'`);
+  }
+}
+
+/**
+ * Build the headers and query parameters that authenticate a request
+ * @param {Object} auth - Auth definition
+ *   - { type: 'bearer', token }
+ *   - { type: 'basic', username, password }
+ *   - { type: 'apiKey', value, name, in: 'header' | 'query' }
+ *   - { type: 'oauth2', tokenUrl, clientId, clientSecret, scope, audience }
+ * @param {Object} options - { tokens: TokenCache for oauth2, signal }
+ * @returns {Promise<Object>} { headers, query }
+ * @throws {Error} If the definition is invalid or no OAuth2 token could be obtained
+ */
+export async function getCredentials(auth, { tokens, signal } = {}) {
+  validateAuth(auth);
+
+  switch (auth.type) {
+    case 'bearer':
+      return { headers: { Authorization: `Bearer ${auth.token}` }, query: {} };
+
+    case 'basic': {
+      const encoded = Buffer.from(`${auth.username}:${auth.password}`).toString('base64');
+      return { headers: { Authorization: `Basic ${encoded}` }, query: {} };
+    }
+
+    case 'apiKey':
+      return auth.in === 'query' ?
+        { headers: {}, query: { [auth.name || 'api_key']: auth.value } } :
+        { headers: { [auth.name || 'X-API-Key']: auth.value }, query: {} };
+
+    default: { // oauth2
+      const token = await (tokens || new TokenCache()).getToken(auth, signal);
+      return { headers: { Authorization: `Bearer ${token}` }, query: {} };
+    }
+  }
+}
+
+/**
+ * Request a token with the OAuth2 client credentials grant
+ * @returns {Promise<Object>} { accessToken, expiresAt }
+ */
+async function requestToken(auth, signal) {
+  const form = new URLSearchParams({
+    grant_type: 'client_credentials',
+    client_id: auth.clientId,
+    client_secret: auth.clientSecret
+  });
+  if (auth.scope) form.set('scope', Array.isArray(auth.scope) ? auth.scope.join(' ') : auth.scope);
+  if (auth.audience) form.set('audience', auth.audience);
+
+  logger.debug(`OAuth2 token request to ${auth.tokenUrl} for client ${auth.clientId}`);
+  const response = await fetch(auth.tokenUrl, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/x-www-form-urlencoded', Accept: 'application/json' },
+    body: form.toString(),
+    signal
+  });
+  const text = await response.text();
+
+  if (!response.ok) {
+    throw new Error(`OAuth2 token request to ${auth.tokenUrl} failed with status ${response.status}: ${text}`);
+  }
+
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch {
+    throw new Error(`OAuth2 token response from ${auth.tokenUrl} is not JSON`);
+  }
+  if (!data.access_token) {
+    throw new Error(`OAuth2 token response from ${auth.tokenUrl} has no access_token`);
+  }
+
+  return {
+    accessToken: data.access_token,
+    expiresAt: data.expires_in ? Date.now() + data.expires_in * 1000 : Infinity
+  };
+}
+
+/**
+ * Build the key a token is cached by
+ */
+function getTokenKey(auth) {
+  const scope = Array.isArray(auth.scope) ? auth.scope.join(' ') : auth.scope || '';
+  return `${auth.tokenUrl} ${auth.clientId} ${scope} ${auth.audience || ''}`;
+}
@@ -0,0 +1,189 @@
+/**
+ * Baseline comparison utilities
+ *
+ * Compares two runs test by test (matched by suite name and test id) to find
+ * regressions: tests that stopped passing, judge and validator scores that
+ * dropped, and tests that got slower.
+ */
+
+import { getTestKey } from './HistoryStore.js';
+
+// Blocks whose `score` output is compared between runs
+export const SCORED_BLOCKS = Object.freeze(['LLMJudge', 'ValidateContent', 'ValidateTools']);
+
+// Default regression thresholds
+export const COMPARE_DEFAULTS = Object.freeze({
+  SCORE_THRESHOLD: 0.1, // Largest score drop that is not a regression
+  NOTABLE_DURATION_CHANGE: 0.2 // Duration changes reported even without a threshold (20%)
+});
+
+/**
+ * Compare the results of a run against a baseline run
+ * @param {Object} baseline - Batch results of the baseline run
+ * @param {Object} current - Batch results of the current run
+ * @param {Object} options - Thresholds
+ * @param {number} options.scoreThreshold - Largest allowed score drop
+ * @param {number} options.durationThreshold - Largest allowed slowdown in percent (off when not set)
+ * @returns {Object} Comparison { tests, regressions, summary }
+ */
+export function compareResults(baseline, current, options = {}) {
+  const scoreThreshold = options.scoreThreshold ?? COMPARE_DEFAULTS.SCORE_THRESHOLD;
+  const { durationThreshold } = options;
+
+  const before = indexTests(baseline);
+  const after = indexTests(current);
+  const tests = [];
+  const regressions = [];
+
+  for (const [key, test] of after) {
+    const previous = before.get(key);
+    if (!previous) {
+      tests.push({ key, status: 'added', current: test });
+      continue;
+    }
+
+    const comparison = {
+      key,
+      status: getStatus(previous, test),
+      baseline: previous,
+      current: test,
+      scoreDeltas: compareScores(previous.scores, test.scores),
+      durationChange: getDurationChange(previous.duration, test.duration)
+    };
+    tests.push(comparison);
+
+    if (comparison.status === 'regressed') {
+      regressions.push({ key, type: 'status', message: `${key}: passed → failed` });
+    }
+    for (const { block, baseline: was, current: now, delta } of comparison.scoreDeltas) {
+      if (-delta > scoreThreshold) {
+        regressions.push({
+          key,
+          type: 'score',
+          message: `${key}: ${block} score ${formatScore(was)} → ${formatScore(now)} (${formatDelta(delta)})`
+        });
+      }
+    }
+    if (durationThreshold !== undefined && comparison.durationChange * 100 > durationThreshold) {
+      regressions.push({
+        key,
+        type: 'duration',
+        message: `${key}: ${previous.duration}ms → ${test.duration}ms (+${Math.round(comparison.durationChange * 100)}%)`
+      });
+    }
+  }
+
+  // Tests of a suite that failed to load or set up did not run at all
+  const brokenSuites = new Map((current.suites || [])
+    .filter(suite => suite.error || suite.setupError)
+    .map(suite => [suite.name, suite.error || `setup failed: ${suite.setupError}`]));
+
+  for (const [key, test] of before) {
+    if (after.has(key)) continue;
+
+    if (test.success && brokenSuites.has(test.suite)) {
+      tests.push({ key, status: 'regressed', baseline: test });
+      regressions.push({ key, type: 'status', message: `${key}: did not run (${brokenSuites.get(test.suite)})` });
+    } else {
+      tests.push({ key, status: 'removed', baseline: test });
+    }
+  }
+
+  const count = status => tests.filter(t => t.status === status).length;
+  return {
+    tests,
+    regressions,
+    thresholds: { scoreThreshold, durationThreshold },
+    summary: {
+      compared: tests.filter(t => t.baseline && t.current).length,
+      regressed: count('regressed'),
+      fixed: count('fixed'),
+      added: count('added'),
+      removed: count('removed'),
+      scoreDrops: regressions.filter(r => r.type === 'score').length,
+      slower: regressions.filter(r => r.type === 'duration').length
+    }
+  };
+}
+
+/**
+ * Collect the scores of judge and validator blocks in a test result
+ * @param {Object} test - Test result
+ * @returns {Object} Block id -> score
+ */
+export function getBlockScores(test) {
+  const scores = {};
+  for (const block of test.summary?.blockResults || []) {
+    if (SCORED_BLOCKS.includes(block.type) && typeof block.score === 'number') {
+      scores[block.id] = block.score;
+    }
+  }
+  return scores;
+}
+
+/**
+ * Index the executed tests of a run by key
+ * Skipped tests are left out, as there is nothing to compare
+ */
+function indexTests(batchResults) {
+  const tests = new Map();
+  for (const suite of batchResults.suites || []) {
+    for (const test of suite.tests || []) {
+      if (test.skipped) continue;
+      tests.set(getTestKey(suite.name, test), {
+        suite: suite.name,
+        success: Boolean(test.success),
+        duration: test.duration || 0,
+        scores: getBlockScores(test)
+      });
+    }
+  }
+  return tests;
+}
+
+/**
+ * Classify how a test's outcome changed
+ */
+function getStatus(previous, test) {
+  if (previous.success && !test.success) return 'regressed';
+  if (!previous.success && test.success) return 'fixed';
+  return test.success ? 'passing' : 'failing';
+}
+
+/**
+ * Score changes of blocks scored in both runs
+ */
+function compareScores(before, after) {
+  return Object.keys(after)
+    .filter(block => block in before)
+    // Rounded so float noise does not decide whether a drop crosses the threshold
+    .map(block => ({
+      block,
+      baseline: before[block],
+      current: after[block],
+      delta: Math.round((after[block] - before[block]) * 1e6) / 1e6
+    }))
+    .filter(({ delta }) => delta !== 0);
+}
+
+/**
+ * Relative duration change (0.5 is 50% slower)
+ */
+function getDurationChange(before, after) {
+  if (!before) return 0;
+  return (after - before) / before;
+}
+
+/**
+ * Format a score for messages
+ */
+export function formatScore(score) {
+  return Number.isInteger(score) ? String(score) : score.toFixed(2);
+}
+
+/**
+ * Format a score change with its sign
+ */
+export function formatDelta(delta) {
+  return `${delta > 0 ? '+' : ''}${formatScore(delta)}`;
+}
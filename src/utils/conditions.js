@@ -181,6 +181,20 @@ export function evaluateConditions(data, conditions) {
   return conditions.every(condition => evaluateCondition(data, condition));
 }
 
+/**
+ * Match a value against an expected literal or an object of operators
+ * e.g. matchesValue(3, 3), matchesValue('Hello', { contains: 'ell' })
+ * @param {any} actual - The actual value
+ * @param {any} expected - Literal to compare with ===, or { operator: value }
+ * @returns {boolean} Whether the value matches
+ */
+export function matchesValue(actual, expected) {
+  if (expected !== null && typeof expected === 'object' && !Array.isArray(expected)) {
+    return Object.entries(expected).every(([operator, value]) => evaluateOperator(actual, operator, value));
+  }
+  return actual === expected;
+}
+
 /**
  * Format a condition as a human-readable string
  * @param {Object} condition - Condition object
@@ -21,7 +21,16 @@ export const SCORE_MULTIPLIERS = Object.freeze({
 // Default limits
 export const LIMITS = Object.freeze({
   MAX_LOOP_ITERATIONS: 10, // Default max iterations for Loop block
-  STRING_PREVIEW_LENGTH: 100 // Max length for string previews in debug output
+  STRING_PREVIEW_LENGTH: 100, // Max length for string previews in debug output
+  HISTORY_RUNS: 30 // Past runs shown in HTML report trends
+});
+
+// Default retry policy values
+export const RETRY_DEFAULTS = Object.freeze({
+  ATTEMPTS: 3, // Total attempts including the first one
+  DELAY: 500, // Base delay between attempts in ms
+  MAX_DELAY: 30000, // Upper bound for a single backoff delay in ms
+  JITTER: 0.5 // Fraction of the delay randomized when jitter is true
 });
 
 // Separator characters for output formatting
@@ -31,3 +40,15 @@ export const SEPARATORS = Object.freeze({
   DOTTED: '·',
   LENGTH: 60
 });
+
+// Identifies JSON results files written by JsonReporter
+export const RESULTS_SCHEMA = Object.freeze({
+  NAME: 'semtest-results',
+  VERSION: 1 // Bumped on changes that break existing readers
+});
+
+// Identifies HTTP cassette files written with --record
+export const CASSETTE_SCHEMA = Object.freeze({
+  NAME: 'semtest-cassette',
+  VERSION: 1
+});
@@ -0,0 +1,35 @@
+/**
+ * Failure description utilities shared by the CI reporters
+ */
+
+/**
+ * Describe why a test failed, one line per failed assertion or block
+ * Falls back to the pipeline error when neither explains the failure
+ * @param {Object} test - Test result from SuiteRunner
+ * @returns {Array<string>} Failure lines (empty for passing tests)
+ */
+export function describeFailures(test) {
+  if (test.success) return [];
+  if (test.error) return [test.error];
+
+  const lines = [];
+
+  for (const check of test.assertions?.checks || []) {
+    if (!check.passed) {
+      lines.push(`Assertion failed: ${check.message} (actual: ${JSON.stringify(check.actual)})`);
+    }
+  }
+
+  for (const block of test.summary?.blockResults || []) {
+    if (!block.success && !block.skipped) {
+      const label = block.failureType === 'timeout' ? ' (timeout)' : '';
+      lines.push(`Block '${block.id}' failed${label}: ${block.error}`);
+    }
+  }
+
+  if (lines.length === 0 && test.result?.error) {
+    lines.push(`Pipeline failed: ${test.result.error}`);
+  }
+
+  return lines.length > 0 ? lines : ['Test failed'];
+}
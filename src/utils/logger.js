@@ -3,6 +3,8 @@
  * Provides consistent logging with minimal complexity
  */
 
+import { AsyncLocalStorage } from 'async_hooks';
+
 const LEVELS = {
   ERROR: 0,
   WARN: 1,
@@ -10,6 +12,9 @@ const LEVELS = {
   DEBUG: 3
 };
 
+// Output buffer of the code currently running inside logger.buffered()
+const bufferStorage = new AsyncLocalStorage();
+
 class Logger {
   // Check log level dynamically from environment
   getLevel() {
@@ -19,25 +24,25 @@ class Logger {
 
   error(...args) {
     if (this.getLevel() >= LEVELS.ERROR) {
-      console.error('[ERROR]', ...args);
+      this.write('error', ['[ERROR]', ...args]);
     }
   }
 
   warn(...args) {
     if (this.getLevel() >= LEVELS.WARN) {
-      console.warn('[WARN]', ...args);
+      this.write('warn', ['[WARN]', ...args]);
     }
   }
 
   info(...args) {
     if (this.getLevel() >= LEVELS.INFO) {
-      console.log(...args);
+      this.write('log', args);
     }
   }
 
   debug(...args) {
     if (this.getLevel() >= LEVELS.DEBUG) {
-      console.log('[DEBUG]', ...args);
+      this.write('log', ['[DEBUG]', ...args]);
     }
   }
 
@@ -47,7 +52,63 @@ class Logger {
    * Not affected by log level - always outputs
    */
   report(message) {
-    console.log(message);
+    this.write('log', [message]);
+  }
+
+  /**
+   * Write a machine-readable document (such as TAP) to stdout
+   * Unlike report(), it stays on stdout after useStderr()
+   */
+  output(message) {
+    this.write('output', [message]);
+  }
+
+  /**
+   * Send all log and report output to stderr, so that stdout only carries
+   * what is written with output()
+   * @param {boolean} enabled - Whether to use stderr
+   */
+  useStderr(enabled = true) {
+    this.stderr = enabled;
+  }
+
+  /**
+   * Write to the console, or to the current output buffer if there is one
+   * @param {string} method - Console method ('log', 'warn' or 'error'), or 'output' for stdout
+   * @param {Array} args - Arguments for the console method
+   */
+  write(method, args) {
+    const buffer = bufferStorage.getStore();
+    if (buffer) {
+      buffer.push({ method, args });
+    } else if (method === 'output') {
+      console.log(...args);
+    } else {
+      console[this.stderr && method === 'log' ? 'error' : method](...args);
+    }
+  }
+
+  /**
+   * Run a function with everything it logs collected instead of printed,
+   * so concurrent work can print its output in a stable order
+   * @param {Function} fn - Async function to run
+   * @returns {Promise<Object>} { result, output } - output is passed to flush()
+   */
+  async buffered(fn) {
+    const output = [];
+    const result = await bufferStorage.run(output, fn);
+    return { result, output };
+  }
+
+  /**
+   * Print output collected by buffered()
+   * Inside another buffered() call it is added to that buffer instead
+   * @param {Array} output - Collected output
+   */
+  flush(output) {
+    for (const { method, args } of output) {
+      this.write(method, args);
+    }
   }
 }
 
@@ -0,0 +1,134 @@
+import { getPath } from './path.js';
+import { evaluateOperator, formatCondition, getAvailableOperators } from './conditions.js';
+import { RETRY_DEFAULTS } from './constants.js';
+
+/**
+ * Retry utilities for per-block retry policies
+ */
+
+const BACKOFF_STRATEGIES = ['fixed', 'linear', 'exponential'];
+
+/**
+ * Normalize a block's `retry` definition into a full policy
+ * @param {number|Object|undefined} retry - Attempt count or policy object
+ * @returns {Object|null} Policy with attempts, backoff, delay, maxDelay, jitter, condition
+ * @throws {Error} If the backoff strategy is unknown
+ */
+export function normalizeRetryPolicy(retry) {
+  if (retry === undefined || retry === null || retry === false) return null;
+
+  const config = typeof retry === 'number' ? { attempts: retry } : retry;
+  const policy = {
+    attempts: config.attempts ?? RETRY_DEFAULTS.ATTEMPTS,
+    backoff: config.backoff || 'exponential',
+    delay: config.delay ?? RETRY_DEFAULTS.DELAY,
+    maxDelay: config.maxDelay ?? RETRY_DEFAULTS.MAX_DELAY,
+    jitter: config.jitter === true ? RETRY_DEFAULTS.JITTER : config.jitter || 0,
+    condition: config.condition || null
+  };
+
+  if (!BACKOFF_STRATEGIES.includes(policy.backoff)) {
+    throw new Error(
+      `Unknown backoff strategy: ${policy.backoff} (expected one of: ${BACKOFF_STRATEGIES.join(', ')})`
+    );
+  }
+
+  return policy.attempts > 1 ? policy : null;
+}
+
+/**
+ * Check a block's `retry` definition before anything runs
+ * @param {any} retry - Attempt count or policy object
+ * @returns {Array<string>} Problems found (empty when valid)
+ */
+export function validateRetryPolicy(retry) {
+  if (retry === undefined || retry === null || retry === false) return [];
+
+  const config = typeof retry === 'number' ? { attempts: retry } : retry;
+  if (typeof config !== 'object' || Array.isArray(config)) {
+    return ['should be a number of attempts or a policy object'];
+  }
+
+  const issues = [];
+  const { attempts, backoff, delay, maxDelay, jitter, condition } = config;
+  if (attempts !== undefined && (!Number.isInteger(attempts) || attempts < 1)) {
+    issues.push(`attempts should be a positive integer, got ${JSON.stringify(attempts)}`);
+  }
+  if (backoff !== undefined && !BACKOFF_STRATEGIES.includes(backoff)) {
+    issues.push(`unknown backoff strategy '${backoff}' (expected one of: ${BACKOFF_STRATEGIES.join(', ')})`);
+  }
+  for (const [key, value] of Object.entries({ delay, maxDelay })) {
+    if (value !== undefined && !(typeof value === 'number' && value >= 0)) {
+      issues.push(`${key} should be a non-negative number, got ${JSON.stringify(value)}`);
+    }
+  }
+  const validJitter = typeof jitter === 'boolean' || (typeof jitter === 'number' && jitter >= 0 && jitter <= 1);
+  if (jitter !== undefined && !validJitter) {
+    issues.push(`jitter should be true or a fraction between 0 and 1, got ${JSON.stringify(jitter)}`);
+  }
+  if (condition !== undefined && condition !== null) {
+    const operators = getAvailableOperators().map(({ name }) => name);
+    if (typeof condition !== 'object' || !condition.path || !operators.includes(condition.operator)) {
+      issues.push('condition should have a path and a known operator');
+    }
+  }
+
+  return issues;
+}
+
+/**
+ * Compute the delay before the next attempt
+ * @param {Object} policy - Normalized retry policy
+ * @param {number} attempt - Attempt that just failed (1-based)
+ * @param {Function} random - Random source, injectable for tests
+ * @returns {number} Delay in ms
+ */
+export function computeBackoff(policy, attempt, random = Math.random) {
+  let delay;
+  switch (policy.backoff) {
+    case 'fixed':
+      ({ delay } = policy);
+      break;
+    case 'linear':
+      delay = policy.delay * attempt;
+      break;
+    default:
+      delay = policy.delay * 2 ** (attempt - 1);
+  }
+
+  delay = Math.min(delay, policy.maxDelay);
+
+  // Spread retries out by randomly shrinking or growing the delay
+  if (policy.jitter > 0) {
+    delay += delay * policy.jitter * (random() * 2 - 1);
+  }
+
+  return Math.max(0, Math.round(delay));
+}
+
+/**
+ * Decide whether an attempt should be retried
+ * Thrown errors (network failures, timeouts) are always retried, as there is
+ * no output to match. Without a condition, outputs with an `error` field are
+ * retried too; with a condition (e.g. `{ path: 'status', operator: 'gte', value: 500 }`),
+ * only outputs that match it are.
+ * @param {Object} policy - Normalized retry policy
+ * @param {Object} outcome - Attempt outcome from measureTime ({ result, error })
+ * @returns {string|null} Reason for retrying, or null if the attempt is final
+ */
+export function getRetryReason(policy, outcome) {
+  const errorMessage = outcome.error ?
+    outcome.error.message || String(outcome.error) :
+    outcome.result?.error;
+
+  if (outcome.error || !policy.condition) {
+    return errorMessage || null;
+  }
+
+  const { path, operator, value } = policy.condition;
+  if (!evaluateOperator(getPath(outcome.result, path), operator, value)) {
+    return null;
+  }
+
+  return errorMessage || formatCondition(policy.condition);
+}
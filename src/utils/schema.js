@@ -0,0 +1,132 @@
+import { validateRetryPolicy } from './retry.js';
+
+/**
+ * Block config schema validation
+ *
+ * A block's configSchema maps every config key it understands to the type
+ * it expects: 'string', 'number', 'boolean', 'array', 'object' or 'any',
+ * or a list of accepted types. Settings may be given inside `config` or at
+ * the top level of the block definition.
+ */
+
+/**
+ * Keys every block definition may use, handled by the Pipeline itself
+ */
+export const STRUCTURAL_KEYS = Object.freeze([
+  'block', 'id', 'description', 'input', 'output', 'config', 'retry', 'timeout', 'branches'
+]);
+
+/**
+ * Get the schema type name of a value
+ * @param {any} value - Value to inspect
+ * @returns {string} 'array', 'null' or the typeof name
+ */
+export function getType(value) {
+  if (Array.isArray(value)) return 'array';
+  if (value === null) return 'null';
+  return typeof value;
+}
+
+/**
+ * Find the closest candidate to a misspelled key
+ * @param {string} key - Key that was not recognized
+ * @param {Array<string>} candidates - Known keys
+ * @returns {string|null} Closest known key, if close enough to be a likely typo
+ */
+export function suggestKey(key, candidates) {
+  const maxDistance = Math.max(1, Math.floor(key.length / 3));
+  let best = null;
+  let bestDistance = Infinity;
+
+  for (const candidate of candidates) {
+    const distance = candidate.toLowerCase() === key.toLowerCase() ?
+      0 :
+      levenshtein(key, candidate);
+    if (distance < bestDistance) {
+      best = candidate;
+      bestDistance = distance;
+    }
+  }
+
+  return bestDistance <= maxDistance ? best : null;
+}
+
+/**
+ * Check a block definition against its block's config schema
+ * @param {Object} blockDef - Block definition from the pipeline JSON
+ * @param {Object} schema - Block config schema
+ * @returns {Array<string>} Problems found (empty when valid)
+ */
+export function validateBlockConfig(blockDef, schema) {
+  const issues = [];
+  const configKeys = Object.keys(schema);
+
+  const unknown = (key, label, candidates) => {
+    const suggestion = suggestKey(key, candidates);
+    const hint = suggestion ? ` (did you mean '${suggestion}'?)` : '';
+    issues.push(`unknown ${label} '${key}'${hint}`);
+  };
+
+  const checkType = (key, value) => {
+    const expected = [].concat(schema[key]);
+    // Template strings are only resolved at run time
+    if (expected.includes('any') || (typeof value === 'string' && value.includes('${'))) return;
+
+    const actual = getType(value);
+    if (!expected.includes(actual)) {
+      issues.push(`'${key}' should be ${expected.join(' or ')}, got ${actual}`);
+    }
+  };
+
+  for (const [key, value] of Object.entries(blockDef)) {
+    if (STRUCTURAL_KEYS.includes(key)) continue;
+    if (key in schema) checkType(key, value);
+    else unknown(key, 'key', [...STRUCTURAL_KEYS, ...configKeys]);
+  }
+
+  const { config } = blockDef;
+  if (config !== undefined && getType(config) !== 'object') {
+    issues.push(`'config' should be object, got ${getType(config)}`);
+  } else if (config) {
+    for (const [key, value] of Object.entries(config)) {
+      if (key in schema) checkType(key, value);
+      else unknown(key, 'config key', configKeys);
+    }
+  }
+
+  return issues;
+}
+
+/**
+ * Check the `retry` and `timeout` settings the Pipeline applies to any block
+ * @param {Object} blockDef - Block definition from the pipeline JSON
+ * @returns {Array<string>} Problems found (empty when valid)
+ */
+export function validateBlockPolicies(blockDef) {
+  const issues = validateRetryPolicy(blockDef.retry).map(issue => `'retry' ${issue}`);
+
+  const { timeout } = blockDef;
+  if (timeout !== undefined && !(typeof timeout === 'number' && timeout > 0)) {
+    issues.push(`'timeout' should be a positive number of ms, got ${JSON.stringify(timeout)}`);
+  }
+
+  return issues;
+}
+
+/**
+ * Edit distance between two strings
+ */
+function levenshtein(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+    }
+    previous = current;
+  }
+
+  return previous[b.length];
+}
@@ -20,3 +20,32 @@ export async function measureTime(fn) {
     };
   }
 }
+
+/**
+ * Wait for the given number of milliseconds
+ */
+export function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Combine several AbortSignals into one that aborts when any of them does
+ * @param {...AbortSignal} signals - Signals to combine (falsy values are ignored)
+ * @returns {AbortSignal|undefined} Combined signal
+ */
+export function combineSignals(...signals) {
+  const active = signals.filter(Boolean);
+  if (active.length <= 1) return active[0];
+  if (typeof AbortSignal.any === 'function') return AbortSignal.any(active);
+
+  // Fallback for Node versions without AbortSignal.any
+  const controller = new AbortController();
+  for (const signal of active) {
+    if (signal.aborted) {
+      controller.abort(signal.reason);
+      break;
+    }
+    signal.addEventListener('abort', () => controller.abort(signal.reason), { once: true });
+  }
+  return controller.signal;
+}
@@ -0,0 +1,329 @@
+import http from 'http';
+import https from 'https';
+import { EventEmitter } from 'events';
+import { createHash, randomBytes } from 'crypto';
+
+/**
+ * Minimal WebSocket (RFC 6455) client and server connection
+ *
+ * Enough of the protocol to hold a conversation with an agent: text and
+ * binary messages (fragmented or not), ping/pong and the closing handshake.
+ * Extensions such as permessage-deflate are not negotiated.
+ */
+
+// Key suffix the server hashes into Sec-WebSocket-Accept
+const HANDSHAKE_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+
+// Time the other side gets to answer a close frame before the socket is dropped
+const CLOSE_TIMEOUT = 1000;
+
+export const OPCODES = {
+  continuation: 0x0,
+  text: 0x1,
+  binary: 0x2,
+  close: 0x8,
+  ping: 0x9,
+  pong: 0xa
+};
+
+/**
+ * Encode one frame
+ * Client frames must be masked, server frames must not
+ * @param {number} opcode - Frame opcode (see OPCODES)
+ * @param {string|Buffer} payload - Frame payload
+ * @param {Object} options - { mask = true, fin = true }
+ * @returns {Buffer} Encoded frame
+ */
+export function encodeFrame(opcode, payload = '', { mask = true, fin = true } = {}) {
+  const data = Buffer.isBuffer(payload) ? payload : Buffer.from(payload);
+
+  let header;
+  if (data.length < 126) {
+    header = Buffer.alloc(2);
+    header[1] = data.length;
+  } else if (data.length < 65536) {
+    header = Buffer.alloc(4);
+    header[1] = 126;
+    header.writeUInt16BE(data.length, 2);
+  } else {
+    header = Buffer.alloc(10);
+    header[1] = 127;
+    header.writeBigUInt64BE(BigInt(data.length), 2);
+  }
+  header[0] = (fin ? 0x80 : 0) | opcode;
+
+  if (!mask) return Buffer.concat([header, data]);
+
+  header[1] |= 0x80;
+  const key = randomBytes(4);
+  return Buffer.concat([header, key, applyMask(data, key)]);
+}
+
+/**
+ * Decode the complete frames at the start of a buffer
+ * @param {Buffer} buffer - Received bytes
+ * @returns {Object} { frames: [{ fin, opcode, payload }], rest } - rest holds an incomplete frame
+ */
+export function decodeFrames(buffer) {
+  const frames = [];
+  let offset = 0;
+
+  while (buffer.length - offset >= 2) {
+    const first = buffer[offset];
+    const second = buffer[offset + 1];
+    const masked = Boolean(second & 0x80);
+    let length = second & 0x7f;
+    let position = offset + 2;
+
+    if (length === 126) {
+      if (buffer.length < position + 2) break;
+      length = buffer.readUInt16BE(position);
+      position += 2;
+    } else if (length === 127) {
+      if (buffer.length < position + 8) break;
+      length = Number(buffer.readBigUInt64BE(position));
+      position += 8;
+    }
+
+    const key = masked ? buffer.subarray(position, position + 4) : null;
+    if (masked) position += 4;
+    if (buffer.length < position + length) break;
+
+    const payload = buffer.subarray(position, position + length);
+    frames.push({
+      fin: Boolean(first & 0x80),
+      opcode: first & 0x0f,
+      payload: key ? applyMask(payload, key) : Buffer.from(payload)
+    });
+    offset = position + length;
+  }
+
+  return { frames, rest: buffer.subarray(offset) };
+}
+
+/**
+ * XOR a payload with a 4-byte masking key
+ */
+function applyMask(data, key) {
+  const result = Buffer.alloc(data.length);
+  for (let i = 0; i < data.length; i++) {
+    result[i] = data[i] ^ key[i % 4];
+  }
+  return result;
+}
+
+/**
+ * Sec-WebSocket-Accept value for a Sec-WebSocket-Key
+ */
+function acceptKey(key) {
+  return createHash('sha1').update(key + HANDSHAKE_GUID).digest('base64');
+}
+
+/**
+ * An open WebSocket connection
+ *
+ * Emits 'message' ({ text, binary }) for every complete message and 'close'
+ * ({ code, reason }) once when the socket is gone. Pings are answered
+ * automatically.
+ */
+export class WebSocketConnection extends EventEmitter {
+  /**
+   * @param {net.Socket} socket - Upgraded socket
+   * @param {Object} options - { client: mask outgoing frames, head: bytes read past the handshake, protocol }
+   */
+  constructor(socket, { client = true, head, protocol = null } = {}) {
+    super();
+    this.socket = socket;
+    this.client = client;
+    this.protocol = protocol;
+    this.closed = false;
+    this.closing = false;
+    this.buffer = Buffer.alloc(0);
+    this.fragments = null; // { opcode, parts } while a fragmented message arrives
+    this.closeStatus = { code: 1006, reason: '' };
+
+    socket.setNoDelay(true);
+    socket.on('error', () => {}); // The 'close' event reports the failure
+    socket.on('close', () => {
+      this.closed = true;
+      clearTimeout(this.closeTimer);
+      this.emit('close', this.closeStatus);
+    });
+
+    // Start reading once the caller had a chance to attach listeners, so
+    // frames sent right after the handshake are not lost
+    setImmediate(() => {
+      if (head?.length) this.receive(head);
+      socket.on('data', data => this.receive(data));
+    });
+  }
+
+  /**
+   * Send a text (string) or binary (Buffer) message
+   */
+  send(data) {
+    const opcode = Buffer.isBuffer(data) ? OPCODES.binary : OPCODES.text;
+    this.write(opcode, data);
+  }
+
+  /**
+   * Start the closing handshake; the socket is dropped if the other side does not answer
+   */
+  close(code = 1000, reason = '') {
+    if (this.closed || this.closing) return;
+    this.closing = true;
+    const payload = Buffer.alloc(2);
+    payload.writeUInt16BE(code);
+    this.write(OPCODES.close, Buffer.concat([payload, Buffer.from(reason)]));
+    this.closeTimer = setTimeout(() => this.socket.destroy(), CLOSE_TIMEOUT);
+    this.closeTimer.unref();
+  }
+
+  /**
+   * Drop the socket without a closing handshake
+   */
+  terminate() {
+    this.socket.destroy();
+  }
+
+  write(opcode, payload) {
+    if (this.closed || this.socket.destroyed) return;
+    this.socket.write(encodeFrame(opcode, payload, { mask: this.client }));
+  }
+
+  receive(data) {
+    const { frames, rest } = decodeFrames(Buffer.concat([this.buffer, data]));
+    this.buffer = rest;
+    for (const frame of frames) {
+      this.handleFrame(frame);
+    }
+  }
+
+  handleFrame({ fin, opcode, payload }) {
+    switch (opcode) {
+      case OPCODES.ping:
+        this.write(OPCODES.pong, payload);
+        return;
+
+      case OPCODES.pong:
+        return;
+
+      case OPCODES.close:
+        this.closeStatus = {
+          code: payload.length >= 2 ? payload.readUInt16BE(0) : 1005,
+          reason: payload.subarray(2).toString('utf8')
+        };
+        if (!this.closing) {
+          this.write(OPCODES.close, payload.subarray(0, 2));
+          this.closing = true;
+        }
+        this.socket.end();
+        return;
+
+      case OPCODES.continuation:
+        if (!this.fragments) return;
+        this.fragments.parts.push(payload);
+        break;
+
+      case OPCODES.text:
+      case OPCODES.binary:
+        this.fragments = { opcode, parts: [payload] };
+        break;
+
+      default:
+        return;
+    }
+
+    if (!fin) return;
+    const message = Buffer.concat(this.fragments.parts);
+    const binary = this.fragments.opcode === OPCODES.binary;
+    this.fragments = null;
+    this.emit('message', {
+      text: binary ? message.toString('base64') : message.toString('utf8'),
+      binary
+    });
+  }
+}
+
+/**
+ * Open a WebSocket connection
+ * @param {string} url - ws://, wss://, http:// or https:// URL
+ * @param {Object} options - { headers, protocols, signal }
+ * @returns {Promise<WebSocketConnection>} Open connection
+ */
+export function connectWebSocket(url, { headers = {}, protocols, signal } = {}) {
+  return new Promise((resolve, reject) => {
+    const target = new URL(url);
+    if (!['ws:', 'wss:', 'http:', 'https:'].includes(target.protocol)) {
+      reject(new Error(`Unsupported WebSocket URL protocol '${target.protocol}' (use ws: or wss:)`));
+      return;
+    }
+
+    const secure = target.protocol === 'wss:' || target.protocol === 'https:';
+    const key = randomBytes(16).toString('base64');
+    const protocolList = protocols ? [].concat(protocols) : [];
+
+    const request = (secure ? https : http).request({
+      hostname: target.hostname.replace(/^\[|\]$/g, ''),
+      port: target.port || (secure ? 443 : 80),
+      path: `${target.pathname}${target.search}`,
+      method: 'GET',
+      agent: false, // An upgraded socket is never reused
+      signal,
+      headers: {
+        Connection: 'Upgrade',
+        Upgrade: 'websocket',
+        'Sec-WebSocket-Version': '13',
+        'Sec-WebSocket-Key': key,
+        ...(protocolList.length > 0 && { 'Sec-WebSocket-Protocol': protocolList.join(', ') }),
+        ...headers
+      }
+    });
+
+    request.on('upgrade', (response, socket, head) => {
+      if (response.headers['sec-websocket-accept'] !== acceptKey(key)) {
+        socket.destroy();
+        reject(new Error('WebSocket handshake failed: invalid Sec-WebSocket-Accept header'));
+        return;
+      }
+      const protocol = response.headers['sec-websocket-protocol'] || null;
+      resolve(new WebSocketConnection(socket, { client: true, head, protocol }));
+    });
+
+    request.on('response', response => {
+      response.resume();
+      reject(new Error(`WebSocket handshake failed with status ${response.statusCode}`));
+    });
+
+    request.on('error', reject);
+    request.end();
+  });
+}
+
+/**
+ * Accept a WebSocket upgrade on an http server ('upgrade' event)
+ * @param {http.IncomingMessage} request - Upgrade request
+ * @param {net.Socket} socket - Its socket
+ * @param {Buffer} head - Bytes read past the request
+ * @returns {WebSocketConnection|null} Server side of the connection, or null if the request is not a WebSocket upgrade
+ */
+export function acceptWebSocket(request, socket, head) {
+  const key = request.headers['sec-websocket-key'];
+  if (!key || request.headers.upgrade?.toLowerCase() !== 'websocket') {
+    socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+    return null;
+  }
+
+  const protocol = request.headers['sec-websocket-protocol']?.split(',')[0].trim() || null;
+  socket.write([
+    'HTTP/1.1 101 Switching Protocols',
+    'Upgrade: websocket',
+    'Connection: Upgrade',
+    `Sec-WebSocket-Accept: ${acceptKey(key)}`,
+    ...(protocol ? [`Sec-WebSocket-Protocol: ${protocol}`] : []),
+    '',
+    ''
+  ].join('\r\n'));
+
+  return new WebSocketConnection(socket, { client: false, head, protocol });
+}
@@ -0,0 +1,149 @@
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert';
+import { createHash } from 'crypto';
+import { GraphQLRequest } from '../../../blocks/http/GraphQLRequest.js';
+import { MockServer, stopMockServer } from '../../../blocks/test/MockServer.js';
+import { PipelineBuilder } from '../../../src/core/PipelineBuilder.js';
+import { Context } from '../../../src/core/Context.js';
+import { Cassette } from '../../../src/utils/Cassette.js';
+
+describe('GraphQLRequest Block', () => {
+  const userQuery = 'query User($id: ID!) { user(id: $id) { id name } }';
+  const hash = createHash('sha256').update(userQuery).digest('hex');
+  let server;
+
+  before(async () => {
+    server = await new MockServer({
+      config: {
+        routes: [
+          {
+            path: '/graphql',
+            body: { 'extensions.persistedQuery.sha256Hash': hash, query: { isUndefined: true } },
+            response: { json: { errors: [{ message: 'PersistedQueryNotFound' }] } }
+          },
+          {
+            path: '/graphql',
+            body: { 'extensions.persistedQuery.sha256Hash': 'known', query: { isUndefined: true } },
+            response: { json: { data: { user: { id: '1', name: 'From cache' } } } }
+          },
+          {
+            path: '/graphql',
+            body: { operationName: 'User', 'variables.id': '1' },
+            headers: { authorization: 'Bearer t' },
+            response: { json: { data: { user: { id: '1', name: 'Ada' } }, extensions: { cost: 3 } } }
+          },
+          {
+            path: '/graphql',
+            body: { 'variables.id': '2' },
+            response: {
+              json: {
+                data: { user: null },
+                errors: [{ message: 'Not found', path: ['user'] }, { message: 'Also bad' }]
+              }
+            }
+          },
+          { path: '/graphql', body: { query: { contains: 'invalid' } }, response: { status: 400, json: { error: 'bad' } } },
+          { path: '/html', response: { status: 502, body: '<html>Bad gateway</html>' } }
+        ]
+      }
+    }).execute({});
+  });
+
+  after(async () => {
+    await stopMockServer(server.url);
+  });
+
+  test('should define its inputs and outputs', () => {
+    assert.deepStrictEqual(GraphQLRequest.inputs.required, ['url']);
+    assert.deepStrictEqual(GraphQLRequest.outputs.produces, ['data', 'errors', 'extensions', 'status', 'headers', 'duration']);
+  });
+
+  test('should send the query and output data, errors and extensions separately', async () => {
+    const result = await new GraphQLRequest({ id: 'user' }).process({
+      url: `${server.url}/graphql`,
+      query: userQuery,
+      variables: { id: '1' },
+      operationName: 'User',
+      auth: { type: 'bearer', token: 't' }
+    });
+
+    assert.deepStrictEqual(result.data, { user: { id: '1', name: 'Ada' } });
+    assert.deepStrictEqual(result.errors, []);
+    assert.deepStrictEqual(result.extensions, { cost: 3 });
+    assert.strictEqual(result.status, 200);
+    assert.strictEqual(result.error, undefined);
+  });
+
+  test('should fail on GraphQL errors unless they are allowed', async () => {
+    const input = { url: `${server.url}/graphql`, query: userQuery, variables: { id: '2' } };
+
+    const failed = await new GraphQLRequest({}).process(input);
+    assert.strictEqual(failed.error, 'GraphQL errors: Not found (at user); Also bad');
+    assert.deepStrictEqual(failed.data, { user: null });
+    assert.strictEqual(failed.errors.length, 2);
+
+    const allowed = await new GraphQLRequest({}).process({ ...input, allowErrors: true });
+    assert.strictEqual(allowed.error, undefined);
+    assert.strictEqual(allowed.errors.length, 2);
+  });
+
+  test('should fail on HTTP errors and non-JSON responses', async () => {
+    const status = await new GraphQLRequest({}).process({ url: `${server.url}/graphql`, query: '{ invalid }' });
+    assert.strictEqual(status.error, 'GraphQL request failed with status 400');
+
+    const html = await new GraphQLRequest({}).process({ url: `${server.url}/html`, query: '{ a }' });
+    assert.strictEqual(html.error, 'GraphQL response is not JSON (status 502)');
+
+    const network = await new GraphQLRequest({}).process({ url: 'not a url', query: '{ a }' });
+    assert.strictEqual(network.status, 0);
+    assert.ok(network.error);
+  });
+
+  test('should send persisted queries by hash and fall back to the full query', async () => {
+    const registered = await new GraphQLRequest({}).process({
+      url: `${server.url}/graphql`,
+      persistedQuery: 'known'
+    });
+    assert.deepStrictEqual(registered.data, { user: { id: '1', name: 'From cache' } });
+
+    const cassette = new Cassette('c.json', 'record');
+    const fallback = await new GraphQLRequest({}).process({
+      url: `${server.url}/graphql`,
+      query: userQuery,
+      variables: { id: '1' },
+      operationName: 'User',
+      headers: { Authorization: 'Bearer t' },
+      persistedQuery: true
+    }, new Context({ _cassette: cassette }));
+
+    assert.deepStrictEqual(fallback.data, { user: { id: '1', name: 'Ada' } });
+    const sent = cassette.interactions.map(({ request }) => JSON.parse(request.body));
+    assert.strictEqual(sent[0].query, undefined);
+    assert.strictEqual(sent[0].extensions.persistedQuery.sha256Hash, hash);
+    assert.strictEqual(sent[1].query, userQuery);
+  });
+
+  test('should require a query or a persisted query hash', async () => {
+    const result = await new GraphQLRequest({}).process({ url: `${server.url}/graphql`, persistedQuery: true });
+
+    assert.strictEqual(result.error, 'GraphQLRequest needs a query, or a persistedQuery hash');
+  });
+
+  test('should resolve variables from the pipeline and fail the block on errors', async () => {
+    const pipeline = PipelineBuilder.fromJSON({
+      pipeline: [
+        { id: 'ids', block: 'MockData', config: { data: { good: '1', bad: '2' } } },
+        {
+          id: 'user',
+          block: 'GraphQLRequest',
+          input: { url: `${server.url}/graphql`, query: userQuery, variables: { id: '${ids.bad}' } }
+        }
+      ]
+    });
+
+    const result = await pipeline.execute({});
+
+    assert.strictEqual(result.success, false);
+    assert.deepStrictEqual(result.data.user.errors.map(e => e.message), ['Not found', 'Also bad']);
+  });
+});
@@ -1,6 +1,13 @@
 import { test, describe, beforeEach, afterEach, mock } from 'node:test';
 import assert from 'node:assert';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
 import { HttpRequest } from '../../../blocks/http/HttpRequest.js';
+import { Context } from '../../../src/core/Context.js';
+import { Cassette } from '../../../src/utils/Cassette.js';
+import { MockServer, stopMockServer } from '../../../blocks/test/MockServer.js';
+import { CookieJar } from '../../../src/utils/CookieJar.js';
 
 describe('HttpRequest', () => {
   let httpRequest;
@@ -21,12 +28,14 @@ describe('HttpRequest', () => {
     test('should have correct inputs', () => {
       const { inputs } = HttpRequest;
       assert.deepStrictEqual(inputs.required, ['url', 'method']);
-      assert.deepStrictEqual(inputs.optional, ['headers', 'body', 'timeout', 'query']);
+      assert.deepStrictEqual(inputs.optional, [
+        'headers', 'body', 'timeout', 'query', 'stream', 'auth', 'bodyType', 'responseType', 'saveTo'
+      ]);
     });
 
     test('should have correct outputs', () => {
       const { outputs } = HttpRequest;
-      assert.deepStrictEqual(outputs.produces, ['status', 'headers', 'body', 'duration', 'url']);
+      assert.deepStrictEqual(outputs.produces, ['status', 'headers', 'body', 'duration', 'url', 'stream', 'file']);
     });
   });
 
@@ -189,6 +198,28 @@ describe('HttpRequest', () => {
       assert.ok(capturedOptions.signal instanceof AbortSignal);
     });
 
+    test('should abort the request when the context signal aborts', async () => {
+      let capturedOptions;
+      global.fetch = mock.fn((url, options) => {
+        capturedOptions = options;
+        return {
+          status: 200,
+          headers: new Map(),
+          text: () => 'ok'
+        };
+      });
+
+      const controller = new AbortController();
+      await httpRequest.process(
+        { url: 'https://api.test.com/slow', method: 'GET' },
+        { signal: controller.signal }
+      );
+
+      assert.strictEqual(capturedOptions.signal.aborted, false);
+      controller.abort();
+      assert.strictEqual(capturedOptions.signal.aborted, true);
+    });
+
     test('should handle 404 responses', async () => {
       global.fetch = mock.fn(() => ({
         status: 404,
@@ -278,4 +309,471 @@ describe('HttpRequest', () => {
       assert.strictEqual(result.body, '{"data":[1,2,3]}');
     });
   });
+
+  describe('cassettes', () => {
+    test('should record requests and responses in record mode', async () => {
+      global.fetch = mock.fn(() => ({
+        status: 200,
+        headers: new Map([['content-type', 'text/event-stream']]),
+        text: () => 'data: {"text":"Hi"}\n\ndata: [DONE]\n\n'
+      }));
+      const cassette = new Cassette('chat.json', 'record');
+
+      const result = await httpRequest.process(
+        { url: 'https://api.test.com/chat', method: 'post', body: { message: 'Hi' } },
+        new Context({ _cassette: cassette })
+      );
+
+      assert.strictEqual(result.status, 200);
+      assert.deepStrictEqual(cassette.interactions, [{
+        request: { method: 'POST', url: 'https://api.test.com/chat', body: '{"message":"Hi"}' },
+        response: {
+          status: 200,
+          headers: { 'content-type': 'text/event-stream' },
+          body: 'data: {"text":"Hi"}\n\ndata: [DONE]\n\n',
+          duration: result.duration
+        }
+      }]);
+    });
+
+    test('should answer from the cassette in replay mode without calling fetch', async () => {
+      global.fetch = mock.fn();
+      const cassette = new Cassette('chat.json', 'replay', [{
+        request: { method: 'POST', url: 'https://api.test.com/chat', body: '{"a":1,"b":2}' },
+        response: { status: 200, headers: { 'content-type': 'application/json' }, body: '{"ok":true}', duration: 850 }
+      }]);
+
+      const result = await httpRequest.process(
+        { url: 'https://api.test.com/chat', method: 'POST', body: { b: 2, a: 1 } },
+        new Context({ _cassette: cassette })
+      );
+
+      assert.strictEqual(global.fetch.mock.calls.length, 0);
+      assert.deepStrictEqual(result, {
+        status: 200,
+        headers: { 'content-type': 'application/json' },
+        body: '{"ok":true}',
+        duration: 850,
+        url: 'https://api.test.com/chat'
+      });
+    });
+
+    test('should return an error for requests missing from the cassette', async () => {
+      global.fetch = mock.fn();
+      const cassette = new Cassette('chat.json', 'replay');
+
+      const result = await httpRequest.process(
+        { url: 'https://api.test.com/chat', method: 'GET' },
+        new Context({ _cassette: cassette })
+      );
+
+      assert.strictEqual(global.fetch.mock.calls.length, 0);
+      assert.strictEqual(result.status, 0);
+      assert.strictEqual(result.error, 'No recorded response for GET https://api.test.com/chat in chat.json');
+    });
+  });
+
+  describe('auth', () => {
+    const ok = body => ({ status: 200, ok: true, headers: new Map(), text: () => body });
+
+    test('should add bearer and basic credentials to the request headers', async () => {
+      const calls = [];
+      global.fetch = mock.fn((url, options) => {
+        calls.push(options.headers);
+        return ok('{}');
+      });
+
+      await httpRequest.process({
+        url: 'https://api.test.com/me',
+        method: 'GET',
+        headers: { Accept: 'application/json' },
+        auth: { type: 'bearer', token: 'abc' }
+      });
+      await httpRequest.process({
+        url: 'https://api.test.com/me',
+        method: 'GET',
+        auth: { type: 'basic', username: 'user', password: 'pass' }
+      });
+
+      assert.deepStrictEqual(calls[0], { Accept: 'application/json', Authorization: 'Bearer abc' });
+      assert.strictEqual(calls[1].Authorization, `Basic ${Buffer.from('user:pass').toString('base64')}`);
+    });
+
+    test('should send a query API key without exposing it in the url output or cassette', async () => {
+      global.fetch = mock.fn(() => ok('{}'));
+      const cassette = new Cassette('c.json', 'record');
+
+      const result = await httpRequest.process(
+        { url: 'https://api.test.com/search', method: 'GET', query: { q: 'x' }, auth: { type: 'apiKey', in: 'query', name: 'key', value: 'secret' } },
+        new Context({ _cassette: cassette })
+      );
+
+      assert.strictEqual(global.fetch.mock.calls[0].arguments[0], 'https://api.test.com/search?q=x&key=secret');
+      assert.strictEqual(result.url, 'https://api.test.com/search?q=x');
+      assert.strictEqual(cassette.interactions[0].request.url, 'https://api.test.com/search?q=x');
+    });
+
+    test('should fetch an OAuth2 token once and cache it in the context', async () => {
+      const requests = [];
+      global.fetch = mock.fn((url, options) => {
+        requests.push({ url, options });
+        return url.endsWith('/token') ? ok(JSON.stringify({ access_token: 'token-1', expires_in: 3600 })) : ok('{}');
+      });
+      const context = new Context();
+      const auth = { type: 'oauth2', tokenUrl: 'https://auth.test.com/token', clientId: 'id', clientSecret: 'secret', scope: 'read' };
+
+      await httpRequest.process({ url: 'https://api.test.com/a', method: 'GET', auth }, context);
+      await httpRequest.process({ url: 'https://api.test.com/b', method: 'GET', auth }, context);
+
+      assert.deepStrictEqual(requests.map(r => r.url), [
+        'https://auth.test.com/token', 'https://api.test.com/a', 'https://api.test.com/b'
+      ]);
+      assert.strictEqual(
+        requests[0].options.body,
+        'grant_type=client_credentials&client_id=id&client_secret=secret&scope=read'
+      );
+      assert.strictEqual(requests[2].options.headers.Authorization, 'Bearer token-1');
+      assert.deepStrictEqual(JSON.parse(JSON.stringify(context.get('_authTokens'))), { tokens: 1 });
+    });
+
+    test('should refresh the OAuth2 token and retry once on 401', async () => {
+      let issued = 0;
+      const seen = [];
+      global.fetch = mock.fn((url, options) => {
+        if (url.endsWith('/token')) return ok(JSON.stringify({ access_token: `token-${++issued}` }));
+        seen.push(options.headers.Authorization);
+        return options.headers.Authorization === 'Bearer token-1' ?
+          { status: 401, headers: new Map(), text: () => 'expired' } :
+          ok('fine');
+      });
+
+      const result = await httpRequest.process({
+        url: 'https://api.test.com/a',
+        method: 'GET',
+        auth: { type: 'oauth2', tokenUrl: 'https://auth.test.com/token', clientId: 'id', clientSecret: 'secret' }
+      }, new Context());
+
+      assert.strictEqual(result.status, 200);
+      assert.strictEqual(result.body, 'fine');
+      assert.deepStrictEqual(seen, ['Bearer token-1', 'Bearer token-2']);
+    });
+
+    test('should return an error when the auth definition or token request fails', async () => {
+      global.fetch = mock.fn(() => ({ status: 400, ok: false, headers: new Map(), text: () => 'invalid_client' }));
+
+      const invalid = await httpRequest.process({ url: 'https://api.test.com/a', method: 'GET', auth: { type: 'digest' } });
+      assert.strictEqual(invalid.status, 0);
+      assert.match(invalid.error, /Unknown auth type 'digest'/);
+
+      const failed = await httpRequest.process({
+        url: 'https://api.test.com/a',
+        method: 'GET',
+        auth: { type: 'oauth2', tokenUrl: 'https://auth.test.com/token', clientId: 'id', clientSecret: 'bad' }
+      });
+      assert.strictEqual(failed.status, 0);
+      assert.match(failed.error, /failed with status 400: invalid_client/);
+      assert.strictEqual(global.fetch.mock.calls.length, 1);
+    });
+
+    test('should not request tokens when replaying', async () => {
+      global.fetch = mock.fn();
+      const cassette = new Cassette('c.json', 'replay', [{
+        request: { method: 'GET', url: 'https://api.test.com/a' },
+        response: { status: 200, headers: {}, body: 'ok', duration: 5 }
+      }]);
+
+      const result = await httpRequest.process({
+        url: 'https://api.test.com/a',
+        method: 'GET',
+        auth: { type: 'oauth2', tokenUrl: 'https://auth.test.com/token', clientId: 'id', clientSecret: 'secret' }
+      }, new Context({ _cassette: cassette }));
+
+      assert.strictEqual(result.body, 'ok');
+      assert.strictEqual(global.fetch.mock.calls.length, 0);
+    });
+  });
+
+  describe('body and response types', () => {
+    let tmpDir;
+    let context;
+    let captured;
+
+    beforeEach(async () => {
+      tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'semtest-'));
+      await fs.mkdir(path.join(tmpDir, 'fixtures'));
+      await fs.writeFile(path.join(tmpDir, 'fixtures', 'doc.txt'), 'document text');
+      context = new Context({ _test: { file: path.join(tmpDir, 'suite.json') } });
+      global.fetch = mock.fn((url, options) => {
+        captured = options;
+        return {
+          status: 200,
+          headers: new Map([['content-type', 'application/pdf']]),
+          text: () => 'ok',
+          arrayBuffer: () => Uint8Array.from([0x25, 0x50, 0x44, 0x46]).buffer
+        };
+      });
+    });
+
+    afterEach(async () => {
+      await fs.rm(tmpDir, { recursive: true, force: true });
+    });
+
+    test('should send form-urlencoded bodies', async () => {
+      await httpRequest.process({
+        url: 'https://api.test.com/login',
+        method: 'POST',
+        bodyType: 'form',
+        body: { username: 'ada', password: 'p&ss', roles: ['a', 'b'] }
+      });
+
+      assert.strictEqual(captured.body, 'username=ada&password=p%26ss&roles=a&roles=b');
+      assert.strictEqual(captured.headers['Content-Type'], 'application/x-www-form-urlencoded');
+    });
+
+    test('should send multipart bodies with files relative to the suite file', async () => {
+      await httpRequest.process({
+        url: 'https://api.test.com/upload',
+        method: 'POST',
+        bodyType: 'multipart',
+        body: {
+          message: 'Summarize this',
+          options: { model: 'small' },
+          doc: { file: 'fixtures/doc.txt', contentType: 'text/plain' }
+        }
+      }, context);
+
+      assert.ok(captured.body instanceof FormData);
+      assert.strictEqual(captured.headers['Content-Type'], undefined);
+      assert.strictEqual(captured.body.get('message'), 'Summarize this');
+      assert.strictEqual(captured.body.get('options'), '{"model":"small"}');
+      const doc = captured.body.get('doc');
+      assert.strictEqual(doc.name, 'doc.txt');
+      assert.strictEqual(doc.type, 'text/plain');
+      assert.strictEqual(await doc.text(), 'document text');
+    });
+
+    test('should send binary bodies from a file or base64', async () => {
+      await httpRequest.process(
+        { url: 'https://api.test.com/raw', method: 'PUT', bodyType: 'binary', body: { file: 'fixtures/doc.txt' } },
+        context
+      );
+      assert.strictEqual(captured.body.toString(), 'document text');
+      assert.strictEqual(captured.headers['Content-Type'], 'application/octet-stream');
+
+      await httpRequest.process({
+        url: 'https://api.test.com/raw',
+        method: 'PUT',
+        bodyType: 'binary',
+        headers: { 'Content-Type': 'image/png' },
+        body: { base64: Buffer.from('png').toString('base64') }
+      });
+      assert.strictEqual(captured.body.toString(), 'png');
+      assert.strictEqual(captured.headers['Content-Type'], 'image/png');
+    });
+
+    test('should return an error for unknown body types and missing files', async () => {
+      const unknown = await httpRequest.process({ url: 'https://api.test.com', method: 'POST', bodyType: 'xml', body: {} });
+      assert.match(unknown.error, /Unknown bodyType 'xml' \(use json, form, multipart, binary\)/);
+
+      const missing = await httpRequest.process({
+        url: 'https://api.test.com',
+        method: 'POST',
+        bodyType: 'multipart',
+        body: { doc: { file: 'fixtures/missing.pdf' } }
+      }, context);
+      assert.strictEqual(missing.status, 0);
+      assert.match(missing.error, /Cannot read file for 'doc': .*missing\.pdf \(ENOENT\)/);
+      assert.strictEqual(global.fetch.mock.calls.length, 0);
+    });
+
+    test('should return binary responses as base64', async () => {
+      const result = await httpRequest.process(
+        { url: 'https://api.test.com/report.pdf', method: 'GET', responseType: 'base64' }
+      );
+
+      assert.strictEqual(result.body, Buffer.from('%PDF').toString('base64'));
+    });
+
+    test('should save binary responses to a file relative to the suite file', async () => {
+      const result = await httpRequest.process(
+        { url: 'https://api.test.com/report.pdf', method: 'GET', responseType: 'file', saveTo: 'out/report.pdf' },
+        context
+      );
+
+      assert.strictEqual(result.file, path.join(tmpDir, 'out', 'report.pdf'));
+      assert.strictEqual('body' in result, false);
+      assert.strictEqual(await fs.readFile(result.file, 'utf-8'), '%PDF');
+    });
+
+    test('should record uploads by definition and replay binary responses', async () => {
+      const recording = new Cassette('c.json', 'record');
+      const input = {
+        url: 'https://api.test.com/upload',
+        method: 'POST',
+        bodyType: 'multipart',
+        body: { doc: { file: 'fixtures/doc.txt' } },
+        responseType: 'file',
+        saveTo: 'out/recorded.pdf'
+      };
+      await httpRequest.process(input, new Context({ ...context.toObject(), _cassette: recording }));
+
+      assert.strictEqual(recording.interactions[0].request.body, '{"doc":{"file":"fixtures/doc.txt"}}');
+      assert.strictEqual(recording.interactions[0].response.body, Buffer.from('%PDF').toString('base64'));
+
+      global.fetch = mock.fn();
+      const replaying = new Cassette('c.json', 'replay', recording.interactions);
+      const result = await httpRequest.process(
+        { ...input, saveTo: 'out/replayed.pdf' },
+        new Context({ ...context.toObject(), _cassette: replaying })
+      );
+
+      assert.strictEqual(global.fetch.mock.calls.length, 0);
+      assert.strictEqual(await fs.readFile(result.file, 'utf-8'), '%PDF');
+    });
+
+    test('should reject unknown response types and binary responses with streaming', async () => {
+      const unknown = await httpRequest.process({ url: 'https://api.test.com', method: 'GET', responseType: 'blob' });
+      assert.match(unknown.error, /Unknown responseType 'blob' \(use text, base64, file\)/);
+
+      const streamed = await httpRequest.process({ url: 'https://api.test.com', method: 'GET', responseType: 'file', stream: true });
+      assert.match(streamed.error, /responseType 'file' cannot be used with stream/);
+      assert.strictEqual(global.fetch.mock.calls.length, 0);
+    });
+  });
+
+  describe('cookies', () => {
+    let server;
+
+    beforeEach(async () => {
+      server = await new MockServer({
+        config: {
+          routes: [
+            {
+              method: 'POST',
+              path: '/login',
+              response: { status: 302, headers: { 'Set-Cookie': ['session=abc; Path=/; HttpOnly', 'seen=1'], Location: '/home' } }
+            },
+            { path: '/home', headers: { cookie: 'lang=en; session=abc; seen=1' }, response: { json: { lang: 'en' } } },
+            { path: '/home', headers: { cookie: { contains: 'session=abc' } }, response: { json: { user: 'ada' } } },
+            { path: '/prefs', response: { headers: { 'Set-Cookie': ['theme=dark', 'lang=en'] }, body: 'ok' } },
+            { path: '/home', response: { status: 401, json: { error: 'no session' } } },
+            { path: '/logout', response: { headers: { 'Set-Cookie': 'session=; Max-Age=0; Path=/' }, body: 'bye' } }
+          ]
+        }
+      }).execute({});
+    });
+
+    afterEach(async () => {
+      await stopMockServer(server.url);
+    });
+
+    test('should store cookies set during redirects and send them on later requests', async () => {
+      const jar = new CookieJar();
+      const context = new Context({ _cookies: jar });
+
+      const login = await httpRequest.process({ url: `${server.url}/login`, method: 'POST', body: { user: 'ada' } }, context);
+      assert.strictEqual(login.status, 200);
+      assert.strictEqual(login.body, '{"user":"ada"}');
+
+      const home = await httpRequest.process(
+        { url: `${server.url}/home`, method: 'GET', headers: { Cookie: 'lang=en' } },
+        context
+      );
+      assert.strictEqual(home.body, '{"lang":"en"}');
+      assert.strictEqual(jar.getCookieHeader(`${server.url}/home`), 'session=abc; seen=1');
+
+      await httpRequest.process({ url: `${server.url}/logout`, method: 'GET' }, context);
+      assert.strictEqual(jar.getCookieHeader(`${server.url}/home`), 'seen=1');
+    });
+
+    test('should stay stateless without a cookie jar', async () => {
+      const login = await httpRequest.process({ url: `${server.url}/login`, method: 'POST', body: {} }, new Context());
+
+      assert.strictEqual(login.status, 401);
+    });
+
+    test('should keep every Set-Cookie header in the headers output', async () => {
+      const result = await httpRequest.process({ url: `${server.url}/prefs`, method: 'GET' });
+
+      assert.strictEqual(result.headers['set-cookie'], 'theme=dark, lang=en');
+    });
+
+    test('should store cookies from replayed responses', async () => {
+      const cassette = new Cassette('c.json', 'replay', [{
+        request: { method: 'POST', url: `${server.url}/login`, body: '{}' },
+        response: { status: 200, headers: { 'set-cookie': 'session=abc; Path=/, seen=1' }, body: '', duration: 1 }
+      }]);
+      const jar = new CookieJar();
+
+      await httpRequest.process(
+        { url: `${server.url}/login`, method: 'POST', body: {} },
+        new Context({ _cassette: cassette, _cookies: jar })
+      );
+
+      assert.strictEqual(jar.getCookieHeader(`${server.url}/`), 'session=abc; seen=1');
+    });
+  });
+
+  describe('streaming', () => {
+    let server;
+
+    beforeEach(async () => {
+      server = await new MockServer({
+        config: {
+          routes: [
+            { path: '/sse', response: { sse: ['one', 'two', 'three', 'four'], chunkDelay: 40 } },
+            { path: '/stall', response: { chunks: ['start', 'end'], chunkDelay: 5000 } }
+          ]
+        }
+      }).execute({});
+    });
+
+    afterEach(async () => {
+      await stopMockServer(server.url);
+    });
+
+    test('should timestamp every chunk of the body', async () => {
+      const result = await httpRequest.process({ url: `${server.url}/sse`, method: 'GET', stream: true });
+
+      assert.strictEqual(result.status, 200);
+      assert.strictEqual(result.body, 'data: one\n\ndata: two\n\ndata: three\n\ndata: four\n\n');
+      assert.strictEqual(result.stream.chunks.map(chunk => chunk.text).join(''), result.body);
+      assert.ok(result.stream.chunks.length > 1);
+      assert.strictEqual(result.stream.timeToFirstByte, result.stream.chunks[0].at);
+      assert.ok(result.stream.chunks.at(-1).at - result.stream.chunks[0].at >= 80);
+      assert.strictEqual(result.stream.bytes, result.body.length);
+      assert.strictEqual(result.stream.truncated, false);
+      assert.strictEqual(result.stream.stopReason, null);
+    });
+
+    test('should stop after a chunk or byte limit', async () => {
+      const byChunks = await httpRequest.process({ url: `${server.url}/sse`, method: 'GET', stream: { maxChunks: 2 } });
+      assert.strictEqual(byChunks.stream.chunks.length, 2);
+      assert.strictEqual(byChunks.stream.stopReason, 'maxChunks');
+      assert.strictEqual(byChunks.body, 'data: one\n\ndata: two\n\n');
+
+      const byBytes = await httpRequest.process({ url: `${server.url}/sse`, method: 'GET', stream: { maxBytes: 5 } });
+      assert.strictEqual(byBytes.body, 'data: one\n\n');
+      assert.strictEqual(byBytes.stream.stopReason, 'maxBytes');
+      assert.strictEqual(byBytes.stream.truncated, true);
+    });
+
+    test('should stop a stalled stream after its time limit', async () => {
+      const started = Date.now();
+      const result = await httpRequest.process({ url: `${server.url}/stall`, method: 'GET', stream: { maxDuration: 200 } });
+
+      assert.ok(Date.now() - started < 2000);
+      assert.strictEqual(result.body, 'start');
+      assert.strictEqual(result.stream.stopReason, 'maxDuration');
+      assert.strictEqual(result.error, undefined);
+    });
+
+    test('should keep the chunks read before the request timed out', async () => {
+      const result = await httpRequest.process({ url: `${server.url}/stall`, method: 'GET', timeout: 200, stream: true });
+
+      assert.strictEqual(result.status, 200);
+      assert.strictEqual(result.body, 'start');
+      assert.ok(result.error);
+    });
+  });
 });
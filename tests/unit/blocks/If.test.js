@@ -0,0 +1,105 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert';
+import { If } from '../../../blocks/control/If.js';
+
+describe('If', () => {
+  describe('input/output definitions', () => {
+    test('should have correct inputs', () => {
+      const { inputs } = If;
+      assert.deepStrictEqual(inputs.required, []);
+      assert.deepStrictEqual(inputs.optional, ['*']);
+    });
+
+    test('should have correct outputs', () => {
+      const { outputs } = If;
+      assert.deepStrictEqual(outputs.produces, ['passed', 'target', '_branch', '_skipTo']);
+    });
+  });
+
+  describe('condition evaluation', () => {
+    test('should select the then branch when the condition passes', () => {
+      const block = new If({
+        condition: { path: 'parsed.toolCalls', operator: 'isNotEmpty' },
+        then: 'withTools',
+        else: 'withoutTools',
+        branches: { withTools: [], withoutTools: [] }
+      });
+
+      const result = block.process({ parsed: { toolCalls: [{ name: 'search' }] } });
+
+      assert.strictEqual(result.passed, true);
+      assert.strictEqual(result.target, 'withTools');
+      assert.strictEqual(result._branch, 'withTools');
+      assert.strictEqual(result._skipTo, undefined);
+    });
+
+    test('should select the else branch when the condition fails', () => {
+      const block = new If({
+        condition: { path: 'parsed.toolCalls', operator: 'isNotEmpty' },
+        then: 'withTools',
+        else: 'withoutTools',
+        branches: { withTools: [], withoutTools: [] }
+      });
+
+      const result = block.process({ parsed: { toolCalls: [] } });
+
+      assert.strictEqual(result.passed, false);
+      assert.strictEqual(result._branch, 'withoutTools');
+    });
+
+    test('should jump to a block id when the target is not a branch', () => {
+      const block = new If({
+        condition: { path: 'status', operator: 'equals', value: 500 },
+        then: 'cleanup'
+      });
+
+      const result = block.process({ status: 500 });
+
+      assert.strictEqual(result._skipTo, 'cleanup');
+      assert.strictEqual(result._branch, undefined);
+    });
+
+    test('should continue normally when the chosen outcome has no target', () => {
+      const block = new If({
+        condition: { path: 'status', operator: 'equals', value: 500 },
+        then: 'cleanup'
+      });
+
+      const result = block.process({ status: 200 });
+
+      assert.strictEqual(result.passed, false);
+      assert.strictEqual(result.target, null);
+      assert.strictEqual(result._skipTo, undefined);
+    });
+
+    test('should support multiple conditions with AND logic', () => {
+      const block = new If({
+        conditions: [
+          { path: 'status', operator: 'equals', value: 200 },
+          { path: 'body', operator: 'contains', value: 'ok' }
+        ],
+        then: 'next'
+      });
+
+      assert.strictEqual(block.process({ status: 200, body: 'ok' }).passed, true);
+      assert.strictEqual(block.process({ status: 200, body: 'no' }).passed, false);
+    });
+
+    test('should read settings from nested config', () => {
+      const block = new If({
+        config: {
+          condition: { path: 'flag', operator: 'isTrue' },
+          then: 'next'
+        }
+      });
+
+      assert.strictEqual(block.process({ flag: true })._skipTo, 'next');
+    });
+
+    test('should throw when no condition is configured', () => {
+      const block = new If({ id: 'check', then: 'next' });
+
+      assert.throws(() => block.process({}), /Block 'check' requires a condition/);
+    });
+  });
+});
@@ -0,0 +1,86 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert';
+import { Include } from '../../../blocks/control/Include.js';
+import { MockData } from '../../../blocks/test/MockData.js';
+import { Block } from '../../../src/core/Block.js';
+import { Context } from '../../../src/core/Context.js';
+
+// Echoes the fragment input into its own slot
+class EchoBlock extends Block {
+  process(inputs) {
+    return { echoed: inputs.message };
+  }
+}
+
+describe('Include', () => {
+  describe('input/output definitions', () => {
+    test('should have correct inputs', () => {
+      const { inputs } = Include;
+      assert.deepStrictEqual(inputs.required, []);
+      assert.deepStrictEqual(inputs.optional, ['*']);
+    });
+
+    test('should have correct outputs', () => {
+      const { outputs } = Include;
+      assert.deepStrictEqual(outputs.produces, ['*']);
+    });
+  });
+
+  describe('fragment execution', () => {
+    test('should run the fragment with inputs as its input slot', async () => {
+      const block = new Include({ id: 'chat', fragment: 'echo' });
+      block.blocks = [new EchoBlock({ id: 'echo', input: { message: '${input.message}' } })];
+
+      const output = await block.process({ message: 'hello' }, new Context());
+
+      assert.deepStrictEqual(output, { echo: { echoed: 'hello' } });
+    });
+
+    test('should not expose internal slots of the fragment', async () => {
+      const block = new Include({ id: 'data', fragment: 'data' });
+      block.blocks = [new MockData({ id: 'mock', data: { value: 1 } })];
+
+      const output = await block.process({}, new Context());
+
+      assert.deepStrictEqual(Object.keys(output), ['mock']);
+    });
+
+    test('should report fragment failures as an output error', async () => {
+      class Failing extends Block {
+        process() {
+          throw new Error('boom');
+        }
+      }
+      const block = new Include({ id: 'chat', fragment: 'broken' });
+      block.blocks = [new MockData({ id: 'first', data: { ok: true } }), new Failing({ id: 'fails' })];
+
+      const output = await block.process({}, new Context());
+
+      assert.strictEqual(output.error, "Fragment 'broken' failed: boom");
+      assert.deepStrictEqual(output.first, { ok: true });
+    });
+
+    test('should isolate the data bus of each run', async () => {
+      const block = new Include({ id: 'chat', fragment: 'echo' });
+      block.blocks = [new EchoBlock({ id: 'echo', input: { message: '${input.message}' } })];
+
+      const outputs = await Promise.all([
+        block.process({ message: 'one' }, new Context()),
+        block.process({ message: 'two' }, new Context())
+      ]);
+
+      assert.strictEqual(outputs[0].echo.echoed, 'one');
+      assert.strictEqual(outputs[1].echo.echoed, 'two');
+    });
+
+    test('should share the parent context', async () => {
+      const context = new Context({ BASE_URL: 'https://api.test.com' });
+      const block = new Include({ id: 'url', fragment: 'url' });
+      block.blocks = [new EchoBlock({ id: 'echo', input: { message: '${BASE_URL}' } })];
+
+      const output = await block.process({}, context);
+
+      assert.strictEqual(output.echo.echoed, 'https://api.test.com');
+    });
+  });
+});
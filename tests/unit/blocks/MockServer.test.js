@@ -0,0 +1,138 @@
+import { test, describe, afterEach } from 'node:test';
+import assert from 'node:assert';
+import { MockServer, stopMockServer } from '../../../blocks/test/MockServer.js';
+import { Context } from '../../../src/core/Context.js';
+
+describe('MockServer Block', () => {
+  const started = [];
+
+  const start = async (config, context = new Context()) => {
+    const output = await new MockServer({ id: 'mock', config }).execute({}, context);
+    started.push(output.url);
+    return output;
+  };
+
+  afterEach(async () => {
+    await Promise.all(started.splice(0).map(stopMockServer));
+  });
+
+  test('should define its config and outputs', () => {
+    assert.deepStrictEqual(MockServer.outputs.produces, ['url', 'port']);
+    assert.deepStrictEqual(MockServer.contextKeys({ config: {} }), ['mockServerUrl']);
+    assert.deepStrictEqual(MockServer.contextKeys({ config: { contextKey: 'API_URL' } }), ['API_URL']);
+  });
+
+  test('should start a server and store its base URL in the context', async () => {
+    const context = new Context();
+    const { url, port } = await start({ routes: [] }, context);
+
+    assert.strictEqual(url, `http://127.0.0.1:${port}`);
+    assert.strictEqual(context.get('mockServerUrl'), url);
+  });
+
+  test('should answer with canned JSON and status codes', async () => {
+    const { url } = await start({
+      routes: [
+        { method: 'GET', path: '/users/1', response: { json: { id: 1, name: 'Ada' } } },
+        { method: 'GET', path: '/missing', response: { status: 404, json: { error: 'Not found' } } }
+      ]
+    });
+
+    const found = await fetch(`${url}/users/1`);
+    assert.strictEqual(found.status, 200);
+    assert.strictEqual(found.headers.get('content-type'), 'application/json');
+    assert.deepStrictEqual(await found.json(), { id: 1, name: 'Ada' });
+
+    const missing = await fetch(`${url}/missing`);
+    assert.strictEqual(missing.status, 404);
+    assert.deepStrictEqual(await missing.json(), { error: 'Not found' });
+  });
+
+  test('should match routes on method, path, query, headers and body', async () => {
+    const { url } = await start({
+      routes: [
+        {
+          method: 'post',
+          path: { matches: '^/v1/chat' },
+          query: { model: 'small' },
+          headers: { 'X-Api-Key': { minLength: 3 } },
+          body: { 'messages[0].content': { contains: 'weather' } },
+          response: { body: 'weather route' }
+        },
+        { method: 'POST', path: '/v1/chat', response: { body: 'fallback route' } }
+      ]
+    });
+
+    const send = (content, headers = { 'X-Api-Key': 'key' }) => fetch(`${url}/v1/chat?model=small`, {
+      method: 'POST',
+      headers,
+      body: JSON.stringify({ messages: [{ content }] })
+    }).then(res => res.text());
+
+    assert.strictEqual(await send('What is the weather?'), 'weather route');
+    assert.strictEqual(await send('Hello'), 'fallback route');
+    assert.strictEqual(await send('What is the weather?', {}), 'fallback route');
+
+    const unmatched = await fetch(`${url}/v2/chat`);
+    assert.strictEqual(unmatched.status, 404);
+    assert.deepStrictEqual(await unmatched.json(), { error: 'No mock route for GET /v2/chat' });
+  });
+
+  test('should stream SSE events with a delay between chunks', async () => {
+    const { url } = await start({
+      routes: [{
+        path: '/stream',
+        response: { sse: [{ text: 'Hel' }, { text: 'lo' }, '[DONE]'], chunkDelay: 30 }
+      }]
+    });
+
+    const response = await fetch(`${url}/stream`);
+    assert.strictEqual(response.headers.get('content-type'), 'text/event-stream');
+
+    const decoder = new TextDecoder();
+    const chunks = [];
+    for await (const chunk of response.body) {
+      chunks.push({ text: decoder.decode(chunk), at: Date.now() });
+    }
+
+    assert.strictEqual(
+      chunks.map(chunk => chunk.text).join(''),
+      'data: {"text":"Hel"}\n\ndata: {"text":"lo"}\n\ndata: [DONE]\n\n'
+    );
+    assert.ok(chunks.length > 1, 'events should arrive as separate chunks');
+    assert.ok(chunks.at(-1).at - chunks[0].at >= 50, 'chunks should be delayed');
+  });
+
+  test('should write raw chunks with the configured headers', async () => {
+    const { url } = await start({
+      routes: [{
+        path: '/vercel',
+        response: { headers: { 'Content-Type': 'text/plain; charset=utf-8' }, chunks: ['0:"Hi"\n', '0:" there"\n'] }
+      }]
+    });
+
+    const response = await fetch(`${url}/vercel`);
+    assert.strictEqual(response.headers.get('content-type'), 'text/plain; charset=utf-8');
+    assert.strictEqual(await response.text(), '0:"Hi"\n0:" there"\n');
+  });
+
+  test('should stop the server whose URL is in the context', async () => {
+    const context = new Context();
+    const { url } = await start({ routes: [{ response: { body: 'ok' } }] }, context);
+
+    const output = await new MockServer({ id: 'stop', config: { action: 'stop' } }).execute({}, context);
+
+    assert.strictEqual(output.url, url);
+    assert.strictEqual(context.has('mockServerUrl'), false);
+    await assert.rejects(fetch(url));
+  });
+
+  test('should reject invalid routes and actions', async () => {
+    await assert.rejects(start({ routes: [{ path: '/a' }] }), /Block 'mock' route 1: missing response/);
+    await assert.rejects(
+      start({ routes: [{ body: { text: { contain: 'x' } }, response: {} }] }),
+      /Block 'mock' route 1: unknown operator 'contain'/
+    );
+    await assert.rejects(start({ action: 'restart' }), /unknown action 'restart'/);
+  });
+});
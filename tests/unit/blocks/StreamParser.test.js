@@ -1,6 +1,6 @@
 import { test, describe, beforeEach } from 'node:test';
 import assert from 'node:assert';
-import { StreamParser } from '../../../blocks/parse/StreamParser.js';
+import { StreamParser, measureStream } from '../../../blocks/parse/StreamParser.js';
 import { testStreams } from '../../utils/mocks.js';
 
 describe('StreamParser', () => {
@@ -14,12 +14,12 @@ describe('StreamParser', () => {
     test('should have correct inputs', () => {
       const { inputs } = StreamParser;
       assert.deepStrictEqual(inputs.required, ['body']);
-      assert.deepStrictEqual(inputs.optional, ['format']);
+      assert.deepStrictEqual(inputs.optional, ['format', 'stream']);
     });
 
     test('should have correct outputs', () => {
       const { outputs } = StreamParser;
-      assert.deepStrictEqual(outputs.produces, ['text', 'toolCalls', 'chunks', 'metadata']);
+      assert.deepStrictEqual(outputs.produces, ['text', 'toolCalls', 'chunks', 'metadata', 'metrics']);
     });
   });
 
@@ -129,6 +129,115 @@ describe('StreamParser', () => {
     });
   });
 
+  describe('Anthropic format parsing', () => {
+    const event = data => `event: ${data.type}\ndata: ${JSON.stringify(data)}\n\n`;
+    const start = event({
+      type: 'message_start',
+      message: { id: 'msg_1', model: 'claude-test', usage: { input_tokens: 25, output_tokens: 1 } }
+    });
+    const textBlock = (index, ...deltas) => [
+      event({ type: 'content_block_start', index, content_block: { type: 'text', text: '' } }),
+      ...deltas.map(text => event({ type: 'content_block_delta', index, delta: { type: 'text_delta', text } })),
+      event({ type: 'content_block_stop', index })
+    ].join('');
+    const toolBlock = (index, id, name, ...parts) => [
+      event({ type: 'content_block_start', index, content_block: { type: 'tool_use', id, name, input: {} } }),
+      ...parts.map(json => event({ type: 'content_block_delta', index, delta: { type: 'input_json_delta', partial_json: json } })),
+      event({ type: 'content_block_stop', index })
+    ].join('');
+    const stop = (reason, tokens) => [
+      event({ type: 'message_delta', delta: { stop_reason: reason, stop_sequence: null }, usage: { output_tokens: tokens } }),
+      event({ type: 'message_stop' })
+    ].join('');
+
+    test('should parse text and merge usage', () => {
+      const body = `${start}${event({ type: 'ping' })}${textBlock(0, 'Hello', ' world')}${stop('end_turn', 12)}`;
+      const result = parser.process({ body, format: 'sse-anthropic' });
+
+      assert.strictEqual(result.text, 'Hello world');
+      assert.deepStrictEqual(result.toolCalls, []);
+      assert.deepStrictEqual(result.chunks, [
+        { type: 'text', content: 'Hello' },
+        { type: 'text', content: ' world' },
+        { type: 'finish', reason: 'end_turn' }
+      ]);
+      assert.strictEqual(result.metadata.format, 'sse-anthropic');
+      assert.strictEqual(result.metadata.messageId, 'msg_1');
+      assert.strictEqual(result.metadata.model, 'claude-test');
+      assert.strictEqual(result.metadata.stopReason, 'end_turn');
+      assert.strictEqual(result.metadata.inputTokens, 25);
+      assert.strictEqual(result.metadata.outputTokens, 12);
+      assert.deepStrictEqual(result.metadata.usage, { input_tokens: 25, output_tokens: 12 });
+    });
+
+    test('should assemble tool arguments from partial JSON', () => {
+      const body = [
+        start,
+        textBlock(0, 'Let me check'),
+        toolBlock(1, 'toolu_1', 'get_weather', '{"city": "Pa', 'ris", "units"', ': "celsius"}'),
+        toolBlock(2, 'toolu_2', 'get_time'),
+        stop('tool_use', 40)
+      ].join('');
+      const result = parser.process({ body, format: 'sse-anthropic' });
+
+      assert.strictEqual(result.text, 'Let me check');
+      assert.deepStrictEqual(result.toolCalls, [
+        { id: 'toolu_1', name: 'get_weather', args: { city: 'Paris', units: 'celsius' } },
+        { id: 'toolu_2', name: 'get_time', args: {} }
+      ]);
+      assert.strictEqual(result.metadata.totalTools, 2);
+      assert.strictEqual(result.metadata.stopReason, 'tool_use');
+    });
+
+    test('should collect thinking apart from the text', () => {
+      const thinking = [
+        event({ type: 'content_block_start', index: 0, content_block: { type: 'thinking', thinking: '' } }),
+        event({ type: 'content_block_delta', index: 0, delta: { type: 'thinking_delta', thinking: 'The user wants ' } }),
+        event({ type: 'content_block_delta', index: 0, delta: { type: 'thinking_delta', thinking: 'a greeting.' } }),
+        event({ type: 'content_block_delta', index: 0, delta: { type: 'signature_delta', signature: 'sig' } }),
+        event({ type: 'content_block_stop', index: 0 })
+      ].join('');
+      const result = parser.process({ body: `${start}${thinking}${textBlock(1, 'Hi!')}${stop('end_turn', 20)}`, format: 'sse-anthropic' });
+
+      assert.strictEqual(result.text, 'Hi!');
+      assert.strictEqual(result.metadata.thinking, 'The user wants a greeting.');
+      assert.deepStrictEqual(result.chunks.map(chunk => chunk.type), ['thinking', 'thinking', 'text', 'finish']);
+    });
+
+    test('should report error events and keep what arrived before', () => {
+      const error = event({ type: 'error', error: { type: 'overloaded_error', message: 'Overloaded' } });
+      const result = parser.process({ body: `${start}${textBlock(0, 'Partial')}${error}`, format: 'sse-anthropic' });
+
+      assert.strictEqual(result.text, 'Partial');
+      assert.strictEqual(result.metadata.error, 'overloaded_error: Overloaded');
+      assert.deepStrictEqual(result.chunks.at(-1), { type: 'error', error: { type: 'overloaded_error', message: 'Overloaded' } });
+    });
+
+    test('should parse tool input of a stream cut off mid-block and skip malformed lines', () => {
+      const body = `${start}data: not json\n\n${toolBlock(0, 'toolu_1', 'search', '{"q": "x"}').split('event: content_block_stop')[0]}`;
+      const result = parser.process({ body, format: 'sse-anthropic' });
+
+      assert.deepStrictEqual(result.toolCalls, [{ id: 'toolu_1', name: 'search', args: { q: 'x' } }]);
+      assert.strictEqual(result.metadata.stopReason, undefined);
+      assert.strictEqual(result.metadata.outputTokens, 1);
+    });
+
+    test('should use the reported output tokens for stream metrics', () => {
+      const chunks = [
+        { at: 100, text: start },
+        { at: 200, text: textBlock(0, 'Hello', ' world') },
+        { at: 1200, text: `${textBlock(1, ' again')}${stop('end_turn', 30)}` }
+      ];
+      const body = chunks.map(chunk => chunk.text).join('');
+      const { metrics } = parser.process({ body, format: 'sse-anthropic', stream: { chunks } });
+
+      assert.strictEqual(metrics.timeToFirstToken, 200);
+      assert.strictEqual(metrics.tokens, 30);
+      assert.strictEqual(metrics.tokensEstimated, false);
+      assert.strictEqual(metrics.tokensPerSecond, 30);
+    });
+  });
+
   describe('unknown format handling', () => {
     test('should return body as-is for unknown format', () => {
       const body = 'Some random text content';
@@ -244,6 +353,7 @@ describe('StreamParser', () => {
       assert.ok(formats.includes('sse'));
       assert.ok(formats.includes('sse-vercel'));
       assert.ok(formats.includes('sse-openai'));
+      assert.ok(formats.includes('sse-anthropic'));
     });
 
     test('should get registered parser', () => {
@@ -282,4 +392,85 @@ describe('StreamParser', () => {
       assert.strictEqual(result.metadata.error, 'Parser error');
     });
   });
+
+  describe('stream metrics', () => {
+    const openAIEvent = content => `data: ${JSON.stringify({ choices: [{ delta: { content } }] })}\n\n`;
+    const stream = {
+      chunks: [
+        { at: 100, text: 'data: {"choices":[{"delta":{"role":"assistant"}}]}\n\n' },
+        { at: 300, text: openAIEvent('Hello') },
+        { at: 500, text: `${openAIEvent(' wor')}${openAIEvent('ld,')}` },
+        { at: 1300, text: `${openAIEvent(' how are you?')}data: [DONE]\n\n` }
+      ],
+      timeToFirstByte: 100,
+      duration: 1350,
+      truncated: false
+    };
+    const body = stream.chunks.map(chunk => chunk.text).join('');
+
+    test('should measure time to first token and tokens per second', () => {
+      const result = parser.process({ body, format: 'sse-openai', stream });
+
+      assert.strictEqual(result.text, 'Hello world, how are you?');
+      assert.deepStrictEqual(result.metrics, {
+        timeToFirstByte: 100,
+        timeToFirstToken: 300,
+        generationTime: 1000,
+        duration: 1350,
+        chunks: 4,
+        tokens: 7,
+        tokensEstimated: true,
+        tokensPerSecond: 7,
+        truncated: false
+      });
+    });
+
+    test('should find the first token when an event is split across chunks', () => {
+      const event = openAIEvent('Hi');
+      const split = {
+        chunks: [
+          { at: 50, text: event.slice(0, 10) },
+          { at: 80, text: event.slice(10) },
+          { at: 90, text: 'data: [DONE]\n\n' }
+        ]
+      };
+
+      const { metrics } = parser.process({ body: event, format: 'sse-openai', stream: split });
+
+      assert.strictEqual(metrics.timeToFirstByte, 50);
+      assert.strictEqual(metrics.timeToFirstToken, 80);
+      assert.strictEqual(metrics.generationTime, 0);
+      assert.strictEqual(metrics.tokensPerSecond, null);
+    });
+
+    test('should prefer token counts reported by the parser', () => {
+      const metrics = measureStream(stream, () => ({ text: 'x' }), {
+        text: 'Hello world',
+        metadata: { outputTokens: 20 }
+      });
+
+      assert.strictEqual(metrics.tokens, 20);
+      assert.strictEqual(metrics.tokensEstimated, false);
+    });
+
+    test('should measure plain text streams and streams without text', () => {
+      const text = parser.process({
+        body: 'abcdefgh',
+        stream: { chunks: [{ at: 10, text: 'abcd' }, { at: 1010, text: 'efgh' }] }
+      });
+      assert.strictEqual(text.metrics.timeToFirstToken, 10);
+      assert.strictEqual(text.metrics.tokensPerSecond, 2);
+
+      const empty = parser.process({ body: '', format: 'sse-openai', stream: { chunks: [] } });
+      assert.strictEqual(empty.metrics.timeToFirstToken, null);
+      assert.strictEqual(empty.metrics.timeToFirstByte, null);
+      assert.strictEqual(empty.metrics.tokens, 0);
+    });
+
+    test('should not add metrics without a stream timeline', () => {
+      const result = parser.process({ body, format: 'sse-openai' });
+
+      assert.strictEqual('metrics' in result, false);
+    });
+  });
 });
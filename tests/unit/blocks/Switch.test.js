@@ -0,0 +1,68 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert';
+import { Switch } from '../../../blocks/control/Switch.js';
+
+describe('Switch', () => {
+  const config = {
+    cases: [
+      { condition: { path: 'status', operator: 'gte', value: 500 }, then: 'serverError' },
+      { condition: { path: 'status', operator: 'gte', value: 400 }, then: 'clientError' }
+    ],
+    default: 'success',
+    branches: { serverError: [], clientError: [], success: [] }
+  };
+
+  describe('input/output definitions', () => {
+    test('should have correct outputs', () => {
+      const { outputs } = Switch;
+      assert.deepStrictEqual(outputs.produces, ['matched', 'target', '_branch', '_skipTo']);
+    });
+  });
+
+  describe('case selection', () => {
+    test('should pick the first matching case', () => {
+      const block = new Switch(config);
+
+      const result = block.process({ status: 503 });
+
+      assert.strictEqual(result.matched, 0);
+      assert.strictEqual(result._branch, 'serverError');
+    });
+
+    test('should evaluate cases in order', () => {
+      const block = new Switch(config);
+
+      const result = block.process({ status: 404 });
+
+      assert.strictEqual(result.matched, 1);
+      assert.strictEqual(result._branch, 'clientError');
+    });
+
+    test('should fall back to the default target', () => {
+      const block = new Switch(config);
+
+      const result = block.process({ status: 200 });
+
+      assert.strictEqual(result.matched, 'default');
+      assert.strictEqual(result._branch, 'success');
+    });
+
+    test('should continue normally without a matching case or default', () => {
+      const block = new Switch({ cases: config.cases });
+
+      const result = block.process({ status: 200 });
+
+      assert.strictEqual(result.target, null);
+      assert.strictEqual(result._branch, undefined);
+      assert.strictEqual(result._skipTo, undefined);
+    });
+
+    test('should jump to block ids that are not branches', () => {
+      const block = new Switch({
+        cases: [{ condition: { path: 'done', operator: 'isTrue' }, then: 'report' }]
+      });
+
+      assert.strictEqual(block.process({ done: true })._skipTo, 'report');
+    });
+  });
+});
@@ -0,0 +1,192 @@
+import { test, describe, before, after, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert';
+import http from 'http';
+import { WebSocketRequest } from '../../../blocks/http/WebSocketRequest.js';
+import { PipelineBuilder } from '../../../src/core/PipelineBuilder.js';
+import { acceptWebSocket } from '../../../src/utils/websocket.js';
+
+describe('WebSocketRequest Block', () => {
+  let server;
+  let url;
+
+  // A scripted agent: answers each message by its content
+  const replies = {
+    hello: [{ type: 'delta', text: 'Hel' }, { type: 'delta', text: 'lo' }, { type: 'done' }],
+    weather: [
+      { choices: [{ delta: { content: 'Checking' } }] },
+      { choices: [{ delta: { tool_calls: [{ id: 't1', function: { name: 'get_weather', arguments: '{"city":"Paris"}' } }] } }] },
+      '[DONE]'
+    ],
+    count: ['1', '2', '3', '4', '5'],
+    quiet: ['only one']
+  };
+
+  before(async () => {
+    server = http.createServer();
+    server.on('upgrade', (req, socket, head) => {
+      if (req.url === '/private' && req.headers.authorization !== 'Bearer t') {
+        socket.end('HTTP/1.1 401 Unauthorized\r\nContent-Length: 0\r\n\r\n');
+        return;
+      }
+      const connection = acceptWebSocket(req, socket, head);
+      if (req.url === '/agent') connection.send(JSON.stringify({ type: 'ready' }));
+
+      connection.on('message', ({ text }) => {
+        let content = text;
+        try {
+          ({ content } = JSON.parse(text));
+        } catch {}
+
+        if (content === 'close') {
+          connection.close();
+          return;
+        }
+        for (const reply of replies[content] || [`echo: ${content}`]) {
+          connection.send(typeof reply === 'string' ? reply : JSON.stringify(reply));
+        }
+      });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    url = `ws://127.0.0.1:${server.address().port}`;
+  });
+
+  after(() => {
+    server.close();
+  });
+
+  test('should define its inputs and outputs', () => {
+    assert.deepStrictEqual(WebSocketRequest.inputs.required, ['url']);
+    assert.deepStrictEqual(
+      WebSocketRequest.outputs.produces,
+      ['text', 'toolCalls', 'chunks', 'metadata', 'metrics', 'frames', 'stopReason']
+    );
+  });
+
+  test('should follow the script and parse frames until the terminal frame', async () => {
+    const result = await new WebSocketRequest({ id: 'chat' }).process({
+      url: `${url}/agent`,
+      messages: [{ waitFor: { type: 'ready' }, send: { type: 'user', content: 'hello' } }],
+      until: { type: 'done' }
+    });
+
+    assert.strictEqual(result.error, undefined);
+    assert.strictEqual(result.stopReason, 'until');
+    assert.strictEqual(result.text, 'Hello');
+    assert.strictEqual(result.metadata.format, 'sse');
+    assert.deepStrictEqual(result.frames.map(frame => JSON.parse(frame.text).type), ['ready', 'delta', 'delta', 'done']);
+    assert.ok(result.frames.every(frame => typeof frame.at === 'number'));
+    assert.strictEqual(result.metrics.chunks, 4);
+    assert.ok(result.metrics.timeToFirstToken >= result.metrics.timeToFirstByte);
+  });
+
+  test('should hold a multi-turn conversation', async () => {
+    const result = await new WebSocketRequest({}).process({
+      url,
+      messages: ['first', { waitFor: 'echo: first', delay: 10, send: 'second' }],
+      until: 'echo: second'
+    });
+
+    assert.strictEqual(result.stopReason, 'until');
+    assert.deepStrictEqual(result.frames.map(frame => frame.text), ['echo: first', 'echo: second']);
+    assert.strictEqual(result.text, 'echo: firstecho: second');
+  });
+
+  test('should parse tool calls with the given format', async () => {
+    const result = await new WebSocketRequest({}).process({
+      url,
+      messages: [{ content: 'weather' }],
+      until: '[DONE]',
+      format: 'sse-openai'
+    });
+
+    assert.strictEqual(result.text, 'Checking');
+    assert.deepStrictEqual(result.toolCalls, [{ id: 't1', name: 'get_weather', args: { city: 'Paris' } }]);
+    assert.strictEqual(result.metadata.totalTools, 1);
+  });
+
+  test('should stop after maxFrames, an idle timeout or a close', async () => {
+    const counted = await new WebSocketRequest({}).process({ url, messages: ['count'], maxFrames: 3 });
+    assert.strictEqual(counted.stopReason, 'maxFrames');
+    assert.deepStrictEqual(counted.frames.map(frame => frame.text), ['1', '2', '3']);
+    assert.strictEqual(counted.metrics.truncated, true);
+
+    const idle = await new WebSocketRequest({}).process({ url, messages: ['quiet'], idleTimeout: 50 });
+    assert.strictEqual(idle.stopReason, 'idleTimeout');
+    assert.strictEqual(idle.text, 'only one');
+    assert.strictEqual(idle.error, undefined);
+
+    const closed = await new WebSocketRequest({}).process({ url, messages: ['close'] });
+    assert.strictEqual(closed.stopReason, 'closed');
+    assert.deepStrictEqual(closed.frames, []);
+  });
+
+  test('should fail when a step waits for a frame that never arrives', async () => {
+    const result = await new WebSocketRequest({}).process({
+      url,
+      messages: ['quiet', { waitFor: { type: 'ready' }, send: 'never sent' }],
+      idleTimeout: 50
+    });
+
+    assert.strictEqual(result.error, 'Step 2 waited for a frame that did not arrive (idleTimeout)');
+    assert.strictEqual(result.stopReason, 'idleTimeout');
+    assert.deepStrictEqual(result.frames.map(frame => frame.text), ['only one']);
+  });
+
+  test('should send headers with the handshake and report refused connections', async () => {
+    const refused = await new WebSocketRequest({}).process({ url: `${url}/private` });
+    assert.strictEqual(refused.error, `WebSocket connection to ${url}/private failed: WebSocket handshake failed with status 401`);
+    assert.strictEqual(refused.stopReason, 'error');
+
+    const allowed = await new WebSocketRequest({}).process({
+      url: `${url}/private`,
+      headers: { Authorization: 'Bearer t' },
+      messages: ['hi'],
+      maxFrames: 1
+    });
+    assert.strictEqual(allowed.text, 'echo: hi');
+  });
+
+  test('should reject unknown formats', async () => {
+    const result = await new WebSocketRequest({}).process({ url, format: 'nope' });
+
+    assert.match(result.error, /^Unknown format 'nope' \(use sse, sse-openai/);
+  });
+
+  describe('in a pipeline', () => {
+    let originalLogLevel;
+
+    // Keep progress output off stdout, where node:test can fail to parse it
+    beforeEach(() => {
+      originalLogLevel = process.env.LOG_LEVEL;
+      process.env.LOG_LEVEL = 'ERROR';
+    });
+
+    afterEach(() => {
+      if (originalLogLevel === undefined) delete process.env.LOG_LEVEL;
+      else process.env.LOG_LEVEL = originalLogLevel;
+    });
+
+    test('should feed ValidateTools unchanged in a pipeline', async () => {
+      const pipeline = PipelineBuilder.fromJSON({
+        pipeline: [
+          {
+            id: 'chat',
+            block: 'WebSocketRequest',
+            input: { url, messages: [{ content: 'weather' }], until: '[DONE]', format: 'sse-openai' }
+          },
+          {
+            id: 'tools',
+            block: 'ValidateTools',
+            input: { toolCalls: '${chat.toolCalls}' },
+            config: { expected: ['get_weather'] }
+          }
+        ]
+      });
+
+      const result = await pipeline.execute({});
+
+      assert.strictEqual(result.success, true);
+      assert.strictEqual(result.data.tools.passed, true);
+    });
+  });
+});
@@ -106,6 +106,10 @@ describe('Block', () => {
       assert.deepStrictEqual(inputs.required, []);
       assert.deepStrictEqual(inputs.optional, ['*']);
     });
+
+    test('should not declare a config schema by default', () => {
+      assert.strictEqual(Block.configSchema, null);
+    });
   });
 
   describe('validateInputs', () => {
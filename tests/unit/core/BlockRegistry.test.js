@@ -111,6 +111,8 @@ describe('BlockRegistry', () => {
       const { blockRegistry } = await import('../../../src/core/BlockRegistry.js');
 
       assert.ok(blockRegistry.has('HttpRequest'));
+      assert.ok(blockRegistry.has('GraphQLRequest'));
+      assert.ok(blockRegistry.has('WebSocketRequest'));
       assert.ok(blockRegistry.has('JsonParser'));
       assert.ok(blockRegistry.has('StreamParser'));
       assert.ok(blockRegistry.has('ValidateContent'));
@@ -261,4 +261,20 @@ describe('Context', () => {
       assert.strictEqual(context.get('newKey'), 'new');
     });
   });
+
+  describe('withSignal method', () => {
+    test('should expose the signal and share values with the original', () => {
+      const controller = new AbortController();
+      context.set('token', 'abc');
+
+      const view = context.withSignal(controller.signal);
+      view.set('cached', 42);
+
+      assert.strictEqual(view.signal, controller.signal);
+      assert.strictEqual(view.get('token'), 'abc');
+      assert.strictEqual(context.get('cached'), 42);
+      assert.strictEqual(context.signal, undefined);
+      assert.ok(view instanceof Context);
+    });
+  });
 });
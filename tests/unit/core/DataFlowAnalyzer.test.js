@@ -0,0 +1,217 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert';
+import { DataFlowAnalyzer, collectReferences } from '../../../src/core/DataFlowAnalyzer.js';
+
+const analyze = (suite, options) => new DataFlowAnalyzer(suite, options).analyze();
+const messages = issues => issues.map(issue => `${issue.severity}: ${issue.message}`);
+
+describe('DataFlowAnalyzer', () => {
+  describe('collectReferences()', () => {
+    test('should collect template references from nested values', () => {
+      const refs = collectReferences({
+        url: '${BASE_URL}/chat',
+        body: { messages: [{ content: '${input.message}' }], plain: 'text' },
+        count: 3
+      });
+
+      assert.deepStrictEqual(refs, ['BASE_URL', 'input.message']);
+    });
+  });
+
+  describe('references', () => {
+    test('should accept references to written slots, context and env', () => {
+      const issues = analyze({
+        context: { BASE_URL: 'http://localhost' },
+        tests: [{
+          id: 'chat',
+          input: { message: 'hi' },
+          pipeline: [
+            { id: 'request', block: 'HttpRequest', input: { url: '${BASE_URL}/chat', method: 'POST', body: { message: '${input.message}', key: '${env.API_KEY}' } } },
+            { id: 'parse', block: 'JsonParser', input: '${request.body}' }
+          ],
+          assertions: { 'parse.parsed.ok': true }
+        }]
+      });
+
+      assert.deepStrictEqual(issues, []);
+    });
+
+    test('should accept references to context keys set by blocks', () => {
+      const issues = analyze({
+        setup: [{ id: 'mock', block: 'MockServer', config: { routes: [] } }],
+        tests: [{
+          id: 'chat',
+          pipeline: [
+            { id: 'local', block: 'MockServer', config: { contextKey: 'LOCAL_URL', routes: [] } },
+            { id: 'request', block: 'HttpRequest', input: { url: '${mockServerUrl}/chat', method: 'GET' } },
+            { id: 'other', block: 'HttpRequest', input: { url: '${LOCAL_URL}/chat', method: 'GET' } }
+          ]
+        }]
+      });
+
+      assert.deepStrictEqual(issues, []);
+    });
+
+    test('should report references to slots no block writes', () => {
+      const issues = analyze({
+        tests: [{
+          id: 'chat',
+          pipeline: [
+            { id: 'request', block: 'MockData', config: { data: {} } },
+            { id: 'parse', block: 'JsonParser', input: '${reqest.body}' }
+          ]
+        }]
+      }, {});
+
+      assert.deepStrictEqual(issues, [{
+        severity: 'error',
+        type: 'unresolved-reference',
+        location: "test 'chat' › block 'parse'",
+        message: "'${reqest.body}' cannot resolve: no block writes slot 'reqest' (did you mean 'request'?)"
+      }]);
+    });
+
+    test('should report from paths and assertions that cannot resolve', () => {
+      const issues = analyze({
+        tests: [{
+          id: 'check',
+          pipeline: [
+            { id: 'check', block: 'ValidateContent', input: { from: 'parsed.text', as: 'text' } }
+          ],
+          assertions: { 'check.passed': true, 'validation.passed': true }
+        }]
+      });
+
+      assert.deepStrictEqual(issues.map(issue => issue.location), [
+        "test 'check' › block 'check'",
+        "test 'check' › assertion 'validation.passed'"
+      ]);
+      assert.ok(issues.every(issue => issue.type === 'unresolved-path'));
+    });
+
+    test('should report input keys that are not provided', () => {
+      const issues = analyze({
+        input: { message: 'hi' },
+        tests: [{
+          id: 'chat',
+          pipeline: [{ id: 'echo', block: 'ValidateContent', input: { text: '${input.mesage}' } }]
+        }]
+      });
+
+      assert.deepStrictEqual(messages(issues), [
+        "error: '${input.mesage}' cannot resolve: input has no 'mesage' (did you mean 'message'?)"
+      ]);
+    });
+
+    test('should treat setup outputs as test input', () => {
+      const issues = analyze({
+        setup: [{ id: 'login', block: 'MockData', config: { data: { token: 't' } }, output: 'auth' }],
+        tests: [{
+          id: 'chat',
+          pipeline: [{ id: 'check', block: 'ValidateContent', input: { text: '${input.auth.token}' } }]
+        }]
+      });
+
+      assert.deepStrictEqual(issues, []);
+    });
+
+    test('should warn about reads before writes unless the pipeline loops', () => {
+      const pipeline = [
+        { id: 'early', block: 'JsonParser', input: '${later.body}' },
+        { id: 'later', block: 'MockData', config: { data: {} } }
+      ];
+
+      assert.deepStrictEqual(messages(analyze({ tests: [{ id: 't', pipeline }] })), [
+        "warning: 'later.body' is read before slot 'later' is written"
+      ]);
+
+      const looping = [...pipeline, { id: 'again', block: 'Loop', config: { target: 'early' } }];
+      assert.deepStrictEqual(analyze({ tests: [{ id: 't', pipeline: looping }] }), []);
+    });
+
+    test('should warn when parallel children read each other', () => {
+      const issues = analyze({
+        tests: [{
+          id: 't',
+          pipeline: [{
+            id: 'both',
+            parallel: [
+              { id: 'users', block: 'MockData', config: { data: {} } },
+              { id: 'parse', block: 'JsonParser', input: '${users.body}' }
+            ]
+          }]
+        }]
+      });
+
+      assert.deepStrictEqual(messages(issues), ["warning: 'users.body' is read before slot 'users' is written"]);
+    });
+  });
+
+  describe('unused outputs', () => {
+    test('should warn about explicit outputs nothing reads', () => {
+      const issues = analyze({
+        tests: [{
+          id: 't',
+          pipeline: [
+            { id: 'data', block: 'MockData', config: { data: {} }, output: 'payload' },
+            { id: 'other', block: 'MockData', config: { data: {} }, output: 'kept' }
+          ],
+          assertions: { 'kept.ok': true }
+        }]
+      });
+
+      assert.deepStrictEqual(issues, [{
+        severity: 'warning',
+        type: 'unused-output',
+        location: "test 't' › block 'data'",
+        message: "output slot 'payload' is never read"
+      }]);
+    });
+
+    test('should not warn when a block reads the whole data bus', () => {
+      const issues = analyze({
+        tests: [{
+          id: 't',
+          pipeline: [
+            { id: 'data', block: 'MockData', config: { data: {} }, output: 'payload' },
+            { id: 'judge', block: 'LLMJudge' }
+          ]
+        }]
+      });
+
+      assert.deepStrictEqual(issues, []);
+    });
+  });
+
+  describe('fragments', () => {
+    test('should analyze fragments with the Include inputs as their input slot', () => {
+      const issues = analyze({
+        fragments: {
+          parse: [{ id: 'parsed', block: 'JsonParser', input: '${input.bdy}' }]
+        },
+        tests: [{
+          id: 't',
+          pipeline: [
+            { id: 'response', block: 'MockData', config: { data: {} } },
+            { id: 'include', block: 'Include', fragment: 'parse', input: { body: '${response.body}' }, output: { parsd: 'result' } }
+          ],
+          assertions: { 'result.parsed': true }
+        }]
+      });
+
+      assert.deepStrictEqual(messages(issues), [
+        "error: '${input.bdy}' cannot resolve: input has no 'bdy' (did you mean 'body'?)",
+        "warning: output field 'parsd' is not written by fragment 'parse'"
+      ]);
+      assert.strictEqual(issues[0].location, "test 't' › fragment 'parse' › block 'parsed'");
+    });
+
+    test('should report fragments that cannot be loaded', () => {
+      const issues = analyze({
+        tests: [{ id: 't', pipeline: [{ id: 'include', block: 'Include', fragment: 'missing' }] }]
+      });
+
+      assert.deepStrictEqual(messages(issues), ['error: Unknown fragment: missing']);
+    });
+  });
+});
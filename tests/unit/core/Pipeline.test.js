@@ -1,7 +1,9 @@
-import { test, describe, beforeEach } from 'node:test';
+import { test, describe, beforeEach, afterEach } from 'node:test';
 import assert from 'node:assert';
-import { Pipeline } from '../../../src/core/Pipeline.js';
+import { Pipeline, PIPELINE_EVENTS } from '../../../src/core/Pipeline.js';
 import { Block } from '../../../src/core/Block.js';
+import { ParallelGroup } from '../../../src/core/ParallelGroup.js';
+import { logger } from '../../../src/utils/logger.js';
 
 // Create a simple test block
 class TestBlock extends Block {
@@ -25,11 +27,29 @@ class ErrorBlock extends Block {
   }
 }
 
+// Create a block that resolves after a delay
+class DelayBlock extends Block {
+  async process(inputs) {
+    await new Promise(resolve => setTimeout(resolve, this.config.delay));
+    return { result: inputs.value || this.id };
+  }
+}
+
 describe('Pipeline', () => {
   let pipeline;
+  let originalLogLevel;
 
+  // Keep progress output off stdout: after a timer-based wait it can land in
+  // the same chunk as a test runner message, which node:test fails to parse
   beforeEach(() => {
     pipeline = new Pipeline();
+    originalLogLevel = process.env.LOG_LEVEL;
+    process.env.LOG_LEVEL = 'ERROR';
+  });
+
+  afterEach(() => {
+    if (originalLogLevel === undefined) delete process.env.LOG_LEVEL;
+    else process.env.LOG_LEVEL = originalLogLevel;
   });
 
   describe('executeBlock()', () => {
@@ -86,6 +106,24 @@ describe('Pipeline', () => {
       assert.strictEqual(pipeline.executionSummary.succeeded, 1);
       assert.strictEqual(pipeline.executionSummary.totalDuration, 100);
     });
+
+    test('should record the block type and score in the block result', () => {
+      const block = new TestBlock({ id: 'judge' });
+      pipeline.executionSummary = {
+        executed: 0,
+        succeeded: 0,
+        totalDuration: 0,
+        hasErrors: false,
+        blockResults: []
+      };
+
+      pipeline.handleBlockSuccess(block, { score: 0.8 }, 10);
+      pipeline.handleBlockSuccess(new TestBlock({ id: 'plain' }), { score: 'high' }, 10);
+
+      const [scored, plain] = pipeline.executionSummary.blockResults;
+      assert.deepStrictEqual(scored, { id: 'judge', type: 'TestBlock', success: true, duration: 10, score: 0.8 });
+      assert.strictEqual('score' in plain, false);
+    });
   });
 
   describe('checkFlowControl()', () => {
@@ -391,4 +429,475 @@ describe('Pipeline', () => {
       assert.strictEqual(result.data.block3, undefined); // Third block not executed
     });
   });
+
+  describe('parallel groups', () => {
+    test('should run children concurrently and record each one', async () => {
+      const group = new ParallelGroup({
+        id: 'group',
+        blocks: [
+          new DelayBlock({ id: 'a', delay: 50 }),
+          new DelayBlock({ id: 'b', delay: 50 }),
+          new DelayBlock({ id: 'c', delay: 50 })
+        ]
+      });
+      pipeline.blocks = [group, new TestBlock({ id: 'after' })];
+
+      const started = Date.now();
+      const result = await pipeline.execute();
+      const elapsed = Date.now() - started;
+
+      assert.ok(result.success);
+      assert.ok(elapsed < 140, `expected concurrent execution, took ${elapsed}ms`);
+      assert.strictEqual(result.data.a.result, 'a');
+      assert.strictEqual(result.data.c.result, 'c');
+
+      const summary = pipeline.getSummary();
+      assert.strictEqual(summary.totalBlocks, 4);
+      assert.strictEqual(summary.executed, 4);
+      assert.deepStrictEqual(
+        summary.blockResults.map(r => [r.id, r.group]),
+        [['a', 'group'], ['b', 'group'], ['c', 'group'], ['after', undefined]]
+      );
+    });
+
+    test('should fail the group under the all policy', async () => {
+      pipeline.blocks = [
+        new ParallelGroup({
+          id: 'group',
+          blocks: [new TestBlock({ id: 'ok' }), new ErrorBlock({ id: 'bad' })]
+        }),
+        new TestBlock({ id: 'after' })
+      ];
+
+      const result = await pipeline.execute();
+
+      assert.strictEqual(result.success, false);
+      assert.match(result.error, /Parallel group 'group' failed: bad: Test error/);
+      assert.ok(result.data.ok);
+      assert.strictEqual(result.data.after, undefined);
+      assert.strictEqual(pipeline.getSummary().failed, 1);
+    });
+
+    test('should succeed under the any policy while one child succeeds', async () => {
+      pipeline.blocks = [
+        new ParallelGroup({
+          id: 'group',
+          policy: 'any',
+          blocks: [new TestBlock({ id: 'ok' }), new ErrorBlock({ id: 'bad' })]
+        }),
+        new TestBlock({ id: 'after' })
+      ];
+
+      const result = await pipeline.execute();
+
+      assert.ok(result.success);
+      assert.ok(result.data.after);
+      const bad = pipeline.getSummary().blockResults.find(r => r.id === 'bad');
+      assert.strictEqual(bad.success, false);
+      assert.strictEqual(bad.error, 'Test error');
+    });
+
+    test('should fail under the any policy when every child fails', async () => {
+      pipeline.blocks = [
+        new ParallelGroup({
+          id: 'group',
+          policy: 'any',
+          blocks: [new ErrorBlock({ id: 'bad1' }), new ErrorBlock({ id: 'bad2' })]
+        })
+      ];
+
+      const result = await pipeline.execute();
+
+      assert.strictEqual(result.success, false);
+    });
+
+    test('should never fail under the allSettled policy', async () => {
+      pipeline.blocks = [
+        new ParallelGroup({
+          id: 'group',
+          policy: 'allSettled',
+          blocks: [new ErrorBlock({ id: 'bad1' }), new ErrorBlock({ id: 'bad2' })]
+        }),
+        new TestBlock({ id: 'after' })
+      ];
+
+      const result = await pipeline.execute();
+
+      assert.ok(result.success);
+      assert.ok(result.data.after);
+      assert.strictEqual(pipeline.getSummary().failed, 2);
+    });
+  });
+
+  describe('branching and skipping', () => {
+    // Emits a fixed flow control signal
+    class SignalBlock extends Block {
+      process() {
+        return this.config.signal;
+      }
+    }
+
+    test('should run the selected branch and mark other branches as skipped', async () => {
+      const chooser = new SignalBlock({ id: 'choose', signal: { _branch: 'yes' } });
+      chooser.branches = {
+        yes: [new TestBlock({ id: 'yesBlock' })],
+        no: [new TestBlock({ id: 'noBlock' })]
+      };
+      pipeline.blocks = [chooser, new TestBlock({ id: 'after' })];
+
+      const result = await pipeline.execute();
+
+      assert.ok(result.success);
+      assert.ok(result.data.yesBlock);
+      assert.strictEqual(result.data.noBlock, undefined);
+      assert.ok(result.data.after);
+
+      const summary = pipeline.getSummary();
+      assert.strictEqual(summary.totalBlocks, 4);
+      assert.strictEqual(summary.skipped, 1);
+      const skipped = summary.blockResults.find(r => r.id === 'noBlock');
+      assert.strictEqual(skipped.skipped, true);
+      assert.strictEqual(skipped.success, true);
+    });
+
+    test('should number parallel groups within their branch', async () => {
+      const chooser = new SignalBlock({ id: 'choose', signal: { _branch: 'yes' } });
+      chooser.branches = {
+        yes: [new TestBlock({ id: 'first' }), new ParallelGroup({ id: 'group', blocks: [new TestBlock({ id: 'a' })] })]
+      };
+      pipeline.blocks = [chooser];
+
+      process.env.LOG_LEVEL = 'INFO';
+      const { output } = await logger.buffered(() => pipeline.execute());
+
+      const progress = output.map(({ args }) => args.join(' ')).filter(line => line.startsWith('→'));
+      assert.deepStrictEqual(progress, [
+        '→ [1/1] choose',
+        '→ [1/2] first',
+        '→ [2/2] group (parallel: 1 blocks, policy: all)'
+      ]);
+    });
+
+    test('should report a not-taken branch once when its block runs in a loop', async () => {
+      // Takes the next branch of its list on every run
+      class CyclingChooser extends Block {
+        process() {
+          this.calls = (this.calls || 0) + 1;
+          return { _branch: this.config.branches[this.calls - 1] };
+        }
+      }
+      const chooser = new CyclingChooser({ id: 'choose', branches: ['yes', 'yes', 'no'] });
+      chooser.branches = {
+        yes: [new TestBlock({ id: 'yesBlock' })],
+        no: [new TestBlock({ id: 'noBlock' })],
+        never: [new TestBlock({ id: 'neverBlock' })]
+      };
+      pipeline.blocks = [chooser, new SignalBlock({ id: 'again', signal: { _loopTo: 'choose', _maxLoops: 2 } })];
+
+      const result = await pipeline.execute();
+
+      assert.ok(result.success);
+      const summary = pipeline.getSummary();
+      assert.strictEqual(summary.skipped, 1);
+      assert.deepStrictEqual(
+        summary.blockResults.filter(r => r.id.endsWith('Block')).map(r => [r.id, !!r.skipped]),
+        [['neverBlock', true], ['yesBlock', false], ['yesBlock', false], ['noBlock', false]]
+      );
+    });
+
+    test('should stop the pipeline when a branch block fails', async () => {
+      const chooser = new SignalBlock({ id: 'choose', signal: { _branch: 'bad' } });
+      chooser.branches = { bad: [new ErrorBlock({ id: 'failing' })] };
+      pipeline.blocks = [chooser, new TestBlock({ id: 'after' })];
+
+      const result = await pipeline.execute();
+
+      assert.strictEqual(result.success, false);
+      assert.strictEqual(result.data.after, undefined);
+    });
+
+    test('should skip forward to a later block and report skipped blocks', async () => {
+      pipeline.blocks = [
+        new SignalBlock({ id: 'jump', signal: { _skipTo: 'target' } }),
+        new TestBlock({ id: 'between' }),
+        new TestBlock({ id: 'target' })
+      ];
+
+      const result = await pipeline.execute();
+
+      assert.ok(result.success);
+      assert.strictEqual(result.data.between, undefined);
+      assert.ok(result.data.target);
+      assert.deepStrictEqual(
+        pipeline.getSummary().blockResults.map(r => [r.id, !!r.skipped]),
+        [['jump', false], ['between', true], ['target', false]]
+      );
+    });
+
+    test('should fail when skipping to an unknown or earlier block', async () => {
+      pipeline.blocks = [
+        new TestBlock({ id: 'first' }),
+        new SignalBlock({ id: 'jump', signal: { _skipTo: 'first' } })
+      ];
+
+      const result = await pipeline.execute();
+
+      assert.strictEqual(result.success, false);
+      assert.match(result.error, /Cannot skip to 'first'/);
+    });
+  });
+
+  describe('retry policy', () => {
+    // Returns the configured responses in order, one per call
+    class FlakyBlock extends Block {
+      process() {
+        this.calls = (this.calls || 0) + 1;
+        const response = this.config.responses[this.calls - 1];
+        if (response instanceof Error) throw response;
+        return response;
+      }
+    }
+
+    test('should retry failed attempts until the block succeeds', async () => {
+      const block = new FlakyBlock({
+        id: 'flaky',
+        retry: { attempts: 3, backoff: 'fixed', delay: 1 },
+        responses: [new Error('502 Bad Gateway'), { error: 'timeout' }, { status: 200 }]
+      });
+      pipeline.blocks = [block];
+
+      const result = await pipeline.execute();
+
+      assert.ok(result.success);
+      assert.strictEqual(block.calls, 3);
+      assert.strictEqual(result.data.flaky.status, 200);
+
+      const { attempts } = pipeline.dataBus.get('_meta.flaky');
+      assert.deepStrictEqual(attempts.map(a => a.error), ['502 Bad Gateway', 'timeout', undefined]);
+      assert.ok(attempts.every(a => typeof a.duration === 'number'));
+      assert.strictEqual(pipeline.getSummary().blockResults[0].attempts.length, 3);
+    });
+
+    test('should fail with the last error once attempts are exhausted', async () => {
+      const block = new FlakyBlock({
+        id: 'flaky',
+        retry: { attempts: 2, backoff: 'fixed', delay: 1 },
+        responses: [new Error('first'), new Error('second')]
+      });
+      pipeline.blocks = [block];
+
+      const result = await pipeline.execute();
+
+      assert.strictEqual(result.success, false);
+      assert.strictEqual(result.error, 'second');
+      assert.strictEqual(pipeline.dataBus.get('_meta.flaky').attempts.length, 2);
+    });
+
+    test('should only retry outputs matching the retry condition', async () => {
+      const block = new FlakyBlock({
+        id: 'request',
+        retry: {
+          attempts: 3,
+          backoff: 'fixed',
+          delay: 1,
+          condition: { path: 'status', operator: 'gte', value: 500 }
+        },
+        responses: [{ status: 503 }, { status: 404 }, { status: 200 }]
+      });
+      pipeline.blocks = [block];
+
+      const result = await pipeline.execute();
+
+      assert.ok(result.success);
+      assert.strictEqual(block.calls, 2);
+      assert.strictEqual(result.data.request.status, 404);
+    });
+
+    test('should retry thrown errors even when a condition is set', async () => {
+      const block = new FlakyBlock({
+        id: 'request',
+        retry: { attempts: 2, delay: 0, condition: { path: 'status', operator: 'gte', value: 500 } },
+        responses: [new Error('ECONNRESET'), { status: 200 }]
+      });
+      pipeline.blocks = [block];
+
+      const result = await pipeline.execute();
+
+      assert.ok(result.success);
+      assert.strictEqual(block.calls, 2);
+    });
+
+    test('should fail a block with an invalid policy without rejecting the run', async () => {
+      pipeline.blocks = [
+        new ParallelGroup({
+          id: 'group',
+          blocks: [new TestBlock({ id: 'ok' }), new TestBlock({ id: 'bad', retry: { attempts: 2, backoff: 'random' } })]
+        })
+      ];
+
+      const result = await pipeline.execute();
+
+      assert.strictEqual(result.success, false);
+      assert.match(result.error, /bad: Unknown backoff strategy: random/);
+    });
+
+    test('should not record attempts for blocks without a retry policy', async () => {
+      pipeline.blocks = [new TestBlock({ id: 'plain' })];
+
+      await pipeline.execute();
+
+      assert.strictEqual(pipeline.dataBus.get('_meta.plain').attempts, undefined);
+    });
+  });
+
+  describe('timeouts', () => {
+    // Waits for its delay unless the context signal aborts first
+    class HangingBlock extends Block {
+      process(_inputs, context) {
+        this.signal = context.signal;
+        return new Promise((resolve, reject) => {
+          const timer = setTimeout(() => resolve({ done: true }), this.config.delay);
+          context.signal?.addEventListener('abort', () => {
+            clearTimeout(timer);
+            reject(context.signal.reason);
+          });
+        });
+      }
+    }
+
+    test('should fail a block that exceeds its timeout', async () => {
+      const block = new HangingBlock({ id: 'slow', delay: 1000, timeout: 20 });
+      pipeline.blocks = [block, new TestBlock({ id: 'after' })];
+
+      const result = await pipeline.execute();
+
+      assert.strictEqual(result.success, false);
+      assert.strictEqual(result.error, "Block 'slow' timed out after 20ms");
+      assert.strictEqual(result.data.after, undefined);
+      assert.strictEqual(block.signal.aborted, true);
+
+      const [blockResult] = pipeline.getSummary().blockResults;
+      assert.strictEqual(blockResult.failureType, 'timeout');
+      assert.ok(blockResult.duration < 500);
+    });
+
+    test('should let blocks finish within their timeout', async () => {
+      pipeline.blocks = [new HangingBlock({ id: 'fast', delay: 5, timeout: 500 })];
+
+      const result = await pipeline.execute();
+
+      assert.ok(result.success);
+      assert.strictEqual(result.data.fast.done, true);
+    });
+
+    test('should enforce the pipeline timeout across blocks', async () => {
+      pipeline.timeout = 50;
+      pipeline.blocks = [
+        new HangingBlock({ id: 'first', delay: 30 }),
+        new HangingBlock({ id: 'second', delay: 1000 })
+      ];
+
+      const result = await pipeline.execute();
+
+      assert.strictEqual(result.success, false);
+      assert.match(result.error, /Pipeline timed out after 50ms \(during 'second'\)/);
+      assert.ok(result.data.first.done);
+      assert.strictEqual(pipeline.getSummary().blockResults[1].failureType, 'timeout');
+    });
+
+    test('should mark ordinary failures with the error failure type', async () => {
+      pipeline.blocks = [new ErrorBlock({ id: 'broken' })];
+
+      await pipeline.execute();
+
+      assert.strictEqual(pipeline.getSummary().blockResults[0].failureType, 'error');
+    });
+  });
+
+  describe('lifecycle events', () => {
+    const record = (target, events) => {
+      const seen = [];
+      for (const event of events) {
+        target.on(event, payload => seen.push({ event, ...payload }));
+      }
+      return seen;
+    };
+
+    test('should emit start, block and end events in order', async () => {
+      pipeline.blocks = [new TestBlock({ id: 'first', input: { value: 'hi' } })];
+      const seen = record(pipeline, PIPELINE_EVENTS);
+
+      await pipeline.execute({ message: 'x' });
+
+      assert.deepStrictEqual(seen.map(e => e.event), [
+        'pipeline:start', 'block:start', 'block:success', 'pipeline:end'
+      ]);
+      assert.deepStrictEqual(seen[0].input, { message: 'x' });
+      assert.strictEqual(seen[0].totalBlocks, 1);
+      assert.deepStrictEqual(seen[1], { event: 'block:start', blockId: 'first', inputs: { value: 'hi' } });
+      assert.deepStrictEqual(seen[2].output, { result: 'hi' });
+      assert.deepStrictEqual(seen[2].inputs, { value: 'hi' });
+      assert.ok(seen[2].duration >= 0);
+      assert.strictEqual(seen[3].success, true);
+      assert.strictEqual(seen[3].summary.succeeded, 1);
+    });
+
+    test('should emit block:error for thrown and returned errors', async () => {
+      class ReturnsError extends Block {
+        process() {
+          return { error: 'bad response' };
+        }
+      }
+      pipeline.context.set('continueOnError', true);
+      pipeline.blocks = [new ErrorBlock({ id: 'throws' }), new ReturnsError({ id: 'returns' })];
+      const errors = record(pipeline, ['block:error']);
+      const ends = record(pipeline, ['pipeline:end']);
+
+      await pipeline.execute();
+
+      assert.strictEqual(errors.length, 1);
+      assert.strictEqual(errors[0].blockId, 'throws');
+      assert.strictEqual(errors[0].error, 'Test error');
+      assert.strictEqual(errors[0].failureType, 'error');
+      assert.strictEqual(ends[0].success, false);
+      assert.strictEqual(ends[0].error, 'Test error');
+    });
+
+    test('should emit loop events with the iteration count', async () => {
+      class LoopBack extends Block {
+        process() {
+          return { _loopTo: 'first', _maxLoops: 2 };
+        }
+      }
+      pipeline.blocks = [new TestBlock({ id: 'first' }), new LoopBack({ id: 'again' })];
+      const loops = record(pipeline, ['loop']);
+
+      await pipeline.execute();
+
+      assert.deepStrictEqual(loops, [
+        { event: 'loop', blockId: 'again', target: 'first', iteration: 1 },
+        { event: 'loop', blockId: 'again', target: 'first', iteration: 2 }
+      ]);
+    });
+
+    test('should emit block:retry before each retry', async () => {
+      let calls = 0;
+      class FailsOnce extends Block {
+        process() {
+          calls++;
+          if (calls === 1) throw new Error('flaky');
+          return { ok: true };
+        }
+      }
+      pipeline.blocks = [new FailsOnce({ id: 'flaky', retry: { attempts: 2, delay: 0, jitter: false } })];
+      const retries = record(pipeline, ['block:retry']);
+
+      const result = await pipeline.execute();
+
+      assert.ok(result.success);
+      assert.deepStrictEqual(retries, [
+        { event: 'block:retry', blockId: 'flaky', attempt: 1, attempts: 2, reason: 'flaky', delay: 0 }
+      ]);
+    });
+  });
 });
@@ -1,7 +1,13 @@
-import { test, describe } from 'node:test';
+import { test, describe, beforeEach, afterEach } from 'node:test';
 import assert from 'node:assert';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
 import { PipelineBuilder } from '../../../src/core/PipelineBuilder.js';
 import { blockRegistry } from '../../../src/core/BlockRegistry.js';
+import { ParallelGroup } from '../../../src/core/ParallelGroup.js';
+import { Block } from '../../../src/core/Block.js';
+import { CookieJar } from '../../../src/utils/CookieJar.js';
 
 describe('PipelineBuilder', () => {
   describe('fromJSON()', () => {
@@ -86,6 +92,22 @@ describe('PipelineBuilder', () => {
       assert.deepStrictEqual(metadata.assertions, { 'result.success': true });
     });
 
+    test('should store the suite file in test metadata', () => {
+      const pipeline = PipelineBuilder.fromJSON({ name: 'File Test', pipeline: [] }, { file: 'tests/chat.json' });
+
+      assert.strictEqual(pipeline.context.get('_test').file, 'tests/chat.json');
+    });
+
+    test('should give the pipeline a cookie jar when cookies are enabled', () => {
+      assert.strictEqual(PipelineBuilder.fromJSON({ pipeline: [] }).context.get('_cookies'), undefined);
+      assert.ok(PipelineBuilder.fromJSON({ cookies: true, pipeline: [] }).context.get('_cookies') instanceof CookieJar);
+      assert.ok(PipelineBuilder.fromJSON({ cookies: 'suite', pipeline: [] }).context.get('_cookies') instanceof CookieJar);
+      assert.throws(
+        () => PipelineBuilder.fromJSON({ cookies: 'always', pipeline: [] }),
+        /Invalid cookies option 'always' \(use true, "test" or "suite"\)/
+      );
+    });
+
     test('should resolve environment variables in context', () => {
       // Set up test environment variables
       process.env.TEST_API_KEY = 'secret123';
@@ -116,6 +138,24 @@ describe('PipelineBuilder', () => {
       delete process.env.TEST_BASE_URL;
     });
 
+    test('should resolve environment variables in nested context values', () => {
+      process.env.TEST_CLIENT_SECRET = 'shh';
+
+      const pipeline = PipelineBuilder.fromJSON({
+        name: 'Nested Env Test',
+        context: {
+          API_AUTH: { type: 'oauth2', clientSecret: '${env.TEST_CLIENT_SECRET}', scope: ['read', '${env.TEST_CLIENT_SECRET}'] },
+          retries: [1, 2]
+        },
+        pipeline: []
+      });
+
+      assert.deepStrictEqual(pipeline.context.get('API_AUTH'), { type: 'oauth2', clientSecret: 'shh', scope: ['read', 'shh'] });
+      assert.deepStrictEqual(pipeline.context.get('retries'), [1, 2]);
+
+      delete process.env.TEST_CLIENT_SECRET;
+    });
+
     test('should handle missing environment variables gracefully', () => {
       // Ensure the env var doesn't exist
       delete process.env.DOES_NOT_EXIST;
@@ -168,6 +208,14 @@ describe('PipelineBuilder', () => {
       assert.ok(pipeline);
       assert.strictEqual(pipeline.blocks.length, 0);
     });
+    test('should set the pipeline timeout from the definition', () => {
+      const pipeline = PipelineBuilder.fromJSON({
+        timeout: 5000,
+        pipeline: [{ block: 'MockData', id: 'data' }]
+      });
+
+      assert.strictEqual(pipeline.timeout, 5000);
+    });
   });
 
   describe('addBlock()', () => {
@@ -234,6 +282,215 @@ describe('PipelineBuilder', () => {
         /Unknown block type: UnknownBlock/
       );
     });
+
+    test('should build parallel groups from a parallel array', () => {
+      const builder = new PipelineBuilder();
+
+      builder.addBlock({
+        id: 'fetchAll',
+        policy: 'any',
+        parallel: [
+          { block: 'MockData', id: 'first' },
+          { block: 'MockData', id: 'second' }
+        ]
+      });
+
+      const [group] = builder.blocks;
+      assert.ok(group instanceof ParallelGroup);
+      assert.strictEqual(group.id, 'fetchAll');
+      assert.strictEqual(group.policy, 'any');
+      assert.deepStrictEqual(group.blocks.map(b => b.id), ['first', 'second']);
+    });
+
+    test('should reject unknown parallel policies', () => {
+      const builder = new PipelineBuilder();
+
+      assert.throws(
+        () => builder.addBlock({
+          id: 'group',
+          policy: 'some',
+          parallel: [{ block: 'MockData', id: 'first' }]
+        }),
+        /unknown policy: some/
+      );
+    });
+  });
+
+  describe('config validation', () => {
+    test('should reject misspelled config keys with location and suggestion', () => {
+      assert.throws(
+        () => PipelineBuilder.fromJSON({
+          pipeline: [{ block: 'ValidateContent', id: 'check', config: { contain: 'hello' } }]
+        }, { file: path.join(process.cwd(), 'tests', 'chat.json'), testId: 'greeting' }),
+        {
+          message: `${path.join('tests', 'chat.json')} › test 'greeting' › block 'check': ` +
+            "unknown config key 'contain' (did you mean 'contains'?)"
+        }
+      );
+    });
+
+    test('should reject config values of the wrong type', () => {
+      assert.throws(
+        () => PipelineBuilder.fromJSON({
+          pipeline: [{ block: 'ValidateTools', id: 'tools', config: { minTools: 'two' } }]
+        }, { stage: 'setup' }),
+        { message: "setup › block 'tools': 'minTools' should be number, got string" }
+      );
+    });
+
+    test('should validate blocks inside branches and fragments', () => {
+      assert.throws(
+        () => PipelineBuilder.fromJSON({
+          fragments: { check: [{ block: 'ValidateContent', id: 'inner', config: { maxLenght: 10 } }] },
+          pipeline: [{ block: 'Include', id: 'outer', fragment: 'check' }]
+        }),
+        { message: "fragment 'check' › block 'inner': unknown config key 'maxLenght' (did you mean 'maxLength'?)" }
+      );
+
+      assert.throws(
+        () => PipelineBuilder.fromJSON({
+          pipeline: [{
+            block: 'If',
+            id: 'choose',
+            config: { condition: { path: 'x', operator: 'exists' }, then: 'yes' },
+            branches: { yes: [{ block: 'MockData', id: 'data', dta: {} }] }
+          }]
+        }),
+        /block 'data': unknown key 'dta' \(did you mean 'data'\?\)/
+      );
+    });
+
+    test('should reject invalid retry and timeout policies of any block', () => {
+      assert.throws(
+        () => PipelineBuilder.fromJSON({
+          pipeline: [{ block: 'MockData', id: 'data', retry: { attempts: 2, backoff: 'random' }, timeout: '5s' }]
+        }),
+        {
+          message: "block 'data': 'retry' unknown backoff strategy 'random' (expected one of: fixed, linear, exponential); " +
+            "'timeout' should be a positive number of ms, got \"5s\""
+        }
+      );
+
+      assert.throws(
+        () => PipelineBuilder.fromJSON({
+          pipeline: [{ parallel: [{ block: 'MockData', id: 'child', retry: 0 }] }]
+        }),
+        { message: "block 'child': 'retry' attempts should be a positive integer, got 0" }
+      );
+    });
+
+    test('should suggest block types for near misses', () => {
+      assert.throws(
+        () => PipelineBuilder.fromJSON({ pipeline: [{ block: 'HttpReqest', id: 'call' }] }),
+        { message: "block 'call': Unknown block type: HttpReqest (did you mean 'HttpRequest'?)" }
+      );
+    });
+
+    test('should skip validation for blocks without a schema', () => {
+      class LooseBlock extends Block {}
+      blockRegistry.register('LooseBlock', LooseBlock);
+
+      const pipeline = PipelineBuilder.fromJSON({
+        pipeline: [{ block: 'LooseBlock', id: 'loose', anything: true, config: { goes: 1 } }]
+      });
+
+      assert.strictEqual(pipeline.blocks[0].id, 'loose');
+    });
+  });
+
+  describe('fragments', () => {
+    let tmpDir;
+
+    beforeEach(() => {
+      tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'semtest-'));
+    });
+
+    afterEach(() => {
+      fs.rmSync(tmpDir, { recursive: true, force: true });
+    });
+
+    const chatFragment = [
+      { block: 'JsonParser', id: 'parse', input: '${input.body}' }
+    ];
+
+    test('should build Include blocks from the fragments map', () => {
+      const pipeline = PipelineBuilder.fromJSON({
+        fragments: { parseBody: chatFragment },
+        pipeline: [{ block: 'Include', id: 'parsed', fragment: 'parseBody' }]
+      });
+
+      const [include] = pipeline.blocks;
+      assert.strictEqual(include.blocks.length, 1);
+      assert.strictEqual(include.blocks[0].id, 'parse');
+    });
+
+    test('should map fragment inputs and outputs through the parent data bus', async () => {
+      const pipeline = PipelineBuilder.fromJSON({
+        fragments: { parseBody: { pipeline: chatFragment } },
+        pipeline: [
+          { block: 'MockData', id: 'response', config: { data: { body: '{"answer":42}' } } },
+          {
+            block: 'Include',
+            id: 'include',
+            fragment: 'parseBody',
+            input: { body: '${response.body}' },
+            output: { parse: 'result' }
+          }
+        ]
+      });
+
+      const result = await pipeline.execute();
+
+      assert.ok(result.success);
+      assert.deepStrictEqual(result.data.result.parsed, { answer: 42 });
+      assert.strictEqual(result.data.include, undefined);
+    });
+
+    test('should load fragment files relative to the suite file', () => {
+      fs.mkdirSync(path.join(tmpDir, 'fragments'));
+      fs.writeFileSync(
+        path.join(tmpDir, 'fragments', 'parse.json'),
+        JSON.stringify({ pipeline: chatFragment })
+      );
+
+      const pipeline = PipelineBuilder.fromJSON({
+        pipeline: [{ block: 'Include', id: 'parsed', file: 'fragments/parse.json' }]
+      }, { file: path.join(tmpDir, 'suite.json') });
+
+      assert.strictEqual(pipeline.blocks[0].blocks[0].id, 'parse');
+    });
+
+    test('should throw for unknown fragments', () => {
+      assert.throws(
+        () => PipelineBuilder.fromJSON({
+          fragments: { parseBody: chatFragment },
+          pipeline: [{ block: 'Include', id: 'parsed', fragment: 'parse' }]
+        }),
+        /Unknown fragment: parse \(defined: parseBody\)/
+      );
+    });
+
+    test('should throw for missing fragment files', () => {
+      assert.throws(
+        () => PipelineBuilder.fromJSON({
+          pipeline: [{ block: 'Include', id: 'parsed', file: 'missing.json' }]
+        }, { file: path.join(tmpDir, 'suite.json') }),
+        /Cannot load fragment file 'missing.json'/
+      );
+    });
+
+    test('should throw when fragments include each other', () => {
+      assert.throws(
+        () => PipelineBuilder.fromJSON({
+          fragments: {
+            a: [{ block: 'Include', id: 'toB', fragment: 'b' }],
+            b: [{ block: 'Include', id: 'toA', fragment: 'a' }]
+          },
+          pipeline: [{ block: 'Include', id: 'start', fragment: 'a' }]
+        }),
+        /Fragment 'a' includes itself: a → b → a/
+      );
+    });
   });
 
   describe('build()', () => {
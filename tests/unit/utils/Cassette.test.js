@@ -0,0 +1,134 @@
+import { test, describe, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { Cassette, getRequestKey, normalizeBody, getCassettePath } from '../../../src/utils/Cassette.js';
+
+describe('Cassette', () => {
+  let tmpDir;
+
+  beforeEach(async () => {
+    tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'semtest-'));
+  });
+
+  afterEach(async () => {
+    await fs.rm(tmpDir, { recursive: true, force: true });
+  });
+
+  const request = { method: 'POST', url: 'https://api.test.com/chat', body: '{"message":"Hi"}' };
+  const response = body => ({ status: 200, headers: {}, body, duration: 100 });
+
+  describe('findResponse()', () => {
+    test('should match requests by method, url and normalized body', () => {
+      const cassette = new Cassette('c.json', 'replay');
+      cassette.record(request, response('first'));
+
+      assert.strictEqual(cassette.findResponse({ ...request, method: 'post', body: '{ "message": "Hi" }' }).body, 'first');
+      assert.strictEqual(cassette.findResponse({ ...request, body: '{"message":"Bye"}' }), null);
+      assert.strictEqual(cassette.findResponse({ ...request, method: 'GET' }), null);
+    });
+
+    test('should replay repeated requests in recorded order', () => {
+      const cassette = new Cassette('c.json', 'replay');
+      cassette.record(request, response('first'));
+      cassette.record(request, response('second'));
+
+      assert.deepStrictEqual(
+        [1, 2, 3].map(() => cassette.findResponse(request).body),
+        ['first', 'second', 'second']
+      );
+    });
+  });
+
+  describe('save() and load()', () => {
+    test('should write recorded interactions and read them back', async () => {
+      const file = path.join(tmpDir, 'suite', 'test.json');
+      const recording = await Cassette.load(file, 'record');
+      recording.record(request, response('Hello'));
+
+      assert.strictEqual(await recording.save(), true);
+
+      const replaying = await Cassette.load(file, 'replay');
+      assert.strictEqual(replaying.mode, 'replay');
+      assert.deepStrictEqual(replaying.interactions, recording.interactions);
+      assert.strictEqual(replaying.findResponse(request).body, 'Hello');
+    });
+
+    test('should only write when recording something', async () => {
+      const file = path.join(tmpDir, 'test.json');
+
+      assert.strictEqual(await new Cassette(file, 'record').save(), false);
+      const replaying = new Cassette(file, 'replay');
+      replaying.record(request, response('Hello'));
+      assert.strictEqual(await replaying.save(), false);
+      await assert.rejects(fs.access(file));
+    });
+
+    test('should start empty when replaying a missing file', async () => {
+      const cassette = await Cassette.load(path.join(tmpDir, 'missing.json'), 'replay');
+
+      assert.deepStrictEqual(cassette.interactions, []);
+    });
+
+    test('should reject files that are not cassettes of a supported version', async () => {
+      const file = path.join(tmpDir, 'test.json');
+
+      await fs.writeFile(file, JSON.stringify({ interactions: [] }));
+      await assert.rejects(Cassette.load(file, 'replay'), /is not a SemanticTest cassette/);
+
+      await fs.writeFile(file, JSON.stringify({ schema: 'semtest-cassette', schemaVersion: 99 }));
+      await assert.rejects(Cassette.load(file, 'replay'), /Unsupported cassette schema version 99/);
+    });
+  });
+
+  test('should serialize as its file and mode', () => {
+    const cassette = new Cassette('c.json', 'record');
+    cassette.record(request, response('Hello'));
+
+    assert.strictEqual(JSON.stringify({ cassette }), '{"cassette":{"file":"c.json","mode":"record"}}');
+  });
+
+  describe('normalizeBody() and getRequestKey()', () => {
+    test('should ignore JSON formatting and key order', () => {
+      assert.strictEqual(normalizeBody('{ "b": [ {"d":1,"c":2} ], "a": 1 }'), '{"a":1,"b":[{"c":2,"d":1}]}');
+      assert.strictEqual(normalizeBody({ b: 1, a: 2 }), '{"a":2,"b":1}');
+    });
+
+    test('should keep other bodies as they are', () => {
+      assert.strictEqual(normalizeBody('name=value'), 'name=value');
+      assert.strictEqual(normalizeBody(undefined), '');
+    });
+
+    test('should combine method, url and body', () => {
+      assert.strictEqual(getRequestKey({ method: 'get', url: 'https://x.test/a' }), 'GET https://x.test/a ');
+    });
+  });
+
+  describe('getCassettePath()', () => {
+    test('should place cassettes per suite file and test', () => {
+      assert.strictEqual(
+        getCassettePath('cassettes', path.join(process.cwd(), 'tests', 'chat-api.json'), 'tool call/weather'),
+        path.join('cassettes', 'tests', 'chat-api', 'tool_call_weather.json')
+      );
+      assert.strictEqual(
+        getCassettePath('cassettes', 'chat-api.json', '_setup'),
+        path.join('cassettes', 'chat-api', '_setup.json')
+      );
+    });
+
+    test('should keep suites with the same file name apart', () => {
+      assert.notStrictEqual(
+        getCassettePath('cassettes', path.join('a', 'chat.json'), 'greeting'),
+        getCassettePath('cassettes', path.join('b', 'chat.json'), 'greeting')
+      );
+    });
+
+    test('should keep suites outside the working directory inside the cassette directory', () => {
+      assert.strictEqual(
+        getCassettePath('cassettes', path.join('..', 'shared', 'chat.json'), 'greeting'),
+        path.join('cassettes', '_parent', 'shared', 'chat', 'greeting.json')
+      );
+    });
+  });
+});
@@ -0,0 +1,109 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert';
+import { CookieJar, splitSetCookie } from '../../../src/utils/CookieJar.js';
+
+describe('CookieJar', () => {
+  const now = Date.parse('2026-01-01T00:00:00Z');
+
+  describe('setCookies() and getCookieHeader()', () => {
+    test('should send cookies back to the host that set them', () => {
+      const jar = new CookieJar();
+      jar.setCookies(['session=abc; HttpOnly', 'theme=dark'], 'https://app.test.com/login', now);
+
+      assert.strictEqual(jar.getCookieHeader('https://app.test.com/chat', now), 'session=abc; theme=dark');
+      assert.strictEqual(jar.getCookieHeader('https://other.test.com/chat', now), '');
+      assert.strictEqual(jar.getCookieHeader('https://sub.app.test.com/chat', now), '');
+    });
+
+    test('should send Domain cookies to subdomains and reject foreign domains', () => {
+      const jar = new CookieJar();
+      jar.setCookies(['shared=1; Domain=.test.com', 'foreign=1; Domain=example.com'], 'https://app.test.com/', now);
+
+      assert.strictEqual(jar.getCookieHeader('https://api.test.com/', now), 'shared=1');
+      assert.strictEqual(jar.getCookieHeader('https://test.com/', now), 'shared=1');
+      assert.strictEqual(jar.getCookieHeader('https://example.com/', now), '');
+      assert.strictEqual(jar.getCookieHeader('https://nottest.com/', now), '');
+    });
+
+    test('should match paths and send more specific paths first', () => {
+      const jar = new CookieJar();
+      jar.setCookies(['root=1; Path=/', 'api=1; Path=/api', 'implicit=1'], 'https://app.test.com/api/v1/login', now);
+
+      assert.strictEqual(jar.getCookieHeader('https://app.test.com/api/v1/chat', now), 'implicit=1; api=1; root=1');
+      assert.strictEqual(jar.getCookieHeader('https://app.test.com/api', now), 'api=1; root=1');
+      assert.strictEqual(jar.getCookieHeader('https://app.test.com/apis', now), 'root=1');
+    });
+
+    test('should only send Secure cookies over https', () => {
+      const jar = new CookieJar();
+      jar.setCookies(['token=1; Secure'], 'https://app.test.com/', now);
+
+      assert.strictEqual(jar.getCookieHeader('http://app.test.com/', now), '');
+      assert.strictEqual(jar.getCookieHeader('https://app.test.com/', now), 'token=1');
+    });
+
+    test('should expire cookies by Max-Age or Expires', () => {
+      const jar = new CookieJar();
+      jar.setCookies([
+        'short=1; Max-Age=60',
+        'dated=1; Expires=Thu, 01 Jan 2026 00:10:00 GMT',
+        'both=1; Max-Age=600; Expires=Thu, 01 Jan 2026 00:00:01 GMT'
+      ], 'https://app.test.com/', now);
+
+      assert.strictEqual(jar.getCookieHeader('https://app.test.com/', now + 30000), 'short=1; dated=1; both=1');
+      assert.strictEqual(jar.getCookieHeader('https://app.test.com/', now + 120000), 'dated=1; both=1');
+      assert.strictEqual(jar.getCookieHeader('https://app.test.com/', now + 900000), '');
+    });
+
+    test('should replace cookies and delete them with an expired cookie', () => {
+      const jar = new CookieJar();
+      jar.setCookies(['session=old'], 'https://app.test.com/', now);
+      jar.setCookies(['session=new'], 'https://app.test.com/', now);
+      assert.strictEqual(jar.getCookieHeader('https://app.test.com/', now), 'session=new');
+
+      jar.setCookies(['session=; Max-Age=0'], 'https://app.test.com/', now);
+      assert.strictEqual(jar.getCookieHeader('https://app.test.com/', now), '');
+      assert.deepStrictEqual(jar.cookies, []);
+    });
+
+    test('should ignore headers without a name', () => {
+      const jar = new CookieJar();
+      jar.setCookies(['=value', 'novalue'], 'https://app.test.com/', now);
+
+      assert.deepStrictEqual(jar.cookies, []);
+    });
+  });
+
+  describe('describe()', () => {
+    test('should list cookies for debug output', () => {
+      const jar = new CookieJar();
+      assert.strictEqual(jar.describe(), '(empty)');
+
+      jar.setCookies(['session=abc', 'pref=1; Domain=test.com; Path=/app; Max-Age=60; Secure'], 'https://app.test.com/', now);
+
+      assert.strictEqual(
+        jar.describe(),
+        'session=abc (app.test.com/, session)\npref=1 (.test.com/app, 2026-01-01T00:01:00.000Z, secure)'
+      );
+    });
+  });
+
+  describe('toJSON()', () => {
+    test('should serialize cookie names only', () => {
+      const jar = new CookieJar();
+      jar.setCookies(['session=secret'], 'https://app.test.com/', now);
+
+      assert.strictEqual(JSON.stringify(jar), '{"cookies":["session"]}');
+    });
+  });
+
+  describe('splitSetCookie()', () => {
+    test('should split combined headers without breaking Expires dates', () => {
+      assert.deepStrictEqual(
+        splitSetCookie('a=1; Path=/, b=2; Expires=Wed, 21 Oct 2026 07:28:00 GMT, c=3'),
+        ['a=1; Path=/', 'b=2; Expires=Wed, 21 Oct 2026 07:28:00 GMT', 'c=3']
+      );
+      assert.deepStrictEqual(splitSetCookie(undefined), []);
+    });
+  });
+});
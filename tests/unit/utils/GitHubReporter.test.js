@@ -0,0 +1,98 @@
+import { test, describe, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { GitHubReporter } from '../../../src/utils/GitHubReporter.js';
+import { logger } from '../../../src/utils/logger.js';
+
+describe('GitHubReporter', () => {
+  let reporter;
+  let tmpDir;
+  let suiteFile;
+  let printed;
+  let originalReport;
+
+  beforeEach(async () => {
+    reporter = new GitHubReporter();
+    tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'semtest-'));
+    suiteFile = path.join(tmpDir, 'chat.json');
+    await fs.writeFile(suiteFile, JSON.stringify({
+      setup: [{ id: 'weather', block: 'MockData' }],
+      tests: [
+        { id: 'greeting', pipeline: [] },
+        { id: 'weather', pipeline: [] }
+      ]
+    }, null, 2));
+
+    printed = [];
+    originalReport = logger.report;
+    logger.report = message => printed.push(message);
+  });
+
+  afterEach(async () => {
+    logger.report = originalReport;
+    await fs.rm(tmpDir, { recursive: true, force: true });
+  });
+
+  describe('findTestLine()', () => {
+    test('should find the line of the test id, not of a setup block', () => {
+      assert.strictEqual(reporter.findTestLine(suiteFile, 'greeting'), 10);
+      assert.strictEqual(reporter.findTestLine(suiteFile, 'weather'), 14);
+    });
+
+    test('should return undefined for unknown tests or files', () => {
+      assert.strictEqual(reporter.findTestLine(suiteFile, 'missing'), undefined);
+      assert.strictEqual(reporter.findTestLine(path.join(tmpDir, 'none.json'), 'greeting'), undefined);
+    });
+  });
+
+  describe('formatAnnotation()', () => {
+    test('should escape properties and message', () => {
+      const annotation = reporter.formatAnnotation({
+        file: path.join(process.cwd(), 'tests', 'chat.json'),
+        line: 3,
+        title: 'Chat: API, v2',
+        message: '100% wrong\nsecond line'
+      });
+
+      assert.strictEqual(
+        annotation,
+        `::error file=${path.join('tests', 'chat.json')},line=3,title=Chat%3A API%2C v2::100%25 wrong%0Asecond line`
+      );
+    });
+  });
+
+  describe('reportTest()', () => {
+    test('should annotate failed tests at their line', () => {
+      reporter.reportTest({
+        id: 'weather',
+        success: false,
+        assertions: { checks: [{ passed: false, message: 'judge.score gte 0.7', actual: 0.4 }] }
+      }, { name: 'Chat', file: suiteFile });
+
+      assert.strictEqual(printed.length, 1);
+      assert.ok(printed[0].startsWith('::error file='));
+      assert.ok(printed[0].includes(',line=14,title=Chat › weather::Assertion failed: judge.score gte 0.7'));
+    });
+
+    test('should not annotate passing or skipped tests', () => {
+      reporter.reportTest({ id: 'greeting', success: true }, { name: 'Chat', file: suiteFile });
+      reporter.reportTest({ id: 'weather', success: true, skipped: true }, { name: 'Chat', file: suiteFile });
+
+      assert.strictEqual(printed.length, 0);
+    });
+  });
+
+  describe('reportSuite()', () => {
+    test('should annotate setup failures and suites that did not load', () => {
+      reporter.reportSuite({ name: 'Chat', file: suiteFile, setupError: 'Login failed', tests: [] });
+      reporter.reportSuite({ name: 'bad.json', file: suiteFile, error: 'Unexpected token' });
+      reporter.reportSuite({ name: 'Chat', file: suiteFile, success: false, tests: [{ success: false }] });
+
+      assert.strictEqual(printed.length, 2);
+      assert.ok(printed[0].endsWith('title=Chat › setup::Setup failed: Login failed'));
+      assert.ok(printed[1].endsWith('title=bad.json::Unexpected token'));
+    });
+  });
+});
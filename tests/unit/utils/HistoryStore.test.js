@@ -0,0 +1,162 @@
+import { test, describe, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import {
+  HistoryStore,
+  createHistoryEntry,
+  compareRuns,
+  getTestKey,
+  getTestScore
+} from '../../../src/utils/HistoryStore.js';
+import { SuiteRunner } from '../../../src/suite-runner.js';
+
+describe('HistoryStore', () => {
+  let tmpDir;
+  let store;
+  let originalLogLevel;
+
+  const batchResults = {
+    started: '2024-01-01T00:00:00.000Z',
+    finished: '2024-01-01T00:00:03.000Z',
+    totalDuration: 3000,
+    suites: [{
+      name: 'Chat',
+      tests: [
+        { id: 'greeting', success: true, duration: 1000, result: { data: { judge: { score: 0.9 } } } },
+        { id: 'weather', success: false, duration: 2000, result: { data: { judge: { score: 0.4 }, judge2: { score: 0.6 } } } },
+        { id: 'search', success: true, skipped: true, duration: 0 }
+      ]
+    }]
+  };
+
+  beforeEach(async () => {
+    tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'semtest-'));
+    store = new HistoryStore(path.join(tmpDir, 'history', 'runs.jsonl'));
+    originalLogLevel = process.env.LOG_LEVEL;
+    process.env.LOG_LEVEL = 'ERROR';
+  });
+
+  afterEach(async () => {
+    await fs.rm(tmpDir, { recursive: true, force: true });
+    if (originalLogLevel === undefined) delete process.env.LOG_LEVEL;
+    else process.env.LOG_LEVEL = originalLogLevel;
+  });
+
+  describe('createHistoryEntry()', () => {
+    test('should record run metrics and every test', () => {
+      const entry = createHistoryEntry(batchResults);
+
+      assert.strictEqual(entry.started, batchResults.started);
+      assert.strictEqual(entry.totalTests, 3);
+      assert.strictEqual(entry.passed, 1);
+      assert.strictEqual(entry.failed, 1);
+      assert.strictEqual(entry.skipped, 1);
+      assert.strictEqual(entry.passRate, 50);
+      assert.strictEqual(entry.duration, 3000);
+      assert.strictEqual(entry.avgScore, 0.7);
+      assert.deepStrictEqual(entry.tests, {
+        'Chat › greeting': { success: true, duration: 1000, score: 0.9 },
+        'Chat › weather': { success: false, duration: 2000, score: 0.5 },
+        'Chat › search': { success: true, skipped: true, duration: 0 }
+      });
+    });
+
+    test('should handle runs without scores', () => {
+      const entry = createHistoryEntry({ suites: [{ name: 'Empty', error: 'Unexpected token' }] });
+
+      assert.strictEqual(entry.totalTests, 0);
+      assert.strictEqual(entry.passRate, 0);
+      assert.strictEqual(entry.avgScore, null);
+    });
+  });
+
+  describe('getTestScore() and getTestKey()', () => {
+    test('should average judge scores and ignore other slots', () => {
+      assert.strictEqual(getTestScore({ result: { data: { judge: { score: 0.8 }, parsed: { score: 0.1 } } } }), 0.8);
+      assert.strictEqual(getTestScore({ result: { data: { judge: { score: 'high' } } } }), null);
+      assert.strictEqual(getTestScore({}), null);
+    });
+
+    test('should key tests by suite and id', () => {
+      assert.strictEqual(getTestKey('Chat', { id: 'greeting', name: 'Greeting' }), 'Chat › greeting');
+      assert.strictEqual(getTestKey('Chat', { name: 'Greeting' }), 'Chat › Greeting');
+    });
+  });
+
+  describe('compareRuns()', () => {
+    test('should find newly failing and newly passing tests', () => {
+      const previous = {
+        tests: {
+          a: { success: true },
+          b: { success: false },
+          c: { success: true },
+          d: { success: true, skipped: true }
+        }
+      };
+      const current = {
+        tests: {
+          a: { success: false },
+          b: { success: true },
+          c: { success: true },
+          d: { success: false },
+          e: { success: false }
+        }
+      };
+
+      assert.deepStrictEqual(compareRuns(previous, current), { newlyFailing: ['a'], newlyPassing: ['b'] });
+    });
+
+    test('should report nothing without a previous run', () => {
+      assert.deepStrictEqual(compareRuns(undefined, { tests: { a: { success: false } } }), {
+        newlyFailing: [],
+        newlyPassing: []
+      });
+    });
+  });
+
+  describe('load() and append()', () => {
+    test('should return no runs when the file does not exist', async () => {
+      assert.deepStrictEqual(await store.load(), []);
+    });
+
+    test('should append runs as JSON lines, creating the directory', async () => {
+      await store.append({ started: 'one', passRate: 100 });
+      await store.append({ started: 'two', passRate: 50 });
+
+      const content = await fs.readFile(store.filePath, 'utf-8');
+      assert.strictEqual(content.trim().split('\n').length, 2);
+      assert.deepStrictEqual((await store.load()).map(e => e.started), ['one', 'two']);
+      assert.deepStrictEqual((await store.load(1)).map(e => e.started), ['two']);
+    });
+
+    test('should not record the same run twice', async () => {
+      assert.strictEqual(await store.append({ started: 'one' }), true);
+      assert.strictEqual(await store.append({ started: 'one' }), false);
+
+      assert.strictEqual((await store.load()).length, 1);
+    });
+
+    test('should skip unreadable lines', async () => {
+      await fs.mkdir(path.dirname(store.filePath), { recursive: true });
+      await fs.writeFile(store.filePath, '{"started":"one"}\n{broken\n\n{"started":"two"}\n');
+
+      assert.deepStrictEqual((await store.load()).map(e => e.started), ['one', 'two']);
+    });
+  });
+
+  describe('attach()', () => {
+    test('should append each run when it ends', async () => {
+      const runner = new SuiteRunner();
+      runner.removeAllListeners();
+
+      store.attach(runner);
+      await runner.emitAsync('run:end', batchResults);
+
+      const [entry] = await store.load();
+      assert.strictEqual(entry.started, batchResults.started);
+      assert.strictEqual(entry.passRate, 50);
+    });
+  });
+});
@@ -1,12 +1,26 @@
-import { test, describe, beforeEach } from 'node:test';
+import { test, describe, beforeEach, afterEach } from 'node:test';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
 import assert from 'node:assert';
 import { HtmlReporter } from '../../../src/utils/HtmlReporter.js';
+import { SuiteRunner } from '../../../src/suite-runner.js';
+import { HistoryStore } from '../../../src/utils/HistoryStore.js';
 
 describe('HtmlReporter', () => {
   let reporter;
+  let originalLogLevel;
 
   beforeEach(() => {
     reporter = new HtmlReporter();
+    // Keep report output out of the test runner's stdout
+    originalLogLevel = process.env.LOG_LEVEL;
+    process.env.LOG_LEVEL = 'ERROR';
+  });
+
+  afterEach(() => {
+    if (originalLogLevel === undefined) delete process.env.LOG_LEVEL;
+    else process.env.LOG_LEVEL = originalLogLevel;
   });
 
   describe('calculateMetrics()', () => {
@@ -37,6 +51,24 @@ describe('HtmlReporter', () => {
       assert.strictEqual(metrics.avgLatency, 150); // (100+200+150)/3
     });
 
+    test('should leave skipped tests out of pass rate and latency', () => {
+      const metrics = reporter.calculateMetrics({
+        suites: [{
+          tests: [
+            { success: true, duration: 100 },
+            { success: false, duration: 300 },
+            { success: true, skipped: true, duration: 0 }
+          ]
+        }]
+      });
+
+      assert.strictEqual(metrics.totalTests, 3);
+      assert.strictEqual(metrics.passedTests, 1);
+      assert.strictEqual(metrics.skippedTests, 1);
+      assert.strictEqual(metrics.passRate, 50);
+      assert.strictEqual(metrics.avgLatency, 200);
+    });
+
     test('should handle empty results', () => {
       const metrics = reporter.calculateMetrics({ suites: [] });
 
@@ -144,6 +176,36 @@ describe('HtmlReporter', () => {
       assert.ok(html.includes('<script>'));
       assert.ok(html.includes('<style>'));
     });
+
+    test('buildAllTests() should show skipped tests with their reason', () => {
+      const html = reporter.buildAllTests({
+        suites: [{
+          name: 'Suite',
+          tests: [{ id: 'later', name: 'Later', success: true, skipped: true, reason: 'marked skip', duration: 0 }]
+        }]
+      });
+
+      assert.ok(html.includes('data-status="skipped"'));
+      assert.ok(html.includes('skipped: marked skip'));
+      assert.ok(html.includes("filterTests('skipped')"));
+    });
+
+    test('buildTestDetails() should list skipped blocks', () => {
+      const html = reporter.buildTestDetails({
+        success: true,
+        summary: {
+          blockResults: [
+            { id: 'check', success: true, duration: 5 },
+            { id: 'validateTools', success: true, skipped: true, reason: "branch 'withTools' not taken" }
+          ]
+        }
+      });
+
+      assert.ok(html.includes('Skipped Blocks'));
+      assert.ok(html.includes('validateTools'));
+      assert.ok(html.includes("branch 'withTools' not taken"));
+      assert.ok(!html.includes('>check<'));
+    });
   });
 
   describe('generateReport()', () => {
@@ -174,4 +236,95 @@ describe('HtmlReporter', () => {
       // but we've already tested the content generation
     });
   });
+
+  describe('trends', () => {
+    const run = (started, weatherPassed, score) => ({
+      started,
+      totalDuration: 4000,
+      suites: [{
+        name: 'Chat',
+        tests: [
+          { id: 'greeting', success: true, duration: 1000 },
+          { id: 'weather', success: weatherPassed, duration: 3000, result: { data: { judge: { score } } } }
+        ]
+      }]
+    });
+    const previousEntry = {
+      started: '2024-01-01T00:00:00.000Z',
+      passRate: 100,
+      duration: 5000,
+      tests: {
+        'Chat › greeting': { success: true, duration: 1000 },
+        'Chat › weather': { success: true, duration: 4000, score: 0.9 }
+      }
+    };
+
+    test('buildTrends() should render nothing without history', () => {
+      assert.strictEqual(reporter.buildTrends(run('2024-01-02T00:00:00.000Z', false, 0.4), []), '');
+    });
+
+    test('buildTrends() should render charts, changes and score trends', () => {
+      const html = reporter.buildTrends(run('2024-01-02T00:00:00.000Z', false, 0.4), [previousEntry]);
+
+      assert.ok(html.includes('Trends (last 2 runs)'));
+      assert.strictEqual((html.match(/class="line-chart"/g) || []).length, 2);
+      assert.ok(html.includes('Latest: 50%'));
+      assert.ok(html.includes('Newly Failing (1)'));
+      assert.ok(html.includes('<li>Chat › weather</li>'));
+      assert.ok(html.includes('Newly Passing (0)'));
+      assert.ok(html.includes('class="sparkline"'));
+      assert.ok(html.includes('<td>0.40</td>'));
+      assert.ok(html.includes('-0.50'));
+    });
+
+    test('buildHTML() should include the trends section', () => {
+      const html = reporter.buildHTML(run('2024-01-02T00:00:00.000Z', true, 0.9), [previousEntry]);
+
+      assert.ok(html.includes('class="trends"'));
+    });
+
+    describe('with a history store', () => {
+      let tmpDir;
+
+      beforeEach(async () => {
+        tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'semtest-'));
+      });
+
+      afterEach(async () => {
+        await fs.rm(tmpDir, { recursive: true, force: true });
+      });
+
+      test('loadHistory() should leave out the current run', async () => {
+        const history = new HistoryStore(path.join(tmpDir, 'history.jsonl'));
+        await history.append(previousEntry);
+        await history.append({ started: '2024-01-02T00:00:00.000Z', tests: {} });
+        reporter = new HtmlReporter({ history });
+
+        const entries = await reporter.loadHistory({ started: '2024-01-02T00:00:00.000Z' });
+
+        assert.deepStrictEqual(entries.map(e => e.started), [previousEntry.started]);
+      });
+
+      test('loadHistory() should return nothing without a store', async () => {
+        assert.deepStrictEqual(await reporter.loadHistory({ started: 'now' }), []);
+      });
+    });
+  });
+
+  describe('attach()', () => {
+    test('should generate the report when the run ends', async () => {
+      const runner = new SuiteRunner();
+      runner.removeAllListeners();
+      const written = [];
+      reporter.generateReport = (batchResults, outputPath) => {
+        written.push({ batchResults, outputPath });
+        return Promise.resolve(outputPath);
+      };
+
+      reporter.attach(runner, 'report.html');
+      await runner.emitAsync('run:end', { suites: [] });
+
+      assert.deepStrictEqual(written, [{ batchResults: { suites: [] }, outputPath: 'report.html' }]);
+    });
+  });
 });
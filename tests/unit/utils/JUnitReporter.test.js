@@ -0,0 +1,162 @@
+import { test, describe, beforeEach } from 'node:test';
+import assert from 'node:assert';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { JUnitReporter, escapeXml } from '../../../src/utils/JUnitReporter.js';
+import { SuiteRunner } from '../../../src/suite-runner.js';
+
+describe('JUnitReporter', () => {
+  let reporter;
+
+  const batchResults = {
+    started: '2024-01-01T00:00:00.000Z',
+    totalDuration: 1500,
+    suites: [
+      {
+        name: 'Chat API',
+        file: '/tests/chat.json',
+        totalDuration: 1200,
+        tests: [
+          { id: 'greeting', name: 'Greeting', success: true, duration: 500 },
+          {
+            id: 'weather',
+            name: 'Weather <tool>',
+            success: false,
+            duration: 700,
+            assertions: {
+              passed: false,
+              checks: [
+                { path: 'judge.score', passed: false, message: 'judge.score gte 0.7', actual: 0.4 },
+                { path: 'response.status', passed: true, message: 'response.status === 200', actual: 200 }
+              ]
+            },
+            summary: {
+              blockResults: [
+                { id: 'request', success: true },
+                { id: 'check', success: false, error: 'Text too short' },
+                { id: 'later', success: true, skipped: true }
+              ]
+            }
+          },
+          { id: 'search', name: 'Search', success: true, skipped: true, reason: 'marked skip', duration: 0 },
+          { id: 'broken', name: 'Broken', success: false, error: 'Unknown block type: Foo', stack: 'Error: Unknown block type: Foo' }
+        ]
+      },
+      { name: 'Auth', file: '/tests/auth.json', success: false, setupError: 'Login failed', tests: [] },
+      { name: 'bad.json', file: '/tests/bad.json', success: false, error: 'Unexpected token' }
+    ]
+  };
+
+  beforeEach(() => {
+    reporter = new JUnitReporter();
+  });
+
+  describe('buildXML()', () => {
+    test('should write totals on the testsuites element', () => {
+      const xml = reporter.buildXML(batchResults);
+
+      assert.ok(xml.startsWith('<?xml version="1.0" encoding="UTF-8"?>'));
+      assert.ok(xml.includes(
+        '<testsuites name="SemanticTest" tests="6" failures="1" errors="3" skipped="1" time="1.500" timestamp="2024-01-01T00:00:00.000Z">'
+      ));
+    });
+
+    test('should write a testsuite per suite with its counts', () => {
+      const xml = reporter.buildXML(batchResults);
+
+      assert.ok(xml.includes('<testsuite name="Chat API" tests="4" failures="1" errors="1" skipped="1" time="1.200"'));
+      assert.ok(xml.includes('file="/tests/chat.json"'));
+      assert.strictEqual((xml.match(/<testsuite /g) || []).length, 3);
+    });
+
+    test('should write passing tests as empty testcases', () => {
+      const xml = reporter.buildXML(batchResults);
+
+      assert.ok(xml.includes('<testcase name="Greeting" classname="Chat API" time="0.500"/>'));
+    });
+
+    test('should build failures from assertions and failed blocks', () => {
+      const xml = reporter.buildXML(batchResults);
+
+      assert.ok(xml.includes('<testcase name="Weather &lt;tool&gt;" classname="Chat API" time="0.700">'));
+      assert.ok(xml.includes(
+        '<failure message="Assertion failed: judge.score gte 0.7 (actual: 0.4)" type="AssertionError">'
+      ));
+      assert.ok(xml.includes('Block &apos;check&apos; failed: Text too short'));
+      assert.ok(!xml.includes('response.status === 200'));
+      assert.ok(!xml.includes('later'));
+    });
+
+    test('should mark skipped tests and tests that threw', () => {
+      const xml = reporter.buildXML(batchResults);
+
+      assert.ok(xml.includes('<skipped message="marked skip"/>'));
+      assert.ok(xml.includes('<error message="Unknown block type: Foo" type="Error">Error: Unknown block type: Foo</error>'));
+    });
+
+    test('should report setup failures and suites that did not load as errors', () => {
+      const xml = reporter.buildXML(batchResults);
+
+      assert.ok(xml.includes('<testcase name="setup" classname="Auth" time="0.000">'));
+      assert.ok(xml.includes('<error message="Login failed" type="SetupError">Login failed</error>'));
+      assert.ok(xml.includes('<error message="Unexpected token" type="SuiteError">'));
+    });
+
+    test('should fall back to the pipeline error', () => {
+      const { xml } = reporter.buildTestCase({
+        name: 'Timed out',
+        success: false,
+        duration: 10,
+        result: { success: false, error: 'Pipeline timed out after 10ms' }
+      }, 'Suite');
+
+      assert.ok(xml.includes('message="Pipeline failed: Pipeline timed out after 10ms"'));
+    });
+  });
+
+  describe('escapeXml()', () => {
+    test('should escape markup characters', () => {
+      assert.strictEqual(escapeXml('<a href="x">Tom & Jerry\'s</a>'),
+        '&lt;a href=&quot;x&quot;&gt;Tom &amp; Jerry&apos;s&lt;/a&gt;');
+    });
+
+    test('should drop characters XML does not allow', () => {
+      assert.strictEqual(escapeXml('ok\u0000\u001b[31m'), 'ok[31m');
+      assert.strictEqual(escapeXml('a\tb\r\nc\uffff 😀'), 'a\tb\r\nc 😀');
+      assert.strictEqual(escapeXml(undefined), '');
+    });
+  });
+
+  describe('generateReport()', () => {
+    test('should write the XML file', async () => {
+      const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'semtest-'));
+      const file = path.join(dir, 'junit.xml');
+
+      try {
+        await reporter.generateReport(batchResults, file);
+        const content = await fs.readFile(file, 'utf-8');
+        assert.ok(content.includes('<testsuites '));
+      } finally {
+        await fs.rm(dir, { recursive: true, force: true });
+      }
+    });
+  });
+
+  describe('attach()', () => {
+    test('should generate the report when the run ends', async () => {
+      const runner = new SuiteRunner();
+      runner.removeAllListeners();
+      const written = [];
+      reporter.generateReport = (results, outputPath) => {
+        written.push({ results, outputPath });
+        return Promise.resolve(outputPath);
+      };
+
+      reporter.attach(runner, 'junit.xml');
+      await runner.emitAsync('run:end', { suites: [] });
+
+      assert.deepStrictEqual(written, [{ results: { suites: [] }, outputPath: 'junit.xml' }]);
+    });
+  });
+});
@@ -0,0 +1,170 @@
+import { test, describe, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { JsonReporter, loadResults, toSerializable } from '../../../src/utils/JsonReporter.js';
+import { RESULTS_SCHEMA } from '../../../src/utils/constants.js';
+import { SuiteRunner } from '../../../src/suite-runner.js';
+
+describe('JsonReporter', () => {
+  let reporter;
+  let tmpDir;
+
+  const batchResults = {
+    started: '2024-01-01T00:00:00.000Z',
+    finished: '2024-01-01T00:00:02.000Z',
+    totalDuration: 2000,
+    suites: [
+      {
+        name: 'Chat API',
+        file: '/tests/chat.json',
+        success: false,
+        totalDuration: 1200,
+        setupResult: { success: true, duration: 50 },
+        teardownResult: null,
+        tests: [
+          {
+            id: 'greeting',
+            name: 'Greeting',
+            success: true,
+            duration: 500,
+            result: { success: true, data: { reply: { text: 'Hi' } } },
+            assertions: { passed: true, checks: [{ path: 'reply.text', expected: 'Hi', actual: 'Hi', passed: true }] },
+            summary: { totalBlocks: 1, executed: 1, blockResults: [{ id: 'reply', success: true, duration: 500 }] }
+          },
+          { id: 'weather', name: 'Weather', success: false, duration: 700 },
+          { id: 'search', name: 'Search', success: true, skipped: true, reason: 'marked skip', duration: 0 }
+        ]
+      }
+    ]
+  };
+
+  beforeEach(async () => {
+    reporter = new JsonReporter();
+    tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'semtest-'));
+  });
+
+  afterEach(async () => {
+    await fs.rm(tmpDir, { recursive: true, force: true });
+  });
+
+  describe('buildResults()', () => {
+    test('should add the schema and a summary to the batch results', () => {
+      const document = reporter.buildResults(batchResults);
+
+      assert.strictEqual(document.schema, RESULTS_SCHEMA.NAME);
+      assert.strictEqual(document.schemaVersion, RESULTS_SCHEMA.VERSION);
+      assert.strictEqual(document.started, batchResults.started);
+      assert.strictEqual(document.finished, batchResults.finished);
+      assert.strictEqual(document.totalDuration, 2000);
+      assert.deepStrictEqual(document.summary, {
+        suites: 1,
+        passedSuites: 0,
+        failedSuites: 1,
+        tests: 3,
+        passed: 1,
+        failed: 1,
+        skipped: 1
+      });
+    });
+
+    test('should keep the complete suite results', () => {
+      const document = reporter.buildResults(batchResults);
+
+      assert.deepStrictEqual(document.suites, batchResults.suites);
+    });
+
+    test('should leave the pipeline context out of test results', () => {
+      const context = { API_KEY: 'sk-supersecret', API_AUTH: { type: 'oauth2', clientSecret: 'secret' } };
+      const suite = batchResults.suites[0];
+      const document = reporter.buildResults({
+        suites: [{ ...suite, tests: [{ ...suite.tests[0], result: { ...suite.tests[0].result, context } }] }]
+      });
+
+      assert.deepStrictEqual(document.suites[0].tests[0].result, suite.tests[0].result);
+      assert.ok(!JSON.stringify(document).includes('secret'));
+    });
+  });
+
+  describe('toSerializable()', () => {
+    test('should convert values JSON cannot represent', () => {
+      const value = {
+        error: new TypeError('bad input'),
+        when: new Date('2024-01-01T00:00:00.000Z'),
+        count: 10n,
+        fn: () => {},
+        map: new Map([['a', 1]]),
+        set: new Set([1, 2]),
+        list: [undefined, () => {}]
+      };
+
+      assert.deepStrictEqual(toSerializable(value), {
+        error: { name: 'TypeError', message: 'bad input' },
+        when: '2024-01-01T00:00:00.000Z',
+        count: '10',
+        map: { a: 1 },
+        set: [1, 2],
+        list: [null, null]
+      });
+    });
+
+    test('should convert objects with toJSON()', () => {
+      const value = { cassette: { interactions: [1, 2, 3], toJSON: () => ({ file: 'c.json', count: 1n }) } };
+
+      assert.deepStrictEqual(toSerializable(value), { cassette: { file: 'c.json', count: '1' } });
+    });
+
+    test('should replace circular references but keep shared ones', () => {
+      const shared = { id: 1 };
+      const value = { a: shared, b: shared };
+      value.self = value;
+
+      assert.deepStrictEqual(toSerializable(value), { a: { id: 1 }, b: { id: 1 }, self: '[Circular]' });
+    });
+  });
+
+  describe('generateReport() and loadResults()', () => {
+    test('should read back what was written', async () => {
+      const file = path.join(tmpDir, 'results.json');
+      await reporter.generateReport(batchResults, file);
+
+      const loaded = await loadResults(file);
+
+      assert.deepStrictEqual(loaded, batchResults);
+    });
+
+    test('should reject files that are not results files', async () => {
+      const file = path.join(tmpDir, 'suite.json');
+      await fs.writeFile(file, JSON.stringify({ tests: [] }));
+
+      await assert.rejects(() => loadResults(file), /is not a SemanticTest results file/);
+    });
+
+    test('should reject newer schema versions', async () => {
+      const file = path.join(tmpDir, 'results.json');
+      await fs.writeFile(file, JSON.stringify({
+        schema: RESULTS_SCHEMA.NAME,
+        schemaVersion: RESULTS_SCHEMA.VERSION + 1,
+        suites: []
+      }));
+
+      await assert.rejects(() => loadResults(file), /Unsupported results schema version/);
+    });
+  });
+
+  describe('attach()', () => {
+    test('should write the results when the run ends', async () => {
+      const runner = new SuiteRunner();
+      runner.removeAllListeners();
+      const file = path.join(tmpDir, 'results.json');
+
+      reporter.attach(runner, file);
+      await runner.emitAsync('run:end', batchResults);
+
+      const document = JSON.parse(await fs.readFile(file, 'utf-8'));
+      assert.strictEqual(document.schema, RESULTS_SCHEMA.NAME);
+      assert.strictEqual(document.suites.length, 1);
+    });
+  });
+});
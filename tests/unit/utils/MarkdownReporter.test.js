@@ -0,0 +1,137 @@
+import { test, describe, beforeEach } from 'node:test';
+import assert from 'node:assert';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { MarkdownReporter } from '../../../src/utils/MarkdownReporter.js';
+import { SuiteRunner } from '../../../src/suite-runner.js';
+
+describe('MarkdownReporter', () => {
+  let reporter;
+
+  const batchResults = {
+    totalDuration: 4500,
+    suites: [
+      {
+        name: 'Chat API',
+        success: false,
+        totalDuration: 3200,
+        tests: [
+          { id: 'greeting', name: 'Greeting', success: true, duration: 500 },
+          {
+            id: 'weather',
+            name: 'Uses <weather> tool',
+            success: false,
+            duration: 2700,
+            assertions: {
+              passed: false,
+              checks: [{ path: 'judge.score', passed: false, message: 'judge.score gte 0.7', actual: 0.4 }]
+            },
+            result: {
+              success: true,
+              data: {
+                response: { body: 'Sunny' },
+                judge: { score: 0.4, reasoning: 'Did not call the weather tool.\nAnswered from memory.' }
+              }
+            }
+          },
+          { id: 'search', success: true, skipped: true, reason: 'marked skip', duration: 0 }
+        ]
+      },
+      { name: 'Auth | Login', success: false, setupError: 'Login failed', totalDuration: 300, tests: [] }
+    ]
+  };
+
+  beforeEach(() => {
+    reporter = new MarkdownReporter();
+  });
+
+  describe('buildMarkdown()', () => {
+    test('should start with the totals', () => {
+      const markdown = reporter.buildMarkdown(batchResults);
+
+      assert.ok(markdown.startsWith('## ❌ SemanticTest: 1 passed, 2 failed, 1 skipped\n'));
+    });
+
+    test('should write a table row per suite and a total row', () => {
+      const markdown = reporter.buildMarkdown(batchResults);
+
+      assert.ok(markdown.includes('| Suite | Passed | Failed | Skipped | Duration |'));
+      assert.ok(markdown.includes('| ❌ Chat API | 1 | 1 | 1 | 3.2s |'));
+      assert.ok(markdown.includes('| ❌ Auth \\| Login | 0 | 1 | 0 | 0.3s |'));
+      assert.ok(markdown.includes('| **Total** | **1** | **2** | **1** | **4.5s** |'));
+    });
+
+    test('should add a collapsible section per failed test', () => {
+      const markdown = reporter.buildMarkdown(batchResults);
+
+      assert.ok(markdown.includes('### Failures'));
+      assert.ok(markdown.includes('<summary><strong>Chat API › weather</strong>: Uses &lt;weather&gt; tool</summary>'));
+      assert.ok(markdown.includes('- Assertion failed: judge.score gte 0.7 (actual: 0.4)'));
+      assert.strictEqual((markdown.match(/<details>/g) || []).length, 2);
+      assert.ok(!markdown.includes('greeting'));
+    });
+
+    test('should quote the judge reasoning with its score', () => {
+      const markdown = reporter.buildMarkdown(batchResults);
+
+      assert.ok(markdown.includes('**judge** (score 0.4)\n\n> Did not call the weather tool.\n> Answered from memory.'));
+    });
+
+    test('should report suites that failed to set up', () => {
+      const markdown = reporter.buildMarkdown(batchResults);
+
+      assert.ok(markdown.includes('<summary>Auth | Login</summary>\n\n- Setup failed: Login failed'));
+    });
+
+    test('should leave out the failures section when everything passed', () => {
+      const markdown = reporter.buildMarkdown({
+        totalDuration: 500,
+        suites: [{ name: 'Chat API', success: true, totalDuration: 500, tests: [{ id: 'a', success: true }] }]
+      });
+
+      assert.ok(markdown.startsWith('## ✅ SemanticTest: 1 passed, 0 failed\n'));
+      assert.ok(!markdown.includes('Failures'));
+    });
+  });
+
+  describe('generateReport()', () => {
+    test('should write the file, or append to it', async () => {
+      const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'semtest-'));
+      const file = path.join(dir, 'summary', 'results.md');
+
+      try {
+        await reporter.generateReport(batchResults, file);
+        const written = await fs.readFile(file, 'utf-8');
+        assert.strictEqual(written, reporter.buildMarkdown(batchResults));
+
+        await reporter.generateReport(batchResults, file, { append: true });
+        const appended = await fs.readFile(file, 'utf-8');
+        assert.strictEqual((appended.match(/## ❌ SemanticTest/g) || []).length, 2);
+      } finally {
+        await fs.rm(dir, { recursive: true, force: true });
+      }
+    });
+  });
+
+  describe('attach()', () => {
+    test('should generate the report when the run ends', async () => {
+      const runner = new SuiteRunner();
+      runner.removeAllListeners();
+      const written = [];
+      reporter.generateReport = (results, outputPath, options) => {
+        written.push({ outputPath, options });
+        return Promise.resolve(outputPath);
+      };
+
+      reporter.attach(runner, 'summary.md');
+      reporter.attach(runner, 'step-summary.md', { append: true });
+      await runner.emitAsync('run:end', { suites: [] });
+
+      assert.deepStrictEqual(written, [
+        { outputPath: 'summary.md', options: {} },
+        { outputPath: 'step-summary.md', options: { append: true } }
+      ]);
+    });
+  });
+});
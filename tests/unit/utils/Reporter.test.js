@@ -1,6 +1,9 @@
 import { test, describe, beforeEach } from 'node:test';
 import assert from 'node:assert';
+import { EventEmitter } from 'events';
 import { Reporter } from '../../../src/utils/Reporter.js';
+import { compareResults } from '../../../src/utils/compare.js';
+import { logger } from '../../../src/utils/logger.js';
 
 describe('Reporter', () => {
   let reporter;
@@ -26,6 +29,20 @@ describe('Reporter', () => {
       assert.strictEqual(stats.totalDuration, 450);
     });
 
+    test('should count skipped tests separately from passed ones', () => {
+      const stats = reporter.getStats([
+        { success: true, duration: 100 },
+        { success: false, duration: 100 },
+        { success: true, skipped: true, duration: 0 }
+      ]);
+
+      assert.strictEqual(stats.passed, 1);
+      assert.strictEqual(stats.failed, 1);
+      assert.strictEqual(stats.skipped, 1);
+      assert.strictEqual(stats.total, 3);
+      assert.strictEqual(stats.passRate, '50.0');
+    });
+
     test('should handle empty results', () => {
       const stats = reporter.getStats([]);
 
@@ -102,6 +119,23 @@ describe('Reporter', () => {
     });
   });
 
+  describe('attach()', () => {
+    test('should report runner results as they are emitted', () => {
+      const runner = new EventEmitter();
+      const reported = [];
+      reporter.reportTest = result => reported.push(['test', result.name]);
+      reporter.reportSuite = result => reported.push(['suite', result.name]);
+      reporter.reportBatchSummary = () => reported.push(['batch']);
+
+      assert.strictEqual(reporter.attach(runner), reporter);
+      runner.emit('test:end', { name: 'Test 1' });
+      runner.emit('suite:end', { name: 'Suite' });
+      runner.emit('batch:end', { suites: [] });
+
+      assert.deepStrictEqual(reported, [['test', 'Test 1'], ['suite', 'Suite'], ['batch']]);
+    });
+  });
+
   describe('reportSuite()', () => {
     test('should handle suite with tests', () => {
       const suiteResult = {
@@ -130,6 +164,21 @@ describe('Reporter', () => {
       assert.doesNotThrow(() => reporter.reportSuite(suiteResult));
     });
 
+    test('should handle suite with skipped tests', () => {
+      const suiteResult = {
+        name: 'Test Suite',
+        success: true,
+        totalDuration: 100,
+        tests: [
+          { name: 'Test 1', success: true, duration: 100 },
+          { name: 'Test 2', success: true, skipped: true, reason: 'marked skip', duration: 0 }
+        ]
+      };
+
+      assert.doesNotThrow(() => reporter.reportSuite(suiteResult));
+      assert.doesNotThrow(() => reporter.reportTest(suiteResult.tests[1]));
+    });
+
     test('should handle suite without tests', () => {
       const suiteResult = {
         name: 'Empty Suite',
@@ -142,6 +191,55 @@ describe('Reporter', () => {
     });
   });
 
+  describe('reportCheck()', () => {
+    test('should handle errors, warnings and clean results', () => {
+      const issues = [
+        { severity: 'warning', location: "test 't' › block 'a'", message: "output slot 'x' is never read" },
+        { severity: 'error', location: null, message: "block 'b': unknown config key 'contain'" }
+      ];
+
+      assert.doesNotThrow(() => reporter.reportCheck(issues, 1));
+      assert.doesNotThrow(() => reporter.reportCheck([], 2));
+    });
+  });
+
+  describe('reportComparison()', () => {
+    test('should handle regressions and clean comparisons', () => {
+      const block = score => ({ summary: { blockResults: [{ id: 'judge', type: 'LLMJudge', score }] } });
+      const baseline = { suites: [{ name: 'S', tests: [
+        { id: 'a', success: true, duration: 100, ...block(0.9) },
+        { id: 'b', success: false, duration: 100 },
+        { id: 'gone', success: true }
+      ] }] };
+      const current = { suites: [{ name: 'S', tests: [
+        { id: 'a', success: false, duration: 300, ...block(0.4) },
+        { id: 'b', success: true, duration: 100 },
+        { id: 'new', success: true }
+      ] }] };
+
+      const printed = [];
+      const originalReport = logger.report;
+      logger.report = message => printed.push(message);
+
+      try {
+        reporter.reportComparison(compareResults(baseline, current, { durationThreshold: 50 }), { baseline: 'base.json' });
+        reporter.reportComparison(compareResults(baseline, baseline));
+      } finally {
+        logger.report = originalReport;
+      }
+
+      const output = printed.join('\n');
+      assert.ok(output.includes('S › a: passed → failed'));
+      assert.ok(output.includes('S › b: failed → passed'));
+      assert.ok(output.includes('S › a: judge 0.90 → 0.40 (-0.50)'));
+      assert.ok(output.includes('S › a: 100ms → 300ms (+200%)'));
+      assert.ok(output.includes('+ S › new (new test)'));
+      assert.ok(output.includes('- S › gone (not in this run)'));
+      assert.ok(output.includes('3 regressions (score drop > 0.1, slowdown > 50%)'));
+      assert.ok(output.includes('No regressions (score drop > 0.1)'));
+    });
+  });
+
   describe('reportBatchSummary()', () => {
     test('should calculate batch statistics', () => {
       const batchResults = {
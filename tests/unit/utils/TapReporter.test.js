@@ -0,0 +1,98 @@
+import { test, describe, beforeEach } from 'node:test';
+import assert from 'node:assert';
+import { TapReporter } from '../../../src/utils/TapReporter.js';
+import { SuiteRunner } from '../../../src/suite-runner.js';
+
+describe('TapReporter', () => {
+  let reporter;
+
+  const batchResults = {
+    suites: [
+      {
+        name: 'Chat API',
+        file: '/tests/chat.json',
+        success: false,
+        tests: [
+          { id: 'greeting', name: 'Greeting', success: true, duration: 500 },
+          {
+            id: 'weather',
+            name: 'Weather #1',
+            success: false,
+            duration: 700,
+            assertions: { checks: [{ passed: false, message: 'judge.score gte 0.7', actual: 0.4 }] }
+          },
+          { id: 'search', name: 'Search', success: true, skipped: true, reason: 'marked skip', duration: 0 }
+        ]
+      },
+      { name: 'Auth', file: '/tests/auth.json', success: false, setupError: 'Login failed', tests: [] }
+    ]
+  };
+
+  beforeEach(() => {
+    reporter = new TapReporter();
+  });
+
+  describe('buildTAP()', () => {
+    test('should start with the version and end with the plan', () => {
+      const lines = reporter.buildTAP(batchResults).split('\n');
+
+      assert.strictEqual(lines[0], 'TAP version 14');
+      assert.strictEqual(lines.at(-1), '1..2');
+    });
+
+    test('should write each suite as an indented subtest', () => {
+      const tap = reporter.buildTAP(batchResults);
+
+      assert.ok(tap.includes('# Subtest: Chat API\n    1..3\n    ok 1 - Greeting\n'));
+      assert.ok(tap.includes('\nnot ok 1 - Chat API\n'));
+    });
+
+    test('should add diagnostics to failed tests and escape descriptions', () => {
+      const tap = reporter.buildTAP(batchResults);
+
+      assert.ok(tap.includes([
+        '    not ok 2 - Weather \\#1',
+        '      ---',
+        '      message: "Assertion failed: judge.score gte 0.7 (actual: 0.4)"',
+        '      severity: "fail"',
+        '      id: "weather"',
+        '      duration_ms: 700',
+        '      failures:',
+        '        - "Assertion failed: judge.score gte 0.7 (actual: 0.4)"',
+        '      ...'
+      ].join('\n')));
+    });
+
+    test('should mark skipped tests with the SKIP directive', () => {
+      assert.ok(reporter.buildTAP(batchResults).includes('    ok 3 - Search # SKIP marked skip'));
+    });
+
+    test('should report suites that failed before their tests ran', () => {
+      const tap = reporter.buildTAP(batchResults);
+
+      assert.ok(tap.includes('not ok 2 - Auth\n  ---\n  message: "Setup failed: Login failed"'));
+      assert.ok(!tap.includes('# Subtest: Auth'));
+    });
+
+    test('should write an empty plan without suites', () => {
+      assert.strictEqual(reporter.buildTAP({ suites: [] }), 'TAP version 14\n1..0');
+    });
+  });
+
+  describe('attach()', () => {
+    test('should print the document when the run ends', async () => {
+      const runner = new SuiteRunner();
+      runner.removeAllListeners();
+      const printed = [];
+      reporter.buildTAP = results => {
+        printed.push(results);
+        return '';
+      };
+
+      reporter.attach(runner);
+      await runner.emitAsync('run:end', { suites: [] });
+
+      assert.deepStrictEqual(printed, [{ suites: [] }]);
+    });
+  });
+});
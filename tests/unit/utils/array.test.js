@@ -1,6 +1,7 @@
 import { test, describe } from 'node:test';
 import assert from 'node:assert';
-import { ensureArray } from '../../../src/utils/array.js';
+import { ensureArray, mapConcurrent } from '../../../src/utils/array.js';
+import { sleep } from '../../../src/utils/timing.js';
 
 describe('array utilities', () => {
   describe('ensureArray()', () => {
@@ -44,4 +45,55 @@ describe('array utilities', () => {
       assert.strictEqual(result, empty);
     });
   });
+
+  describe('mapConcurrent()', () => {
+    test('should return results in item order', async () => {
+      const results = await mapConcurrent([30, 10, 20], 3, async ms => {
+        await sleep(ms);
+        return ms * 2;
+      });
+
+      assert.deepStrictEqual(results, [60, 20, 40]);
+    });
+
+    test('should never run more than the limit at once', async () => {
+      let running = 0;
+      let maxRunning = 0;
+
+      await mapConcurrent([1, 2, 3, 4, 5], 2, async () => {
+        running++;
+        maxRunning = Math.max(maxRunning, running);
+        await sleep(5);
+        running--;
+      });
+
+      assert.strictEqual(maxRunning, 2);
+    });
+
+    test('should call onResult in item order', async () => {
+      const finished = [];
+      const released = [];
+
+      await mapConcurrent([30, 5, 15], 3, async (ms, index) => {
+        await sleep(ms);
+        finished.push(index);
+        return index;
+      }, (result, index) => released.push([result, index]));
+
+      assert.deepStrictEqual(finished, [1, 2, 0]);
+      assert.deepStrictEqual(released, [[0, 0], [1, 1], [2, 2]]);
+    });
+
+    test('should run one at a time with a limit of 1 and handle no items', async () => {
+      const order = [];
+      await mapConcurrent([20, 5], 1, async ms => {
+        order.push(`start ${ms}`);
+        await sleep(ms);
+        order.push(`end ${ms}`);
+      });
+
+      assert.deepStrictEqual(order, ['start 20', 'end 20', 'start 5', 'end 5']);
+      assert.deepStrictEqual(await mapConcurrent([], 4, () => 1), []);
+    });
+  });
 });
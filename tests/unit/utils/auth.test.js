@@ -0,0 +1,135 @@
+import { test, describe, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert';
+import { TokenCache, validateAuth, getCredentials } from '../../../src/utils/auth.js';
+
+describe('auth', () => {
+  let originalFetch;
+
+  beforeEach(() => {
+    originalFetch = global.fetch;
+  });
+
+  afterEach(() => {
+    global.fetch = originalFetch;
+  });
+
+  const oauth2 = { type: 'oauth2', tokenUrl: 'https://auth.test.com/token', clientId: 'id', clientSecret: 'secret' };
+  const tokenResponse = data => ({ status: 200, ok: true, text: () => JSON.stringify(data) });
+
+  describe('validateAuth()', () => {
+    test('should accept complete definitions', () => {
+      validateAuth({ type: 'bearer', token: 't' });
+      validateAuth({ type: 'basic', username: 'u', password: 'p' });
+      validateAuth({ type: 'apiKey', value: 'k', in: 'query' });
+      validateAuth(oauth2);
+    });
+
+    test('should reject unknown types and missing fields', () => {
+      assert.throws(() => validateAuth(null), /auth must be an object with a type/);
+      assert.throws(() => validateAuth({ type: 'digest' }), /Unknown auth type 'digest' \(use bearer, basic, apiKey, oauth2\)/);
+      assert.throws(() => validateAuth({ type: 'bearer', token: '' }), /bearer auth is missing 'token'/);
+      assert.throws(() => validateAuth({ type: 'oauth2', tokenUrl: 'x' }), /oauth2 auth is missing 'clientId', 'clientSecret'/);
+      assert.throws(() => validateAuth({ type: 'apiKey', value: 'k', in: 'cookie' }), /'in' must be 'header' or 'query'/);
+    });
+  });
+
+  describe('getCredentials()', () => {
+    test('should build headers for bearer and basic auth', async () => {
+      assert.deepStrictEqual(await getCredentials({ type: 'bearer', token: 't' }), {
+        headers: { Authorization: 'Bearer t' },
+        query: {}
+      });
+      assert.deepStrictEqual(await getCredentials({ type: 'basic', username: 'u', password: 'p' }), {
+        headers: { Authorization: 'Basic dTpw' },
+        query: {}
+      });
+    });
+
+    test('should put API keys in a header or the query', async () => {
+      assert.deepStrictEqual(await getCredentials({ type: 'apiKey', value: 'k' }), {
+        headers: { 'X-API-Key': 'k' },
+        query: {}
+      });
+      assert.deepStrictEqual(await getCredentials({ type: 'apiKey', value: 'k', name: 'Api-Token' }), {
+        headers: { 'Api-Token': 'k' },
+        query: {}
+      });
+      assert.deepStrictEqual(await getCredentials({ type: 'apiKey', value: 'k', in: 'query' }), {
+        headers: {},
+        query: { api_key: 'k' }
+      });
+    });
+
+    test('should use an OAuth2 client credentials token', async () => {
+      global.fetch = mock.fn(() => tokenResponse({ access_token: 'abc', expires_in: 3600 }));
+
+      const credentials = await getCredentials({ ...oauth2, scope: ['read', 'write'], audience: 'api' });
+
+      assert.deepStrictEqual(credentials, { headers: { Authorization: 'Bearer abc' }, query: {} });
+      const [url, options] = global.fetch.mock.calls[0].arguments;
+      assert.strictEqual(url, 'https://auth.test.com/token');
+      assert.strictEqual(options.method, 'POST');
+      assert.strictEqual(options.headers['Content-Type'], 'application/x-www-form-urlencoded');
+      assert.strictEqual(
+        options.body,
+        'grant_type=client_credentials&client_id=id&client_secret=secret&scope=read+write&audience=api'
+      );
+    });
+  });
+
+  describe('TokenCache', () => {
+    test('should reuse a token until shortly before it expires', async () => {
+      let issued = 0;
+      global.fetch = mock.fn(() => tokenResponse({ access_token: `t${++issued}`, expires_in: 3600 }));
+      const tokens = new TokenCache();
+
+      assert.strictEqual(await tokens.getToken(oauth2), 't1');
+      assert.strictEqual(await tokens.getToken(oauth2), 't1');
+      assert.strictEqual(await tokens.getToken({ ...oauth2, scope: 'admin' }), 't2');
+
+      // Expiring within the safety margin
+      global.fetch = mock.fn(() => tokenResponse({ access_token: `t${++issued}`, expires_in: 10 }));
+      tokens.invalidate(oauth2);
+      assert.strictEqual(await tokens.getToken(oauth2), 't3');
+      assert.strictEqual(await tokens.getToken(oauth2), 't4');
+    });
+
+    test('should share one token request between concurrent callers', async () => {
+      global.fetch = mock.fn(() => tokenResponse({ access_token: 'shared' }));
+      const tokens = new TokenCache();
+
+      const results = await Promise.all([tokens.getToken(oauth2), tokens.getToken(oauth2), tokens.getToken(oauth2)]);
+
+      assert.deepStrictEqual(results, ['shared', 'shared', 'shared']);
+      assert.strictEqual(global.fetch.mock.calls.length, 1);
+    });
+
+    test('should not cache failed token requests', async () => {
+      global.fetch = mock.fn(() => ({ status: 401, ok: false, text: () => 'invalid_client' }));
+      const tokens = new TokenCache();
+
+      await assert.rejects(
+        tokens.getToken(oauth2),
+        /OAuth2 token request to https:\/\/auth.test.com\/token failed with status 401: invalid_client/
+      );
+
+      global.fetch = mock.fn(() => tokenResponse({ access_token: 'retry' }));
+      assert.strictEqual(await tokens.getToken(oauth2), 'retry');
+    });
+
+    test('should reject token responses without an access token', async () => {
+      global.fetch = mock.fn(() => ({ status: 200, ok: true, text: () => 'not json' }));
+      await assert.rejects(new TokenCache().getToken(oauth2), /is not JSON/);
+
+      global.fetch = mock.fn(() => tokenResponse({ token_type: 'bearer' }));
+      await assert.rejects(new TokenCache().getToken(oauth2), /has no access_token/);
+    });
+
+    test('should serialize without tokens', () => {
+      const tokens = new TokenCache();
+      tokens.tokens.set('key', Promise.resolve({ accessToken: 'secret' }));
+
+      assert.strictEqual(JSON.stringify(tokens), '{"tokens":1}');
+    });
+  });
+});
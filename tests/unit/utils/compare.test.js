@@ -0,0 +1,128 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert';
+import { compareResults, getBlockScores, formatScore, formatDelta } from '../../../src/utils/compare.js';
+
+describe('compare utilities', () => {
+  const judged = (id, success, score, duration = 1000) => ({
+    id,
+    success,
+    duration,
+    summary: {
+      blockResults: [
+        { id: 'request', type: 'HttpRequest', success: true },
+        { id: 'judge', type: 'LLMJudge', success: true, score }
+      ]
+    }
+  });
+  const run = (...tests) => ({ suites: [{ name: 'Chat', tests }] });
+
+  describe('getBlockScores()', () => {
+    test('should collect scores of judge and validator blocks only', () => {
+      const scores = getBlockScores({
+        summary: {
+          blockResults: [
+            { id: 'judge', type: 'LLMJudge', score: 0.8 },
+            { id: 'content', type: 'ValidateContent', score: 1 },
+            { id: 'tools', type: 'ValidateTools', score: 0.5 },
+            { id: 'custom', type: 'MyBlock', score: 0.1 },
+            { id: 'failed', type: 'LLMJudge', success: false }
+          ]
+        }
+      });
+
+      assert.deepStrictEqual(scores, { judge: 0.8, content: 1, tools: 0.5 });
+    });
+  });
+
+  describe('compareResults()', () => {
+    test('should match tests by suite and id and find flips', () => {
+      const comparison = compareResults(
+        run(judged('a', true, 0.9), judged('b', false, 0.3)),
+        run(judged('b', true, 0.3), judged('a', false, 0.9))
+      );
+
+      const statuses = Object.fromEntries(comparison.tests.map(t => [t.key, t.status]));
+      assert.deepStrictEqual(statuses, { 'Chat › b': 'fixed', 'Chat › a': 'regressed' });
+      assert.deepStrictEqual(comparison.regressions.map(r => r.message), ['Chat › a: passed → failed']);
+      assert.strictEqual(comparison.summary.regressed, 1);
+      assert.strictEqual(comparison.summary.fixed, 1);
+    });
+
+    test('should report score drops beyond the threshold', () => {
+      const baseline = run(judged('a', true, 0.9), judged('b', true, 0.8));
+      const current = run(judged('a', true, 0.85), judged('b', true, 0.5));
+
+      const comparison = compareResults(baseline, current);
+
+      assert.deepStrictEqual(comparison.tests[1].scoreDeltas, [{ block: 'judge', baseline: 0.8, current: 0.5, delta: -0.3 }]);
+      assert.deepStrictEqual(comparison.regressions.map(r => r.message), ['Chat › b: judge score 0.80 → 0.50 (-0.30)']);
+      assert.strictEqual(comparison.summary.scoreDrops, 1);
+    });
+
+    test('should use a configurable score threshold', () => {
+      const baseline = run(judged('a', true, 0.8));
+      const current = run(judged('a', true, 0.7));
+
+      assert.strictEqual(compareResults(baseline, current).regressions.length, 0);
+      assert.strictEqual(compareResults(baseline, current, { scoreThreshold: 0 }).regressions.length, 1);
+    });
+
+    test('should only gate on duration when a threshold is set', () => {
+      const baseline = run(judged('a', true, 0.9, 1000));
+      const current = run(judged('a', true, 0.9, 2500));
+
+      assert.strictEqual(compareResults(baseline, current).regressions.length, 0);
+
+      const comparison = compareResults(baseline, current, { durationThreshold: 100 });
+      assert.strictEqual(comparison.tests[0].durationChange, 1.5);
+      assert.deepStrictEqual(comparison.regressions.map(r => r.message), ['Chat › a: 1000ms → 2500ms (+150%)']);
+    });
+
+    test('should list added and removed tests without failing', () => {
+      const comparison = compareResults(run(judged('old', true, 1)), run(judged('new', false, 1)));
+
+      assert.deepStrictEqual(comparison.tests.map(t => [t.key, t.status]), [
+        ['Chat › new', 'added'],
+        ['Chat › old', 'removed']
+      ]);
+      assert.strictEqual(comparison.regressions.length, 0);
+    });
+
+    test('should not count a test failing in both runs as a regression', () => {
+      const comparison = compareResults(run(judged('broken', false, 0.2)), run(judged('broken', false, 0.2)));
+
+      assert.strictEqual(comparison.tests[0].status, 'failing');
+      assert.deepStrictEqual(comparison.regressions, []);
+    });
+
+    test('should treat passing tests of a suite that failed to set up as regressions', () => {
+      const comparison = compareResults(
+        run(judged('a', true, 1)),
+        { suites: [{ name: 'Chat', setupError: 'Login failed', tests: [] }] }
+      );
+
+      assert.deepStrictEqual(comparison.regressions.map(r => r.message), [
+        'Chat › a: did not run (setup failed: Login failed)'
+      ]);
+    });
+
+    test('should ignore skipped tests', () => {
+      const comparison = compareResults(
+        run({ ...judged('a', true, 1), skipped: true }),
+        run(judged('a', false, 0))
+      );
+
+      assert.strictEqual(comparison.tests[0].status, 'added');
+      assert.strictEqual(comparison.regressions.length, 0);
+    });
+  });
+
+  describe('formatScore() and formatDelta()', () => {
+    test('should format scores and signed deltas', () => {
+      assert.strictEqual(formatScore(1), '1');
+      assert.strictEqual(formatScore(0.456), '0.46');
+      assert.strictEqual(formatDelta(0.25), '+0.25');
+      assert.strictEqual(formatDelta(-1), '-1');
+    });
+  });
+});
@@ -5,7 +5,8 @@ import {
   evaluateCondition,
   evaluateConditions,
   formatCondition,
-  getAvailableOperators
+  getAvailableOperators,
+  matchesValue
 } from '../../../src/utils/conditions.js';
 
 describe('conditions', () => {
@@ -340,6 +341,20 @@ describe('conditions', () => {
     });
   });
 
+  describe('matchesValue', () => {
+    test('should compare literals strictly', () => {
+      assert.strictEqual(matchesValue('done', 'done'), true);
+      assert.strictEqual(matchesValue(1, '1'), false);
+      assert.strictEqual(matchesValue(['a'], ['a']), false);
+    });
+
+    test('should apply every operator of an operator object', () => {
+      assert.strictEqual(matchesValue('Hello world', { contains: 'world', minLength: 5 }), true);
+      assert.strictEqual(matchesValue('Hello', { contains: 'Hello', minLength: 10 }), false);
+      assert.strictEqual(matchesValue(undefined, { isUndefined: true }), true);
+    });
+  });
+
   describe('formatCondition', () => {
     test('should format equals condition', () => {
       const formatted = formatCondition({
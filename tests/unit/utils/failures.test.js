@@ -0,0 +1,48 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert';
+import { describeFailures } from '../../../src/utils/failures.js';
+
+describe('failures utilities', () => {
+  describe('describeFailures()', () => {
+    test('should return nothing for passing tests', () => {
+      assert.deepStrictEqual(describeFailures({ success: true }), []);
+    });
+
+    test('should list failed assertions and failed blocks', () => {
+      const lines = describeFailures({
+        success: false,
+        assertions: {
+          checks: [
+            { passed: false, message: 'judge.score gte 0.7', actual: 0.4 },
+            { passed: true, message: 'status === 200', actual: 200 }
+          ]
+        },
+        summary: {
+          blockResults: [
+            { id: 'request', success: false, failureType: 'timeout', error: 'Block timed out after 100ms' },
+            { id: 'later', success: true, skipped: true }
+          ]
+        }
+      });
+
+      assert.deepStrictEqual(lines, [
+        'Assertion failed: judge.score gte 0.7 (actual: 0.4)',
+        "Block 'request' failed (timeout): Block timed out after 100ms"
+      ]);
+    });
+
+    test('should use the error of tests that could not run', () => {
+      assert.deepStrictEqual(describeFailures({ success: false, error: 'Unknown block type: Foo' }), [
+        'Unknown block type: Foo'
+      ]);
+    });
+
+    test('should fall back to the pipeline error and then a generic message', () => {
+      assert.deepStrictEqual(
+        describeFailures({ success: false, result: { error: 'Pipeline timed out' } }),
+        ['Pipeline failed: Pipeline timed out']
+      );
+      assert.deepStrictEqual(describeFailures({ success: false }), ['Test failed']);
+    });
+  });
+});
@@ -76,6 +76,22 @@ describe('logger', () => {
     });
   });
 
+  describe('useStderr()', () => {
+    afterEach(() => {
+      logger.useStderr(false);
+    });
+
+    test('should move log and report output to stderr but keep output() on stdout', () => {
+      logger.useStderr();
+      logger.info('Progress');
+      logger.report('Summary');
+      logger.output('TAP version 14');
+
+      assert.deepStrictEqual(consoleOutput.error, ['Progress', 'Summary']);
+      assert.deepStrictEqual(consoleOutput.log, ['TAP version 14']);
+    });
+  });
+
   describe('message formatting', () => {
     test('should format multiple arguments', () => {
       process.env.LOG_LEVEL = 'INFO';
@@ -137,4 +153,54 @@ describe('logger', () => {
     assert.strictEqual(consoleOutput.log.filter(msg => msg.includes('debug')).length, 0);
     assert.ok(consoleOutput.log.some(msg => msg.includes('info')));
   });
+
+  describe('buffered output', () => {
+    test('should collect output instead of printing it', async () => {
+      process.env.LOG_LEVEL = 'INFO';
+
+      const { result, output } = await logger.buffered(() => {
+        logger.info('Buffered info');
+        logger.error('Buffered error');
+        return 42;
+      });
+
+      assert.strictEqual(result, 42);
+      assert.strictEqual(consoleOutput.log.length, 0);
+      assert.strictEqual(consoleOutput.error.length, 0);
+      assert.strictEqual(output.length, 2);
+
+      logger.flush(output);
+      assert.deepStrictEqual(consoleOutput.log, ['Buffered info']);
+      assert.deepStrictEqual(consoleOutput.error, ['[ERROR] Buffered error']);
+    });
+
+    test('should keep the output of concurrent runs apart', async () => {
+      process.env.LOG_LEVEL = 'INFO';
+      const run = (name, ms) => logger.buffered(async () => {
+        logger.info(`${name} start`);
+        await new Promise(resolve => setTimeout(resolve, ms));
+        logger.info(`${name} end`);
+      });
+
+      const [a, b] = await Promise.all([run('a', 10), run('b', 1)]);
+      logger.flush(a.output);
+      logger.flush(b.output);
+
+      assert.deepStrictEqual(consoleOutput.log, ['a start', 'a end', 'b start', 'b end']);
+    });
+
+    test('should flush into the enclosing buffer', async () => {
+      process.env.LOG_LEVEL = 'INFO';
+
+      const outer = await logger.buffered(async () => {
+        const inner = await logger.buffered(() => logger.report('Inner'));
+        logger.report('Outer');
+        logger.flush(inner.output);
+      });
+
+      assert.strictEqual(consoleOutput.log.length, 0);
+      logger.flush(outer.output);
+      assert.deepStrictEqual(consoleOutput.log, ['Outer', 'Inner']);
+    });
+  });
 });
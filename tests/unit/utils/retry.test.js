@@ -0,0 +1,130 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert';
+import { normalizeRetryPolicy, validateRetryPolicy, computeBackoff, getRetryReason } from '../../../src/utils/retry.js';
+import { RETRY_DEFAULTS } from '../../../src/utils/constants.js';
+
+describe('retry utilities', () => {
+  describe('normalizeRetryPolicy()', () => {
+    test('should return null when retry is not configured', () => {
+      assert.strictEqual(normalizeRetryPolicy(undefined), null);
+      assert.strictEqual(normalizeRetryPolicy(false), null);
+    });
+
+    test('should return null for a single attempt', () => {
+      assert.strictEqual(normalizeRetryPolicy({ attempts: 1 }), null);
+    });
+
+    test('should accept an attempt count shorthand', () => {
+      const policy = normalizeRetryPolicy(4);
+
+      assert.strictEqual(policy.attempts, 4);
+      assert.strictEqual(policy.backoff, 'exponential');
+      assert.strictEqual(policy.delay, RETRY_DEFAULTS.DELAY);
+      assert.strictEqual(policy.jitter, 0);
+    });
+
+    test('should use the default jitter fraction for jitter: true', () => {
+      const policy = normalizeRetryPolicy({ jitter: true });
+
+      assert.strictEqual(policy.attempts, RETRY_DEFAULTS.ATTEMPTS);
+      assert.strictEqual(policy.jitter, RETRY_DEFAULTS.JITTER);
+    });
+
+    test('should reject unknown backoff strategies', () => {
+      assert.throws(
+        () => normalizeRetryPolicy({ attempts: 2, backoff: 'random' }),
+        /Unknown backoff strategy: random/
+      );
+    });
+  });
+
+  describe('validateRetryPolicy()', () => {
+    test('should accept shorthands and valid policies', () => {
+      assert.deepStrictEqual(validateRetryPolicy(undefined), []);
+      assert.deepStrictEqual(validateRetryPolicy(3), []);
+      assert.deepStrictEqual(validateRetryPolicy({
+        attempts: 3,
+        backoff: 'linear',
+        delay: 0,
+        jitter: true,
+        condition: { path: 'status', operator: 'gte', value: 500 }
+      }), []);
+    });
+
+    test('should report every invalid setting', () => {
+      assert.deepStrictEqual(validateRetryPolicy('3'), ['should be a number of attempts or a policy object']);
+      assert.deepStrictEqual(validateRetryPolicy({
+        attempts: 1.5,
+        backoff: 'random',
+        delay: -1,
+        jitter: 2,
+        condition: { path: 'status', operator: 'exists' }
+      }), [
+        'attempts should be a positive integer, got 1.5',
+        "unknown backoff strategy 'random' (expected one of: fixed, linear, exponential)",
+        'delay should be a non-negative number, got -1',
+        'jitter should be true or a fraction between 0 and 1, got 2',
+        'condition should have a path and a known operator'
+      ]);
+    });
+  });
+
+  describe('computeBackoff()', () => {
+    const base = { delay: 100, maxDelay: 1000, jitter: 0 };
+
+    test('should keep a fixed delay', () => {
+      const policy = { ...base, backoff: 'fixed' };
+      assert.strictEqual(computeBackoff(policy, 1), 100);
+      assert.strictEqual(computeBackoff(policy, 3), 100);
+    });
+
+    test('should grow linearly', () => {
+      const policy = { ...base, backoff: 'linear' };
+      assert.strictEqual(computeBackoff(policy, 1), 100);
+      assert.strictEqual(computeBackoff(policy, 3), 300);
+    });
+
+    test('should grow exponentially and respect maxDelay', () => {
+      const policy = { ...base, backoff: 'exponential' };
+      assert.strictEqual(computeBackoff(policy, 1), 100);
+      assert.strictEqual(computeBackoff(policy, 3), 400);
+      assert.strictEqual(computeBackoff(policy, 10), 1000);
+    });
+
+    test('should apply jitter around the delay', () => {
+      const policy = { ...base, backoff: 'fixed', jitter: 0.5 };
+      assert.strictEqual(computeBackoff(policy, 1, () => 0), 50);
+      assert.strictEqual(computeBackoff(policy, 1, () => 0.5), 100);
+      assert.strictEqual(computeBackoff(policy, 1, () => 1), 150);
+    });
+  });
+
+  describe('getRetryReason()', () => {
+    test('should retry thrown errors and error outputs without a condition', () => {
+      const policy = normalizeRetryPolicy(2);
+
+      assert.strictEqual(getRetryReason(policy, { error: new Error('boom') }), 'boom');
+      assert.strictEqual(getRetryReason(policy, { result: { error: 'bad' } }), 'bad');
+      assert.strictEqual(getRetryReason(policy, { result: { status: 502 } }), null);
+    });
+
+    test('should retry only outputs matching the condition', () => {
+      const policy = normalizeRetryPolicy({
+        attempts: 2,
+        condition: { path: 'status', operator: 'gte', value: 500 }
+      });
+
+      assert.strictEqual(getRetryReason(policy, { result: { status: 502 } }), 'status >= 500');
+      assert.strictEqual(getRetryReason(policy, { result: { status: 404 } }), null);
+    });
+
+    test('should retry thrown errors whatever the condition', () => {
+      const policy = normalizeRetryPolicy({
+        attempts: 2,
+        condition: { path: 'status', operator: 'gte', value: 500 }
+      });
+
+      assert.strictEqual(getRetryReason(policy, { error: new Error('socket hang up') }), 'socket hang up');
+    });
+  });
+});
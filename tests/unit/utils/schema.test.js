@@ -0,0 +1,79 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert';
+import { getType, suggestKey, validateBlockConfig } from '../../../src/utils/schema.js';
+
+describe('Schema utilities', () => {
+  describe('getType()', () => {
+    test('should distinguish arrays and null from objects', () => {
+      assert.strictEqual(getType([]), 'array');
+      assert.strictEqual(getType(null), 'null');
+      assert.strictEqual(getType({}), 'object');
+      assert.strictEqual(getType('x'), 'string');
+      assert.strictEqual(getType(1), 'number');
+    });
+  });
+
+  describe('suggestKey()', () => {
+    test('should suggest the closest key for near misses', () => {
+      assert.strictEqual(suggestKey('contain', ['contains', 'notContains']), 'contains');
+      assert.strictEqual(suggestKey('minlength', ['minLength', 'maxLength']), 'minLength');
+    });
+
+    test('should not suggest keys that are too different', () => {
+      assert.strictEqual(suggestKey('colour', ['contains', 'minLength']), null);
+    });
+  });
+
+  describe('validateBlockConfig()', () => {
+    const schema = {
+      contains: ['string', 'array'],
+      minLength: 'number',
+      data: 'any'
+    };
+
+    test('should accept known keys in config and at the top level', () => {
+      const issues = validateBlockConfig({
+        block: 'ValidateContent',
+        id: 'check',
+        input: { text: '${response.text}' },
+        minLength: 5,
+        config: { contains: ['hello'], data: null }
+      }, schema);
+
+      assert.deepStrictEqual(issues, []);
+    });
+
+    test('should report unknown config keys with a suggestion', () => {
+      const issues = validateBlockConfig({ block: 'ValidateContent', config: { contain: 'hello' } }, schema);
+
+      assert.deepStrictEqual(issues, ["unknown config key 'contain' (did you mean 'contains'?)"]);
+    });
+
+    test('should suggest structural keys for top-level typos', () => {
+      const issues = validateBlockConfig({ block: 'ValidateContent', inputs: {} }, schema);
+
+      assert.deepStrictEqual(issues, ["unknown key 'inputs' (did you mean 'input'?)"]);
+    });
+
+    test('should report values of the wrong type', () => {
+      const issues = validateBlockConfig({ block: 'ValidateContent', config: { minLength: '5', contains: 3 } }, schema);
+
+      assert.deepStrictEqual(issues, [
+        "'minLength' should be number, got string",
+        "'contains' should be string or array, got number"
+      ]);
+    });
+
+    test('should allow template strings for any type', () => {
+      const issues = validateBlockConfig({ block: 'ValidateContent', config: { minLength: '${env.MIN}' } }, schema);
+
+      assert.deepStrictEqual(issues, []);
+    });
+
+    test('should require config to be an object', () => {
+      const issues = validateBlockConfig({ block: 'ValidateContent', config: ['contains'] }, schema);
+
+      assert.deepStrictEqual(issues, ["'config' should be object, got array"]);
+    });
+  });
+});
@@ -1,6 +1,16 @@
-import { test, describe } from 'node:test';
+import { test, describe, beforeEach, afterEach } from 'node:test';
 import assert from 'node:assert';
-import { SuiteRunner } from '../../../src/suite-runner.js';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import http from 'http';
+import { spawnSync } from 'child_process';
+import { fileURLToPath } from 'url';
+import { SuiteRunner, parseArgs } from '../../../src/suite-runner.js';
+import { Block } from '../../../src/core/Block.js';
+import { blockRegistry } from '../../../src/core/BlockRegistry.js';
+import { sleep } from '../../../src/utils/timing.js';
+import { getCassettePath } from '../../../src/utils/Cassette.js';
 
 describe('SuiteRunner', () => {
   let runner;
@@ -325,4 +335,944 @@ describe('SuiteRunner', () => {
       assert.ok(checked.checks[0].message.includes('status'));
     });
   });
+
+  describe('events', () => {
+    let tmpDir;
+    let originalLogLevel;
+
+    beforeEach(async () => {
+      tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'semtest-'));
+      originalLogLevel = process.env.LOG_LEVEL;
+      process.env.LOG_LEVEL = 'ERROR';
+    });
+
+    afterEach(async () => {
+      await fs.rm(tmpDir, { recursive: true, force: true });
+      if (originalLogLevel === undefined) delete process.env.LOG_LEVEL;
+      else process.env.LOG_LEVEL = originalLogLevel;
+    });
+
+    const writeSuite = async suite => {
+      const file = path.join(tmpDir, 'suite.json');
+      await fs.writeFile(file, JSON.stringify(suite));
+      return file;
+    };
+
+    test('should emit suite, test and pipeline events', async () => {
+      const file = await writeSuite({
+        name: 'Events Suite',
+        tests: [{
+          id: 'first',
+          pipeline: [{ id: 'data', block: 'MockData', config: { data: { ok: true } } }],
+          assertions: { 'data.ok': true }
+        }]
+      });
+
+      runner = new SuiteRunner();
+      runner.removeAllListeners(); // Silence the console reporter
+      const seen = [];
+      for (const event of ['suite:start', 'test:start', 'block:success', 'test:end', 'suite:end']) {
+        runner.on(event, payload => seen.push({ event, payload }));
+      }
+
+      await runner.runSuite(file);
+
+      assert.deepStrictEqual(seen.map(e => e.event), [
+        'suite:start', 'test:start', 'block:success', 'test:end', 'suite:end'
+      ]);
+      assert.deepStrictEqual(seen[0].payload, { name: 'Events Suite', file });
+      assert.strictEqual(seen[1].payload.id, 'first');
+      assert.strictEqual(seen[1].payload.total, 1);
+      assert.strictEqual(seen[2].payload.blockId, 'data');
+      assert.strictEqual(seen[2].payload.testId, 'first');
+      assert.strictEqual(seen[2].payload.suite, 'Events Suite');
+      assert.strictEqual(seen[3].payload.success, true);
+      assert.strictEqual(seen[4].payload.success, true);
+    });
+
+    test('should emit suite:end when the suite cannot be loaded', async () => {
+      runner = new SuiteRunner();
+      runner.removeAllListeners();
+      const ended = [];
+      runner.on('suite:end', result => ended.push(result));
+
+      await runner.runSuite(path.join(tmpDir, 'missing.json'));
+
+      assert.strictEqual(ended.length, 1);
+      assert.strictEqual(ended[0].success, false);
+      assert.ok(ended[0].error);
+    });
+
+    test('should wait for async run:end listeners', async () => {
+      runner = new SuiteRunner();
+      let finished = false;
+      runner.on('run:end', async () => {
+        await new Promise(resolve => setImmediate(resolve));
+        finished = true;
+      });
+
+      await runner.emitAsync('run:end', { suites: [] });
+
+      assert.strictEqual(finished, true);
+    });
+  });
+
+  describe('checkSuite', () => {
+    let tmpDir;
+
+    beforeEach(async () => {
+      tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'semtest-'));
+    });
+
+    afterEach(async () => {
+      await fs.rm(tmpDir, { recursive: true, force: true });
+    });
+
+    test('should report config and data-flow issues without running the suite', async () => {
+      const file = path.join(tmpDir, 'suite.json');
+      await fs.writeFile(file, JSON.stringify({
+        tests: [{
+          id: 'chat',
+          pipeline: [
+            { id: 'call', block: 'HttpRequest', input: { url: 'http://localhost:1', method: 'GET' } },
+            { id: 'check', block: 'ValidateContent', input: { text: '${cal.body}' }, config: { contain: 'x' } }
+          ]
+        }]
+      }));
+
+      runner = new SuiteRunner();
+      const issues = await runner.checkSuite(file);
+
+      assert.deepStrictEqual(issues.map(issue => issue.type), ['invalid-config', 'unresolved-reference']);
+      assert.match(issues[0].message, /block 'check': unknown config key 'contain' \(did you mean 'contains'\?\)/);
+      assert.match(issues[1].message, /no block writes slot 'cal' \(did you mean 'call'\?\)/);
+      assert.strictEqual(runner.results.length, 0);
+    });
+
+    test('should report suites that cannot be parsed', async () => {
+      const file = path.join(tmpDir, 'broken.json');
+      await fs.writeFile(file, '{ not json');
+
+      runner = new SuiteRunner();
+      const [issue] = await runner.checkSuite(file);
+
+      assert.strictEqual(issue.severity, 'error');
+      assert.strictEqual(issue.type, 'invalid-suite');
+    });
+  });
+
+  describe('parseArgs', () => {
+    test('should collect files and filter options', () => {
+      const { files, options } = parseArgs([
+        'a.json', '--grep', 'weather', '--test', 'one', '--test', 'two,three',
+        '--tag', 'smoke', '--exclude-tag', 'slow', 'b.json'
+      ]);
+
+      assert.deepStrictEqual(files, ['a.json', 'b.json']);
+      assert.strictEqual(options.grep, 'weather');
+      assert.deepStrictEqual(options.testIds, ['one', 'two', 'three']);
+      assert.deepStrictEqual(options.tags, ['smoke']);
+      assert.deepStrictEqual(options.excludeTags, ['slow']);
+    });
+
+    test('should parse the JUnit output file', () => {
+      const { files, options } = parseArgs(['suite.json', '--junit', 'junit.xml']);
+
+      assert.deepStrictEqual(files, ['suite.json']);
+      assert.strictEqual(options.junit, 'junit.xml');
+    });
+
+    test('should parse the JSON output file and a standalone --output', () => {
+      const { options } = parseArgs(['suite.json', '--json', 'results.json', '--output', 'report.html']);
+
+      assert.strictEqual(options.json, 'results.json');
+      assert.strictEqual(options.htmlOutput, 'report.html');
+    });
+
+    test('should collect repeated reporters', () => {
+      const { options } = parseArgs(['suite.json', '--reporter', 'tap', '--reporter', 'console,github']);
+
+      assert.deepStrictEqual(options.reporters, ['tap', 'console', 'github']);
+    });
+
+    test('should reject unknown reporters', () => {
+      assert.throws(
+        () => parseArgs(['suite.json', '--reporter', 'tap,bogus']),
+        { message: 'Unknown reporter: bogus (available: console, tap, github)' }
+      );
+    });
+
+    test('should reject unknown options', () => {
+      assert.throws(() => parseArgs(['--help']), { message: "Unknown option '--help'" });
+      assert.throws(() => parseArgs(['--concurency', '4']), { message: "Unknown option '--concurency'" });
+    });
+
+    test('should parse the history file', () => {
+      const { options } = parseArgs(['suite.json', '--history', '.semtest/history.jsonl', '--html']);
+
+      assert.strictEqual(options.history, '.semtest/history.jsonl');
+      assert.strictEqual(options.html, true);
+    });
+
+    test('should parse the Markdown summary options', () => {
+      const { files, options } = parseArgs(['suite.json', '--markdown', 'summary.md', '--step-summary']);
+
+      assert.deepStrictEqual(files, ['suite.json']);
+      assert.strictEqual(options.markdown, 'summary.md');
+      assert.strictEqual(options.stepSummary, true);
+    });
+
+    test('should parse the cassette options', () => {
+      const { files, options } = parseArgs(['suite.json', '--replay', '--cassettes', 'fixtures/http']);
+
+      assert.deepStrictEqual(files, ['suite.json']);
+      assert.strictEqual(options.replay, true);
+      assert.strictEqual(options.cassettes, 'fixtures/http');
+      assert.strictEqual(parseArgs(['--record']).options.record, true);
+    });
+
+    test('should parse the baseline and thresholds', () => {
+      const { options } = parseArgs([
+        'suite.json', '--baseline', 'base.json', '--threshold', '0.05', '--duration-threshold', '50'
+      ]);
+
+      assert.strictEqual(options.baseline, 'base.json');
+      assert.strictEqual(options.scoreThreshold, 0.05);
+      assert.strictEqual(options.durationThreshold, 50);
+      assert.throws(() => parseArgs(['--threshold', '-1']), /--threshold expects a non-negative number/);
+    });
+
+    test('should parse concurrency limits', () => {
+      const { options } = parseArgs(['suite.json', '--concurrency', '4', '--suite-concurrency', '2']);
+
+      assert.strictEqual(options.concurrency, 4);
+      assert.strictEqual(options.suiteConcurrency, 2);
+    });
+
+    test('should reject invalid concurrency limits', () => {
+      assert.throws(
+        () => parseArgs(['--concurrency', '0']),
+        /--concurrency expects a positive integer, got: 0/
+      );
+      assert.throws(() => parseArgs(['--suite-concurrency', 'many']), /--suite-concurrency/);
+    });
+
+    test('should keep --html --output handling', () => {
+      const { files, options } = parseArgs(['suite.json', '--html', '--output', 'out.html']);
+
+      assert.deepStrictEqual(files, ['suite.json']);
+      assert.strictEqual(options.html, true);
+      assert.strictEqual(options.htmlOutput, 'out.html');
+    });
+  });
+
+  describe('reporters', () => {
+    test('should attach the console reporter by default', () => {
+      runner = new SuiteRunner();
+
+      assert.strictEqual(runner.listenerCount('test:end'), 1);
+      assert.deepStrictEqual(runner.outputReporters, []);
+    });
+
+    test('should attach only the selected reporters', () => {
+      runner = new SuiteRunner({ reporters: ['tap', 'github'] });
+
+      assert.deepStrictEqual(runner.outputReporters.map(r => r.constructor.name), ['TapReporter', 'GitHubReporter']);
+      // Only the GitHub reporter listens to test results
+      assert.strictEqual(runner.listenerCount('test:end'), 1);
+      assert.strictEqual(runner.listenerCount('run:end'), 1);
+    });
+
+    test('should share the history store with the HTML reporter', () => {
+      runner = new SuiteRunner({ html: true, history: 'history.jsonl' });
+
+      assert.strictEqual(runner.history.filePath, 'history.jsonl');
+      assert.strictEqual(runner.htmlReporter.history, runner.history);
+    });
+
+    test('should write the Markdown summary to a file and the job summary', () => {
+      const stepSummary = process.env.GITHUB_STEP_SUMMARY;
+      process.env.GITHUB_STEP_SUMMARY = 'step-summary.md';
+
+      try {
+        runner = new SuiteRunner({ markdown: 'summary.md', stepSummary: true });
+        assert.strictEqual(runner.markdownReporter.constructor.name, 'MarkdownReporter');
+        assert.strictEqual(runner.listenerCount('run:end'), 2);
+
+        delete process.env.GITHUB_STEP_SUMMARY;
+        assert.strictEqual(new SuiteRunner({ stepSummary: true }).markdownReporter, null);
+      } finally {
+        if (stepSummary === undefined) delete process.env.GITHUB_STEP_SUMMARY;
+        else process.env.GITHUB_STEP_SUMMARY = stepSummary;
+      }
+    });
+
+    test('should reject unknown reporters', () => {
+      assert.throws(
+        () => new SuiteRunner({ reporters: ['xml'] }),
+        /Unknown reporter: xml \(available: console, tap, github\)/
+      );
+    });
+  });
+
+  describe('selectTests', () => {
+    const tests = [
+      { id: 'greeting', name: 'Says hello', tags: ['smoke'] },
+      { id: 'weather', name: 'Uses weather tool', tags: ['tools', 'slow'] },
+      { id: 'search', name: 'Uses search tool', tags: ['tools'] },
+      { name: 'Unnamed' }
+    ];
+    const ids = selected => selected.map(({ test: t, index }) => t.id || `test-${index}`);
+
+    test('should select every test without filters', () => {
+      runner = new SuiteRunner();
+
+      assert.deepStrictEqual(ids(runner.selectTests(tests)), ['greeting', 'weather', 'search', 'test-3']);
+    });
+
+    test('should filter by id, name pattern and tags', () => {
+      assert.deepStrictEqual(ids(new SuiteRunner({ testIds: ['search'] }).selectTests(tests)), ['search']);
+      assert.deepStrictEqual(ids(new SuiteRunner({ grep: 'TOOL' }).selectTests(tests)), ['weather', 'search']);
+      assert.deepStrictEqual(ids(new SuiteRunner({ tags: ['tools'] }).selectTests(tests)), ['weather', 'search']);
+      assert.deepStrictEqual(
+        ids(new SuiteRunner({ tags: ['tools'], excludeTags: ['slow'] }).selectTests(tests)),
+        ['search']
+      );
+    });
+
+    test('should mark skipped tests and tests left out by only', () => {
+      runner = new SuiteRunner();
+      const selected = runner.selectTests([
+        { id: 'a', only: true },
+        { id: 'b' },
+        { id: 'c', skip: 'flaky upstream' },
+        { id: 'd', only: true, skip: true }
+      ]);
+
+      assert.deepStrictEqual(selected.map(s => s.skipReason), [
+        null, 'another test is marked only', 'flaky upstream', 'marked skip'
+      ]);
+    });
+
+    test('should only apply only among tests that match the filters', () => {
+      runner = new SuiteRunner({ testIds: ['b'] });
+      const selected = runner.selectTests([{ id: 'a', only: true }, { id: 'b' }]);
+
+      assert.deepStrictEqual(selected.map(s => [s.test.id, s.skipReason]), [['b', null]]);
+    });
+  });
+
+  describe('runSuite with skipped tests', () => {
+    let tmpDir;
+    let originalLogLevel;
+
+    beforeEach(async () => {
+      tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'semtest-'));
+      originalLogLevel = process.env.LOG_LEVEL;
+      process.env.LOG_LEVEL = 'ERROR';
+    });
+
+    afterEach(async () => {
+      await fs.rm(tmpDir, { recursive: true, force: true });
+      if (originalLogLevel === undefined) delete process.env.LOG_LEVEL;
+      else process.env.LOG_LEVEL = originalLogLevel;
+    });
+
+    const mock = id => ({ id, block: 'MockData', config: { data: { ok: true } } });
+
+    test('should report skipped tests without running them', async () => {
+      const file = path.join(tmpDir, 'suite.json');
+      await fs.writeFile(file, JSON.stringify({
+        tests: [
+          { id: 'runs', pipeline: [mock('data')] },
+          { id: 'skipped', skip: true, pipeline: [mock('data')] }
+        ]
+      }));
+
+      runner = new SuiteRunner();
+      runner.removeAllListeners();
+      const result = await runner.runSuite(file);
+
+      assert.strictEqual(result.success, true);
+      assert.deepStrictEqual(result.tests.map(t => [t.id, Boolean(t.skipped)]), [['runs', false], ['skipped', true]]);
+      assert.strictEqual(result.tests[1].reason, 'marked skip');
+      assert.strictEqual(result.tests[1].result, undefined);
+    });
+
+    test('should not run setup when no test will run', async () => {
+      const file = path.join(tmpDir, 'suite.json');
+      await fs.writeFile(file, JSON.stringify({
+        setup: [{ id: 'boom', block: 'JsonParser', input: { body: '{ not json' } }],
+        tests: [{ id: 'skipped', skip: true, pipeline: [mock('data')] }]
+      }));
+
+      runner = new SuiteRunner();
+      runner.removeAllListeners();
+      const result = await runner.runSuite(file);
+
+      assert.strictEqual(result.setupResult, null);
+      assert.strictEqual(result.setupError, undefined);
+      assert.strictEqual(result.success, true);
+    });
+  });
+
+  describe('concurrency', () => {
+    let tmpDir;
+    let originalLogLevel;
+    const calls = [];
+    let running = 0;
+    let maxRunning = 0;
+
+    class SlowBlock extends Block {
+      static get inputs() {
+        return { required: [], optional: ['name', 'ms'] };
+      }
+
+      static get outputs() {
+        return { produces: ['name'] };
+      }
+
+      async process(inputs) {
+        running++;
+        maxRunning = Math.max(maxRunning, running);
+        calls.push(inputs.name);
+        await sleep(inputs.ms || 0);
+        running--;
+        return { name: inputs.name };
+      }
+    }
+
+    const slow = (name, ms = 0) => ({ block: 'SlowBlock', input: { name, ms }, output: 'result' });
+
+    const writeSuite = async (name, definition) => {
+      const file = path.join(tmpDir, name);
+      await fs.writeFile(file, JSON.stringify(definition));
+      return file;
+    };
+
+    beforeEach(async () => {
+      blockRegistry.register('SlowBlock', SlowBlock);
+      tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'semtest-'));
+      calls.length = 0;
+      running = 0;
+      maxRunning = 0;
+      originalLogLevel = process.env.LOG_LEVEL;
+      process.env.LOG_LEVEL = 'ERROR';
+    });
+
+    afterEach(async () => {
+      await fs.rm(tmpDir, { recursive: true, force: true });
+      if (originalLogLevel === undefined) delete process.env.LOG_LEVEL;
+      else process.env.LOG_LEVEL = originalLogLevel;
+    });
+
+    test('should run tests concurrently and report them in definition order', async () => {
+      const file = await writeSuite('suite.json', {
+        setup: [slow('setup')],
+        tests: [
+          { id: 'first', pipeline: [slow('first', 30)], assertions: { 'result.name': 'first' } },
+          { id: 'second', pipeline: [slow('second', 5)], assertions: { 'result.name': 'second' } },
+          { id: 'third', pipeline: [slow('third', 15)], assertions: { 'result.name': 'third' } }
+        ],
+        teardown: [slow('teardown')]
+      });
+
+      runner = new SuiteRunner({ concurrency: 3 });
+      runner.removeAllListeners();
+      const ended = [];
+      runner.on('test:end', result => ended.push(result.id));
+
+      const result = await runner.runSuite(file);
+
+      assert.strictEqual(result.success, true);
+      assert.strictEqual(maxRunning, 3);
+      assert.deepStrictEqual(ended, ['first', 'second', 'third']);
+      assert.deepStrictEqual(result.tests.map(t => t.id), ['first', 'second', 'third']);
+      assert.strictEqual(calls.filter(name => name === 'setup').length, 1);
+      assert.strictEqual(calls.filter(name => name === 'teardown').length, 1);
+      assert.strictEqual(calls.at(-1), 'teardown');
+    });
+
+    test('should respect the concurrency limit', async () => {
+      const file = await writeSuite('suite.json', {
+        tests: ['a', 'b', 'c', 'd'].map(id => ({ id, pipeline: [slow(id, 5)] }))
+      });
+
+      runner = new SuiteRunner({ concurrency: 2 });
+      runner.removeAllListeners();
+      await runner.runSuite(file);
+
+      assert.strictEqual(maxRunning, 2);
+    });
+
+    test('should run suites concurrently and keep their order', async () => {
+      const slowSuite = await writeSuite('slow.json', { name: 'Slow', tests: [{ id: 'a', pipeline: [slow('a', 30)] }] });
+      const fastSuite = await writeSuite('fast.json', { name: 'Fast', tests: [{ id: 'b', pipeline: [slow('b', 5)] }] });
+
+      runner = new SuiteRunner({ suiteConcurrency: 2 });
+      runner.removeAllListeners();
+      const ended = [];
+      runner.on('suite:end', suiteResult => ended.push(suiteResult.name));
+
+      const batch = await runner.runBatch([slowSuite, fastSuite]);
+
+      assert.strictEqual(maxRunning, 2);
+      assert.deepStrictEqual(batch.suites.map(s => s.name), ['Slow', 'Fast']);
+      assert.deepStrictEqual(ended, ['Fast', 'Slow']);
+    });
+  });
+
+  describe('setup context', () => {
+    let tmpDir;
+    let originalLogLevel;
+
+    beforeEach(async () => {
+      tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'semtest-'));
+      originalLogLevel = process.env.LOG_LEVEL;
+      process.env.LOG_LEVEL = 'ERROR';
+    });
+
+    afterEach(async () => {
+      await fs.rm(tmpDir, { recursive: true, force: true });
+      if (originalLogLevel === undefined) delete process.env.LOG_LEVEL;
+      else process.env.LOG_LEVEL = originalLogLevel;
+    });
+
+    test('should share a mock server started in setup with tests and teardown', async () => {
+      const file = path.join(tmpDir, 'chat.json');
+      await fs.writeFile(file, JSON.stringify({
+        setup: [{
+          id: 'mock',
+          block: 'MockServer',
+          config: {
+            routes: [{ method: 'POST', path: '/chat', response: { sse: [{ text: 'Hi' }, { text: '!' }], chunkDelay: 5 } }]
+          }
+        }],
+        tests: [{
+          id: 'chat',
+          pipeline: [
+            { id: 'request', block: 'HttpRequest', input: { url: '${mockServerUrl}/chat', method: 'POST', body: {} } },
+            { id: 'parse', block: 'StreamParser', input: '${request.body}', config: { format: 'sse' } }
+          ],
+          assertions: { 'request.status': 200 }
+        }],
+        teardown: [{ id: 'stop', block: 'MockServer', config: { action: 'stop' } }]
+      }));
+
+      runner = new SuiteRunner();
+      runner.removeAllListeners();
+      const result = await runner.runSuite(file);
+
+      assert.strictEqual(result.success, true);
+      assert.strictEqual(result.teardownResult.success, true);
+      const { data } = result.tests[0].result;
+      assert.strictEqual(data.request.url, `${data.input.mock.url}/chat`);
+      assert.strictEqual(data.request.body, 'data: {"text":"Hi"}\n\ndata: {"text":"!"}\n\n');
+      await assert.rejects(fetch(data.input.mock.url));
+    });
+
+    test('should share OAuth2 tokens declared in the suite context across the run', async () => {
+      let tokenRequests = 0;
+      const server = await new Promise(resolve => {
+        const created = http.createServer((req, res) => {
+          if (req.url === '/token') {
+            tokenRequests++;
+            res.setHeader('Content-Type', 'application/json');
+            res.end(JSON.stringify({ access_token: 'abc', expires_in: 3600 }));
+            return;
+          }
+          res.statusCode = req.headers.authorization === 'Bearer abc' ? 200 : 401;
+          res.end();
+        });
+        created.listen(0, '127.0.0.1', () => resolve(created));
+      });
+      const baseUrl = `http://127.0.0.1:${server.address().port}`;
+      process.env.TEST_CLIENT_SECRET = 'secret';
+
+      const request = id => ({ id, block: 'HttpRequest', input: { url: `${baseUrl}/api`, method: 'GET', auth: '${API_AUTH}' } });
+      const file = path.join(tmpDir, 'api.json');
+      await fs.writeFile(file, JSON.stringify({
+        context: {
+          API_AUTH: { type: 'oauth2', tokenUrl: `${baseUrl}/token`, clientId: 'id', clientSecret: '${env.TEST_CLIENT_SECRET}' }
+        },
+        setup: [request('setupRequest')],
+        tests: ['a', 'b'].map(id => ({ id, pipeline: [request('request')], assertions: { 'request.status': 200 } })),
+        teardown: [request('teardownRequest')]
+      }));
+
+      let result;
+      try {
+        runner = new SuiteRunner();
+        runner.removeAllListeners();
+        result = await runner.runSuite(file);
+      } finally {
+        delete process.env.TEST_CLIENT_SECRET;
+        await new Promise(resolve => server.close(resolve));
+      }
+
+      assert.strictEqual(result.success, true);
+      assert.strictEqual(result.teardownResult.success, true);
+      assert.strictEqual(tokenRequests, 1);
+    });
+  });
+
+  describe('cookies', () => {
+    let tmpDir;
+    let originalLogLevel;
+
+    beforeEach(async () => {
+      tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'semtest-'));
+      originalLogLevel = process.env.LOG_LEVEL;
+      process.env.LOG_LEVEL = 'ERROR';
+    });
+
+    afterEach(async () => {
+      await fs.rm(tmpDir, { recursive: true, force: true });
+      if (originalLogLevel === undefined) delete process.env.LOG_LEVEL;
+      else process.env.LOG_LEVEL = originalLogLevel;
+    });
+
+    const writeSuite = async cookies => {
+      const file = path.join(tmpDir, 'session.json');
+      const request = (id, route) => ({ id, block: 'HttpRequest', input: { url: `\${mockServerUrl}${route}`, method: 'GET' } });
+      await fs.writeFile(file, JSON.stringify({
+        cookies,
+        setup: [
+          {
+            id: 'mock',
+            block: 'MockServer',
+            config: {
+              routes: [
+                { path: '/login', response: { headers: { 'Set-Cookie': 'session=abc; Path=/' }, body: 'ok' } },
+                { path: '/me', headers: { cookie: 'session=abc' }, response: { json: { user: 'ada' } } },
+                { path: '/me', response: { status: 401 } }
+              ]
+            }
+          },
+          request('login', '/login')
+        ],
+        tests: [{
+          id: 'me',
+          pipeline: [request('login', '/login'), request('me', '/me')],
+          assertions: { 'me.status': 200 }
+        }, {
+          id: 'reuse',
+          pipeline: [request('me', '/me')],
+          assertions: { 'me.status': 200 }
+        }],
+        teardown: [{ id: 'stop', block: 'MockServer', config: { action: 'stop' } }]
+      }));
+      return file;
+    };
+
+    test('should share cookies within a test', async () => {
+      runner = new SuiteRunner();
+      runner.removeAllListeners();
+      const result = await runner.runSuite(await writeSuite('test'));
+
+      assert.deepStrictEqual(result.tests.map(t => t.success), [true, false]);
+    });
+
+    test('should share cookies across the suite, including setup', async () => {
+      runner = new SuiteRunner();
+      runner.removeAllListeners();
+      const result = await runner.runSuite(await writeSuite('suite'));
+
+      assert.deepStrictEqual(result.tests.map(t => t.success), [true, true]);
+      assert.deepStrictEqual(JSON.parse(JSON.stringify(result.tests[1].result.context._cookies)), { cookies: ['session'] });
+    });
+
+    test('should not keep cookies unless enabled', async () => {
+      runner = new SuiteRunner();
+      runner.removeAllListeners();
+      const result = await runner.runSuite(await writeSuite(undefined));
+
+      assert.deepStrictEqual(result.tests.map(t => t.success), [false, false]);
+    });
+  });
+
+  describe('cassettes', () => {
+    let tmpDir;
+    let originalLogLevel;
+
+    beforeEach(async () => {
+      tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'semtest-'));
+      originalLogLevel = process.env.LOG_LEVEL;
+      process.env.LOG_LEVEL = 'ERROR';
+    });
+
+    afterEach(async () => {
+      await fs.rm(tmpDir, { recursive: true, force: true });
+      if (originalLogLevel === undefined) delete process.env.LOG_LEVEL;
+      else process.env.LOG_LEVEL = originalLogLevel;
+    });
+
+    const startServer = () => new Promise(resolve => {
+      let requests = 0;
+      const server = http.createServer((req, res) => {
+        requests++;
+        res.setHeader('Content-Type', 'text/event-stream');
+        res.end(`data: {"request":${requests}}\n\ndata: [DONE]\n\n`);
+      });
+      server.listen(0, '127.0.0.1', () => resolve(server));
+    });
+
+    test('should record traffic per test and replay it offline', async () => {
+      const server = await startServer();
+      const baseUrl = `http://127.0.0.1:${server.address().port}`;
+      const file = path.join(tmpDir, 'chat.json');
+      const cassettes = path.join(tmpDir, 'cassettes');
+      await fs.writeFile(file, JSON.stringify({
+        setup: [{ id: 'token', block: 'HttpRequest', input: { url: `${baseUrl}/token`, method: 'GET' } }],
+        tests: [{
+          id: 'chat',
+          pipeline: [{
+            id: 'request',
+            block: 'HttpRequest',
+            input: { url: `${baseUrl}/chat`, method: 'POST', body: { message: 'Hi' } }
+          }]
+        }]
+      }));
+
+      let recorded;
+      try {
+        runner = new SuiteRunner({ record: true, cassettes });
+        runner.removeAllListeners();
+        recorded = await runner.runSuite(file);
+      } finally {
+        await new Promise(resolve => server.close(resolve));
+      }
+
+      const files = await fs.readdir(path.dirname(getCassettePath(cassettes, file, 'chat')));
+      assert.deepStrictEqual(files.sort(), ['_setup.json', 'chat.json']);
+
+      runner = new SuiteRunner({ replay: true, cassettes });
+      runner.removeAllListeners();
+      const replayed = await runner.runSuite(file);
+
+      assert.strictEqual(replayed.success, true);
+      assert.strictEqual(replayed.setupResult.success, true);
+      assert.deepStrictEqual(replayed.tests[0].result.data.request, recorded.tests[0].result.data.request);
+      assert.strictEqual(replayed.tests[0].result.data.request.body, 'data: {"request":2}\n\ndata: [DONE]\n\n');
+    });
+
+    test('should keep the recordings of suites with the same file name apart', async () => {
+      const server = await startServer();
+      const baseUrl = `http://127.0.0.1:${server.address().port}`;
+      const cassettes = path.join(tmpDir, 'cassettes');
+      const suites = ['a', 'b'].map(dir => path.join(tmpDir, dir, 'chat.json'));
+      for (const [index, file] of suites.entries()) {
+        await fs.mkdir(path.dirname(file));
+        await fs.writeFile(file, JSON.stringify({
+          tests: [{
+            id: 'chat',
+            pipeline: [{ id: 'request', block: 'HttpRequest', input: { url: `${baseUrl}/${index}`, method: 'GET' } }]
+          }]
+        }));
+      }
+
+      try {
+        runner = new SuiteRunner({ record: true, cassettes });
+        runner.removeAllListeners();
+        for (const file of suites) await runner.runSuite(file);
+      } finally {
+        await new Promise(resolve => server.close(resolve));
+      }
+
+      runner = new SuiteRunner({ replay: true, cassettes });
+      runner.removeAllListeners();
+      for (const [index, file] of suites.entries()) {
+        const replayed = await runner.runSuite(file);
+        assert.strictEqual(replayed.success, true);
+        assert.strictEqual(replayed.tests[0].result.data.request.body, `data: {"request":${index + 1}}\n\ndata: [DONE]\n\n`);
+      }
+    });
+
+    test('should fail requests that were not recorded when replaying', async () => {
+      const file = path.join(tmpDir, 'chat.json');
+      await fs.writeFile(file, JSON.stringify({
+        tests: [{
+          id: 'chat',
+          pipeline: [{ id: 'request', block: 'HttpRequest', input: { url: 'http://127.0.0.1:9/chat', method: 'GET' } }]
+        }]
+      }));
+
+      runner = new SuiteRunner({ replay: true, cassettes: path.join(tmpDir, 'cassettes') });
+      runner.removeAllListeners();
+      const result = await runner.runSuite(file);
+
+      const { error } = result.tests[0].result.data.request;
+      assert.match(error, /^No recorded response for GET http:\/\/127\.0\.0\.1:9\/chat in /);
+    });
+
+    test('should not record and replay at the same time', () => {
+      assert.throws(
+        () => new SuiteRunner({ record: true, replay: true }),
+        /--record and --replay cannot be used together/
+      );
+    });
+  });
+
+  describe('baseline comparison', () => {
+    let tmpDir;
+
+    beforeEach(async () => {
+      tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'semtest-'));
+    });
+
+    afterEach(async () => {
+      await fs.rm(tmpDir, { recursive: true, force: true });
+    });
+
+    test('should compare the run against the baseline when it ends', async () => {
+      const baselinePath = path.join(tmpDir, 'baseline.json');
+      await fs.writeFile(baselinePath, JSON.stringify({
+        schema: 'semtest-results',
+        schemaVersion: 1,
+        suites: [{ name: 'Chat', tests: [{ id: 'a', success: true }, { id: 'b', success: false }] }]
+      }));
+
+      runner = new SuiteRunner({ baseline: baselinePath, scoreThreshold: 0.2 });
+      runner.reporter.reportComparison = () => {};
+
+      await runner.emitAsync('run:end', {
+        suites: [{ name: 'Chat', tests: [{ id: 'a', success: false }, { id: 'b', success: true }] }]
+      });
+
+      assert.strictEqual(runner.comparison.thresholds.scoreThreshold, 0.2);
+      assert.deepStrictEqual(runner.comparison.regressions.map(r => r.key), ['Chat › a']);
+      assert.strictEqual(runner.comparison.summary.fixed, 1);
+    });
+
+    test('should record a baseline that cannot be loaded instead of throwing', async () => {
+      runner = new SuiteRunner({ baseline: path.join(tmpDir, 'missing.json') });
+
+      await runner.emitAsync('run:end', { suites: [{ name: 'Chat', tests: [{ id: 'a', success: true }] }] });
+
+      assert.strictEqual(runner.comparison, null);
+      assert.match(runner.baselineError.message, /missing\.json/);
+    });
+  });
+
+  describe('replayResults', () => {
+    let tmpDir;
+
+    beforeEach(async () => {
+      tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'semtest-'));
+    });
+
+    afterEach(async () => {
+      await fs.rm(tmpDir, { recursive: true, force: true });
+    });
+
+    test('should report saved results without running tests', async () => {
+      const file = path.join(tmpDir, 'results.json');
+      await fs.writeFile(file, JSON.stringify({
+        schema: 'semtest-results',
+        schemaVersion: 1,
+        started: '2024-01-01T00:00:00.000Z',
+        suites: [{ name: 'Saved', success: false, tests: [{ id: 'a', success: false }] }]
+      }));
+
+      runner = new SuiteRunner();
+      runner.removeAllListeners();
+      const events = [];
+      runner.on('batch:end', results => events.push(['batch:end', results.suites[0].name]));
+      runner.on('run:end', results => events.push(['run:end', results.started]));
+
+      const batchResults = await runner.replayResults(file);
+
+      assert.strictEqual(batchResults.suites[0].name, 'Saved');
+      assert.deepStrictEqual(events, [['batch:end', 'Saved'], ['run:end', '2024-01-01T00:00:00.000Z']]);
+      assert.strictEqual(runner.results.every(r => r.success), false);
+    });
+  });
+
+  describe('CLI exit codes', () => {
+    const cli = fileURLToPath(new URL('../../../src/suite-runner.js', import.meta.url));
+    const run = (...args) => spawnSync(process.execPath, [cli, ...args], { encoding: 'utf-8', timeout: 30000 });
+    let tmpDir;
+
+    beforeEach(async () => {
+      tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'semtest-'));
+    });
+
+    afterEach(async () => {
+      await fs.rm(tmpDir, { recursive: true, force: true });
+    });
+
+    test('should exit 1 on fatal errors', () => {
+      const missing = run('compare', path.join(tmpDir, 'a.json'), path.join(tmpDir, 'b.json'));
+      assert.strictEqual(missing.status, 1);
+      assert.match(missing.stderr + missing.stdout, /Fatal error/);
+
+      assert.strictEqual(run('compare', path.join(tmpDir, 'a.json')).status, 1);
+    });
+
+    test('should report invalid arguments and exit 1 without running', () => {
+      const concurrency = run(path.join(tmpDir, 'missing.json'), '--concurrency', '0');
+      assert.strictEqual(concurrency.status, 1);
+      assert.match(concurrency.stderr, /--concurrency expects a positive integer, got: 0/);
+      assert.doesNotMatch(concurrency.stderr + concurrency.stdout, /Fatal error|Running suite/);
+
+      const unknown = run('--concurency', '4');
+      assert.strictEqual(unknown.status, 1);
+      assert.match(unknown.stderr, /Unknown option '--concurency'/);
+      assert.doesNotMatch(unknown.stderr + unknown.stdout, /Running suite/);
+
+      const threshold = run('compare', 'a.json', 'b.json', '--threshold', 'abc');
+      assert.strictEqual(threshold.status, 1);
+      assert.match(threshold.stderr, /--threshold expects a non-negative number, got: abc/);
+    });
+
+    test('should print only the TAP document on stdout and reject unknown reporters', async () => {
+      const suitePath = path.join(tmpDir, 'suite.json');
+      await fs.writeFile(suitePath, JSON.stringify({
+        name: 'Passing',
+        tests: [{ id: 'a', pipeline: [{ block: 'MockData', id: 'data', config: { data: { ok: true } } }] }]
+      }));
+
+      const tap = run(suitePath, '--reporter', 'tap');
+      assert.strictEqual(tap.status, 0);
+      assert.strictEqual(tap.stdout, 'TAP version 14\n# Subtest: Passing\n    1..1\n    ok 1 - a\nok 1 - Passing\n1..1\n');
+      assert.match(tap.stderr, /Running suite/);
+
+      const bogus = run(suitePath, '--reporter', 'bogus');
+      assert.strictEqual(bogus.status, 1);
+      assert.match(bogus.stderr, /Unknown reporter: bogus/);
+    });
+
+    test('should fail a run whose baseline cannot be loaded', async () => {
+      const suitePath = path.join(tmpDir, 'suite.json');
+      await fs.writeFile(suitePath, JSON.stringify({
+        name: 'Passing',
+        tests: [{ id: 'a', pipeline: [{ block: 'MockData', id: 'data', config: { data: { ok: true } } }] }]
+      }));
+
+      assert.strictEqual(run(suitePath).status, 0);
+
+      const result = run(suitePath, '--baseline', path.join(tmpDir, 'missing.json'));
+      assert.strictEqual(result.status, 1);
+      assert.match(result.stderr + result.stdout, /Baseline comparison failed/);
+    });
+
+    test('should fail a run with a baseline when a test keeps failing, without a regression', async () => {
+      const suitePath = path.join(tmpDir, 'suite.json');
+      const baselinePath = path.join(tmpDir, 'baseline.json');
+      await fs.writeFile(suitePath, JSON.stringify({
+        name: 'Failing',
+        tests: [{
+          id: 'a',
+          pipeline: [{ block: 'MockData', id: 'data', config: { data: { ok: false } } }],
+          assertions: { 'data.ok': true }
+        }]
+      }));
+
+      assert.strictEqual(run(suitePath, '--json', baselinePath).status, 1);
+
+      const result = run(suitePath, '--baseline', baselinePath);
+      assert.strictEqual(result.status, 1);
+      assert.match(result.stdout, /No regressions/);
+    });
+  });
 });
@@ -1,6 +1,6 @@
 import { test, describe } from 'node:test';
 import assert from 'node:assert';
-import { measureTime } from '../../../src/utils/timing.js';
+import { measureTime, combineSignals } from '../../../src/utils/timing.js';
 
 describe('timing utilities', () => {
   describe('measureTime()', () => {
@@ -86,4 +86,24 @@ describe('timing utilities', () => {
       assert.ok(typeof duration === 'number');
     });
   });
+
+  describe('combineSignals()', () => {
+    test('should return the only signal or undefined', () => {
+      const controller = new AbortController();
+
+      assert.strictEqual(combineSignals(controller.signal, undefined), controller.signal);
+      assert.strictEqual(combineSignals(undefined, null), undefined);
+    });
+
+    test('should abort when any signal aborts', () => {
+      const first = new AbortController();
+      const second = new AbortController();
+      const combined = combineSignals(first.signal, second.signal);
+
+      assert.strictEqual(combined.aborted, false);
+      second.abort(new Error('cancelled'));
+      assert.strictEqual(combined.aborted, true);
+      assert.strictEqual(combined.reason.message, 'cancelled');
+    });
+  });
 });
@@ -0,0 +1,133 @@
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert';
+import http from 'http';
+import {
+  OPCODES,
+  encodeFrame,
+  decodeFrames,
+  connectWebSocket,
+  acceptWebSocket
+} from '../../../src/utils/websocket.js';
+
+describe('websocket', () => {
+  describe('encodeFrame() and decodeFrames()', () => {
+    test('should round-trip masked and unmasked frames', () => {
+      const masked = encodeFrame(OPCODES.text, 'hello');
+      const plain = encodeFrame(OPCODES.text, 'hello', { mask: false });
+
+      assert.strictEqual(masked[1] & 0x80, 0x80);
+      assert.notStrictEqual(masked.subarray(6).toString(), 'hello');
+      assert.strictEqual(plain.subarray(2).toString(), 'hello');
+
+      const { frames, rest } = decodeFrames(Buffer.concat([masked, plain]));
+      assert.deepStrictEqual(frames.map(frame => frame.payload.toString()), ['hello', 'hello']);
+      assert.strictEqual(frames[0].fin, true);
+      assert.strictEqual(frames[0].opcode, OPCODES.text);
+      assert.strictEqual(rest.length, 0);
+    });
+
+    test('should use 16- and 64-bit lengths for large payloads', () => {
+      const medium = Buffer.alloc(300, 'a');
+      const large = Buffer.alloc(70000, 'b');
+
+      assert.strictEqual(encodeFrame(OPCODES.binary, medium, { mask: false })[1], 126);
+      assert.strictEqual(encodeFrame(OPCODES.binary, large, { mask: false })[1], 127);
+
+      const encoded = Buffer.concat([encodeFrame(OPCODES.binary, medium), encodeFrame(OPCODES.binary, large)]);
+      const { frames } = decodeFrames(encoded);
+      assert.deepStrictEqual(frames.map(frame => frame.payload.length), [300, 70000]);
+    });
+
+    test('should keep an incomplete frame for the next chunk', () => {
+      const frame = encodeFrame(OPCODES.text, 'partial', { mask: false });
+
+      const first = decodeFrames(frame.subarray(0, 5));
+      assert.deepStrictEqual(first.frames, []);
+      assert.strictEqual(first.rest.length, 5);
+
+      const second = decodeFrames(Buffer.concat([first.rest, frame.subarray(5)]));
+      assert.strictEqual(second.frames[0].payload.toString(), 'partial');
+    });
+  });
+
+  describe('connectWebSocket() and acceptWebSocket()', () => {
+    let server;
+    let url;
+
+    before(async () => {
+      server = http.createServer((req, res) => res.writeHead(404).end());
+      server.on('upgrade', (req, socket, head) => {
+        if (req.url === '/forbidden') {
+          socket.end('HTTP/1.1 403 Forbidden\r\nContent-Length: 0\r\n\r\n');
+          return;
+        }
+        const connection = acceptWebSocket(req, socket, head);
+        connection.on('message', ({ text }) => {
+          if (text === 'fragments') {
+            // A message in two fragments with a ping in between
+            socket.write(encodeFrame(OPCODES.text, 'Hel', { mask: false, fin: false }));
+            socket.write(encodeFrame(OPCODES.ping, 'are you there', { mask: false }));
+            socket.write(encodeFrame(OPCODES.continuation, 'lo', { mask: false }));
+          } else if (text === 'bye') {
+            connection.close(4000, 'done');
+          } else {
+            connection.send(`echo: ${text}`);
+          }
+        });
+        socket.on('data', data => {
+          const { frames } = decodeFrames(data);
+          if (frames.some(frame => frame.opcode === OPCODES.pong)) {
+            connection.send('pong received');
+          }
+        });
+      });
+      await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+      url = `ws://127.0.0.1:${server.address().port}`;
+    });
+
+    after(() => {
+      server.close();
+    });
+
+    const nextMessage = connection => new Promise(resolve => connection.once('message', resolve));
+
+    test('should exchange messages with the negotiated protocol', async () => {
+      const connection = await connectWebSocket(`${url}/chat`, { protocols: ['chat.v1', 'chat.v0'] });
+      assert.strictEqual(connection.protocol, 'chat.v1');
+
+      const reply = nextMessage(connection);
+      connection.send('hi');
+      assert.deepStrictEqual(await reply, { text: 'echo: hi', binary: false });
+
+      connection.close();
+      await new Promise(resolve => connection.once('close', resolve));
+    });
+
+    test('should join fragments and answer pings', async () => {
+      const connection = await connectWebSocket(url);
+      const messages = [];
+      connection.on('message', ({ text }) => messages.push(text));
+
+      connection.send('fragments');
+      await new Promise(resolve => connection.on('message', () => messages.length === 2 && resolve()));
+
+      assert.deepStrictEqual(messages.sort(), ['Hello', 'pong received']);
+      connection.terminate();
+    });
+
+    test('should report the close code and reason of the server', async () => {
+      const connection = await connectWebSocket(url);
+      const closed = new Promise(resolve => connection.once('close', resolve));
+
+      connection.send('bye');
+
+      assert.deepStrictEqual(await closed, { code: 4000, reason: 'done' });
+      assert.strictEqual(connection.closed, true);
+    });
+
+    test('should reject refused handshakes and unsupported URLs', async () => {
+      await assert.rejects(connectWebSocket(`${url}/forbidden`), /WebSocket handshake failed with status 403/);
+      await assert.rejects(connectWebSocket('ftp://example.com'), /Unsupported WebSocket URL protocol 'ftp:'/);
+    });
+  });
+});